@@ -117,13 +117,28 @@ deploy_contracts() {
     echo -e "${GREEN}✓ wZEC deployed: $WZEC_ADDRESS${NC}"
     
     # Deploy RelaySystem
-    # Constructor args: genesis_hash, genesis_height, genesis_sapling_root, owner
-    # Using Zcash testnet genesis-like values
-    GENESIS_HASH_LOW="0x0"
-    GENESIS_HASH_HIGH="0x0"
-    GENESIS_HEIGHT="0"
-    GENESIS_SAPLING_LOW="0x0"
-    GENESIS_SAPLING_HIGH="0x0"
+    # Constructor args: genesis_hash, genesis_height, genesis_sapling_root,
+    # genesis_chain_work, owner. With CHECKPOINT set (a checkpoint JSON file,
+    # see packages/checkpoints) the relay starts from that trusted block.
+    if [ -n "$CHECKPOINT" ]; then
+        echo -e "${CYAN}Using checkpoint $CHECKPOINT${NC}"
+        read -r GENESIS_HASH_LOW GENESIS_HASH_HIGH GENESIS_HEIGHT \
+            GENESIS_SAPLING_LOW GENESIS_SAPLING_HIGH \
+            GENESIS_WORK_LOW GENESIS_WORK_HIGH <<< "$(jq -r '[
+                "0x" + .hash[32:64], "0x" + .hash[0:32], (.height | tostring),
+                "0x" + .saplingRoot[32:64], "0x" + .saplingRoot[0:32],
+                "0x" + .chainwork[32:64], "0x" + .chainwork[0:32]
+            ] | join(" ")' "$CHECKPOINT")"
+    else
+        # Zcash testnet genesis-like values
+        GENESIS_HASH_LOW="0x0"
+        GENESIS_HASH_HIGH="0x0"
+        GENESIS_HEIGHT="0"
+        GENESIS_SAPLING_LOW="0x0"
+        GENESIS_SAPLING_HIGH="0x0"
+        GENESIS_WORK_LOW="0x0"
+        GENESIS_WORK_HIGH="0x0"
+    fi
     
     echo -e "${CYAN}Deploying RelaySystem...${NC}"
     RELAY_ADDRESS=$(starkli deploy \
@@ -134,6 +149,7 @@ deploy_contracts() {
         "$GENESIS_HASH_LOW" "$GENESIS_HASH_HIGH" \
         "$GENESIS_HEIGHT" \
         "$GENESIS_SAPLING_LOW" "$GENESIS_SAPLING_HIGH" \
+        "$GENESIS_WORK_LOW" "$GENESIS_WORK_HIGH" \
         "$DEPLOYER" \
         2>&1 | grep "Contract deployed" | awk '{print $NF}')
     
@@ -61,6 +61,7 @@ pub mod RelaySystem {
         Map, StoragePathEntry
     };
     use zclaim::relay::types::{BlockHeader, MerkleProof, constants};
+    use core::sha256::compute_sha256_byte_array;
 
     #[storage]
     struct Storage {
@@ -95,6 +96,8 @@ pub mod RelaySystem {
         pub block_hash: u256,
         #[key]
         pub prev_block_hash: u256,
+        #[key]
+        pub relayer: ContractAddress,
         pub height: u64,
         pub sapling_root: u256,
     }
@@ -129,6 +132,8 @@ pub mod RelaySystem {
         pub const BLOCK_NOT_CONFIRMED: felt252 = 'Relay: block not confirmed';
         pub const BLOCK_NOT_FOUND: felt252 = 'Relay: block not found';
         pub const HEADER_TOO_SHORT: felt252 = 'Relay: header too short';
+        pub const UNSUPPORTED_ENCODING: felt252 = 'Relay: unsupported encoding';
+        pub const BAD_SOLUTION_LENGTH: felt252 = 'Relay: bad solution length';
     }
 
     #[constructor]
@@ -137,6 +142,7 @@ pub mod RelaySystem {
         genesis_hash: u256,
         genesis_height: u64,
         genesis_sapling_root: u256,
+        genesis_chain_work: u256,
         owner: ContractAddress
     ) {
         self.owner.write(owner);
@@ -146,7 +152,8 @@ pub mod RelaySystem {
         self.chain_tip.write(genesis_hash);
         self.chain_tip_height.write(genesis_height);
 
-        // Initialize genesis header
+        // Initialize genesis header. Starting from a checkpoint, its cumulative
+        // chain work makes tips compare by the work of the whole chain.
         let genesis_header = BlockHeader {
             block_hash: genesis_hash,
             prev_block_hash: 0_u256,
@@ -155,7 +162,7 @@ pub mod RelaySystem {
             timestamp: 0,
             bits: 0,
             height: genesis_height,
-            chain_work: 0_u256,
+            chain_work: genesis_chain_work,
             verified: true,
         };
 
@@ -233,6 +240,7 @@ pub mod RelaySystem {
             self.emit(BlockHeaderSubmitted {
                 block_hash,
                 prev_block_hash,
+                relayer: get_caller_address(),
                 height,
                 sapling_root,
             });
@@ -345,58 +353,94 @@ pub mod RelaySystem {
             self: @ContractState,
             header: @Array<felt252>
         ) -> (u256, u256, u256, u64, u32) {
-            // Simplified parsing - in production, properly decode the bytes
-            // For now, assume header is passed as structured felt252 array:
-            // [0-1]: prev_block_hash (u256 = 2 x felt252)
-            // [2-3]: merkle_root
-            // [4-5]: sapling_root
-            // [6]: timestamp (u64)
-            // [7]: bits (u32)
-            
-            assert(header.len() >= 8, Errors::HEADER_TOO_SHORT);
-
-            let prev_hash_low: felt252 = *header.at(0);
-            let prev_hash_high: felt252 = *header.at(1);
+            // The header is passed as a versioned felt252 array, shared with
+            // the relay service and the CLI (u256 = 2 x felt252, low first):
+            // [0]: encoding version (constants::HEADER_ENCODING_VERSION)
+            // [1-2]: prev_block_hash
+            // [3-4]: merkle_root
+            // [5-6]: sapling_root (the real Sapling tree root, which the header
+            //        itself only carries between Sapling and Heartwood)
+            // [7]: timestamp (u64)
+            // [8]: bits (u32)
+            // [9]: nVersion
+            // [10-11]: header commitment field (hashFinalSaplingRoot,
+            //          hashLightClientRoot or hashBlockCommitments)
+            // [12-13]: orchard_root, [14-15]: auth_data_root,
+            // [16-17]: chain_history_root (zero where the block has none)
+            // [18-19]: nNonce
+            // [20]: solution length in bytes
+            // [21..]: solution, 31 big-endian bytes per word
+
+            assert(
+                header.len() >= constants::HEADER_SOLUTION_OFFSET, Errors::HEADER_TOO_SHORT
+            );
+            assert(
+                *header.at(0) == constants::HEADER_ENCODING_VERSION,
+                Errors::UNSUPPORTED_ENCODING
+            );
+
+            let solution_len: u32 = (*header.at(20)).try_into().unwrap();
+            let solution_words = (solution_len + constants::SOLUTION_WORD_BYTES - 1)
+                / constants::SOLUTION_WORD_BYTES;
+            assert(
+                header.len() == constants::HEADER_SOLUTION_OFFSET + solution_words,
+                Errors::BAD_SOLUTION_LENGTH
+            );
+
+            let prev_hash_low: felt252 = *header.at(1);
+            let prev_hash_high: felt252 = *header.at(2);
             let prev_block_hash: u256 = u256 {
                 low: prev_hash_low.try_into().unwrap(),
                 high: prev_hash_high.try_into().unwrap(),
             };
 
-            let merkle_low: felt252 = *header.at(2);
-            let merkle_high: felt252 = *header.at(3);
+            let merkle_low: felt252 = *header.at(3);
+            let merkle_high: felt252 = *header.at(4);
             let merkle_root: u256 = u256 {
                 low: merkle_low.try_into().unwrap(),
                 high: merkle_high.try_into().unwrap(),
             };
 
-            let sapling_low: felt252 = *header.at(4);
-            let sapling_high: felt252 = *header.at(5);
+            let sapling_low: felt252 = *header.at(5);
+            let sapling_high: felt252 = *header.at(6);
             let sapling_root: u256 = u256 {
                 low: sapling_low.try_into().unwrap(),
                 high: sapling_high.try_into().unwrap(),
             };
 
-            let timestamp: u64 = (*header.at(6)).try_into().unwrap();
-            let bits: u32 = (*header.at(7)).try_into().unwrap();
+            let timestamp: u64 = (*header.at(7)).try_into().unwrap();
+            let bits: u32 = (*header.at(8)).try_into().unwrap();
 
             (prev_block_hash, merkle_root, sapling_root, timestamp, bits)
         }
 
-        /// Compute block hash using BLAKE2b-256 with Zcash personalization
+        /// Compute the Zcash block hash: double SHA-256 of the serialized
+        /// header, solution included, in display byte order. It is the hash
+        /// nodes report and headers link to their parent by, so blocks are
+        /// keyed by it (computeHeaderHash in @zarklink/header-codec).
         fn _compute_block_hash(self: @ContractState, header: @Array<felt252>) -> u256 {
-            // BLAKE2b-256 with "ZcashBlockHash" personalization (16 bytes)
-            let personalization: Array<u8> = array![
-                0x5a, 0x63, 0x61, 0x73, 0x68, 0x42, 0x6c, 0x6f, // "ZcashBlo"
-                0x63, 0x6b, 0x48, 0x61, 0x73, 0x68, 0x00, 0x00  // "ckHash\0\0"
-            ];
-            zclaim::crypto::blake2b::blake2b_256_personalized(header, @personalization)
+            let serialized = serialize_header(header);
+            let first = compute_sha256_byte_array(@serialized).span();
+
+            let mut digest: ByteArray = "";
+            let mut i: u32 = 0;
+            loop {
+                if i >= 8 {
+                    break;
+                }
+                digest.append_word((*first.at(i)).into(), 4);
+                i += 1;
+            };
+
+            digest_to_hash(compute_sha256_byte_array(@digest).span())
         }
 
         /// Verify Equihash proof-of-work
         /// Equihash(200, 9) used by Zcash
         fn _verify_equihash(self: @ContractState, header: @Array<felt252>, bits: u32) -> bool {
             // Equihash verification steps:
-            // 1. Extract nonce and solution from header
+            // 1. Extract nonce and solution from header ([18-19] and [21..],
+            //    see _parse_header)
             // 2. Compute BLAKE2b-256 seeded hash
             // 3. Verify solution meets difficulty target
             
@@ -469,6 +513,83 @@ pub mod RelaySystem {
         result
     }
 
+    /// Rebuild the raw header (zcashd's serialization) from the felt252
+    /// encoding _parse_header reads
+    fn serialize_header(header: @Array<felt252>) -> ByteArray {
+        let mut bytes: ByteArray = "";
+        bytes.append_word_rev(*header.at(9), 4); // nVersion
+        append_hash(ref bytes, *header.at(1), *header.at(2)); // hashPrevBlock
+        append_hash(ref bytes, *header.at(3), *header.at(4)); // hashMerkleRoot
+        append_hash(ref bytes, *header.at(10), *header.at(11)); // commitment field
+        bytes.append_word_rev(*header.at(7), 4); // nTime
+        bytes.append_word_rev(*header.at(8), 4); // nBits
+        // nNonce is encoded in header byte order
+        bytes.append_word(*header.at(19), 16);
+        bytes.append_word(*header.at(18), 16);
+
+        // nSolution: compactSize length, then up to 31 bytes per word
+        let solution_len: u32 = (*header.at(20)).try_into().unwrap();
+        if solution_len < 0xfd {
+            bytes.append_byte(solution_len.try_into().unwrap());
+        } else {
+            bytes.append_byte(0xfd);
+            bytes.append_word_rev(solution_len.into(), 2);
+        }
+
+        let mut remaining = solution_len;
+        let mut i = constants::HEADER_SOLUTION_OFFSET;
+        loop {
+            if remaining == 0 {
+                break;
+            }
+            let size = if remaining < constants::SOLUTION_WORD_BYTES {
+                remaining
+            } else {
+                constants::SOLUTION_WORD_BYTES
+            };
+            bytes.append_word(*header.at(i), size);
+            remaining -= size;
+            i += 1;
+        };
+
+        bytes
+    }
+
+    /// Append a hash given in display byte order (low, high) in the
+    /// reversed order the header stores it
+    fn append_hash(ref bytes: ByteArray, low: felt252, high: felt252) {
+        bytes.append_word_rev(low, 16);
+        bytes.append_word_rev(high, 16);
+    }
+
+    /// A SHA-256 digest read as a little-endian number, which is the hash
+    /// in display byte order
+    fn digest_to_hash(digest: Span<u32>) -> u256 {
+        let mut low: u128 = 0;
+        let mut high: u128 = 0;
+        let mut i: u32 = 8;
+        loop {
+            if i == 0 {
+                break;
+            }
+            i -= 1;
+            let word: u128 = swap_bytes(*digest.at(i)).into();
+            if i >= 4 {
+                high = high * 0x100000000 + word;
+            } else {
+                low = low * 0x100000000 + word;
+            }
+        };
+        u256 { low, high }
+    }
+
+    fn swap_bytes(word: u32) -> u32 {
+        (word & 0xff) * 0x1000000
+            + ((word / 0x100) & 0xff) * 0x10000
+            + ((word / 0x10000) & 0xff) * 0x100
+            + word / 0x1000000
+    }
+
     /// Verify block hash meets difficulty target
     fn verify_hash_meets_target(hash: u256, target: u256) -> bool {
         // Hash must be less than or equal to target
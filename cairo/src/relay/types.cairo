@@ -7,7 +7,7 @@ use starknet::ContractAddress;
 /// Total size: ~1487 bytes for Sapling
 #[derive(Drop, Serde, starknet::Store)]
 pub struct BlockHeader {
-    /// BLAKE2b-256 hash of the header
+    /// Double SHA-256 hash of the header (sha256d, as Zcash nodes report it)
     pub block_hash: u256,
     /// Hash of previous block
     pub prev_block_hash: u256,
@@ -140,6 +140,15 @@ pub mod constants {
     /// Offset of hashFinalSaplingRoot in block header (bytes)
     pub const SAPLING_ROOT_OFFSET: u32 = 68; // 4 + 32 + 32
     
+    /// Version of the felt252 header encoding relays submit
+    pub const HEADER_ENCODING_VERSION: felt252 = 1;
+    
+    /// Index of the first Equihash solution word in an encoded header
+    pub const HEADER_SOLUTION_OFFSET: u32 = 21;
+    
+    /// Solution bytes packed into each felt252 word
+    pub const SOLUTION_WORD_BYTES: u32 = 31;
+    
     /// ZEC has 8 decimal places (1 ZEC = 10^8 zatoshi)
     pub const ZEC_DECIMALS: u8 = 8;
     
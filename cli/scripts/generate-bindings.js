@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Contract Bindings Generator
+ * Emits src/generated/*.js from the Sierra ABIs `scarb build` writes to
+ * cairo/target/dev, so the CLI calls the contracts with the entry points
+ * and types the Cairo sources actually declare. The relay service gets the
+ * RelaySystem ABI (relay-service/src/generated), checked the same way.
+ *
+ *   node scripts/generate-bindings.js [--artifacts <dir>]   write bindings
+ *   node scripts/generate-bindings.js --check               fail on drift
+ *
+ * Every binding module exports the contract's ABI, its event names and a
+ * class with one method per ABI function: views return the parsed result
+ * (u256 and integers as bigint, enums as CairoCustomEnum), external
+ * functions return the invoke response. The relay service builds its own
+ * calls and only imports the ABI and event names.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = fileURLToPath(new URL('../..', import.meta.url));
+const OUT_DIR = 'cli/src/generated';
+const RELAY_SERVICE_OUT_DIR = 'relay-service/src/generated';
+const DEFAULT_ARTIFACTS = path.join(ROOT_DIR, 'cairo', 'target', 'dev');
+const PACKAGE = 'zclaim';
+
+// Contract module name in the Cairo package → binding file; relayService
+// also writes its ABI for the relay service
+const CONTRACTS = [
+  { name: 'ZclaimBridge', file: 'zclaim-bridge.js' },
+  { name: 'RelaySystem', file: 'relay-system.js', relayService: true },
+  { name: 'VaultRegistry', file: 'vault-registry.js' },
+  { name: 'wZEC', file: 'wzec.js' },
+];
+
+const INTEGER = /^core::integer::(u|i)(8|16|32|64|128)$/;
+const FELT_LIKE = new Set([
+  'core::felt252',
+  'core::integer::u256',
+  'core::starknet::contract_address::ContractAddress',
+  'core::starknet::class_hash::ClassHash',
+  'core::starknet::eth_address::EthAddress',
+]);
+const ARRAY = /^core::array::(Array|Span)::<(.+)>$/;
+
+const shortName = (type) => type.split('::').pop();
+
+/**
+ * Split the member types of a tuple type `(A, B<C, D>)`
+ */
+function tupleMembers(type) {
+  const members = [];
+  let depth = 0;
+  let start = 1;
+  for (let i = 1; i < type.length - 1; i++) {
+    const c = type[i];
+    if (c === '(' || c === '<') depth++;
+    if (c === ')' || c === '>') depth--;
+    if (c === ',' && depth === 0) {
+      members.push(type.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  members.push(type.slice(start, type.length - 1).trim());
+  return members.filter(Boolean);
+}
+
+/**
+ * JSDoc type of a Cairo type, as passed in (`input`) or as parsed back
+ */
+function jsType(type, types, input) {
+  if (type === '()') return 'void';
+  if (type === 'core::bool') return 'boolean';
+  if (type === 'core::byte_array::ByteArray') return 'string';
+  if (FELT_LIKE.has(type) || INTEGER.test(type)) return input ? 'BigNumberish' : 'bigint';
+
+  const array = type.match(ARRAY);
+  if (array) return `Array<${jsType(array[2], types, input)}>`;
+
+  if (type.startsWith('(')) {
+    const members = tupleMembers(type).map(member => jsType(member, types, input));
+    return input ? `[${members.join(', ')}]` : `{ ${members.map((member, i) => `${i}: ${member}`).join(', ')} }`;
+  }
+
+  return types.has(type) ? shortName(type) : '*';
+}
+
+/**
+ * Struct and enum definitions other than the core ones with a JS mapping
+ */
+function typedefs(abi, types) {
+  const lines = [];
+  for (const item of abi) {
+    if (item.type === 'struct' && !FELT_LIKE.has(item.name) && item.name !== 'core::byte_array::ByteArray') {
+      lines.push('/**', ` * @typedef {Object} ${shortName(item.name)} - ${item.name}`);
+      for (const member of item.members) {
+        lines.push(` * @property {${jsType(member.type, types, false)}} ${member.name}`);
+      }
+      lines.push(' */', '');
+    } else if (item.type === 'enum' && item.name !== 'core::bool') {
+      lines.push(
+        '/**',
+        ` * @typedef {CairoCustomEnum} ${shortName(item.name)} - ${item.name}:`,
+        ` *   ${item.variants.map(variant => variant.name).join(', ')}`,
+        ' */',
+        '',
+      );
+    }
+  }
+  return lines;
+}
+
+function functionsOf(abi) {
+  return abi.flatMap(item => {
+    if (item.type === 'function') return [item];
+    if (item.type === 'interface') return item.items.filter(entry => entry.type === 'function');
+    return [];
+  });
+}
+
+function method(fn, types) {
+  const params = fn.inputs.map(input => input.name);
+  const view = fn.state_mutability === 'view';
+  const output = fn.outputs.length === 0 ? 'void' : jsType(fn.outputs[0].type, types, false);
+  const returns = view ? `Promise<${output}>` : 'Promise<InvokeFunctionResponse>';
+
+  return [
+    '  /**',
+    `   * ${fn.name}(${fn.inputs.map(input => `${input.name}: ${input.type}`).join(', ')})${fn.outputs.length ? ` -> ${fn.outputs[0].type}` : ''}`,
+    ...fn.inputs.map(input => `   * @param {${jsType(input.type, types, true)}} ${input.name}`),
+    `   * @returns {${returns}}`,
+    '   */',
+    `  ${fn.name}(${params.join(', ')}) {`,
+    `    return this.contract.${view ? 'call' : 'invoke'}('${fn.name}', [${params.join(', ')}]);`,
+    '  }',
+  ];
+}
+
+/**
+ * Source of a binding module for a contract class ABI
+ */
+function generateBinding(name, artifact, abi) {
+  const types = new Set(abi.filter(item => item.type === 'struct' || item.type === 'enum').map(item => item.name));
+  const events = abi.filter(item => item.type === 'event' && item.kind === 'struct');
+
+  const lines = [
+    '/**',
+    ` * ${name} Contract Bindings`,
+    ` * Generated by scripts/generate-bindings.js from ${artifact};`,
+    ' * do not edit, run `npm run codegen` after `scarb build` instead',
+    ' */',
+    '',
+    "import { Contract } from 'starknet';",
+    '',
+    "/** @typedef {import('starknet').BigNumberish} BigNumberish */",
+    "/** @typedef {import('starknet').CairoCustomEnum} CairoCustomEnum */",
+    "/** @typedef {import('starknet').InvokeFunctionResponse} InvokeFunctionResponse */",
+    '',
+    ...typedefs(abi, types),
+    `export const ABI = ${JSON.stringify(abi, null, 2)};`,
+    '',
+    '// Event name → the key parseEvents() reports it under',
+    'export const EVENTS = {',
+    ...events.map(event => `  ${shortName(event.name)}: '${event.name}',`),
+    '};',
+    '',
+    `export class ${name} {`,
+    '  /**',
+    '   * @param {string} address',
+    "   * @param {import('starknet').ProviderInterface|import('starknet').AccountInterface} providerOrAccount",
+    '   *   An account is needed for external functions',
+    '   */',
+    '  constructor(address, providerOrAccount) {',
+    '    this.address = address;',
+    '    this.contract = new Contract(ABI, address, providerOrAccount);',
+    '  }',
+    '',
+    '  /**',
+    '   * Call of an external function, for fee estimates and multicalls',
+    "   * @returns {import('starknet').Call}",
+    '   */',
+    '  populate(method, args = []) {',
+    '    return this.contract.populate(method, args);',
+    '  }',
+    '',
+    '  /**',
+    '   * Events of this contract in a transaction receipt, keyed by EVENTS values',
+    '   */',
+    '  parseEvents(receipt) {',
+    '    return this.contract.parseEvents(receipt);',
+    '  }',
+  ];
+  for (const fn of functionsOf(abi)) {
+    lines.push('', ...method(fn, types));
+  }
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Source of an ABI-only module, for the relay service
+ */
+function generateAbiModule(name, artifact, abi) {
+  const events = abi.filter(item => item.type === 'event' && item.kind === 'struct');
+
+  return [
+    '/**',
+    ` * ${name} Contract ABI`,
+    ` * Generated by cli/scripts/generate-bindings.js from ${artifact};`,
+    ' * do not edit, run `npm run codegen` in cli/ after `scarb build` instead',
+    ' */',
+    '',
+    `export const ABI = ${JSON.stringify(abi, null, 2)};`,
+    '',
+    '// Event name → the key starknet.js parseEvents() reports it under',
+    'export const EVENTS = {',
+    ...events.map(event => `  ${shortName(event.name)}: '${event.name}',`),
+    '};',
+    '',
+  ].join('\n');
+}
+
+function generateIndex() {
+  return [
+    '/**',
+    ' * Contract Bindings',
+    ' * Generated by scripts/generate-bindings.js; do not edit',
+    ' */',
+    '',
+    ...CONTRACTS.map(({ name, file }) => `export { ${name}, ABI as ${constantName(name)}_ABI, EVENTS as ${constantName(name)}_EVENTS } from './${file}';`),
+    '',
+  ].join('\n');
+}
+
+function constantName(name) {
+  return name.replace(/([a-z])([A-Z][a-z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Every binding file's expected contents
+ * @returns {Map<string, string>} Path from the repository root → source
+ */
+function generateAll(artifactsDir) {
+  const files = new Map();
+  for (const { name, file, relayService } of CONTRACTS) {
+    const artifact = `${PACKAGE}_${name}.contract_class.json`;
+    const artifactPath = path.join(artifactsDir, artifact);
+    if (!fs.existsSync(artifactPath)) {
+      throw new Error(`Missing ${artifactPath}; run \`scarb build\` in cairo/ first`);
+    }
+
+    const contractClass = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+    const abi = typeof contractClass.abi === 'string' ? JSON.parse(contractClass.abi) : contractClass.abi;
+    files.set(`${OUT_DIR}/${file}`, generateBinding(name, artifact, abi));
+    if (relayService) {
+      files.set(`${RELAY_SERVICE_OUT_DIR}/${file}`, generateAbiModule(name, artifact, abi));
+    }
+  }
+  files.set(`${OUT_DIR}/index.js`, generateIndex());
+  return files;
+}
+
+function main(args) {
+  const check = args.includes('--check');
+  const at = args.indexOf('--artifacts');
+  const artifactsDir = at >= 0 ? path.resolve(args[at + 1]) : DEFAULT_ARTIFACTS;
+
+  const files = generateAll(artifactsDir);
+
+  if (check) {
+    const stale = [...files].filter(([file, source]) => {
+      const current = path.join(ROOT_DIR, file);
+      return !fs.existsSync(current) || fs.readFileSync(current, 'utf8') !== source;
+    });
+    if (stale.length > 0) {
+      console.error(`Contract bindings drifted from the Cairo ABIs: ${stale.map(([file]) => file).join(', ')}`);
+      console.error('Run `npm run codegen` and commit the result');
+      process.exit(1);
+    }
+    console.log(`Contract bindings match ${artifactsDir}`);
+    return;
+  }
+
+  for (const [file, source] of files) {
+    fs.mkdirSync(path.dirname(path.join(ROOT_DIR, file)), { recursive: true });
+    fs.writeFileSync(path.join(ROOT_DIR, file), source);
+  }
+  console.log(`Wrote ${files.size} files to ${OUT_DIR} and ${RELAY_SERVICE_OUT_DIR}`);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
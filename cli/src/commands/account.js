@@ -0,0 +1,353 @@
+/**
+ * Account Command
+ * Starknet account keys in encrypted keystores (starkli's format)
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { writeFileSync } from 'fs';
+import { config } from '../config.js';
+import {
+  askPassword,
+  decryptKey,
+  encryptKey,
+  endSession,
+  hasKeystore,
+  listKeystores,
+  readKeystore,
+  readKeystoreFile,
+  removeKeystore,
+  sessionExpiry,
+  startSession,
+  writeKeystore,
+} from '../utils/keystore.js';
+import {
+  print,
+  printHeader,
+  printBox,
+  success,
+  error,
+  warning,
+  info,
+  formatAddress,
+  table,
+  COLORS
+} from '../utils/ui.js';
+import { EXIT, CliError, emit, fail, prompt, requireYes, isJson } from '../utils/output.js';
+
+export const accountCommand = new Command('account')
+  .description('Manage Starknet account keystores');
+
+/**
+ * Profiles whose account uses a keystore
+ */
+function profilesUsing(name) {
+  return config.profileNames().filter(profile => config.resolveProfile(profile).starknet.keystore === name);
+}
+
+function requireKeystore(name) {
+  if (!hasKeystore(name)) {
+    throw new CliError(EXIT.NOT_FOUND, `No keystore named "${name}" (see \`zarklink account list\`)`);
+  }
+}
+
+/**
+ * Import a private key
+ */
+accountCommand
+  .command('import')
+  .description('Encrypt a private key into a keystore and use it for the active profile')
+  .argument('<name>', 'Keystore name')
+  .option('--keystore <file>', 'Import an existing keystore file (starkli signer keystore)')
+  .option('--from-config', 'Move the plaintext key of the active profile (config file or STARKNET_PRIVATE_KEY)')
+  .option('--address <address>', 'Starknet account address')
+  .option('--no-link', 'Only store the key, leave the active profile as it is')
+  .action(async (name, options) => {
+    printHeader('IMPORT ACCOUNT', `Keystore ${name}`);
+    
+    try {
+      if (hasKeystore(name)) {
+        throw new CliError(EXIT.USAGE, `Keystore "${name}" already exists`);
+      }
+      if (options.keystore && options.fromConfig) {
+        throw new CliError(EXIT.USAGE, '--keystore and --from-config are exclusive');
+      }
+      
+      let keystore;
+      if (options.keystore) {
+        keystore = readKeystoreFile(options.keystore);
+        // Only keep a keystore we can open
+        decryptKey(keystore, await askPassword(`Password for ${options.keystore}:`));
+      } else {
+        let privateKey = config.starknet.privateKey;
+        if (options.fromConfig) {
+          if (!privateKey) {
+            throw new CliError(EXIT.CONFIG, `Profile ${config.profile} has no plaintext private key`);
+          }
+        } else {
+          ({ privateKey } = await prompt([
+            {
+              type: 'password',
+              name: 'privateKey',
+              message: chalk.hex(COLORS.primary)('Starknet private key:'),
+              mask: '*',
+            },
+          ]));
+        }
+        keystore = encryptKey(privateKey, await askPassword('New keystore password:', true));
+      }
+      
+      let address = options.address || (options.link ? config.starknet.accountAddress : '');
+      if (options.link && !address) {
+        ({ address } = await prompt([
+          {
+            type: 'input',
+            name: 'address',
+            message: chalk.hex(COLORS.primary)('Starknet account address:'),
+            validate: (v) => v.startsWith('0x') ? true : 'Invalid address (must start with 0x)',
+          },
+        ]));
+      }
+      
+      const path = writeKeystore(name, keystore);
+      
+      if (options.link) {
+        config.updateProfile(config.profile, { starknet: { keystore: name, accountAddress: address } });
+        config.unset('starknet.privateKey');
+      }
+      
+      success(`Key stored in keystore ${name}`);
+      print('');
+      printBox('Keystore', [
+        `${chalk.gray('File:')}     ${chalk.hex(COLORS.highlight)(path)}`,
+        `${chalk.gray('Account:')}  ${address ? formatAddress(address) : chalk.gray('(not set)')}`,
+        `${chalk.gray('Profile:')}  ${options.link ? chalk.hex(COLORS.highlight)(config.profile) : chalk.gray('(not linked)')}`,
+      ]);
+      print('');
+      
+      if (options.link && process.env.STARKNET_PRIVATE_KEY) {
+        warning('STARKNET_PRIVATE_KEY is still set in the environment; remove it from .env');
+        print('');
+      }
+      
+      emit({ name, path, address: address || null, profile: options.link ? config.profile : null });
+      
+    } catch (err) {
+      error(`Import failed: ${err.message}`);
+      fail(err);
+    }
+  });
+
+/**
+ * Export a keystore
+ */
+accountCommand
+  .command('export')
+  .description('Write a keystore file (or, with --private-key, the decrypted key)')
+  .argument('<name>', 'Keystore name')
+  .option('-o, --output <file>', 'Keystore file to write (default: stdout)')
+  .option('--private-key', 'Print the private key in plaintext')
+  .action(async (name, options) => {
+    try {
+      requireKeystore(name);
+      const keystore = readKeystore(name);
+      
+      if (!options.privateKey) {
+        if (options.output) {
+          writeFileSync(options.output, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+          success(`Keystore ${name} written to ${options.output}`);
+        } else if (!isJson()) {
+          process.stdout.write(JSON.stringify(keystore, null, 2) + '\n');
+        }
+        emit({ name, keystore, output: options.output || null });
+        return;
+      }
+      
+      // Before the password is read: nothing gets decrypted without --yes
+      requireYes('Printing the private key');
+      const privateKey = decryptKey(keystore, await askPassword(`Password for keystore ${name}:`));
+      const { confirmed } = await prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: chalk.hex(COLORS.warning)('Print the private key in plaintext?'),
+          default: false,
+        },
+      ]);
+      if (!confirmed) {
+        warning('Export cancelled.');
+        fail(new CliError(EXIT.CANCELLED, 'Export cancelled by user'));
+      }
+      
+      print('');
+      print(`  ${chalk.hex(COLORS.warning)(privateKey)}`);
+      print('');
+      
+      emit({ name, privateKey });
+      
+    } catch (err) {
+      error(`Export failed: ${err.message}`);
+      fail(err);
+    }
+  });
+
+/**
+ * List keystores
+ */
+accountCommand
+  .command('list')
+  .description('List keystores and the profiles that use them')
+  .action(() => {
+    printHeader('ACCOUNTS', `Profile ${config.profile}`);
+    
+    const keystores = listKeystores().map(({ name, path, error: unreadable }) => {
+      const profiles = profilesUsing(name);
+      const expiresAt = sessionExpiry(name);
+      return {
+        name,
+        path,
+        error: unreadable,
+        profiles: profiles.map(profile => ({ name: profile, accountAddress: config.resolveProfile(profile).starknet.accountAddress || null })),
+        unlockedUntil: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+      };
+    });
+    
+    if (keystores.length === 0) {
+      info(`No keystores yet: ${chalk.hex(COLORS.primary)('zarklink account import <name>')}`);
+      print('');
+    } else {
+      print(table(
+        ['Keystore', 'Profiles', 'Account', 'Unlocked'],
+        keystores.map(keystore => [
+          chalk.hex(COLORS.highlight)(keystore.name),
+          keystore.profiles.map(profile => profile.name).join(', ') || chalk.gray('(none)'),
+          keystore.profiles[0]?.accountAddress ? formatAddress(keystore.profiles[0].accountAddress) : '',
+          keystore.error
+            ? chalk.hex(COLORS.error)('unreadable')
+            : keystore.unlockedUntil ? `until ${new Date(keystore.unlockedUntil).toLocaleTimeString()}` : chalk.gray('locked'),
+        ])
+      ));
+      for (const keystore of keystores.filter(keystore => keystore.error)) {
+        warning(keystore.error);
+      }
+    }
+    
+    const current = config.starknet;
+    if (!current.keystore && current.privateKey) {
+      warning(`Profile ${config.profile} keeps its private key in plaintext; run ${chalk.hex(COLORS.primary)('zarklink account import <name> --from-config')}`);
+      print('');
+    }
+    
+    emit({ profile: config.profile, keystore: current.keystore || null, keystores });
+  });
+
+/**
+ * Remove a keystore
+ */
+accountCommand
+  .command('remove')
+  .description('Delete a keystore and unlink it from its profiles')
+  .argument('<name>', 'Keystore name')
+  .action(async (name) => {
+    try {
+      requireKeystore(name);
+      requireYes(`Deleting keystore ${name}`);
+      const profiles = profilesUsing(name);
+      
+      const { confirmed } = await prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: chalk.hex(COLORS.warning)(
+            `Delete keystore ${name}${profiles.length ? ` (used by ${profiles.join(', ')})` : ''}? Export it first if the key has no other copy.`
+          ),
+          default: false,
+        },
+      ]);
+      if (!confirmed) {
+        warning('Remove cancelled.');
+        fail(new CliError(EXIT.CANCELLED, 'Remove cancelled by user'));
+      }
+      
+      removeKeystore(name);
+      for (const profile of profiles) {
+        config.unset('starknet.keystore', profile);
+      }
+      
+      success(`Keystore ${name} removed`);
+      if (profiles.length) {
+        info(`Profiles without a key now: ${profiles.join(', ')}`);
+      }
+      print('');
+      
+      emit({ name, unlinked: profiles });
+      
+    } catch (err) {
+      error(`Remove failed: ${err.message}`);
+      fail(err);
+    }
+  });
+
+/**
+ * Keep a key unlocked
+ */
+accountCommand
+  .command('unlock')
+  .description('Keep a keystore unlocked for this shell (prints ZARKLINK_SESSION)')
+  .argument('[name]', 'Keystore name (default: the active profile\'s)')
+  .option('-t, --timeout <minutes>', 'Minutes until it locks again', '15')
+  .action(async (name, options) => {
+    try {
+      name = name || config.starknet.keystore;
+      if (!name) {
+        throw new CliError(EXIT.CONFIG, `Profile ${config.profile} has no keystore (zarklink account import <name>)`);
+      }
+      requireKeystore(name);
+      
+      const minutes = parseInt(options.timeout);
+      if (!(minutes > 0)) {
+        throw new CliError(EXIT.USAGE, 'Timeout must be a positive number of minutes');
+      }
+      
+      const privateKey = decryptKey(readKeystore(name), await askPassword(`Password for keystore ${name}:`));
+      const { token, expiresAt } = startSession(name, privateKey, minutes * 60);
+      
+      success(`Keystore ${name} unlocked for ${minutes} minutes`);
+      print('');
+      info('Set the session token in this shell so commands can use it:');
+      print('');
+      print(`  export ZARKLINK_SESSION=${token}`);
+      print('');
+      
+      emit({ name, token, expiresAt: new Date(expiresAt * 1000).toISOString() });
+      
+    } catch (err) {
+      error(`Unlock failed: ${err.message}`);
+      fail(err);
+    }
+  });
+
+/**
+ * End unlock sessions
+ */
+accountCommand
+  .command('lock')
+  .description('Lock a keystore again (all of them without a name)')
+  .argument('[name]', 'Keystore name')
+  .action((name) => {
+    try {
+      const names = name ? [name] : listKeystores().map(keystore => keystore.name);
+      names.forEach(endSession);
+      
+      success(name ? `Keystore ${name} locked` : 'All keystores locked');
+      print('');
+      
+      emit({ locked: names });
+      
+    } catch (err) {
+      error(`Lock failed: ${err.message}`);
+      fail(err);
+    }
+  });
+
+export default accountCommand;
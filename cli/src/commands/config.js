@@ -5,12 +5,11 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
-import { existsSync, mkdirSync, writeFileSync, readFileSync } from 'fs';
-import { homedir } from 'os';
-import { join } from 'path';
-import { config, defaultConfig } from '../config.js';
+import { config, NETWORKS } from '../config.js';
+import { getFinalityPolicy } from '../utils/zcash.js';
+import { askPassword, encryptKey, hasKeystore, writeKeystore } from '../utils/keystore.js';
 import {
+  print,
   printHeader,
   printSection,
   printBox,
@@ -22,11 +21,10 @@ import {
   createSpinner,
   typingEffect,
   formatAddress,
+  table,
   COLORS
 } from '../utils/ui.js';
-
-const CONFIG_DIR = join(homedir(), '.zarklink');
-const CONFIG_PATH = join(CONFIG_DIR, 'config.json');
+import { EXIT, CliError, emit, fail, prompt } from '../utils/output.js';
 
 export const configCommand = new Command('config')
   .description('Configure CLI settings');
@@ -40,18 +38,25 @@ configCommand
   .action(async () => {
     printHeader('CONFIGURATION', 'Setup your zarklink CLI');
     
-    console.log('');
+    print('');
     info('Answer the following questions to configure your CLI.');
-    console.log('');
+    print('');
     
-    const answers = await inquirer.prompt([
+    const answers = await prompt([
       {
         type: 'list',
         name: 'starknetNetwork',
         message: chalk.hex(COLORS.primary)('Starknet network:'),
-        choices: ['sepolia', 'mainnet', 'devnet'],
+        choices: NETWORKS,
         default: 'sepolia',
       },
+      {
+        type: 'input',
+        name: 'profile',
+        message: chalk.hex(COLORS.primary)('Profile name:'),
+        default: (answers) => answers.starknetNetwork,
+        validate: (v) => /^[a-z0-9][a-z0-9_-]*$/i.test(v) ? true : 'Letters, digits, - and _ only',
+      },
       {
         type: 'input',
         name: 'starknetRpc',
@@ -67,7 +72,8 @@ configCommand
       {
         type: 'password',
         name: 'privateKey',
-        message: chalk.hex(COLORS.primary)('Starknet private key:'),
+        message: chalk.hex(COLORS.primary)('Starknet private key (stored encrypted, enter to skip):'),
+        mask: '*',
       },
       {
         type: 'list',
@@ -94,16 +100,32 @@ configCommand
       },
     ]);
     
+    // The key goes into a keystore named after the profile
+    let keystore;
+    if (answers.privateKey) {
+      try {
+        if (hasKeystore(answers.profile)) {
+          throw new CliError(EXIT.USAGE, `Keystore "${answers.profile}" already exists; add the key with \`zarklink account import <name>\``);
+        }
+        keystore = encryptKey(answers.privateKey, await askPassword('New keystore password:', true));
+      } catch (err) {
+        error(err.message);
+        fail(err);
+      }
+    }
+    
     const spinner = createSpinner('Saving configuration...');
     spinner.start();
     
-    const newConfig = {
-      ...defaultConfig,
+    if (keystore) {
+      writeKeystore(answers.profile, keystore);
+    }
+    config.updateProfile(answers.profile, {
       starknet: {
         network: answers.starknetNetwork,
         rpcUrl: answers.starknetRpc || undefined,
         accountAddress: answers.accountAddress,
-        privateKey: answers.privateKey,
+        keystore: keystore ? answers.profile : undefined,
       },
       zcash: {
         network: answers.zcashNetwork,
@@ -111,29 +133,30 @@ configCommand
         rpcUser: answers.zcashUser,
         rpcPassword: answers.zcashPassword,
       },
-    };
-    
-    // Save config
-    if (!existsSync(CONFIG_DIR)) {
-      mkdirSync(CONFIG_DIR, { recursive: true });
+    });
+    if (keystore) {
+      config.unset('starknet.privateKey', answers.profile);
     }
-    
-    writeFileSync(CONFIG_PATH, JSON.stringify(newConfig, null, 2));
+    config.setDefaultProfile(answers.profile);
     
     await new Promise(r => setTimeout(r, 500));
     spinner.stop();
     
-    console.log('');
+    print('');
     success('Configuration saved successfully!');
-    console.log('');
+    print('');
     
     printBox('Config Location', [
-      `${chalk.gray('File:')} ${chalk.hex(COLORS.highlight)('~/.zarklink/config.json')}`,
+      `${chalk.gray('File:')}    ${chalk.hex(COLORS.highlight)('~/.zarklink/config.json')}`,
+      `${chalk.gray('Profile:')} ${chalk.hex(COLORS.highlight)(answers.profile)} ${chalk.gray('(default)')}`,
+      `${chalk.gray('Keystore:')} ${keystore ? chalk.hex(COLORS.highlight)(answers.profile) : chalk.gray('(none)')}`,
     ]);
     
-    console.log('');
+    print('');
     info(`View settings: ${chalk.hex(COLORS.primary)('zarklink config show')}`);
-    console.log('');
+    print('');
+    
+    emit({ path: config.path, profile: answers.profile, keystore: keystore ? answers.profile : null });
   });
 
 /**
@@ -142,9 +165,8 @@ configCommand
 configCommand
   .command('show')
   .description('Show current configuration')
-  .option('--reveal', 'Show sensitive values')
-  .action((options) => {
-    printHeader('CURRENT CONFIG', 'Your zarklink settings');
+  .action(() => {
+    printHeader('CURRENT CONFIG', `Profile: ${config.profile}`);
     
     // Starknet Section
     printSection('Starknet');
@@ -152,9 +174,9 @@ configCommand
       `${chalk.gray('Network:')}      ${chalk.hex(COLORS.highlight)(config.starknet?.network || 'sepolia')}`,
       `${chalk.gray('RPC URL:')}      ${chalk.white(config.starknet?.rpcUrl || '(default)')}`,
       `${chalk.gray('Account:')}      ${config.starknet?.accountAddress ? formatAddress(config.starknet.accountAddress) : chalk.gray('(not set)')}`,
-      `${chalk.gray('Private Key:')}  ${options.reveal && config.starknet?.privateKey ? chalk.hex(COLORS.warning)(config.starknet.privateKey.substring(0, 20) + '...') : chalk.gray('(hidden)')}`,
+      `${chalk.gray('Keystore:')}     ${config.starknet.keystore ? chalk.hex(COLORS.highlight)(config.starknet.keystore) : config.starknet.privateKey ? chalk.hex(COLORS.warning)('(plaintext key, run account import --from-config)') : chalk.gray('(not set)')}`,
     ]);
-    console.log('');
+    print('');
     
     // Contracts Section
     printSection('Contracts');
@@ -163,8 +185,9 @@ configCommand
       `${chalk.gray('Relay:')}     ${config.contracts?.relay ? formatAddress(config.contracts.relay) : chalk.gray('(not set)')}`,
       `${chalk.gray('Token:')}     ${config.contracts?.token ? formatAddress(config.contracts.token) : chalk.gray('(not set)')}`,
       `${chalk.gray('Registry:')}  ${config.contracts?.registry ? formatAddress(config.contracts.registry) : chalk.gray('(not set)')}`,
+      `${chalk.gray('Vault:')}     ${config.contracts?.vault ? formatAddress(config.contracts.vault) : chalk.gray('(not set)')}`,
     ]);
-    console.log('');
+    print('');
     
     // Zcash Section
     printSection('Zcash');
@@ -173,17 +196,40 @@ configCommand
       `${chalk.gray('RPC URL:')}   ${chalk.white(config.zcash?.rpcUrl || 'http://127.0.0.1:8232')}`,
       `${chalk.gray('RPC User:')}  ${config.zcash?.rpcUser || chalk.gray('(not set)')}`,
     ]);
-    console.log('');
+    print('');
     
     // Bridge Settings Section
     printSection('Bridge Settings');
     printBox('Protocol Parameters', [
-      `${chalk.gray('Confirmations:')}  ${chalk.hex(COLORS.highlight)(config.bridge?.minConfirmations || 20)}`,
+      `${chalk.gray('Finality:')}       ${chalk.hex(COLORS.highlight)(getFinalityPolicy().describe())}`,
       `${chalk.gray('Issue Timeout:')}  ${chalk.hex(COLORS.highlight)((config.bridge?.issueTimeout || 86400) + 's')}`,
       `${chalk.gray('Redeem Timeout:')} ${chalk.hex(COLORS.highlight)((config.bridge?.redeemTimeout || 86400) + 's')}`,
       `${chalk.gray('Fee Rate:')}       ${chalk.hex(COLORS.highlight)(((config.bridge?.feeRate || 10) / 100) + '%')}`,
     ]);
-    console.log('');
+    print('');
+    
+    emit({
+      profile: config.profile,
+      starknet: {
+        network: config.starknet?.network || 'sepolia',
+        rpcUrl: config.starknet?.rpcUrl || null,
+        accountAddress: config.starknet?.accountAddress || null,
+        keystore: config.starknet.keystore || null,
+        plaintextKey: Boolean(config.starknet.privateKey),
+      },
+      contracts: config.contracts || {},
+      zcash: {
+        network: config.zcash?.network || 'testnet',
+        rpcUrl: config.zcash?.rpcUrl || 'http://127.0.0.1:8232',
+        rpcUser: config.zcash?.rpcUser || null,
+      },
+      bridge: {
+        finality: getFinalityPolicy().describe(),
+        issueTimeout: config.bridge?.issueTimeout || 86400,
+        redeemTimeout: config.bridge?.redeemTimeout || 86400,
+        feeRate: config.bridge?.feeRate || 10,
+      },
+    });
   });
 
 /**
@@ -200,39 +246,27 @@ configCommand
     const spinner = createSpinner('Updating configuration...');
     spinner.start();
     
-    // Load existing config
-    let currentConfig = { ...defaultConfig };
-    if (existsSync(CONFIG_PATH)) {
-      currentConfig = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
+    try {
+      config.set(key, value);
+    } catch (err) {
+      spinner.stop();
+      error(err.message);
+      fail(err);
     }
     
-    // Set the value
-    const keys = key.split('.');
-    let obj = currentConfig;
-    for (let i = 0; i < keys.length - 1; i++) {
-      if (!obj[keys[i]]) {
-        obj[keys[i]] = {};
-      }
-      obj = obj[keys[i]];
-    }
-    obj[keys[keys.length - 1]] = value;
-    
-    // Save
-    if (!existsSync(CONFIG_DIR)) {
-      mkdirSync(CONFIG_DIR, { recursive: true });
-    }
-    writeFileSync(CONFIG_PATH, JSON.stringify(currentConfig, null, 2));
-    
     spinner.stop();
     
     success(`Configuration updated!`);
-    console.log('');
+    print('');
     
     printBox('Change Applied', [
-      `${chalk.gray('Key:')}   ${chalk.hex(COLORS.highlight)(key)}`,
-      `${chalk.gray('Value:')} ${chalk.hex(COLORS.success)(value)}`,
+      `${chalk.gray('Profile:')} ${chalk.hex(COLORS.highlight)(config.profile)}`,
+      `${chalk.gray('Key:')}     ${chalk.hex(COLORS.highlight)(key)}`,
+      `${chalk.gray('Value:')}   ${chalk.hex(COLORS.success)(value)}`,
     ]);
-    console.log('');
+    print('');
+    
+    emit({ profile: config.profile, key, value });
   });
 
 /**
@@ -245,58 +279,231 @@ configCommand
   .option('--relay <address>', 'Relay contract address')
   .option('--token <address>', 'Token contract address')
   .option('--registry <address>', 'Registry contract address')
+  .option('--vault <address>', 'Your vault address')
   .action((options) => {
     printHeader('SET CONTRACTS', 'Update contract addresses');
     
     const spinner = createSpinner('Updating contract addresses...');
     spinner.start();
     
-    // Load existing config
-    let currentConfig = { ...defaultConfig };
-    if (existsSync(CONFIG_PATH)) {
-      currentConfig = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
-    }
-    
-    if (!currentConfig.contracts) {
-      currentConfig.contracts = {};
-    }
-    
     const updates = [];
-    if (options.bridge) {
-      currentConfig.contracts.bridge = options.bridge;
-      updates.push(`${chalk.gray('Bridge:')}   ${formatAddress(options.bridge)}`);
-    }
-    if (options.relay) {
-      currentConfig.contracts.relay = options.relay;
-      updates.push(`${chalk.gray('Relay:')}    ${formatAddress(options.relay)}`);
-    }
-    if (options.token) {
-      currentConfig.contracts.token = options.token;
-      updates.push(`${chalk.gray('Token:')}    ${formatAddress(options.token)}`);
-    }
-    if (options.registry) {
-      currentConfig.contracts.registry = options.registry;
-      updates.push(`${chalk.gray('Registry:')} ${formatAddress(options.registry)}`);
+    const updated = {};
+    const fields = [
+      ['bridge', 'Bridge:  '],
+      ['relay', 'Relay:   '],
+      ['token', 'Token:   '],
+      ['registry', 'Registry:'],
+      ['vault', 'Vault:   '],
+    ];
+    for (const [name, label] of fields) {
+      if (options[name]) {
+        updated[name] = options[name];
+        updates.push(`${chalk.gray(label)} ${formatAddress(options[name])}`);
+      }
     }
     
-    // Save
-    if (!existsSync(CONFIG_DIR)) {
-      mkdirSync(CONFIG_DIR, { recursive: true });
+    if (updates.length > 0) {
+      config.updateProfile(config.profile, { contracts: updated });
     }
-    writeFileSync(CONFIG_PATH, JSON.stringify(currentConfig, null, 2));
     
     spinner.stop();
     
     if (updates.length > 0) {
-      success('Contract addresses updated!');
-      console.log('');
+      success(`Contract addresses updated for profile ${config.profile}!`);
+      print('');
       printBox('Updated Contracts', updates);
     } else {
       warning('No contract addresses provided.');
-      console.log('');
+      print('');
       info('Usage: zarklink config contracts --bridge <addr> --relay <addr>');
+      print('');
+      fail(new CliError(EXIT.USAGE, 'No contract addresses provided'));
+    }
+    print('');
+    
+    emit({ profile: config.profile, contracts: updated });
+  });
+
+/**
+ * Network profiles
+ */
+const profileCommand = configCommand
+  .command('profile')
+  .description('Manage network profiles (mainnet, sepolia, devnet, custom)');
+
+/**
+ * Summary of a profile for list and add
+ */
+function describeProfile(name) {
+  const profile = config.resolveProfile(name);
+  return {
+    name,
+    builtIn: config.isBuiltIn(name),
+    default: name === config.defaultProfile,
+    active: name === config.profile,
+    starknet: {
+      network: profile.starknet.network,
+      rpcUrl: profile.starknet.rpcUrl || null,
+      accountAddress: profile.starknet.accountAddress || null,
+    },
+    contracts: profile.contracts,
+    zcash: {
+      network: profile.zcash.network,
+      rpcUrl: profile.zcash.rpcUrl || null,
+    },
+  };
+}
+
+profileCommand
+  .command('list')
+  .description('List profiles')
+  .action(() => {
+    printHeader('PROFILES', `Active: ${config.profile}`);
+    
+    const profiles = config.profileNames().map(describeProfile);
+    
+    print(table(
+      ['', 'Profile', 'Starknet', 'Zcash', 'Account', 'Bridge'],
+      profiles.map(profile => [
+        profile.active ? chalk.hex(COLORS.success)('●') : '',
+        profile.builtIn ? profile.name : chalk.hex(COLORS.highlight)(profile.name),
+        profile.starknet.network,
+        profile.zcash.network,
+        profile.starknet.accountAddress ? formatAddress(profile.starknet.accountAddress) : chalk.gray('(not set)'),
+        profile.contracts.bridge ? formatAddress(profile.contracts.bridge) : chalk.gray('(not set)'),
+      ])
+    ));
+    
+    info(`Default profile: ${chalk.hex(COLORS.highlight)(config.defaultProfile)}`);
+    info(`Switch: ${chalk.hex(COLORS.primary)('zarklink config profile use <name>')}, or ${chalk.hex(COLORS.primary)('--profile <name>')} for one command`);
+    print('');
+    
+    emit({ active: config.profile, default: config.defaultProfile, profiles });
+  });
+
+profileCommand
+  .command('add')
+  .description('Add a profile')
+  .argument('<name>', 'Profile name')
+  .option('--network <network>', `Starknet network the profile starts from (${NETWORKS.join(', ')})`, 'sepolia')
+  .option('--rpc-url <url>', 'Starknet RPC URL')
+  .option('--account <address>', 'Starknet account address')
+  .option('--zcash-network <network>', 'Zcash network (mainnet, testnet)')
+  .option('--zcash-rpc-url <url>', 'zcashd RPC URL')
+  .option('--bridge <address>', 'Bridge contract address')
+  .option('--relay <address>', 'Relay contract address')
+  .option('--token <address>', 'Token contract address')
+  .option('--registry <address>', 'Registry contract address')
+  .option('--vault <address>', 'Your vault address')
+  .option('--use', 'Make it the default profile')
+  .action((name, options) => {
+    printHeader('ADD PROFILE', name);
+    
+    try {
+      if (options.zcashNetwork && !['mainnet', 'testnet'].includes(options.zcashNetwork)) {
+        throw new CliError(EXIT.USAGE, `Unknown Zcash network "${options.zcashNetwork}" (mainnet, testnet)`);
+      }
+      
+      config.addProfile(name, {
+        starknet: {
+          network: options.network,
+          rpcUrl: options.rpcUrl,
+          accountAddress: options.account,
+        },
+        contracts: {
+          bridge: options.bridge,
+          relay: options.relay,
+          token: options.token,
+          registry: options.registry,
+          vault: options.vault,
+        },
+        zcash: {
+          network: options.zcashNetwork,
+          rpcUrl: options.zcashRpcUrl,
+        },
+      });
+      if (options.use) {
+        config.setDefaultProfile(name);
+      }
+    } catch (err) {
+      error(err.message);
+      fail(err);
     }
-    console.log('');
+    
+    const profile = describeProfile(name);
+    
+    success(`Profile ${name} added${options.use ? ' and made the default' : ''}`);
+    print('');
+    printBox('Profile', [
+      `${chalk.gray('Starknet:')}  ${chalk.hex(COLORS.highlight)(profile.starknet.network)} ${chalk.gray(profile.starknet.rpcUrl || '(default RPC)')}`,
+      `${chalk.gray('Zcash:')}     ${chalk.hex(COLORS.highlight)(profile.zcash.network)} ${chalk.gray(profile.zcash.rpcUrl || '(public API)')}`,
+      `${chalk.gray('Account:')}   ${profile.starknet.accountAddress ? formatAddress(profile.starknet.accountAddress) : chalk.gray('(not set)')}`,
+      `${chalk.gray('Bridge:')}    ${profile.contracts.bridge ? formatAddress(profile.contracts.bridge) : chalk.gray('(not set)')}`,
+    ]);
+    print('');
+    
+    if (!options.use) {
+      info(`Use it: ${chalk.hex(COLORS.primary)(`zarklink config profile use ${name}`)}`);
+    }
+    info(`Add its key: ${chalk.hex(COLORS.primary)(`zarklink --profile ${name} account import <keystore>`)}`);
+    print('');
+    
+    emit(profile);
+  });
+
+profileCommand
+  .command('use')
+  .description('Make a profile the default')
+  .argument('<name>', 'Profile name')
+  .action((name) => {
+    try {
+      config.setDefaultProfile(name);
+    } catch (err) {
+      error(err.message);
+      fail(err);
+    }
+    
+    const profile = describeProfile(name);
+    
+    success(`Now using profile ${chalk.hex(COLORS.highlight)(name)} (Starknet ${profile.starknet.network}, Zcash ${profile.zcash.network})`);
+    print('');
+    
+    emit(profile);
+  });
+
+profileCommand
+  .command('remove')
+  .description('Remove a profile (built-in profiles are reset to their defaults)')
+  .argument('<name>', 'Profile name')
+  .action(async (name) => {
+    try {
+      config.requireProfile(name);
+      
+      const { confirmed } = await prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: config.isBuiltIn(name)
+            ? `Reset the built-in profile ${name} to its defaults?`
+            : `Remove profile ${name}?`,
+          default: false,
+        },
+      ]);
+      if (!confirmed) {
+        warning('Cancelled.');
+        fail(new CliError(EXIT.CANCELLED, 'Cancelled by operator'));
+      }
+      
+      config.removeProfile(name);
+    } catch (err) {
+      error(err.message);
+      fail(err);
+    }
+    
+    success(config.isBuiltIn(name) ? `Profile ${name} reset to its defaults` : `Profile ${name} removed`);
+    print('');
+    
+    emit({ name, removed: !config.isBuiltIn(name) });
   });
 
 export default configCommand;
@@ -5,10 +5,16 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
 import { config } from '../config.js';
 import { getProvider, bigIntToU256, u256ToBigInt, waitForTransaction } from '../utils/starknet.js';
-import { sendShielded, waitForOperation, listUnspentNotes, getBlockchainInfo } from '../utils/zcash.js';
+import {
+  sendShielded,
+  waitForOperation,
+  listUnspentNotes,
+  getBlockchainInfo,
+  getFinalityPolicy,
+  getTransactionFinality,
+} from '../utils/zcash.js';
 import {
   getBridgeContract,
   getRegistryContract,
@@ -18,7 +24,18 @@ import {
   submitMintProof,
   getVaultInfo,
 } from '../utils/contracts.js';
+import { deriveRcmFromNonce } from '../utils/bridge.js';
+import {
+  OperationKind,
+  OperationRole,
+  openLedger,
+  recordOperation,
+  observeOperation,
+  isFinalStatus,
+  withoutSecrets,
+} from '../utils/ledger.js';
 import {
+  print,
   printHeader,
   printSection,
   printBox,
@@ -31,16 +48,19 @@ import {
   typingEffect,
   progressBar,
   formatAddress,
+  table,
   COLORS
 } from '../utils/ui.js';
+import { EXIT, CliError, emit, fail, prompt } from '../utils/output.js';
 
-// Status code mapping
-const PERMIT_STATUS = {
-  0: 'Pending',
-  1: 'Locked',
-  2: 'Minted',
-  3: 'Expired',
-  4: 'Cancelled',
+// IssueStatus variants of the bridge contract
+const ISSUE_STATUS = {
+  None: 'Unknown',
+  AwaitingMint: 'Awaiting Mint',
+  AwaitingConfirmation: 'Awaiting Confirmation',
+  Confirmed: 'Confirmed',
+  Challenged: 'Challenged',
+  Expired: 'Expired',
 };
 
 export const issueCommand = new Command('issue')
@@ -66,11 +86,11 @@ issueCommand
       
       if (!vault || !amount) {
         spinner.stop();
-        console.log('');
+        print('');
         info('Please provide the following details:');
-        console.log('');
+        print('');
         
-        const answers = await inquirer.prompt([
+        const answers = await prompt([
           {
             type: 'input',
             name: 'vault',
@@ -88,28 +108,37 @@ issueCommand
         ]);
         vault = vault || answers.vault;
         amount = amount || answers.amount;
-        console.log('');
+        print('');
         spinner.start();
       }
       
-      // Convert amount to zatoshi (1 ZEC = 10^8 zatoshi)
-      const amountZatoshi = BigInt(Math.floor(parseFloat(amount) * 1e8));
-      
       // Generate user encryption key (simplified - in production use proper key derivation)
       const userEmk = BigInt('0x' + [...Array(64)].map(() => Math.floor(Math.random() * 16).toString(16)).join(''));
       
       spinner.text = 'Requesting lock permit from bridge contract...';
       
-      // Call actual contract
-      const result = await requestLockPermit(vault, amountZatoshi, userEmk);
+      // The amount stays off-chain until the mint's value commitments
+      const result = await requestLockPermit(vault, userEmk);
+      
+      // Without the emk the lock's rcm can't be derived again: save it first
+      recordOperation(OperationKind.ISSUE, result.permitNonce, {
+        role: OperationRole.USER,
+        profile: config.profile,
+        vault,
+        amount,
+        userEmk: '0x' + userEmk.toString(16).padStart(64, '0'),
+        rcm: deriveRcmFromNonce(result.permitNonce, userEmk),
+        requestTxHash: result.txHash,
+      });
       
       spinner.stop();
       success('Lock permit requested successfully!');
-      console.log('');
+      print('');
       
       // Fetch permit details
       const permit = await getLockPermit(result.permitNonce);
       const expiresAt = new Date(permit.expiresAt * 1000).toISOString();
+      recordOperation(OperationKind.ISSUE, result.permitNonce, { expiresAt: permit.expiresAt, status: permit.status });
       
       printBox('Lock Permit Details', [
         `${chalk.gray('Nonce:')}       ${chalk.hex(COLORS.highlight)(result.permitNonce.toString())}`,
@@ -119,15 +148,23 @@ issueCommand
         `${chalk.gray('Tx Hash:')}     ${formatAddress(result.txHash)}`,
       ]);
       
-      console.log('');
+      print('');
       printSection('Next Step');
-      await typingEffect(`  Run: ${chalk.hex(COLORS.primary)(`zarklink issue lock ${result.permitNonce}`)}`, 30);
-      console.log('');
+      await typingEffect(`  Run: ${chalk.hex(COLORS.primary)(`zarklink issue lock ${result.permitNonce} --amount ${amount}`)}`, 30);
+      print('');
+      
+      emit({
+        permitNonce: result.permitNonce,
+        vault,
+        amount,
+        expiresAt: permit.expiresAt,
+        txHash: result.txHash,
+      });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -139,7 +176,7 @@ issueCommand
   .description('Lock ZEC on Zcash network using a permit')
   .argument('<nonce>', 'Lock permit nonce')
   .option('-f, --from <zaddr>', 'Source z-address')
-  .option('-a, --amount <zec>', 'Amount to lock (optional, fetched from permit)')
+  .option('-a, --amount <zec>', 'Amount of ZEC to lock')
   .action(async (nonce, options) => {
     printHeader('LOCK ZEC', `Lock ZEC for permit #${nonce}`);
     
@@ -149,11 +186,12 @@ issueCommand
     try {
       // Fetch permit from contract
       const permit = await getLockPermit(BigInt(nonce));
+      observeOperation(OperationKind.ISSUE, nonce, permit.status);
       
-      if (permit.status !== 0) {
+      if (permit.status !== 'AwaitingMint') {
         spinner.stop();
-        error(`Permit status is not pending: ${PERMIT_STATUS[permit.status] || 'Unknown'}`);
-        process.exit(1);
+        error(`Permit is not awaiting a lock: ${ISSUE_STATUS[permit.status] || permit.status}`);
+        fail(new CliError(EXIT.STATE, `Permit is not awaiting a lock: ${permit.status}`));
       }
       
       // Check expiration
@@ -161,39 +199,43 @@ issueCommand
       if (permit.expiresAt < now) {
         spinner.stop();
         error('Permit has expired');
-        process.exit(1);
+        fail(new CliError(EXIT.STATE, 'Permit has expired'));
       }
       
-      // Convert amount from zatoshi to ZEC
-      const amountZec = (Number(permit.amount) / 1e8).toFixed(8);
+      let { from, amount } = options;
       
-      let { from } = options;
-      
-      if (!from) {
+      if (!from || !amount) {
         spinner.stop();
-        console.log('');
+        print('');
         info('Please provide the following details:');
-        console.log('');
+        print('');
         
-        const answers = await inquirer.prompt([
+        const answers = await prompt([
           {
             type: 'input',
             name: 'from',
             message: chalk.hex(COLORS.primary)('Source z-address:'),
+            when: !from,
             validate: (v) => v.startsWith('zs') || v.startsWith('zt') ? true : 'Invalid z-address (must start with zs or zt)',
           },
+          {
+            type: 'input',
+            name: 'amount',
+            message: chalk.hex(COLORS.primary)('Amount (ZEC):'),
+            when: !amount,
+            validate: (v) => !isNaN(parseFloat(v)) && parseFloat(v) > 0 ? true : 'Invalid amount (must be positive number)',
+          },
         ]);
-        from = answers.from;
-        console.log('');
+        from = from || answers.from;
+        amount = amount || answers.amount;
+        print('');
         spinner.start();
       }
       
-      // Get vault z-address hash (in production, resolve to actual z-address)
-      spinner.text = 'Fetching vault z-address...';
-      const vaultInfo = await getVaultInfo(permit.vaultAddress);
+      const amountZec = parseFloat(amount).toFixed(8);
       
-      // In production, you'd lookup the actual z-address from the hash
-      // For now, show what we have
+      // The permit carries the vault's z-address hash; in production, you'd
+      // look up the actual z-address from it
       spinner.stop();
       
       // Create memo with permit nonce for rcm derivation
@@ -201,21 +243,20 @@ issueCommand
       
       // Display transaction preview
       printSection('Transaction Preview');
-      console.log('');
+      print('');
       printBox('Shielded Transfer', [
         `${chalk.gray('From:')}        ${chalk.hex(COLORS.highlight)(from.substring(0, 25) + '...')}`,
-        `${chalk.gray('To Vault:')}    ${formatAddress(permit.vaultAddress)}`,
-        `${chalk.gray('Vault ZAddr:')} ${chalk.gray('0x' + vaultInfo.zcashAddressHash.substring(0, 16) + '...')}`,
+        `${chalk.gray('Vault ZAddr:')} ${chalk.gray('0x' + permit.vaultZaddrHash.substring(0, 16) + '...')}`,
         `${chalk.gray('Amount:')}      ${chalk.hex(COLORS.success)(amountZec)} ZEC`,
         `${chalk.gray('Memo:')}        ${chalk.gray(memo)}`,
         `${chalk.gray('Fee:')}         ${chalk.yellow('0.0001')} ZEC (network fee)`,
       ]);
-      console.log('');
+      print('');
       
       warning('This transaction will lock your ZEC in the vault\'s shielded address.');
-      console.log('');
+      print('');
       
-      const { confirm } = await inquirer.prompt([{
+      const { confirm } = await prompt([{
         type: 'confirm',
         name: 'confirm',
         message: chalk.hex(COLORS.warning)('Proceed with lock transaction?'),
@@ -223,12 +264,12 @@ issueCommand
       }]);
       
       if (!confirm) {
-        console.log('');
+        print('');
         warning('Transaction cancelled by user.');
-        return;
+        fail(new CliError(EXIT.CANCELLED, 'Transaction cancelled by user'));
       }
       
-      console.log('');
+      print('');
       spinner.start('Sending shielded transaction...');
       
       // Actually send the transaction via Zcash RPC
@@ -245,24 +286,43 @@ issueCommand
         
         spinner.stop();
         warning('Zcash transaction would be sent here (requires vault z-address resolution)');
-        console.log('');
+        print('');
+        
+        recordOperation(OperationKind.ISSUE, nonce, {
+          role: OperationRole.USER,
+          from,
+          amount: amountZec,
+          memo,
+          expiresAt: permit.expiresAt,
+          status: permit.status,
+        });
         
         info('To complete the lock:');
         step(1, 'Ensure vault z-address is configured');
         step(2, 'Send shielded transaction manually or via zcash-cli');
-        step(3, `After 20 confirmations, run: ${chalk.hex(COLORS.primary)(`zarklink issue mint ${nonce}`)}`);
-        console.log('');
+        step(3, `Once final (${getFinalityPolicy().describe()}), run: ${chalk.hex(COLORS.primary)(`zarklink issue mint ${nonce}`)}`);
+        print('');
+        
+        emit({
+          permitNonce: nonce,
+          from,
+          amount: amountZec,
+          memo,
+          vaultZaddrHash: permit.vaultZaddrHash,
+          sent: false,
+          finality: getFinalityPolicy().describe(),
+        });
         
       } catch (zcashErr) {
         spinner.stop();
         error(`Zcash transaction failed: ${zcashErr.message}`);
-        process.exit(1);
+        fail(zcashErr);
       }
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -284,27 +344,44 @@ issueCommand
     try {
       // Fetch permit from contract
       const permit = await getLockPermit(BigInt(nonce));
+      observeOperation(OperationKind.ISSUE, nonce, permit.status);
       
-      if (permit.status === 2) {
+      if (permit.used) {
         spinner.stop();
         error('This permit has already been minted');
-        process.exit(1);
+        fail(new CliError(EXIT.STATE, 'This permit has already been minted'));
       }
       
-      if (permit.status !== 1) {
+      if (permit.status !== 'AwaitingMint') {
         spinner.stop();
-        error(`Permit status is not locked: ${PERMIT_STATUS[permit.status] || 'Unknown'}`);
-        info('Please complete the lock transaction first');
-        process.exit(1);
+        error(`Permit is not awaiting a mint: ${ISSUE_STATUS[permit.status] || permit.status}`);
+        fail(new CliError(EXIT.STATE, `Permit is not awaiting a mint: ${permit.status}`));
       }
       
-      const amountZec = (Number(permit.amount) / 1e8).toFixed(8);
-      
       spinner.text = 'Verifying lock transaction...';
-      await new Promise(r => setTimeout(r, 1000));
+      if (options.tx) {
+        // Same finality rule the relayer uses before relaying the block
+        const policy = getFinalityPolicy();
+        const { final, reasons } = await getTransactionFinality(options.tx, policy);
+        if (!final) {
+          spinner.stop();
+          error(`Lock transaction is not final yet: ${reasons.join(', ')}`);
+          info(`Required: ${policy.describe()}`);
+          fail(new CliError(EXIT.STATE, `Lock transaction is not final yet: ${reasons.join(', ')}`, { required: policy.describe() }));
+        }
+      } else {
+        await new Promise(r => setTimeout(r, 1000));
+      }
+      if (options.tx || options.block) {
+        recordOperation(OperationKind.ISSUE, nonce, {
+          role: OperationRole.USER,
+          zcashTxid: options.tx,
+          blockHash: options.block,
+        });
+      }
       
       spinner.stop();
-      console.log('');
+      print('');
       step(1, 'Permit verified', true);
       
       // Phase 2: Generate ZK proof
@@ -326,7 +403,7 @@ issueCommand
       
       spinner.stop();
       step(2, 'ZK proof generated', true);
-      console.log('');
+      print('');
       
       // Display proof summary
       printBox('Proof Summary', [
@@ -335,7 +412,7 @@ issueCommand
         `${chalk.gray('Public Inputs:')} ${chalk.white('3')}`,
         `${chalk.gray('Proof Size:')}    ${chalk.white('192 bytes')}`,
       ]);
-      console.log('');
+      print('');
       
       // Phase 3: Submit to bridge
       spinner.start('Submitting mint proof to bridge...');
@@ -356,25 +433,26 @@ issueCommand
       
       spinner.stop();
       step(3, 'Submitted to Starknet', true);
-      console.log('');
+      print('');
       
       success('Mint proof submitted successfully!');
-      console.log('');
+      print('');
       
       printBox('Result', [
         `${chalk.gray('Permit:')}   #${chalk.hex(COLORS.highlight)(nonce)}`,
-        `${chalk.gray('Amount:')}   ${chalk.hex(COLORS.success)(amountZec)} wZEC`,
         `${chalk.gray('Status:')}   ${chalk.yellow('Awaiting vault confirmation')}`,
       ]);
       
-      console.log('');
+      print('');
       info(`Check status: ${chalk.hex(COLORS.primary)(`zarklink issue status ${nonce}`)}`);
-      console.log('');
+      print('');
+      
+      emit({ permitNonce: nonce, status: 'AwaitingConfirmation' });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -394,30 +472,29 @@ issueCommand
     try {
       // Fetch permit from contract
       const permit = await getLockPermit(BigInt(nonce));
+      const local = observeOperation(OperationKind.ISSUE, nonce, permit.status);
       
       spinner.stop();
       
-      const amountZec = (Number(permit.amount) / 1e8).toFixed(8);
       const expiresAt = new Date(permit.expiresAt * 1000).toISOString();
-      const status = PERMIT_STATUS[permit.status] || 'Unknown';
       
       // Status icon/color
       let statusDisplay;
       switch (permit.status) {
-        case 0:
-          statusDisplay = chalk.yellow('⏳ Pending Lock');
+        case 'AwaitingMint':
+          statusDisplay = chalk.yellow('⏳ Awaiting Lock & Mint');
           break;
-        case 1:
-          statusDisplay = chalk.hex(COLORS.highlight)('🔒 Locked - Awaiting Mint');
+        case 'AwaitingConfirmation':
+          statusDisplay = chalk.hex(COLORS.highlight)('🔒 Minted - Awaiting Vault Confirmation');
           break;
-        case 2:
-          statusDisplay = chalk.hex(COLORS.success)('✓ Minted');
+        case 'Confirmed':
+          statusDisplay = chalk.hex(COLORS.success)('✓ Confirmed');
           break;
-        case 3:
-          statusDisplay = chalk.hex(COLORS.error)('✗ Expired');
+        case 'Challenged':
+          statusDisplay = chalk.hex(COLORS.error)('✗ Challenged');
           break;
-        case 4:
-          statusDisplay = chalk.gray('○ Cancelled');
+        case 'Expired':
+          statusDisplay = chalk.hex(COLORS.error)('✗ Expired');
           break;
         default:
           statusDisplay = chalk.gray(`Unknown (${permit.status})`);
@@ -426,36 +503,124 @@ issueCommand
       printBox('Issue Request Details', [
         `${chalk.gray('Nonce:')}         ${chalk.hex(COLORS.highlight)(nonce)}`,
         `${chalk.gray('Status:')}        ${statusDisplay}`,
-        `${chalk.gray('Vault:')}         ${formatAddress(permit.vaultAddress)}`,
-        `${chalk.gray('Amount:')}        ${chalk.hex(COLORS.success)(amountZec)} ZEC`,
+        `${chalk.gray('Vault ZAddr:')}   ${chalk.gray('0x' + permit.vaultZaddrHash.substring(0, 16) + '...')}`,
         `${chalk.gray('Expires:')}       ${chalk.white(expiresAt)}`,
       ]);
       
-      console.log('');
+      if (local) {
+        print('');
+        printBox('Local History', [
+          `${chalk.gray('Amount:')}        ${local.amount ? chalk.hex(COLORS.success)(`${local.amount} ZEC`) : chalk.gray('(not recorded)')}`,
+          `${chalk.gray('Vault:')}         ${local.vault ? formatAddress(local.vault) : chalk.gray('(not recorded)')}`,
+          `${chalk.gray('Request Tx:')}    ${local.requestTxHash ? formatAddress(local.requestTxHash) : chalk.gray('(not recorded)')}`,
+          `${chalk.gray('Zcash TxID:')}    ${local.zcashTxid ? formatAddress(local.zcashTxid) : chalk.gray('(not recorded)')}`,
+        ]);
+      }
+      
+      print('');
       
       // Show next steps based on status
       switch (permit.status) {
-        case 0:
-          info('Next step: Lock ZEC on Zcash network');
+        case 'AwaitingMint':
+          info('Next step: Lock ZEC on Zcash network, then submit the mint proof');
           info(`Run: ${chalk.hex(COLORS.primary)(`zarklink issue lock ${nonce}`)}`);
           break;
-        case 1:
-          info('Next step: Submit mint proof');
-          info(`Run: ${chalk.hex(COLORS.primary)(`zarklink issue mint ${nonce}`)}`);
+        case 'AwaitingConfirmation':
+          info('Waiting for the vault to confirm the issue.');
           break;
-        case 2:
+        case 'Confirmed':
           success('Issue complete! wZEC has been minted to your account.');
           break;
-        case 3:
+        case 'Challenged':
+          warning('The vault challenged this issue.');
+          break;
+        case 'Expired':
           warning('This permit has expired. Request a new one.');
           break;
       }
-      console.log('');
+      print('');
+      
+      emit({ ...permit, local });
+      
+    } catch (err) {
+      spinner.stop();
+      error(`Failed: ${err.message}`);
+      fail(err);
+    }
+  });
+
+/**
+ * List issue requests from the local history
+ */
+issueCommand
+  .command('list')
+  .description('List your issue requests (from the local history)')
+  .option('-a, --all', 'Include confirmed, challenged and expired requests')
+  .option('--no-refresh', 'Show the last known statuses without querying the bridge')
+  .action(async (options) => {
+    printHeader('ISSUE REQUESTS', options.all ? 'All your issue requests' : 'Your open issue requests');
+    
+    const spinner = createSpinner('Loading issue history...');
+    spinner.start();
+    
+    try {
+      const ledger = openLedger();
+      const listed = ledger.list(OperationKind.ISSUE, { role: OperationRole.USER, pending: !options.all });
+      
+      // Statuses can only have moved for requests that weren't final yet
+      const unreachable = [];
+      if (options.refresh) {
+        for (const issue of listed.filter(issue => !isFinalStatus(issue.status))) {
+          spinner.text = `Fetching permit #${issue.nonce}...`;
+          try {
+            const permit = await getLockPermit(BigInt(issue.nonce));
+            ledger.observe(OperationKind.ISSUE, issue.nonce, permit.status);
+          } catch (err) {
+            unreachable.push(issue.nonce);
+          }
+        }
+      }
+      const issues = listed.map(issue => ledger.get(OperationKind.ISSUE, issue.nonce));
+      ledger.close();
+      
+      spinner.stop();
+      print('');
+      
+      if (issues.length === 0) {
+        info(options.all ? 'No issue requests in the local history.' : 'No open issue requests.');
+        info(`Start one: ${chalk.hex(COLORS.primary)('zarklink issue request -v <vault> -a <amount>')}`);
+        print('');
+        emit({ issues: [] });
+        return;
+      }
+      
+      const statusColor = (status) => status === 'Confirmed' ? COLORS.success :
+                                      isFinalStatus(status) ? COLORS.error : COLORS.warning;
+      print(table(
+        ['Nonce', 'Status', 'Amount', 'Vault', 'Requested'],
+        issues.map(issue => [
+          chalk.hex(COLORS.highlight)(issue.nonce),
+          chalk.hex(statusColor(issue.status))(ISSUE_STATUS[issue.status] || 'Unknown'),
+          issue.amount ? `${issue.amount} ZEC` : chalk.gray('?'),
+          issue.vault ? formatAddress(issue.vault) : chalk.gray('?'),
+          new Date(issue.createdAt).toLocaleString(),
+        ])
+      ));
+      
+      if (unreachable.length > 0) {
+        warning(`Could not refresh #${unreachable.join(', #')}: showing the last known status`);
+      }
+      const open = issues.filter(issue => !isFinalStatus(issue.status));
+      info(`Open requests: ${chalk.hex(COLORS.highlight)(open.length)}`);
+      info(`Details: ${chalk.hex(COLORS.primary)('zarklink issue status <nonce>')}`);
+      print('');
+      
+      emit({ issues: issues.map(withoutSecrets), unreachable });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -475,22 +640,12 @@ issueCommand
       // Fetch vaults from registry
       const registry = getRegistryContract();
       
-      // Get vault count (if available)
-      let vaultCount = 0;
-      try {
-        vaultCount = await registry.get_vault_count();
-      } catch (e) {
-        // Contract may not have this function
-      }
+      // Vaults accepting issue requests, as listed by the registry
+      const knownVaults = (await registry.get_available_vaults_for_issue())
+        .map(address => '0x' + address.toString(16).padStart(64, '0'));
       
       spinner.text = 'Querying vault data...';
       
-      // For now, query known vault addresses from config
-      // In production, you'd iterate through registry
-      const knownVaults = [
-        config.contracts.registry,  // Registry itself may be a vault
-      ].filter(Boolean);
-      
       const vaults = [];
       for (const vaultAddr of knownVaults) {
         try {
@@ -515,32 +670,33 @@ issueCommand
       }
       
       spinner.stop();
-      console.log('');
+      print('');
       
       if (vaults.length === 0) {
         warning('No active vaults found in registry.');
-        console.log('');
+        print('');
         info('Vaults need to register and deposit collateral first.');
         info(`Registry contract: ${formatAddress(config.contracts.registry)}`);
-        console.log('');
+        print('');
+        emit({ vaults: [] });
         return;
       }
       
       // Table header
-      console.log(chalk.hex(COLORS.border)('  ┌────────────────────────┬──────────────┬──────────────┬─────────┐'));
-      console.log(
+      print(chalk.hex(COLORS.border)('  ┌────────────────────────┬──────────────┬──────────────┬─────────┐'));
+      print(
         chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.primary).bold('  Vault Address        ') +
         chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold(' Collateral  ') +
         chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold(' Available   ') +
         chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('  Fee   ') +
         chalk.hex(COLORS.border)('│')
       );
-      console.log(chalk.hex(COLORS.border)('  ├────────────────────────┼──────────────┼──────────────┼─────────┤'));
+      print(chalk.hex(COLORS.border)('  ├────────────────────────┼──────────────┼──────────────┼─────────┤'));
       
       // Table rows
       for (const vault of vaults) {
         const shortAddr = vault.address.substring(0, 8) + '...' + vault.address.substring(vault.address.length - 4);
-        console.log(
+        print(
           chalk.hex(COLORS.border)('  │ ') +
           chalk.hex(COLORS.highlight)(shortAddr.padEnd(21)) +
           chalk.hex(COLORS.border)(' │ ') +
@@ -553,21 +709,23 @@ issueCommand
         );
       }
       
-      console.log(chalk.hex(COLORS.border)('  └────────────────────────┴──────────────┴──────────────┴─────────┘'));
-      console.log('');
+      print(chalk.hex(COLORS.border)('  └────────────────────────┴──────────────┴──────────────┴─────────┘'));
+      print('');
       
       info(`Total vaults: ${chalk.hex(COLORS.highlight)(vaults.length)}`);
       info(`Total available: ${chalk.hex(COLORS.success)(vaults.reduce((a, v) => a + parseFloat(v.available), 0).toFixed(2))} ZEC`);
-      console.log('');
+      print('');
       
       printSection('Usage');
-      console.log(`  ${chalk.gray('Request issue:')} ${chalk.hex(COLORS.primary)('zarklink issue request -v <address> -a <amount>')}`);
-      console.log('');
+      print(`  ${chalk.gray('Request issue:')} ${chalk.hex(COLORS.primary)('zarklink issue request -v <address> -a <amount>')}`);
+      print('');
+      
+      emit({ vaults });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
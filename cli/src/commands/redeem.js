@@ -3,19 +3,29 @@
  * Burn wZEC and unlock ZEC (Redeem protocol)
  */
 
+import crypto from 'crypto';
 import { Command } from 'commander';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
 import { config } from '../config.js';
 import { getAccount, getContractWithAccount, waitForTransaction, bigIntToU256 } from '../utils/starknet.js';
 import {
   requestRedeem,
-  getBurnRequest,
-  claimCollateral,
+  getRedeemStatus,
   getRegistryContract,
   getVaultInfo,
 } from '../utils/contracts.js';
+import { SaplingNote, ShieldedAddress } from '../utils/bridge.js';
 import {
+  OperationKind,
+  OperationRole,
+  openLedger,
+  recordOperation,
+  observeOperation,
+  isFinalStatus,
+  withoutSecrets,
+} from '../utils/ledger.js';
+import {
+  print,
   printHeader,
   printSection,
   printBox,
@@ -28,8 +38,19 @@ import {
   typingEffect,
   progressBar,
   formatAddress,
+  table,
   COLORS
 } from '../utils/ui.js';
+import { emit, fail, prompt } from '../utils/output.js';
+
+// RedeemStatus variants of the bridge contract
+const REDEEM_STATUS = {
+  None: { text: 'Unknown', color: COLORS.dim },
+  AwaitingRelease: { text: 'Awaiting release', color: COLORS.warning },
+  Confirmed: { text: 'Released', color: COLORS.success },
+  Challenged: { text: 'Challenged', color: COLORS.error },
+  Expired: { text: 'Expired', color: COLORS.error },
+};
 
 export const redeemCommand = new Command('redeem')
   .description('Burn wZEC and unlock ZEC (Redeem protocol)');
@@ -54,11 +75,11 @@ redeemCommand
       
       if (!amount || !to) {
         spinner.stop();
-        console.log('');
+        print('');
         info('Please provide the following details:');
-        console.log('');
+        print('');
         
-        const answers = await inquirer.prompt([
+        const answers = await prompt([
           {
             type: 'input',
             name: 'amount',
@@ -83,7 +104,7 @@ redeemCommand
         amount = amount || answers.amount;
         to = to || answers.to;
         vault = vault || answers.vault;
-        console.log('');
+        print('');
         spinner.start();
       }
       
@@ -96,20 +117,30 @@ redeemCommand
       // Encrypt destination z-address for privacy
       const encryptedDest = to.split('').map(c => c.charCodeAt(0).toString());
       
+      // The note the vault must release to the destination, and commitments
+      // to the burned amount
+      const amountSats = BigInt(Math.floor(parseFloat(amount) * 1e8));
+      const dest = ShieldedAddress.fromString(to);
+      const note = new SaplingNote(dest.d, dest.pkd, amountSats, crypto.randomBytes(32).toString('hex'));
+      const noteCommitment = note.computeCommitment();
+      const vaultAddr = vault || config.get('contracts.vault');
+      
       spinner.text = 'Submitting burn request to contract...';
       
       let result;
       try {
-        // Convert amount to satoshis (8 decimals)
-        const amountSats = BigInt(Math.floor(parseFloat(amount) * 1e8));
-        const vaultAddr = vault || config.get('contracts.vault');
-        
-        result = await requestRedeem(amountSats, vaultAddr, encryptedDest);
+        result = await requestRedeem({
+          cv: note.computeValueCommitment(crypto.randomBytes(32).toString('hex')),
+          cvn: note.computeValueCommitment(crypto.randomBytes(32).toString('hex')),
+          vault: vaultAddr,
+          requestedNoteCommitment: noteCommitment,
+          encryptedNote: encryptedDest,
+        });
       } catch (contractErr) {
         spinner.stop();
         warning('Contract call failed - displaying estimated values');
         info(`Error: ${contractErr.message}`);
-        console.log('');
+        print('');
         
         const mockNonce = Math.floor(Math.random() * 1000000);
         const timeout = new Date(Date.now() + 72 * 3600 * 1000).toISOString();
@@ -121,15 +152,26 @@ redeemCommand
           `${chalk.gray('Vault:')}       ${vault ? formatAddress(vault) : chalk.gray('Auto-selected')}`,
           `${chalk.gray('Status:')}      ${chalk.yellow('Not submitted (contract error)')}`,
         ]);
-        console.log('');
-        return;
+        print('');
+        fail(contractErr);
       }
       
-      const timeout = new Date(Date.now() + 72 * 3600 * 1000).toISOString();
+      // The rcm opens the requested note: it is only kept here
+      recordOperation(OperationKind.REDEEM, result.burnNonce, {
+        role: OperationRole.USER,
+        profile: config.profile,
+        vault: vaultAddr,
+        amount,
+        to,
+        rcm: note.rcm,
+        noteCommitment,
+        requestTxHash: result.txHash,
+        status: 'AwaitingRelease',
+      });
       
       spinner.stop();
       success('Redeem request submitted successfully!');
-      console.log('');
+      print('');
       
       // Display request details
       printBox('Redeem Request Details', [
@@ -138,26 +180,33 @@ redeemCommand
         `${chalk.gray('Amount:')}      ${chalk.hex(COLORS.warning)(amount)} wZEC → ${chalk.hex(COLORS.success)(amount)} ZEC`,
         `${chalk.gray('Destination:')} ${chalk.hex(COLORS.highlight)(to.substring(0, 25) + '...')}`,
         `${chalk.gray('Vault:')}       ${vault ? formatAddress(vault) : chalk.gray('Auto-selected')}`,
-        `${chalk.gray('Timeout:')}     ${chalk.yellow(timeout)}`,
       ]);
       
-      console.log('');
+      print('');
       warning('Your wZEC has been burned. Awaiting vault release...');
-      console.log('');
+      print('');
       
       printSection('What Happens Next');
       step(1, 'Vault operator receives release request');
       step(2, 'Vault sends shielded ZEC to your destination');
       step(3, 'You receive ZEC at your z-address');
-      console.log('');
+      print('');
       
       info(`Check status: ${chalk.hex(COLORS.primary)(`zarklink redeem status ${result.burnNonce}`)}`);
-      console.log('');
+      print('');
+      
+      emit({
+        burnNonce: result.burnNonce,
+        txHash: result.txHash,
+        amount,
+        to,
+        vault: vault || null,
+      });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -175,14 +224,14 @@ redeemCommand
     spinner.start();
     
     try {
-      let burnRequest;
+      let status;
       try {
-        burnRequest = await getBurnRequest(BigInt(nonce));
+        status = await getRedeemStatus(BigInt(nonce));
       } catch (contractErr) {
         spinner.stop();
-        warning('Could not fetch burn request from contract');
+        warning('Could not fetch redeem status from contract');
         info(`Error: ${contractErr.message}`);
-        console.log('');
+        print('');
         
         // Show placeholder
         printBox('Redeem Status (Unavailable)', [
@@ -191,171 +240,60 @@ redeemCommand
           '',
           `${chalk.gray('Note:')}         Contract may not be deployed or nonce invalid`,
         ]);
-        console.log('');
-        return;
+        print('');
+        fail(contractErr);
       }
       
       spinner.stop();
+      const local = observeOperation(OperationKind.REDEEM, nonce, status);
       
-      const timeoutDate = new Date(burnRequest.timeout * 1000);
-      const now = Date.now();
-      const hoursLeft = Math.max(0, Math.floor((timeoutDate - now) / 3600000));
-      const isExpired = now > timeoutDate.getTime();
-      
-      // Format amount (from satoshis)
-      const amountZEC = (Number(burnRequest.amount) / 1e8).toFixed(8);
-      
-      // Status display
-      const statusDisplay = {
-        pending: chalk.yellow('⏳ Awaiting Release'),
-        released: chalk.hex(COLORS.success)('✓ Released'),
-        claimed: chalk.hex(COLORS.warning)('⚠ Collateral Claimed'),
-        expired: chalk.red('✗ Expired'),
-      };
-      
+      const display = REDEEM_STATUS[status] || REDEEM_STATUS.None;
       printBox('Redeem Status', [
         `${chalk.gray('Nonce:')}        ${chalk.hex(COLORS.highlight)(nonce)}`,
-        `${chalk.gray('Status:')}       ${statusDisplay[burnRequest.status] || chalk.gray('Unknown')}`,
-        `${chalk.gray('Burner:')}       ${formatAddress(burnRequest.burner)}`,
-        `${chalk.gray('Vault:')}        ${formatAddress(burnRequest.vault)}`,
-        `${chalk.gray('Amount:')}       ${chalk.hex(COLORS.success)(amountZEC)} ZEC`,
-        '',
-        `${chalk.gray('Timeout:')}      ${chalk.yellow(timeoutDate.toISOString())}`,
-        `${chalk.gray('Time Left:')}    ${isExpired ? chalk.red('EXPIRED') : chalk.yellow(`${hoursLeft} hours`)}`,
+        `${chalk.gray('Status:')}       ${chalk.hex(display.color)(display.text)}`,
       ]);
       
-      console.log('');
-      
-      if (burnRequest.status === 'pending') {
-        if (isExpired) {
-          warning('Timeout has expired! You can now claim collateral.');
-          info(`Claim: ${chalk.hex(COLORS.primary)(`zarklink redeem claim ${nonce}`)}`);
-        } else {
-          info('Vault has time to release. If timeout expires, you can claim collateral.');
-          info(`Claim command: ${chalk.hex(COLORS.primary)(`zarklink redeem claim ${nonce}`)}`);
-        }
-      } else if (burnRequest.status === 'released') {
-        success('ZEC has been released to your destination address!');
-      } else if (burnRequest.status === 'claimed') {
-        info('Collateral has already been claimed.');
-      }
-      console.log('');
-      
-    } catch (err) {
-      spinner.stop();
-      error(`Failed: ${err.message}`);
-      process.exit(1);
-    }
-  });
-
-/**
- * Claim collateral if vault fails
- */
-redeemCommand
-  .command('claim')
-  .description('Claim vault collateral if release timeout expired')
-  .argument('<nonce>', 'Burn nonce')
-  .action(async (nonce) => {
-    printHeader('CLAIM COLLATERAL', `Request #${nonce}`);
-    
-    const spinner = createSpinner('Checking eligibility...');
-    spinner.start();
-    
-    try {
-      spinner.text = 'Fetching burn request status...';
-      
-      let burnRequest;
-      try {
-        burnRequest = await getBurnRequest(BigInt(nonce));
-      } catch (contractErr) {
-        spinner.stop();
-        error('Could not fetch burn request from contract');
-        info(`Error: ${contractErr.message}`);
-        process.exit(1);
-      }
-      
-      spinner.text = 'Verifying timeout expiration...';
-      await new Promise(r => setTimeout(r, 500));
-      
-      const timeoutDate = new Date(burnRequest.timeout * 1000);
-      const now = Date.now();
-      const timeoutExpired = now > timeoutDate.getTime();
-      
-      spinner.stop();
-      
-      // Check status
-      if (burnRequest.status === 'released') {
-        warning('This burn request has already been released!');
-        console.log('');
-        info('The vault successfully sent ZEC to your destination.');
-        console.log('');
-        return;
-      }
-      
-      if (burnRequest.status === 'claimed') {
-        warning('Collateral has already been claimed!');
-        console.log('');
-        return;
-      }
-      
-      if (!timeoutExpired) {
-        warning('Timeout has not yet expired!');
-        console.log('');
-        info('You can only claim collateral after the release timeout has passed.');
-        info(`Timeout: ${timeoutDate.toISOString()}`);
-        const hoursLeft = Math.floor((timeoutDate.getTime() - now) / 3600000);
-        info(`Time remaining: ${hoursLeft} hours`);
-        console.log('');
-        return;
+      if (local) {
+        print('');
+        printBox('Local History', [
+          `${chalk.gray('Amount:')}       ${local.amount ? chalk.hex(COLORS.warning)(`${local.amount} wZEC`) : chalk.gray('(not recorded)')}`,
+          `${chalk.gray('Destination:')}  ${local.to ? chalk.hex(COLORS.highlight)(local.to.substring(0, 25) + '...') : chalk.gray('(not recorded)')}`,
+          `${chalk.gray('Vault:')}        ${local.vault ? formatAddress(local.vault) : chalk.gray('(not recorded)')}`,
+          `${chalk.gray('Burn Tx:')}      ${local.requestTxHash ? formatAddress(local.requestTxHash) : chalk.gray('(not recorded)')}`,
+        ]);
       }
       
-      // Timeout expired, can claim
-      spinner.start('Claiming collateral from vault...');
+      print('');
       
-      let claimResult;
-      try {
-        claimResult = await claimCollateral(BigInt(nonce));
-      } catch (claimErr) {
-        spinner.stop();
-        error('Failed to claim collateral');
-        info(`Error: ${claimErr.message}`);
-        process.exit(1);
+      if (status === 'AwaitingRelease') {
+        info('The vault has to release the requested note and prove it on Starknet.');
+      } else if (status === 'Confirmed') {
+        success('ZEC has been released to your destination address!');
+      } else if (status === 'Challenged') {
+        warning('The vault challenged this redeem.');
+      } else if (status === 'None') {
+        warning('No redeem request exists for this nonce.');
       }
+      print('');
       
-      spinner.stop();
-      success('Collateral claimed successfully!');
-      console.log('');
-      
-      // Calculate collateral (150% of locked amount)
-      const amountZEC = Number(burnRequest.amount) / 1e8;
-      const collateralAmount = amountZEC * 1.5;
-      
-      printBox('Claim Result', [
-        `${chalk.gray('Burn Nonce:')}   ${chalk.hex(COLORS.highlight)(nonce)}`,
-        `${chalk.gray('Tx Hash:')}      ${formatAddress(claimResult.transaction_hash || 'N/A')}`,
-        `${chalk.gray('Collateral:')}   ${chalk.hex(COLORS.success)('150%')} of locked amount`,
-        `${chalk.gray('Amount:')}       ${chalk.hex(COLORS.success)(collateralAmount.toFixed(4))} STRK`,
-        `${chalk.gray('Status:')}       ${chalk.hex(COLORS.success)('✓ Transferred')}`,
-      ]);
-      
-      console.log('');
-      warning('The vault has been slashed and removed from active vaults.');
-      console.log('');
+      emit({ burnNonce: nonce, status, local });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
 /**
- * List pending redeems
+ * List redeems, from the local history or given burn nonces
  */
 redeemCommand
   .command('list')
   .description('List your pending redemption requests')
-  .option('-n, --nonces <nonces>', 'Comma-separated list of burn nonces to check')
+  .option('-n, --nonces <nonces>', 'Comma-separated list of burn nonces to check instead of the local history')
+  .option('-a, --all', 'Include released, challenged and expired requests')
+  .option('--no-refresh', 'Show the last known statuses without querying the bridge')
   .action(async (options) => {
     printHeader('PENDING REDEMPTIONS', 'Your active redeem requests');
     
@@ -363,115 +301,83 @@ redeemCommand
     spinner.start();
     
     try {
-      // If nonces provided, fetch those specific burn requests
-      if (options.nonces) {
-        const nonceList = options.nonces.split(',').map(n => n.trim());
-        const redemptions = [];
+      const ledger = openLedger();
+      const nonceList = options.nonces
+        ? options.nonces.split(',').map(n => n.trim())
+        : ledger.list(OperationKind.REDEEM, { role: OperationRole.USER, pending: !options.all }).map(entry => entry.nonce);
+      const redemptions = [];
+      
+      for (const nonce of nonceList) {
+        const known = ledger.get(OperationKind.REDEEM, nonce);
+        let status = known?.status;
+        let fetchError = null;
         
-        for (const nonce of nonceList) {
+        // Final statuses don't change: only open requests are queried again
+        if (options.nonces || (options.refresh && !isFinalStatus(status))) {
           try {
-            spinner.text = `Fetching burn request #${nonce}...`;
-            const burnRequest = await getBurnRequest(BigInt(nonce));
-            
-            const amountZEC = (Number(burnRequest.amount) / 1e8).toFixed(4);
-            const timeoutDate = new Date(burnRequest.timeout * 1000);
-            const isExpired = Date.now() > timeoutDate.getTime();
-            
-            const statusDisplay = {
-              pending: { text: 'Awaiting release', color: COLORS.warning },
-              released: { text: 'Released', color: COLORS.success },
-              claimed: { text: 'Claimed', color: COLORS.highlight },
-              expired: { text: 'Expired', color: COLORS.error },
-            };
-            
-            const status = isExpired && burnRequest.status === 'pending' ? 'expired' : burnRequest.status;
-            
-            redemptions.push({
-              nonce,
-              amount: amountZEC,
-              status: statusDisplay[status]?.text || 'Unknown',
-              timeout: timeoutDate.toISOString().substring(0, 16).replace('T', ' '),
-              statusColor: statusDisplay[status]?.color || COLORS.dim,
-            });
+            spinner.text = `Fetching redeem status #${nonce}...`;
+            status = await getRedeemStatus(BigInt(nonce));
+            ledger.observe(OperationKind.REDEEM, nonce, status);
           } catch (err) {
-            redemptions.push({
-              nonce,
-              amount: 'N/A',
-              status: 'Not found',
-              timeout: '-',
-              statusColor: COLORS.dim,
-            });
+            fetchError = err.message;
           }
         }
         
-        spinner.stop();
-        console.log('');
-        
-        if (redemptions.length === 0) {
-          info('No redemption requests found.');
-          console.log('');
-          return;
-        }
-        
-        // Table header
-        console.log(chalk.hex(COLORS.border)('  ┌──────────┬────────────┬───────────────────┬─────────────────────┐'));
-        console.log(
-          chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.primary).bold('  Nonce   ') +
-          chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('  Amount   ') +
-          chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('     Status        ') +
-          chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('      Timeout      ') +
-          chalk.hex(COLORS.border)('│')
-        );
-        console.log(chalk.hex(COLORS.border)('  ├──────────┼────────────┼───────────────────┼─────────────────────┤'));
-        
-        // Table rows
-        for (const r of redemptions) {
-          console.log(
-            chalk.hex(COLORS.border)('  │ ') +
-            chalk.hex(COLORS.highlight)(r.nonce.toString().padEnd(8)) +
-            chalk.hex(COLORS.border)(' │ ') +
-            chalk.hex(COLORS.success)((r.amount + ' ZEC').padEnd(10)) +
-            chalk.hex(COLORS.border)(' │ ') +
-            chalk.hex(r.statusColor)(r.status.padEnd(17)) +
-            chalk.hex(COLORS.border)(' │ ') +
-            chalk.white(r.timeout.padEnd(19)) +
-            chalk.hex(COLORS.border)(' │')
-          );
-        }
-        
-        console.log(chalk.hex(COLORS.border)('  └──────────┴────────────┴───────────────────┴─────────────────────┘'));
-        console.log('');
-        
-        const pending = redemptions.filter(r => r.status === 'Awaiting release' || r.status === 'Expired');
-        info(`Total pending: ${chalk.hex(COLORS.highlight)(pending.length)}`);
-        
-        const totalValue = redemptions
-          .filter(r => r.amount !== 'N/A')
-          .reduce((a, r) => a + parseFloat(r.amount), 0);
-        info(`Total value: ${chalk.hex(COLORS.success)(totalValue.toFixed(4))} ZEC`);
-        console.log('');
-        
-      } else {
-        // No nonces provided - explain how to use
-        spinner.stop();
-        console.log('');
-        
-        warning('No burn nonces specified.');
-        console.log('');
-        info('To list specific redemption requests, provide the nonces:');
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink redeem list --nonces 123,456,789')}`);
-        console.log('');
-        info('To check a single redemption status:');
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink redeem status <nonce>')}`);
-        console.log('');
-        info('Save your burn nonces when making redeem requests to track them.');
-        console.log('');
+        redemptions.push({
+          ...(ledger.get(OperationKind.REDEEM, nonce) || {}),
+          nonce,
+          status: status || null,
+          error: fetchError,
+        });
+      }
+      ledger.close();
+      
+      spinner.stop();
+      print('');
+      
+      if (redemptions.length === 0) {
+        info(options.all ? 'No redemption requests in the local history.' : 'No pending redemption requests.');
+        info(`Start one: ${chalk.hex(COLORS.primary)('zarklink redeem request -a <amount> -t <zaddr>')}`);
+        print('');
+        emit({ redemptions: [] });
+        return;
+      }
+      
+      print(table(
+        ['Nonce', 'Status', 'Amount', 'Destination', 'Requested'],
+        redemptions.map(r => {
+          const display = REDEEM_STATUS[r.status] || (r.error ? { text: 'Not found', color: COLORS.dim } : REDEEM_STATUS.None);
+          return [
+            chalk.hex(COLORS.highlight)(r.nonce),
+            chalk.hex(display.color)(display.text),
+            r.amount ? `${r.amount} wZEC` : chalk.gray('?'),
+            r.to ? r.to.substring(0, 20) + '...' : chalk.gray('?'),
+            r.createdAt ? new Date(r.createdAt).toLocaleString() : chalk.gray('?'),
+          ];
+        })
+      ));
+      
+      const unreachable = redemptions.filter(r => r.error);
+      if (unreachable.length > 0 && !options.nonces) {
+        warning(`Could not refresh #${unreachable.map(r => r.nonce).join(', #')}: showing the last known status`);
       }
+      const pending = redemptions.filter(r => r.status === 'AwaitingRelease');
+      info(`Total pending: ${chalk.hex(COLORS.highlight)(pending.length)}`);
+      print('');
+      
+      emit({
+        redemptions: redemptions.map(({ nonce, status, error, ...local }) => ({
+          ...withoutSecrets(local),
+          burnNonce: nonce,
+          status,
+          ...(error && { error }),
+        })),
+      });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
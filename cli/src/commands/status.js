@@ -13,6 +13,7 @@ import {
   getRelayChainTip,
 } from '../utils/contracts.js';
 import { 
+  print,
   LOGO_SMALL, 
   section, 
   createSpinner, 
@@ -27,6 +28,7 @@ import {
   txHash,
   progressBar
 } from '../utils/ui.js';
+import { EXIT, CliError, emit, fail } from '../utils/output.js';
 
 export const statusCommand = new Command('status')
   .description('Check bridge and transaction status');
@@ -39,7 +41,7 @@ statusCommand
   .alias('overview')
   .description('Get bridge overview status')
   .action(async () => {
-    console.log(LOGO_SMALL);
+    print(LOGO_SMALL);
     
     const spinner = createSpinner('Fetching bridge status...').start();
     
@@ -64,10 +66,10 @@ statusCommand
       spinner.stop();
       
       // Zcash Status
-      console.log(section('Zcash Network'));
+      print(section('Zcash Network'));
       if (zcashInfo) {
         success(`Connected to ${zcashInfo.chain}`);
-        console.log(keyValue({
+        print(keyValue({
           'Height': zcashInfo.blocks.toLocaleString(),
           'Sync': progressBar(zcashInfo.verificationprogress * 100, 100, 20),
           'Connections': zcashInfo.connections || 0,
@@ -78,10 +80,10 @@ statusCommand
       }
       
       // Starknet Status
-      console.log(section('Starknet Network'));
+      print(section('Starknet Network'));
       if (starknetBlock) {
         success(`Connected to ${config.starknet.network}`);
-        console.log(keyValue({
+        print(keyValue({
           'Block': starknetBlock.block_number.toLocaleString(),
           'RPC': config.starknet.rpcUrl?.substring(0, 50) + '...' || '(default)',
         }));
@@ -91,16 +93,30 @@ statusCommand
       }
       
       // Contract Status
-      console.log(section('Deployed Contracts'));
-      console.log(contractAddress('Bridge', config.contracts.bridge));
-      console.log(contractAddress('Relay', config.contracts.relay));
-      console.log(contractAddress('Token', config.contracts.token));
-      console.log(contractAddress('Registry', config.contracts.registry));
-      console.log('');
+      print(section('Deployed Contracts'));
+      print(contractAddress('Bridge', config.contracts.bridge));
+      print(contractAddress('Relay', config.contracts.relay));
+      print(contractAddress('Token', config.contracts.token));
+      print(contractAddress('Registry', config.contracts.registry));
+      print('');
+      
+      emit({
+        zcash: zcashInfo && {
+          chain: zcashInfo.chain,
+          height: zcashInfo.blocks,
+          verificationProgress: zcashInfo.verificationprogress,
+          connections: zcashInfo.connections || 0,
+        },
+        starknet: starknetBlock && {
+          network: config.starknet.network,
+          block: starknetBlock.block_number,
+        },
+        contracts: config.contracts,
+      });
       
     } catch (err) {
       spinner.fail(chalk.red(`Failed: ${err.message}`));
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -122,12 +138,12 @@ statusCommand
         receipt = await provider.getTransactionReceipt(hash);
       } catch (e) {
         spinner.fail(chalk.yellow('Transaction not found'));
-        return;
+        fail(new CliError(EXIT.NOT_FOUND, `Transaction not found: ${hash}`));
       }
       
       spinner.stop();
       
-      console.log(section('Transaction Status'));
+      print(section('Transaction Status'));
       
       const statusIcon = receipt.status === 'ACCEPTED_ON_L2' || receipt.status === 'ACCEPTED_ON_L1'
         ? chalk.green('✓')
@@ -135,7 +151,7 @@ statusCommand
           ? chalk.red('✗')
           : chalk.yellow('⏳');
       
-      console.log(keyValue({
+      print(keyValue({
         'Hash': hash.substring(0, 20) + '...',
         'Status': `${statusIcon} ${getStatusColor(receipt.status)}`,
         'Block': receipt.block_number?.toLocaleString() || 'Pending',
@@ -143,20 +159,27 @@ statusCommand
       }));
       
       if (receipt.events && receipt.events.length > 0) {
-        console.log(chalk.dim('\n  Events:'));
+        print(chalk.dim('\n  Events:'));
         for (const event of receipt.events.slice(0, 5)) {
-          console.log(chalk.dim(`    • ${event.keys?.[0]?.substring(0, 20)}...`));
+          print(chalk.dim(`    • ${event.keys?.[0]?.substring(0, 20)}...`));
         }
         if (receipt.events.length > 5) {
-          console.log(chalk.dim(`    ... and ${receipt.events.length - 5} more`));
+          print(chalk.dim(`    ... and ${receipt.events.length - 5} more`));
         }
       }
       
-      console.log('');
+      print('');
+      
+      emit({
+        hash,
+        status: receipt.status,
+        block: receipt.block_number ?? null,
+        events: (receipt.events || []).map(event => ({ fromAddress: event.from_address, keys: event.keys })),
+      });
       
     } catch (err) {
       spinner.fail(chalk.red(`Failed: ${err.message}`));
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -183,43 +206,45 @@ statusCommand
         spinner.stop();
         warning('Could not query relay contract');
         info(`Error: ${contractErr.message}`);
-        console.log('');
+        print('');
         
-        console.log(section('Block Status'));
-        console.log(keyValue({
+        print(section('Block Status'));
+        print(keyValue({
           'Hash': hash.substring(0, 20) + '...',
           'Status': chalk.yellow('Unable to query'),
           'Note': chalk.gray('Relay contract may not be deployed'),
         }));
-        console.log('');
-        return;
+        print('');
+        fail(contractErr);
       }
       
       spinner.stop();
       
-      console.log(section('Block Status'));
-      console.log(keyValue({
+      print(section('Block Status'));
+      print(keyValue({
         'Block Hash': hash.substring(0, 20) + '...',
         'Relayed': confirmed ? chalk.green('✓ Yes') : chalk.yellow('✗ No'),
         'Confirmed': confirmed ? chalk.green('✓ Confirmed') : chalk.gray('Not yet'),
       }));
       
       if (relayTip) {
-        console.log('');
-        console.log(section('Relay Chain Tip'));
-        console.log(keyValue({
+        print('');
+        print(section('Relay Chain Tip'));
+        print(keyValue({
           'Height': relayTip.height.toString(),
-          'Tip Hash': relayTip.tipHash.substring(0, 20) + '...',
+          'Tip Hash': relayTip.hash.substring(0, 20) + '...',
         }));
       }
       
-      console.log('');
+      print('');
       info('Use `zarklink relay status` for detailed relay information');
-      console.log('');
+      print('');
+      
+      emit({ hash, relayed: Boolean(confirmed), relayTip });
       
     } catch (err) {
       spinner.fail(chalk.red(`Failed: ${err.message}`));
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -230,66 +255,70 @@ statusCommand
   .command('health')
   .description('Run health checks on all services')
   .action(async () => {
-    console.log(LOGO_SMALL);
-    console.log(section('Health Check'));
+    print(LOGO_SMALL);
+    print(section('Health Check'));
     
     const checks = [];
     
     // Check Starknet RPC
-    process.stdout.write('  Starknet RPC      ');
     try {
       const provider = getProvider();
       await provider.getBlock('latest');
-      console.log(chalk.green('✓ Connected'));
-      checks.push(['Starknet RPC', true]);
+      print(`  Starknet RPC      ${chalk.green('✓ Connected')}`);
+      checks.push(['Starknet RPC', true, EXIT.NETWORK]);
     } catch (e) {
-      console.log(chalk.red('✗ Failed'));
-      checks.push(['Starknet RPC', false]);
+      print(`  Starknet RPC      ${chalk.red('✗ Failed')}`);
+      checks.push(['Starknet RPC', false, EXIT.NETWORK]);
     }
     
     // Check Zcash RPC
-    process.stdout.write('  Zcash RPC         ');
     try {
       await getBlockchainInfo();
-      console.log(chalk.green('✓ Connected'));
-      checks.push(['Zcash RPC', true]);
+      print(`  Zcash RPC         ${chalk.green('✓ Connected')}`);
+      checks.push(['Zcash RPC', true, EXIT.NETWORK]);
     } catch (e) {
-      console.log(chalk.red('✗ Not available'));
-      checks.push(['Zcash RPC', false]);
+      print(`  Zcash RPC         ${chalk.red('✗ Not available')}`);
+      checks.push(['Zcash RPC', false, EXIT.NETWORK]);
     }
     
     // Check account configuration
-    process.stdout.write('  Account Config    ');
-    if (config.starknet.accountAddress && config.starknet.privateKey) {
-      console.log(chalk.green('✓ Configured'));
-      checks.push(['Account', true]);
+    if (config.starknet.accountAddress && (config.starknet.keystore || config.starknet.privateKey)) {
+      print(`  Account Config    ${chalk.green('✓ Configured')}`);
+      checks.push(['Account', true, EXIT.CONFIG]);
     } else {
-      console.log(chalk.yellow('⚠ Not configured'));
-      checks.push(['Account', false]);
+      print(`  Account Config    ${chalk.yellow('⚠ Not configured')}`);
+      checks.push(['Account', false, EXIT.CONFIG]);
     }
     
     // Check contracts
-    process.stdout.write('  Contracts         ');
     const hasContracts = config.contracts.bridge && config.contracts.relay;
     if (hasContracts) {
-      console.log(chalk.green('✓ Configured'));
-      checks.push(['Contracts', true]);
+      print(`  Contracts         ${chalk.green('✓ Configured')}`);
+      checks.push(['Contracts', true, EXIT.CONFIG]);
     } else {
-      console.log(chalk.yellow('⚠ Partial'));
-      checks.push(['Contracts', false]);
+      print(`  Contracts         ${chalk.yellow('⚠ Partial')}`);
+      checks.push(['Contracts', false, EXIT.CONFIG]);
     }
     
     // Summary
     const passed = checks.filter(([_, ok]) => ok).length;
     const total = checks.length;
+    const results = Object.fromEntries(checks.map(([name, ok]) => [name, ok]));
     
-    console.log('');
+    print('');
     if (passed === total) {
       success(`All ${total} checks passed`);
     } else {
       warning(`${passed}/${total} checks passed`);
     }
-    console.log('');
+    print('');
+    
+    if (passed < total) {
+      // Exit with the class of the first failed check
+      const [, , exitCode] = checks.find(([_, ok]) => !ok);
+      fail(new CliError(exitCode, `${passed}/${total} checks passed`, { checks: results }));
+    }
+    emit({ checks: results });
   });
 
 /**
@@ -5,7 +5,6 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
 import { writeFileSync, existsSync, mkdirSync } from 'fs';
 import { homedir } from 'os';
 import { join } from 'path';
@@ -25,11 +24,13 @@ import {
   getTestnetNodes,
   getBlockFromExplorer,
   getTxFromExplorer,
-  isTransactionConfirmed,
+  getFinalityPolicy,
+  getTransactionFinality,
   TESTNET,
   MAINNET,
 } from '../utils/zcash.js';
 import {
+  print,
   printHeader,
   printSection,
   printBox,
@@ -42,6 +43,7 @@ import {
   formatAddress,
   COLORS
 } from '../utils/ui.js';
+import { EXIT, CliError, emit, fail, prompt } from '../utils/output.js';
 
 export const testnetCommand = new Command('testnet')
   .description('Zcash testnet setup and utilities');
@@ -58,9 +60,9 @@ testnetCommand
   .action(async (options) => {
     printHeader('TESTNET SETUP', 'Generate Zcash testnet configuration');
     
-    console.log('');
+    print('');
     info('This will generate a zcash.conf file configured for testnet.');
-    console.log('');
+    print('');
     
     // Default output path
     const defaultPath = join(homedir(), '.zcash', 'zcash.conf');
@@ -68,7 +70,7 @@ testnetCommand
     
     // Check if file exists
     if (existsSync(outputPath)) {
-      const { overwrite } = await inquirer.prompt([{
+      const { overwrite } = await prompt([{
         type: 'confirm',
         name: 'overwrite',
         message: chalk.hex(COLORS.warning)(`File ${outputPath} exists. Overwrite?`),
@@ -76,9 +78,9 @@ testnetCommand
       }]);
       
       if (!overwrite) {
-        console.log('');
+        print('');
         warning('Setup cancelled.');
-        return;
+        fail(new CliError(EXIT.CANCELLED, 'Setup cancelled'));
       }
     }
     
@@ -101,9 +103,9 @@ testnetCommand
     // Write config
     writeFileSync(outputPath, configContent);
     
-    console.log('');
+    print('');
     success(`Testnet configuration written to: ${outputPath}`);
-    console.log('');
+    print('');
     
     printBox('Configuration Details', [
       `${chalk.gray('Network:')}     ${chalk.hex(COLORS.highlight)('testnet')}`,
@@ -113,27 +115,36 @@ testnetCommand
       `${chalk.gray('P2P Port:')}    ${chalk.hex(COLORS.highlight)('18233')}`,
     ]);
     
-    console.log('');
+    print('');
     printSection('Next Steps');
     step(1, 'Download and install zcashd:');
-    console.log(`   ${chalk.gray('https://zcash.readthedocs.io/en/latest/rtd_pages/zcashd.html')}`);
+    print(`   ${chalk.gray('https://zcash.readthedocs.io/en/latest/rtd_pages/zcashd.html')}`);
     step(2, 'Fetch parameters (first time only):');
-    console.log(`   ${chalk.hex(COLORS.primary)('./zcutil/fetch-params.sh')}`);
+    print(`   ${chalk.hex(COLORS.primary)('./zcutil/fetch-params.sh')}`);
     step(3, 'Start zcashd:');
-    console.log(`   ${chalk.hex(COLORS.primary)('zcashd -daemon')}`);
+    print(`   ${chalk.hex(COLORS.primary)('zcashd -daemon')}`);
     step(4, 'Wait for sync (check progress):');
-    console.log(`   ${chalk.hex(COLORS.primary)('zcash-cli getblockchaininfo')}`);
+    print(`   ${chalk.hex(COLORS.primary)('zcash-cli getblockchaininfo')}`);
     step(5, 'Get testnet coins (TAZ):');
-    console.log(`   ${chalk.hex(COLORS.primary)(TESTNET.faucetUrl)}`);
-    console.log('');
+    print(`   ${chalk.hex(COLORS.primary)(TESTNET.faucetUrl)}`);
+    print('');
     
     // Update CLI config
     info('Update zarklink CLI config:');
-    console.log(`  ${chalk.hex(COLORS.primary)('zarklink config set zcash.network testnet')}`);
-    console.log(`  ${chalk.hex(COLORS.primary)('zarklink config set zcash.rpcUrl http://127.0.0.1:18232')}`);
-    console.log(`  ${chalk.hex(COLORS.primary)(`zarklink config set zcash.rpcUser ${options.rpcUser}`)}`);
-    console.log(`  ${chalk.hex(COLORS.primary)(`zarklink config set zcash.rpcPassword ${rpcPassword}`)}`);
-    console.log('');
+    print(`  ${chalk.hex(COLORS.primary)('zarklink config set zcash.network testnet')}`);
+    print(`  ${chalk.hex(COLORS.primary)('zarklink config set zcash.rpcUrl http://127.0.0.1:18232')}`);
+    print(`  ${chalk.hex(COLORS.primary)(`zarklink config set zcash.rpcUser ${options.rpcUser}`)}`);
+    print(`  ${chalk.hex(COLORS.primary)(`zarklink config set zcash.rpcPassword ${rpcPassword}`)}`);
+    print('');
+    
+    emit({
+      path: outputPath,
+      network: 'testnet',
+      rpcUser: options.rpcUser,
+      rpcPassword,
+      rpcPort: TESTNET.rpcPort,
+      p2pPort: TESTNET.p2pPort,
+    });
   });
 
 /**
@@ -150,7 +161,7 @@ testnetCommand
     
     try {
       const params = getNetworkParams();
-      const rpcUrl = config.get ? config.get('zcash.rpcUrl') : config.zcash?.rpcUrl;
+      const rpcUrl = config.get('zcash.rpcUrl');
       
       spinner.stop();
       
@@ -165,15 +176,17 @@ testnetCommand
         `${chalk.gray('Local RPC:')}    ${rpcUrl ? chalk.hex(COLORS.success)(rpcUrl) : chalk.hex(COLORS.warning)('Not configured')}`,
       ]);
       
-      console.log('');
+      print('');
       
       // Try to connect to RPC if configured
+      let blockchainInfo = null;
+      let nodeError = null;
       if (rpcUrl) {
         const connectionSpinner = createSpinner('Testing RPC connection...');
         connectionSpinner.start();
         
         try {
-          const blockchainInfo = await getBlockchainInfo();
+          blockchainInfo = await getBlockchainInfo();
           connectionSpinner.stop();
           
           const isTestnet = blockchainInfo.chain === 'test';
@@ -186,45 +199,63 @@ testnetCommand
           ]);
         } catch (err) {
           connectionSpinner.stop();
+          nodeError = err.message;
           warning(`Cannot connect: ${err.message}`);
-          console.log('');
+          print('');
           info('Make sure zcashd is running with testnet config');
         }
       } else {
         info('Testnet operations require a local zcashd node.');
-        console.log('');
+        print('');
         info('To set up:');
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink testnet setup')}`);
+        print(`  ${chalk.hex(COLORS.primary)('zarklink testnet setup')}`);
       }
       
-      console.log('');
+      print('');
+      
+      const isTestnet = blockchainInfo ? blockchainInfo.chain === 'test' : params.network === 'testnet';
       
       // Network parameters
       printSection('Network Parameters');
-      console.log(`  ${chalk.gray('RPC Port:')}    ${chalk.hex(COLORS.highlight)(params.rpcPort)}`);
-      console.log(`  ${chalk.gray('P2P Port:')}    ${chalk.hex(COLORS.highlight)(params.port)}`);
-      console.log(`  ${chalk.gray('Currency:')}    ${chalk.hex(COLORS.highlight)(isTestnet ? 'TAZ' : 'ZEC')}`);
-      console.log('');
+      print(`  ${chalk.gray('RPC Port:')}    ${chalk.hex(COLORS.highlight)(params.rpcPort)}`);
+      print(`  ${chalk.gray('P2P Port:')}    ${chalk.hex(COLORS.highlight)(params.port)}`);
+      print(`  ${chalk.gray('Currency:')}    ${chalk.hex(COLORS.highlight)(isTestnet ? 'TAZ' : 'ZEC')}`);
+      print('');
       
       // Activation heights
       printSection('Protocol Activations');
       for (const [name, height] of Object.entries(params.activationHeights)) {
-        const activated = blockchainInfo.blocks >= height;
+        const activated = blockchainInfo?.blocks >= height;
         const icon = activated ? chalk.hex(COLORS.success)('✓') : chalk.gray('○');
-        console.log(`  ${icon} ${chalk.gray(name.charAt(0).toUpperCase() + name.slice(1) + ':')} ${chalk.hex(COLORS.highlight)(height.toLocaleString())}`);
+        print(`  ${icon} ${chalk.gray(name.charAt(0).toUpperCase() + name.slice(1) + ':')} ${chalk.hex(COLORS.highlight)(height.toLocaleString())}`);
       }
-      console.log('');
+      print('');
       
       if (!isTestnet) {
         warning('You are connected to mainnet, not testnet!');
         info('To switch to testnet, update your zcash.conf with testnet=1');
-        console.log('');
+        print('');
       }
       
+      emit({
+        network: params.network,
+        rpcUrl: rpcUrl || null,
+        node: blockchainInfo && {
+          chain: blockchainInfo.chain,
+          height: blockchainInfo.blocks,
+          bestBlockHash: blockchainInfo.bestblockhash,
+          verificationProgress: blockchainInfo.verificationprogress,
+        },
+        nodeError,
+        rpcPort: params.rpcPort,
+        p2pPort: params.port,
+        activationHeights: params.activationHeights,
+      });
+      
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -237,7 +268,7 @@ testnetCommand
   .action(async () => {
     printHeader('TESTNET FAUCET', 'Get free TAZ (testnet coins)');
     
-    console.log('');
+    print('');
     
     printBox('Testnet Faucet', [
       `${chalk.gray('Currency:')}  ${chalk.hex(COLORS.highlight)('TAZ')} (Testnet ZEC)`,
@@ -248,19 +279,21 @@ testnetCommand
       `  ${chalk.hex(COLORS.primary)(TESTNET.faucetUrl)}`,
     ]);
     
-    console.log('');
+    print('');
     printSection('How to Get TAZ');
     step(1, 'Generate a testnet address:');
-    console.log(`   ${chalk.hex(COLORS.primary)('zcash-cli getnewaddress')}`);
+    print(`   ${chalk.hex(COLORS.primary)('zcash-cli getnewaddress')}`);
     step(2, `Visit the faucet: ${chalk.hex(COLORS.primary)(TESTNET.faucetUrl)}`);
     step(3, 'Enter your testnet address');
     step(4, 'Complete any captcha and submit');
     step(5, 'Wait for confirmation (~2.5 minutes per block)');
-    console.log('');
+    print('');
     
     info('Alternative: Join Zcash Discord for TAZ support');
-    console.log(`  ${chalk.hex(COLORS.primary)('https://discord.gg/GGtsUzyp')}`);
-    console.log('');
+    print(`  ${chalk.hex(COLORS.primary)('https://discord.gg/GGtsUzyp')}`);
+    print('');
+    
+    emit({ currency: TESTNET.currency, faucetUrl: TESTNET.faucetUrl });
   });
 
 /**
@@ -279,7 +312,8 @@ testnetCommand
     
     try {
       let url;
-      let data;
+      let data = null;
+      let lookupError = null;
       
       switch (type.toLowerCase()) {
         case 'tx':
@@ -297,6 +331,7 @@ testnetCommand
             ]);
           } catch (err) {
             spinner.stop();
+            lookupError = err.message;
             warning('Could not fetch transaction details');
           }
           break;
@@ -315,6 +350,7 @@ testnetCommand
             ]);
           } catch (err) {
             spinner.stop();
+            lookupError = err.message;
             warning('Could not fetch block details');
           }
           break;
@@ -327,6 +363,7 @@ testnetCommand
           // Validate address
           const isValid = validateAddress(value);
           const addrType = getAddressType(value);
+          data = { type: addrType, valid: isValid };
           
           printBox('Address', [
             `${chalk.gray('Address:')}  ${formatAddress(value)}`,
@@ -338,17 +375,19 @@ testnetCommand
         default:
           spinner.stop();
           error('Unknown type. Use: tx, block, or address');
-          process.exit(1);
+          fail(new CliError(EXIT.USAGE, `Unknown type ${type}, use tx, block or address`));
       }
       
-      console.log('');
+      print('');
       info(`Explorer URL: ${chalk.hex(COLORS.primary)(url)}`);
-      console.log('');
+      print('');
+      
+      emit({ type, value, url, data, ...(lookupError && { error: lookupError }) });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -366,7 +405,7 @@ testnetCommand
     const isValid = validateAddress(address);
     const addrType = getAddressType(address);
     
-    console.log('');
+    print('');
     
     printBox('Validation Result', [
       `${chalk.gray('Address:')}   ${formatAddress(address)}`,
@@ -375,20 +414,26 @@ testnetCommand
       `${chalk.gray('Valid:')}     ${isValid ? chalk.hex(COLORS.success)('✓ Valid for ' + params.network) : chalk.hex(COLORS.error)('✗ Invalid for ' + params.network)}`,
     ]);
     
-    console.log('');
+    print('');
     
     if (!isValid) {
       warning('Address is not valid for the configured network.');
-      console.log('');
+      print('');
       info('Address prefixes:');
-      console.log(`  ${chalk.gray('Testnet transparent:')} tm...`);
-      console.log(`  ${chalk.gray('Testnet sapling:')}     ztestsapling...`);
-      console.log(`  ${chalk.gray('Testnet unified:')}     utest...`);
-      console.log(`  ${chalk.gray('Mainnet transparent:')} t1... or t3...`);
-      console.log(`  ${chalk.gray('Mainnet sapling:')}     zs...`);
-      console.log(`  ${chalk.gray('Mainnet unified:')}     u1...`);
-      console.log('');
+      print(`  ${chalk.gray('Testnet transparent:')} tm...`);
+      print(`  ${chalk.gray('Testnet sapling:')}     ztestsapling...`);
+      print(`  ${chalk.gray('Testnet unified:')}     utest...`);
+      print(`  ${chalk.gray('Mainnet transparent:')} t1... or t3...`);
+      print(`  ${chalk.gray('Mainnet sapling:')}     zs...`);
+      print(`  ${chalk.gray('Mainnet unified:')}     u1...`);
+      print('');
     }
+    
+    const result = { address, type: addrType, network: params.network, valid: isValid };
+    if (!isValid) {
+      fail(new CliError(EXIT.MISMATCH, `Address is not valid for ${params.network}`, result));
+    }
+    emit(result);
   });
 
 /**
@@ -396,9 +441,9 @@ testnetCommand
  */
 testnetCommand
   .command('confirm')
-  .description('Check if a transaction has enough confirmations')
+  .description('Check if a transaction is final under the relay finality policy')
   .argument('<txid>', 'Transaction ID')
-  .option('-c, --confirmations <n>', 'Required confirmations', '20')
+  .option('-c, --confirmations <n>', 'Override the required confirmations')
   .action(async (txid, options) => {
     printHeader('CONFIRMATION CHECK', 'Transaction confirmation status');
     
@@ -406,28 +451,41 @@ testnetCommand
     spinner.start();
     
     try {
-      const minConf = parseInt(options.confirmations);
-      const confirmed = await isTransactionConfirmed(txid, minConf);
+      const policy = getFinalityPolicy({
+        minDepth: options.confirmations ? parseInt(options.confirmations) : undefined,
+      });
+      const { final, reasons, depth, workAbove } = await getTransactionFinality(txid, policy);
       
       spinner.stop();
       
-      printBox('Confirmation Status', [
+      const lines = [
         `${chalk.gray('TxID:')}        ${formatAddress(txid)}`,
-        `${chalk.gray('Required:')}    ${chalk.hex(COLORS.highlight)(minConf)} confirmations`,
-        `${chalk.gray('Confirmed:')}   ${confirmed ? chalk.hex(COLORS.success)('✓ Yes') : chalk.hex(COLORS.warning)('✗ Not yet')}`,
-      ]);
+        `${chalk.gray('Required:')}    ${chalk.hex(COLORS.highlight)(policy.describe())}`,
+        `${chalk.gray('Depth:')}       ${chalk.hex(COLORS.highlight)(depth)} confirmations`,
+      ];
+      if (workAbove !== null) {
+        lines.push(`${chalk.gray('Work above:')}  ${chalk.hex(COLORS.highlight)(workAbove.toString())}`);
+      }
+      lines.push(`${chalk.gray('Final:')}       ${final ? chalk.hex(COLORS.success)('✓ Yes') : chalk.hex(COLORS.warning)('✗ Not yet')}`);
+      printBox('Confirmation Status', lines);
       
-      console.log('');
+      print('');
       
-      if (!confirmed) {
-        info(`Waiting for ${minConf} confirmations (~${(minConf * 2.5).toFixed(0)} minutes)`);
-        console.log('');
+      const result = { txid, final, depth, workAbove, required: policy.describe() };
+      if (!final) {
+        info(`Waiting for ${reasons.join(', ')}`);
+        if (policy.usesDepth && depth < policy.minDepth) {
+          info(`~${((policy.minDepth - depth) * 2.5).toFixed(0)} minutes at 2.5 minutes per block`);
+        }
+        print('');
+        fail(new CliError(EXIT.STATE, `Not final yet: waiting for ${reasons.join(', ')}`, result));
       }
+      emit(result);
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -440,40 +498,42 @@ testnetCommand
   .action(async () => {
     printHeader('NETWORK INFO', 'Testnet vs Mainnet comparison');
     
-    console.log('');
+    print('');
     
     // Testnet info
     printSection('Testnet');
-    console.log(chalk.hex(COLORS.border)('  ┌─────────────────┬──────────────────────────────────┐'));
-    console.log(chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.dim)(' Property        ') + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.dim)(' Value                            ') + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  ├─────────────────┼──────────────────────────────────┤'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Currency        ' + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.highlight)(' TAZ (no real value)              ') + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' RPC Port        ' + chalk.hex(COLORS.border)('│') + ' 18232                            ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' P2P Port        ' + chalk.hex(COLORS.border)('│') + ' 18233                            ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Transparent     ' + chalk.hex(COLORS.border)('│') + ' tm...                            ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Sapling         ' + chalk.hex(COLORS.border)('│') + ' ztestsapling...                  ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Explorer        ' + chalk.hex(COLORS.border)('│') + ' explorer.testnet.z.cash          ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Faucet          ' + chalk.hex(COLORS.border)('│') + ' faucet.zecpages.com              ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  └─────────────────┴──────────────────────────────────┘'));
-    console.log('');
+    print(chalk.hex(COLORS.border)('  ┌─────────────────┬──────────────────────────────────┐'));
+    print(chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.dim)(' Property        ') + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.dim)(' Value                            ') + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  ├─────────────────┼──────────────────────────────────┤'));
+    print(chalk.hex(COLORS.border)('  │') + ' Currency        ' + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.highlight)(' TAZ (no real value)              ') + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' RPC Port        ' + chalk.hex(COLORS.border)('│') + ' 18232                            ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' P2P Port        ' + chalk.hex(COLORS.border)('│') + ' 18233                            ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' Transparent     ' + chalk.hex(COLORS.border)('│') + ' tm...                            ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' Sapling         ' + chalk.hex(COLORS.border)('│') + ' ztestsapling...                  ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' Explorer        ' + chalk.hex(COLORS.border)('│') + ' explorer.testnet.z.cash          ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' Faucet          ' + chalk.hex(COLORS.border)('│') + ' faucet.zecpages.com              ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  └─────────────────┴──────────────────────────────────┘'));
+    print('');
     
     // Mainnet info
     printSection('Mainnet');
-    console.log(chalk.hex(COLORS.border)('  ┌─────────────────┬──────────────────────────────────┐'));
-    console.log(chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.dim)(' Property        ') + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.dim)(' Value                            ') + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  ├─────────────────┼──────────────────────────────────┤'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Currency        ' + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.success)(' ZEC (real value)                 ') + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' RPC Port        ' + chalk.hex(COLORS.border)('│') + ' 8232                             ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' P2P Port        ' + chalk.hex(COLORS.border)('│') + ' 8233                             ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Transparent     ' + chalk.hex(COLORS.border)('│') + ' t1... or t3...                   ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Sapling         ' + chalk.hex(COLORS.border)('│') + ' zs...                            ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  │') + ' Explorer        ' + chalk.hex(COLORS.border)('│') + ' explorer.z.cash                  ' + chalk.hex(COLORS.border)('│'));
-    console.log(chalk.hex(COLORS.border)('  └─────────────────┴──────────────────────────────────┘'));
-    console.log('');
+    print(chalk.hex(COLORS.border)('  ┌─────────────────┬──────────────────────────────────┐'));
+    print(chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.dim)(' Property        ') + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.dim)(' Value                            ') + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  ├─────────────────┼──────────────────────────────────┤'));
+    print(chalk.hex(COLORS.border)('  │') + ' Currency        ' + chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.success)(' ZEC (real value)                 ') + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' RPC Port        ' + chalk.hex(COLORS.border)('│') + ' 8232                             ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' P2P Port        ' + chalk.hex(COLORS.border)('│') + ' 8233                             ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' Transparent     ' + chalk.hex(COLORS.border)('│') + ' t1... or t3...                   ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' Sapling         ' + chalk.hex(COLORS.border)('│') + ' zs...                            ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  │') + ' Explorer        ' + chalk.hex(COLORS.border)('│') + ' explorer.z.cash                  ' + chalk.hex(COLORS.border)('│'));
+    print(chalk.hex(COLORS.border)('  └─────────────────┴──────────────────────────────────┘'));
+    print('');
     
     info('Use testnet for development and testing.');
     warning('Never use mainnet for testing - real ZEC has value!');
-    console.log('');
+    print('');
+    
+    emit({ testnet: TESTNET, mainnet: MAINNET });
   });
 
 export default testnetCommand;
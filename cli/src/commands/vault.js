@@ -5,17 +5,29 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
 import { config } from '../config.js';
 import { getAccount, getContractWithAccount, waitForTransaction, bigIntToU256 } from '../utils/starknet.js';
+import { zcashRpc } from '../utils/zcash.js';
+import { buildMerkleProof } from '../utils/bridge.js';
 import {
   getVaultInfo,
   getRegistryContract,
-  getBurnRequest,
+  getRedeemStatus,
   getLockPermit,
-  confirmRelease,
+  confirmIssue,
+  challengeIssue,
+  confirmRedeem,
 } from '../utils/contracts.js';
 import {
+  OperationKind,
+  OperationRole,
+  openLedger,
+  recordOperation,
+  observeOperation,
+  normalizeAddress,
+} from '../utils/ledger.js';
+import {
+  print,
   printHeader,
   printSection,
   printBox,
@@ -30,10 +42,40 @@ import {
   formatAddress,
   COLORS
 } from '../utils/ui.js';
+import { EXIT, CliError, emit, fail, prompt } from '../utils/output.js';
 
 export const vaultCommand = new Command('vault')
   .description('Manage vault operations');
 
+/**
+ * Ledger fields of an operation this vault acted on
+ */
+function vaultOperation(fields) {
+  return { role: OperationRole.VAULT, vault: config.contracts.vault || undefined, ...fields };
+}
+
+/**
+ * Nonces of the open operations of this vault in the local history
+ */
+function trackedNonces(ledger, kind) {
+  const vault = normalizeAddress(config.contracts.vault);
+  return ledger.list(kind, { pending: true })
+    .filter(entry => entry.role === OperationRole.VAULT || (vault && normalizeAddress(entry.vault) === vault))
+    .map(entry => entry.nonce);
+}
+
+/**
+ * Record a status read from the bridge. Operations looked up by nonce are
+ * tracked from then on, so the next `vault pending` lists them on its own.
+ */
+function track(ledger, kind, nonce, status) {
+  if (ledger.get(kind, nonce)) {
+    ledger.observe(kind, nonce, status);
+  } else if (status !== 'None') {
+    ledger.record(kind, nonce, vaultOperation({ status }));
+  }
+}
+
 /**
  * Register as a vault
  */
@@ -53,11 +95,11 @@ vaultCommand
       
       if (!zaddr || !collateral) {
         spinner.stop();
-        console.log('');
+        print('');
         info('Please provide the following details:');
-        console.log('');
+        print('');
         
-        const answers = await inquirer.prompt([
+        const answers = await prompt([
           {
             type: 'input',
             name: 'zaddr',
@@ -75,7 +117,7 @@ vaultCommand
         ]);
         zaddr = zaddr || answers.zaddr;
         collateral = collateral || answers.collateral;
-        console.log('');
+        print('');
         spinner.start();
       }
       
@@ -89,7 +131,7 @@ vaultCommand
       
       spinner.stop();
       success('Vault registered successfully!');
-      console.log('');
+      print('');
       
       const maxIssue = (parseFloat(collateral) * 0.8).toFixed(2);
       
@@ -100,15 +142,17 @@ vaultCommand
         `${chalk.gray('Status:')}       ${chalk.hex(COLORS.success)('✓ Active')}`,
       ]);
       
-      console.log('');
+      print('');
       info('Your vault is now available for issue requests.');
       info(`Check status: ${chalk.hex(COLORS.primary)('zarklink vault status')}`);
-      console.log('');
+      print('');
+      
+      emit({ zaddr, collateral, simulated: true });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -136,19 +180,21 @@ vaultCommand
       
       spinner.stop();
       success(`Deposited ${amount} STRK to your vault!`);
-      console.log('');
+      print('');
       
       printBox('Deposit Result', [
         `${chalk.gray('Amount:')}      ${chalk.hex(COLORS.success)(amount)} STRK`,
         `${chalk.gray('New Total:')}   ${chalk.hex(COLORS.success)((parseFloat(amount) + 10).toFixed(2))} STRK`,
         `${chalk.gray('Max Issue:')}   ${chalk.hex(COLORS.success)(((parseFloat(amount) + 10) * 0.8).toFixed(2))} ZEC`,
       ]);
-      console.log('');
+      print('');
+      
+      emit({ amount, simulated: true });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -175,19 +221,21 @@ vaultCommand
       
       spinner.stop();
       success(`Withdrew ${amount} STRK from your vault!`);
-      console.log('');
+      print('');
       
       printBox('Withdrawal Result', [
         `${chalk.gray('Amount:')}      ${chalk.hex(COLORS.success)(amount)} STRK`,
         `${chalk.gray('Remaining:')}   ${chalk.hex(COLORS.warning)('8.0')} STRK`,
         `${chalk.gray('Max Issue:')}   ${chalk.hex(COLORS.warning)('6.4')} ZEC`,
       ]);
-      console.log('');
+      print('');
+      
+      emit({ amount, simulated: true });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -205,37 +253,39 @@ vaultCommand
     spinner.start();
     
     try {
-      await new Promise(r => setTimeout(r, 800));
-      
-      spinner.text = 'Verifying ZEC lock transaction...';
-      await new Promise(r => setTimeout(r, 1000));
-      
-      spinner.text = 'Validating note commitment...';
-      await new Promise(r => setTimeout(r, 600));
+      const permit = await getLockPermit(BigInt(nonce));
+      observeOperation(OperationKind.ISSUE, nonce, permit.status);
+      if (permit.status !== 'AwaitingConfirmation') {
+        throw new CliError(EXIT.STATE, `Issue is not awaiting confirmation: ${permit.status}`);
+      }
       
       spinner.text = 'Submitting confirmation to bridge...';
-      await new Promise(r => setTimeout(r, 1200));
-      
-      // TODO: Call bridge.confirm_issue() when deployed
+      const receipt = await confirmIssue(BigInt(nonce));
+      recordOperation(OperationKind.ISSUE, nonce, vaultOperation({
+        status: 'Confirmed',
+        confirmTxHash: receipt?.transaction_hash,
+      }));
       
       spinner.stop();
       success(`Issue #${nonce} confirmed successfully!`);
-      console.log('');
+      print('');
       
       printBox('Confirmation Result', [
-        `${chalk.gray('Nonce:')}     ${chalk.hex(COLORS.highlight)(nonce)}`,
-        `${chalk.gray('Amount:')}    ${chalk.hex(COLORS.success)('1.5')} ZEC → wZEC`,
+        `${chalk.gray('Nonce:')}       ${chalk.hex(COLORS.highlight)(nonce)}`,
+        `${chalk.gray('Starknet Tx:')} ${formatAddress(receipt?.transaction_hash || 'N/A')}`,
         `${chalk.gray('wZEC Minted:')} ${chalk.hex(COLORS.success)('✓ Sent to user')}`,
       ]);
       
-      console.log('');
+      print('');
       info('The user has received their wZEC tokens.');
-      console.log('');
+      print('');
+      
+      emit({ permitNonce: nonce, txHash: receipt?.transaction_hash || null });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -246,7 +296,7 @@ vaultCommand
   .command('challenge-issue')
   .description('Challenge an issue request (bad encryption proof)')
   .argument('<nonce>', 'Issue permit nonce')
-  .option('--secret <hex>', 'Shared secret proving bad encryption')
+  .requiredOption('--secret <hex>', 'Shared secret proving bad encryption')
   .action(async (nonce, options) => {
     printHeader('CHALLENGE ISSUE', `Permit #${nonce}`);
     
@@ -254,31 +304,29 @@ vaultCommand
     spinner.start();
     
     try {
-      spinner.text = 'Computing ECDH shared secret...';
-      await new Promise(r => setTimeout(r, 800));
-      
-      spinner.text = 'Verifying encryption validity...';
-      await new Promise(r => setTimeout(r, 1000));
-      
       spinner.text = 'Submitting challenge proof...';
-      await new Promise(r => setTimeout(r, 1200));
-      
-      // TODO: Call bridge.challenge_issue() when deployed
+      const receipt = await challengeIssue(BigInt(nonce), options.secret.replace(/^0x/, ''));
+      recordOperation(OperationKind.ISSUE, nonce, vaultOperation({
+        status: 'Challenged',
+        challengeTxHash: receipt?.transaction_hash,
+      }));
       
       spinner.stop();
       success(`Issue #${nonce} challenged!`);
-      console.log('');
+      print('');
       
       warning('Challenge submitted. If valid:');
       step(1, 'User loses their locked ZEC');
       step(2, 'Vault receives compensation');
       step(3, 'Issue request is cancelled');
-      console.log('');
+      print('');
+      
+      emit({ permitNonce: nonce, txHash: receipt?.transaction_hash || null });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -290,6 +338,7 @@ vaultCommand
   .description('Release ZEC for a redeem request')
   .argument('<nonce>', 'Burn nonce')
   .option('-t, --txid <txid>', 'Zcash transaction ID (after sending ZEC)')
+  .option('--note <cmu>', 'Commitment of the released note (default: first Sapling output of the transaction)')
   .action(async (nonce, options) => {
     printHeader('RELEASE ZEC', `Redeem #${nonce}`);
     
@@ -297,58 +346,55 @@ vaultCommand
     spinner.start();
     
     try {
-      // Fetch burn request from contract
-      let burnRequest;
+      // Fetch redeem status from contract
+      let status;
       try {
-        burnRequest = await getBurnRequest(BigInt(nonce));
+        status = await getRedeemStatus(BigInt(nonce));
       } catch (contractErr) {
         spinner.stop();
-        error('Could not fetch burn request from contract');
+        error('Could not fetch redeem status from contract');
         info(`Error: ${contractErr.message}`);
-        process.exit(1);
+        fail(contractErr);
       }
       
       spinner.stop();
-      
-      // Format amount
-      const amountZEC = (Number(burnRequest.amount) / 1e8).toFixed(8);
+      observeOperation(OperationKind.REDEEM, nonce, status);
       
       // Check status
-      if (burnRequest.status !== 'pending') {
-        warning(`Burn request status is: ${burnRequest.status}`);
-        console.log('');
-        if (burnRequest.status === 'released') {
+      if (status !== 'AwaitingRelease') {
+        warning(`Redeem request status is: ${status}`);
+        print('');
+        if (status === 'Confirmed') {
           info('This request has already been released.');
-        } else if (burnRequest.status === 'claimed') {
-          info('User has already claimed collateral for this request.');
+        } else if (status === 'None') {
+          info('No redeem request exists for this nonce.');
         }
-        console.log('');
-        return;
+        print('');
+        fail(new CliError(status === 'None' ? EXIT.NOT_FOUND : EXIT.STATE, `Redeem request status is: ${status}`));
       }
       
       // Display release preview
       printBox('Release Preview', [
         `${chalk.gray('Nonce:')}       ${chalk.hex(COLORS.highlight)(nonce)}`,
-        `${chalk.gray('Amount:')}      ${chalk.hex(COLORS.success)(amountZEC)} ZEC`,
-        `${chalk.gray('Burner:')}      ${formatAddress(burnRequest.burner)}`,
-        `${chalk.gray('Vault:')}       ${formatAddress(burnRequest.vault)}`,
+        `${chalk.gray('Status:')}      ${chalk.yellow('Awaiting release')}`,
       ]);
       
-      console.log('');
+      print('');
       
       // If txid not provided, show instructions
       if (!options.txid) {
         warning('To complete release, you need to:');
-        console.log('');
-        step(1, `Send ${chalk.hex(COLORS.success)(amountZEC)} ZEC to the user's destination`);
-        step(2, 'Get the Zcash transaction ID');
+        print('');
+        step(1, 'Send the requested note to the user\'s destination');
+        step(2, 'Wait for the transaction\'s block to be relayed');
         step(3, `Run: ${chalk.hex(COLORS.primary)(`zarklink vault release ${nonce} --txid <zcash_txid>`)}`);
-        console.log('');
+        print('');
+        emit({ burnNonce: nonce, status, released: false });
         return;
       }
       
       // Confirm release
-      const { confirm } = await inquirer.prompt([{
+      const { confirm } = await prompt([{
         type: 'confirm',
         name: 'confirm',
         message: chalk.hex(COLORS.warning)(`Confirm release for txid ${options.txid.substring(0, 16)}...?`),
@@ -356,39 +402,70 @@ vaultCommand
       }]);
       
       if (!confirm) {
-        console.log('');
+        print('');
         warning('Release cancelled by operator.');
-        return;
+        fail(new CliError(EXIT.CANCELLED, 'Release cancelled by operator'));
       }
       
-      console.log('');
-      spinner.start('Submitting release confirmation to Starknet...');
+      print('');
+      spinner.start('Locating the released note on Zcash...');
       
       let releaseResult;
+      let noteCommitment;
       try {
-        releaseResult = await confirmRelease(BigInt(nonce), options.txid);
+        const tx = await zcashRpc('getrawtransaction', [options.txid, 1]);
+        if (!tx.blockhash) {
+          throw new Error('The release transaction is not mined yet');
+        }
+        noteCommitment = options.note || tx.vShieldedOutput?.[0]?.cmu;
+        if (!noteCommitment) {
+          throw new Error('The release transaction has no Sapling output');
+        }
+        const proof = await buildMerkleProof(noteCommitment);
+        
+        spinner.text = 'Submitting release proof to Starknet...';
+        releaseResult = await confirmRedeem(BigInt(nonce), {
+          noteCommitment,
+          blockHash: tx.blockhash,
+          siblings: proof.siblings,
+          index: proof.index,
+        });
       } catch (releaseErr) {
         spinner.stop();
         error('Failed to confirm release on Starknet');
         info(`Error: ${releaseErr.message}`);
-        process.exit(1);
+        fail(releaseErr);
       }
       
+      recordOperation(OperationKind.REDEEM, nonce, vaultOperation({
+        status: 'Confirmed',
+        zcashTxid: options.txid,
+        releasedNoteCommitment: noteCommitment,
+        releaseTxHash: releaseResult?.transaction_hash,
+      }));
+      
       spinner.stop();
       success(`Redeem #${nonce} released successfully!`);
-      console.log('');
+      print('');
       
       printBox('Release Result', [
         `${chalk.gray('Zcash TxID:')} ${formatAddress(options.txid)}`,
-        `${chalk.gray('Starknet Tx:')} ${formatAddress(releaseResult.transaction_hash || 'N/A')}`,
+        `${chalk.gray('Starknet Tx:')} ${formatAddress(releaseResult?.transaction_hash || 'N/A')}`,
         `${chalk.gray('Status:')}     ${chalk.hex(COLORS.success)('✓ Confirmed on Starknet')}`,
       ]);
-      console.log('');
+      print('');
+      
+      emit({
+        burnNonce: nonce,
+        released: true,
+        zcashTxid: options.txid,
+        txHash: releaseResult?.transaction_hash || null,
+      });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -428,7 +505,7 @@ vaultCommand
       
       spinner.stop();
       success('Balance proof submitted successfully!');
-      console.log('');
+      print('');
       
       printBox('Balance Proof', [
         `${chalk.gray('Proof Type:')}   ${chalk.hex(COLORS.highlight)('Groth16 zk-SNARK')}`,
@@ -437,12 +514,14 @@ vaultCommand
         `${chalk.gray('Available:')}    ${chalk.hex(COLORS.success)('2.5')} ZEC`,
         `${chalk.gray('Verified:')}     ${chalk.hex(COLORS.success)('✓')}`,
       ]);
-      console.log('');
+      print('');
+      
+      emit({ simulated: true });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -465,11 +544,11 @@ vaultCommand
       if (!vaultAddress) {
         spinner.stop();
         warning('No vault address specified or configured.');
-        console.log('');
+        print('');
         info('Use --address to specify a vault, or configure one:');
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink config set contracts.vault <address>')}`);
-        console.log('');
-        return;
+        print(`  ${chalk.hex(COLORS.primary)('zarklink config set contracts.vault <address>')}`);
+        print('');
+        fail(new CliError(EXIT.CONFIG, 'No vault address specified (--address) or configured (contracts.vault)'));
       }
       
       let vaultData;
@@ -480,7 +559,7 @@ vaultCommand
         spinner.stop();
         warning('Could not fetch vault data from contract');
         info(`Error: ${contractErr.message}`);
-        console.log('');
+        print('');
         
         // Show placeholder with address
         printBox('Vault Information (Unavailable)', [
@@ -489,43 +568,44 @@ vaultCommand
           '',
           `${chalk.gray('Note:')}          Contract may not be deployed`,
         ]);
-        console.log('');
-        return;
+        print('');
+        fail(contractErr);
       }
       
       spinner.stop();
       
       // Format values
       const collateralStr = (Number(vaultData.collateral) / 1e18).toFixed(4);
-      const lockedStr = (Number(vaultData.zecLocked) / 1e8).toFixed(8);
       const maxIssue = (Number(vaultData.collateral) / 1e18 * 0.8).toFixed(4);
       
       // Main status box
       printBox('Vault Information', [
         `${chalk.gray('Address:')}        ${formatAddress(vaultAddress)}`,
-        `${chalk.gray('Status:')}         ${vaultData.registered ? chalk.hex(COLORS.success)('✓ Registered & Active') : chalk.hex(COLORS.error)('✗ Not Registered')}`,
-        `${chalk.gray('Z-Addr Hash:')}    ${formatAddress('0x' + vaultData.zaddrHash.toString(16))}`,
+        `${chalk.gray('Status:')}         ${vaultData.status === 'Active' ? chalk.hex(COLORS.success)('✓ Registered & Active') : chalk.hex(COLORS.error)(`✗ ${vaultData.status}`)}`,
+        `${chalk.gray('Z-Addr Hash:')}    ${formatAddress('0x' + vaultData.zcashAddressHash)}`,
         '',
         `${chalk.gray('Collateral:')}     ${chalk.hex(COLORS.success)(collateralStr)} STRK`,
-        `${chalk.gray('ZEC Locked:')}     ${chalk.hex(COLORS.warning)(lockedStr)} ZEC`,
+        `${chalk.gray('Balance Commit:')} ${formatAddress('0x' + vaultData.balanceCommitment)}`,
         `${chalk.gray('Max Issue:')}      ${chalk.hex(COLORS.success)(maxIssue)} ZEC (est.)`,
       ]);
       
-      console.log('');
+      print('');
       
       // Settings status
       printSection('Capabilities');
-      console.log(`  ${vaultData.acceptsIssue ? chalk.hex(COLORS.success)('✓') : chalk.hex(COLORS.error)('✗')} Accepts Issue Requests`);
-      console.log(`  ${vaultData.acceptsRedeem ? chalk.hex(COLORS.success)('✓') : chalk.hex(COLORS.error)('✗')} Accepts Redeem Requests`);
-      console.log('');
+      print(`  ${vaultData.acceptsIssue ? chalk.hex(COLORS.success)('✓') : chalk.hex(COLORS.error)('✗')} Accepts Issue Requests`);
+      print(`  ${vaultData.acceptsRedeem ? chalk.hex(COLORS.success)('✓') : chalk.hex(COLORS.error)('✗')} Accepts Redeem Requests`);
+      print('');
       
       info(`View pending: ${chalk.hex(COLORS.primary)('zarklink vault pending')}`);
-      console.log('');
+      print('');
+      
+      emit({ address: vaultAddress, ...vaultData });
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -535,8 +615,8 @@ vaultCommand
 vaultCommand
   .command('pending')
   .description('List pending issue/redeem operations')
-  .option('-i, --issue-nonces <nonces>', 'Comma-separated list of issue permit nonces to check')
-  .option('-r, --redeem-nonces <nonces>', 'Comma-separated list of burn nonces to check')
+  .option('-i, --issue-nonces <nonces>', 'Comma-separated list of issue permit nonces to check instead of the local history')
+  .option('-r, --redeem-nonces <nonces>', 'Comma-separated list of burn nonces to check instead of the local history')
   .action(async (options) => {
     printHeader('PENDING OPERATIONS', 'Issues and redeems awaiting action');
     
@@ -544,170 +624,143 @@ vaultCommand
     spinner.start();
     
     try {
-      // Check if any nonces provided
-      if (!options.issueNonces && !options.redeemNonces) {
+      // Without nonces: the open operations of this vault in the local history
+      const ledger = openLedger();
+      const fromHistory = !options.issueNonces && !options.redeemNonces;
+      const nonceList = (given, kind) => {
+        if (fromHistory) {
+          return trackedNonces(ledger, kind);
+        }
+        return given ? given.split(',').map(n => n.trim()) : [];
+      };
+      const issueNonceList = nonceList(options.issueNonces, OperationKind.ISSUE);
+      const redeemNonceList = nonceList(options.redeemNonces, OperationKind.REDEEM);
+      
+      if (issueNonceList.length === 0 && redeemNonceList.length === 0) {
         spinner.stop();
-        console.log('');
-        warning('No nonces specified.');
-        console.log('');
-        info('To check specific operations, provide the nonces:');
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink vault pending --issue-nonces 123,456')}`);
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink vault pending --redeem-nonces 789,012')}`);
-        console.log('');
-        info('You can also check individual permits/requests:');
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink issue status <nonce>')}`);
-        console.log(`  ${chalk.hex(COLORS.primary)('zarklink redeem status <nonce>')}`);
-        console.log('');
+        ledger.close();
+        print('');
+        success('No pending operations in the local history.');
+        print('');
+        info('Operations are tracked once this vault acts on them or looks them up:');
+        print(`  ${chalk.hex(COLORS.primary)('zarklink vault pending --issue-nonces 123,456')}`);
+        print(`  ${chalk.hex(COLORS.primary)('zarklink vault pending --redeem-nonces 789,012')}`);
+        print('');
+        emit({ issues: [], redeems: [] });
         return;
       }
       
-      console.log('');
+      print('');
+      const pending = {};
       
       // Fetch pending issues
-      if (options.issueNonces) {
-        const issueNonceList = options.issueNonces.split(',').map(n => n.trim());
+      if (issueNonceList.length > 0) {
         const issues = [];
         
         for (const nonce of issueNonceList) {
           try {
             spinner.text = `Fetching issue permit #${nonce}...`;
             const permit = await getLockPermit(BigInt(nonce));
+            track(ledger, OperationKind.ISSUE, nonce, permit.status);
             
-            const amountZEC = (Number(permit.amount) / 1e8).toFixed(4);
-            const statusMap = {
-              0: 'Pending',
-              1: 'Locked',
-              2: 'Minted',
-              3: 'Expired',
-              4: 'Cancelled',
-            };
-            
-            issues.push({
-              nonce,
-              amount: amountZEC + ' ZEC',
-              status: statusMap[permit.statusCode] || 'Unknown',
-              vault: formatAddress(permit.vaultAddress),
-            });
+            issues.push({ nonce, status: permit.status });
           } catch (err) {
-            issues.push({
-              nonce,
-              amount: 'N/A',
-              status: 'Not found',
-              vault: '-',
-            });
+            // Unreachable: a tracked operation keeps its last known status
+            issues.push({ nonce, status: ledger.get(OperationKind.ISSUE, nonce)?.status || 'Not found' });
           }
         }
+        pending.issues = issues;
         
         spinner.stop();
         
         // Pending Issues table
         printSection('Issue Permits');
-        console.log('');
-        console.log(chalk.hex(COLORS.border)('  ┌──────────┬────────────┬───────────────────────┐'));
-        console.log(
+        print('');
+        print(chalk.hex(COLORS.border)('  ┌──────────┬───────────────────────┐'));
+        print(
           chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.primary).bold('  Nonce   ') +
-          chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('  Amount   ') +
           chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('       Status          ') +
           chalk.hex(COLORS.border)('│')
         );
-        console.log(chalk.hex(COLORS.border)('  ├──────────┼────────────┼───────────────────────┤'));
+        print(chalk.hex(COLORS.border)('  ├──────────┼───────────────────────┤'));
         
         for (const issue of issues) {
-          const statusColor = issue.status === 'Pending' || issue.status === 'Locked' ? COLORS.warning : 
-                              issue.status === 'Minted' ? COLORS.success : COLORS.dim;
-          console.log(
+          const statusColor = issue.status === 'AwaitingMint' || issue.status === 'AwaitingConfirmation' ? COLORS.warning : 
+                              issue.status === 'Confirmed' ? COLORS.success : COLORS.dim;
+          print(
             chalk.hex(COLORS.border)('  │ ') +
             chalk.hex(COLORS.highlight)(issue.nonce.toString().padEnd(8)) +
             chalk.hex(COLORS.border)(' │ ') +
-            chalk.hex(COLORS.success)(issue.amount.padEnd(10)) +
-            chalk.hex(COLORS.border)(' │ ') +
             chalk.hex(statusColor)(issue.status.padEnd(21)) +
             chalk.hex(COLORS.border)(' │')
           );
         }
         
-        console.log(chalk.hex(COLORS.border)('  └──────────┴────────────┴───────────────────────┘'));
-        console.log('');
+        print(chalk.hex(COLORS.border)('  └──────────┴───────────────────────┘'));
+        print('');
         
         spinner.start();
       }
       
       // Fetch pending redeems
-      if (options.redeemNonces) {
-        const redeemNonceList = options.redeemNonces.split(',').map(n => n.trim());
+      if (redeemNonceList.length > 0) {
         const redeems = [];
         
         for (const nonce of redeemNonceList) {
           try {
-            spinner.text = `Fetching burn request #${nonce}...`;
-            const burnRequest = await getBurnRequest(BigInt(nonce));
+            spinner.text = `Fetching redeem status #${nonce}...`;
+            const status = await getRedeemStatus(BigInt(nonce));
+            track(ledger, OperationKind.REDEEM, nonce, status);
             
-            const amountZEC = (Number(burnRequest.amount) / 1e8).toFixed(4);
-            const statusDisplay = {
-              pending: 'Awaiting release',
-              released: 'Released',
-              claimed: 'Claimed',
-              expired: 'Expired',
-            };
-            
-            redeems.push({
-              nonce,
-              amount: amountZEC + ' ZEC',
-              status: statusDisplay[burnRequest.status] || 'Unknown',
-              vault: formatAddress(burnRequest.vault),
-            });
+            redeems.push({ nonce, status });
           } catch (err) {
-            redeems.push({
-              nonce,
-              amount: 'N/A',
-              status: 'Not found',
-              vault: '-',
-            });
+            redeems.push({ nonce, status: ledger.get(OperationKind.REDEEM, nonce)?.status || 'Not found' });
           }
         }
+        pending.redeems = redeems;
         
         spinner.stop();
         
         // Pending Redeems table
         printSection('Redeem Requests');
-        console.log('');
-        console.log(chalk.hex(COLORS.border)('  ┌──────────┬────────────┬───────────────────────┐'));
-        console.log(
+        print('');
+        print(chalk.hex(COLORS.border)('  ┌──────────┬───────────────────────┐'));
+        print(
           chalk.hex(COLORS.border)('  │') + chalk.hex(COLORS.primary).bold('  Nonce   ') +
-          chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('  Amount   ') +
           chalk.hex(COLORS.border)('│') + chalk.hex(COLORS.primary).bold('       Status          ') +
           chalk.hex(COLORS.border)('│')
         );
-        console.log(chalk.hex(COLORS.border)('  ├──────────┼────────────┼───────────────────────┤'));
+        print(chalk.hex(COLORS.border)('  ├──────────┼───────────────────────┤'));
         
         for (const redeem of redeems) {
-          const statusColor = redeem.status === 'Awaiting release' ? COLORS.warning : 
-                              redeem.status === 'Released' ? COLORS.success : COLORS.dim;
-          console.log(
+          const statusColor = redeem.status === 'AwaitingRelease' ? COLORS.warning : 
+                              redeem.status === 'Confirmed' ? COLORS.success : COLORS.dim;
+          print(
             chalk.hex(COLORS.border)('  │ ') +
             chalk.hex(COLORS.highlight)(redeem.nonce.toString().padEnd(8)) +
             chalk.hex(COLORS.border)(' │ ') +
-            chalk.hex(COLORS.success)(redeem.amount.padEnd(10)) +
-            chalk.hex(COLORS.border)(' │ ') +
             chalk.hex(statusColor)(redeem.status.padEnd(21)) +
             chalk.hex(COLORS.border)(' │')
           );
         }
         
-        console.log(chalk.hex(COLORS.border)('  └──────────┴────────────┴───────────────────────┘'));
-        console.log('');
+        print(chalk.hex(COLORS.border)('  └──────────┴───────────────────────┘'));
+        print('');
       } else {
         spinner.stop();
       }
+      ledger.close();
       
       info(`Confirm issue: ${chalk.hex(COLORS.primary)('zarklink vault confirm-issue <nonce>')}`);
       info(`Release redeem: ${chalk.hex(COLORS.primary)('zarklink vault release <nonce>')}`);
-      console.log('');
+      print('');
+      
+      emit(pending);
       
     } catch (err) {
       spinner.stop();
       error(`Failed: ${err.message}`);
-      process.exit(1);
+      fail(err);
     }
   });
 
@@ -1,14 +1,27 @@
 /**
  * zarklink CLI Configuration
- * Loads environment variables and provides configuration
- * 
+ * Loads environment variables and the config file into named network
+ * profiles
+ *
+ * A profile holds everything that belongs to one deployment: the Starknet
+ * network, RPC URL and account, the contract addresses and the Zcash network
+ * and node. `mainnet`, `sepolia` and `devnet` are built in; more can be added
+ * with `zarklink config profile add`. Finality and bridge settings are shared
+ * by all profiles.
+ *
+ * Precedence, lowest first: the built-in values of the profile's network,
+ * environment variables (only for the profile STARKNET_NETWORK names,
+ * `sepolia` by default, so a .env written for one deployment never leaks
+ * into another), then the values saved in ~/.zarklink/config.json.
+ *
  * NOTE: Local zcashd is OPTIONAL. The CLI works with public APIs.
  */
 
 import dotenv from 'dotenv';
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { homedir } from 'os';
-import { join } from 'path';
+import { join, dirname } from 'path';
+import { EXIT, CliError } from './utils/output.js';
 
 // Load .env file
 dotenv.config();
@@ -16,66 +29,383 @@ dotenv.config();
 // Config file path
 const CONFIG_PATH = join(homedir(), '.zarklink', 'config.json');
 
+// Sections that belong to a profile; the others are shared
+const PROFILE_SECTIONS = ['starknet', 'contracts', 'zcash'];
+const SHARED_SECTIONS = ['finality', 'bridge'];
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
 /**
- * Default configuration
- * 
+ * Built-in profiles
+ *
  * Zcash: Uses public APIs by default (no local node required)
- * Starknet: Uses Sepolia testnet with deployed contracts
+ * Starknet: Sepolia has the deployed contracts; mainnet and devnet need
+ * their addresses set before bridging
+ */
+const PRESETS = {
+  sepolia: {
+    starknet: {
+      network: 'sepolia',
+      rpcUrl: 'https://starknet-sepolia.g.alchemy.com/starknet/version/rpc/v0_10/KKX3txNscJJ_3JAPqQ3E7',
+    },
+    contracts: {
+      bridge: '0x069d135c173847a356aa29a182ace00981e9793aea5bb62bfc6c1d4577e9c36e',
+      relay: '0x01ae3dce889773db25632ebed4a04698fb2dff1c71b2101f00e8c0f34b5d7e4b',
+      token: '0x04c571b6ca21e59add5ccb280eb68a309c6ca4e5eeecfd2186856fe97f74a294',
+      registry: '0x007abd698ddafea4669ac4d5e96477ef4958b6e6ebd57e4ef2f61df1f2597436',
+    },
+    zcash: {
+      network: 'testnet',
+    },
+  },
+  mainnet: {
+    starknet: {
+      network: 'mainnet',
+      rpcUrl: 'https://starknet-mainnet.public.blastapi.io',
+    },
+    contracts: {},
+    zcash: {
+      network: 'mainnet',
+    },
+  },
+  devnet: {
+    starknet: {
+      network: 'devnet',
+      rpcUrl: 'http://127.0.0.1:5050',
+    },
+    contracts: {},
+    zcash: {
+      network: 'testnet',
+    },
+  },
+};
+
+export const NETWORKS = Object.keys(PRESETS);
+
+/**
+ * Shape of every profile, before the network's preset
  */
-const defaultConfig = {
-  // Starknet settings
+const emptyProfile = () => ({
   starknet: {
-    network: process.env.STARKNET_NETWORK || 'sepolia',
-    rpcUrl: process.env.STARKNET_RPC_URL || 'https://starknet-sepolia.g.alchemy.com/starknet/version/rpc/v0_10/KKX3txNscJJ_3JAPqQ3E7',
-    accountAddress: process.env.STARKNET_ACCOUNT_ADDRESS || '',
-    privateKey: process.env.STARKNET_PRIVATE_KEY || '',
+    network: 'sepolia',
+    rpcUrl: '',
+    accountAddress: '',
+    // Name of the keystore holding the account's key (zarklink account)
+    keystore: '',
+    // Plaintext key, from before keystores; `account import --from-config`
+    // moves it into one
+    privateKey: '',
   },
-  
-  // Contract addresses (Starknet Sepolia - already deployed)
   contracts: {
-    bridge: process.env.BRIDGE_ADDRESS || '0x069d135c173847a356aa29a182ace00981e9793aea5bb62bfc6c1d4577e9c36e',
-    relay: process.env.RELAY_ADDRESS || '0x01ae3dce889773db25632ebed4a04698fb2dff1c71b2101f00e8c0f34b5d7e4b',
-    token: process.env.TOKEN_ADDRESS || '0x04c571b6ca21e59add5ccb280eb68a309c6ca4e5eeecfd2186856fe97f74a294',
-    registry: process.env.REGISTRY_ADDRESS || '0x007abd698ddafea4669ac4d5e96477ef4958b6e6ebd57e4ef2f61df1f2597436',
+    bridge: '',
+    relay: '',
+    token: '',
+    registry: '',
+    vault: '',
   },
-  
-  // Zcash settings
-  // NOTE: rpcUrl is OPTIONAL - public APIs are used by default
   zcash: {
-    network: process.env.ZCASH_NETWORK || 'testnet',
+    network: 'testnet',
     // Optional: Only needed if you want to use a local zcashd node
-    rpcUrl: process.env.ZCASH_RPC_URL || null,
-    rpcUser: process.env.ZCASH_RPC_USER || '',
-    rpcPassword: process.env.ZCASH_RPC_PASSWORD || '',
+    rpcUrl: null,
+    rpcUser: '',
+    rpcPassword: '',
     // Public API settings
-    usePublicApi: process.env.ZCASH_USE_PUBLIC_API !== 'false', // Default true
-  },
-  
-  // Bridge settings
-  bridge: {
-    minConfirmations: parseInt(process.env.MIN_CONFIRMATIONS || '20'),
-    issueTimeout: parseInt(process.env.ISSUE_TIMEOUT || '86400'),
-    redeemTimeout: parseInt(process.env.REDEEM_TIMEOUT || '86400'),
-    feeRate: parseInt(process.env.FEE_RATE || '10'),
+    usePublicApi: true,
   },
-};
+});
 
 /**
- * Load configuration from file
+ * Environment variables, as profile values (unset ones left out)
  */
-function loadConfig() {
-  let config = { ...defaultConfig };
-  
-  if (existsSync(CONFIG_PATH)) {
-    try {
-      const fileConfig = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
-      config = mergeDeep(config, fileConfig);
-    } catch (error) {
-      console.warn('Warning: Could not parse config file, using defaults');
-    }
-  }
-  
-  return config;
+function profileFromEnv(env) {
+  return prune({
+    starknet: {
+      rpcUrl: env.STARKNET_RPC_URL,
+      accountAddress: env.STARKNET_ACCOUNT_ADDRESS,
+      privateKey: env.STARKNET_PRIVATE_KEY,
+    },
+    contracts: {
+      bridge: env.BRIDGE_ADDRESS,
+      relay: env.RELAY_ADDRESS,
+      token: env.TOKEN_ADDRESS,
+      registry: env.REGISTRY_ADDRESS,
+      vault: env.VAULT_ADDRESS,
+    },
+    zcash: {
+      network: env.ZCASH_NETWORK,
+      rpcUrl: env.ZCASH_RPC_URL,
+      rpcUser: env.ZCASH_RPC_USER,
+      rpcPassword: env.ZCASH_RPC_PASSWORD,
+      usePublicApi: env.ZCASH_USE_PUBLIC_API === undefined ? undefined : env.ZCASH_USE_PUBLIC_API !== 'false',
+    },
+  });
+}
+
+/**
+ * Finality and bridge settings
+ */
+function sharedFromEnv(env) {
+  return {
+    // When a Zcash block is final: same policy as the relay service
+    // (unset values use the network defaults of @zarklink/finality-policy)
+    finality: {
+      rule: env.FINALITY_RULE || undefined, // depth, work or both
+      minDepth: env.FINALITY_MIN_DEPTH || env.MIN_CONFIRMATIONS
+        ? parseInt(env.FINALITY_MIN_DEPTH || env.MIN_CONFIRMATIONS)
+        : undefined,
+      minWork: env.FINALITY_MIN_WORK || undefined, // decimal or 0x hex
+    },
+    
+    bridge: {
+      issueTimeout: parseInt(env.ISSUE_TIMEOUT || '86400'),
+      redeemTimeout: parseInt(env.REDEEM_TIMEOUT || '86400'),
+      feeRate: parseInt(env.FEE_RATE || '10'),
+    },
+  };
+}
+
+/**
+ * Configuration service
+ *
+ * `config.starknet`, `config.contracts` and `config.zcash` are the sections
+ * of the active profile, `config.get('contracts.relay')` reads one value.
+ * The active profile is the one saved with `config profile use`, unless
+ * `--profile` (or ZARKLINK_PROFILE) selects another for a single run.
+ */
+export class Config {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Config file
+   * @param {Object} options.env - Environment variables
+   */
+  constructor({ path = CONFIG_PATH, env = process.env } = {}) {
+    this.path = path;
+    this.env = env;
+    this.envProfile = env.STARKNET_NETWORK || 'sepolia';
+    this.selected = null;
+    this.load();
+  }
+
+  /**
+   * Read the config file; a file written before profiles existed becomes
+   * the profile of its Starknet network
+   */
+  load() {
+    let file = {};
+    if (existsSync(this.path)) {
+      try {
+        file = JSON.parse(readFileSync(this.path, 'utf8'));
+      } catch (error) {
+        console.warn('Warning: Could not parse config file, using defaults');
+      }
+    }
+    
+    if (!file.profiles && PROFILE_SECTIONS.some(section => file[section])) {
+      const name = file.starknet?.network || this.envProfile;
+      const legacy = Object.fromEntries(PROFILE_SECTIONS.filter(section => file[section]).map(section => [section, file[section]]));
+      file = {
+        defaultProfile: name,
+        profiles: { [name]: legacy },
+        ...Object.fromEntries(SHARED_SECTIONS.filter(section => file[section]).map(section => [section, file[section]])),
+      };
+    }
+    
+    this.file = { profiles: {}, ...file };
+    return this;
+  }
+
+  save() {
+    mkdirSync(dirname(this.path), { recursive: true });
+    writeFileSync(this.path, JSON.stringify(this.file, null, 2));
+  }
+
+  /**
+   * Name of the active profile
+   */
+  get profile() {
+    return this.selected || this.defaultProfile;
+  }
+
+  /**
+   * Profile used when none is selected on the command line
+   */
+  get defaultProfile() {
+    const saved = this.file.defaultProfile;
+    return saved && this.hasProfile(saved) ? saved : this.envProfile;
+  }
+
+  /**
+   * Select a profile for this run only
+   */
+  use(name) {
+    this.requireProfile(name);
+    this.selected = name;
+  }
+
+  /**
+   * Make a profile the default and save it
+   */
+  setDefaultProfile(name) {
+    this.requireProfile(name);
+    this.file.defaultProfile = name;
+    this.save();
+  }
+
+  hasProfile(name) {
+    return Object.hasOwn(PRESETS, name) || Object.hasOwn(this.file.profiles, name);
+  }
+
+  requireProfile(name) {
+    if (!this.hasProfile(name)) {
+      throw new CliError(EXIT.NOT_FOUND, `Unknown profile "${name}" (profiles: ${this.profileNames().join(', ')})`);
+    }
+  }
+
+  isBuiltIn(name) {
+    return Object.hasOwn(PRESETS, name);
+  }
+
+  profileNames() {
+    return [...new Set([...Object.keys(PRESETS), ...Object.keys(this.file.profiles)])];
+  }
+
+  /**
+   * Every section of a profile, with presets and environment applied
+   */
+  resolveProfile(name = this.profile) {
+    const saved = this.file.profiles[name] || {};
+    const network = saved.starknet?.network || (this.isBuiltIn(name) ? name : this.envProfile);
+    
+    let profile = mergeDeep(emptyProfile(), PRESETS[network] || {});
+    if (name === this.envProfile) {
+      profile = mergeDeep(profile, profileFromEnv(this.env));
+    }
+    return mergeDeep(profile, saved);
+  }
+
+  /**
+   * Add a profile
+   * @param {string} name
+   * @param {Object} values - Profile sections; starknet.network picks the
+   *   built-in values it starts from
+   */
+  addProfile(name, values) {
+    if (!PROFILE_NAME.test(name)) {
+      throw new CliError(EXIT.USAGE, `Invalid profile name "${name}" (letters, digits, - and _)`);
+    }
+    if (this.hasProfile(name)) {
+      throw new CliError(EXIT.USAGE, `Profile "${name}" already exists`);
+    }
+    
+    const network = values.starknet?.network || 'sepolia';
+    if (!NETWORKS.includes(network)) {
+      throw new CliError(EXIT.USAGE, `Unknown Starknet network "${network}" (${NETWORKS.join(', ')})`);
+    }
+    
+    this.file.profiles[name] = mergeDeep(prune(values), { starknet: { network } });
+    this.save();
+  }
+
+  /**
+   * Save values into a profile (built-in ones included), creating it if
+   * needed
+   */
+  updateProfile(name, values) {
+    if (!PROFILE_NAME.test(name)) {
+      throw new CliError(EXIT.USAGE, `Invalid profile name "${name}" (letters, digits, - and _)`);
+    }
+    
+    this.file.profiles[name] = mergeDeep(this.file.profiles[name] || {}, prune(values));
+    this.save();
+  }
+
+  /**
+   * Remove a profile; built-in profiles lose their saved values only
+   */
+  removeProfile(name) {
+    this.requireProfile(name);
+    if (name === this.defaultProfile && !this.isBuiltIn(name)) {
+      throw new CliError(EXIT.STATE, `Profile "${name}" is the default; switch with \`zarklink config profile use <name>\` first`);
+    }
+    
+    delete this.file.profiles[name];
+    this.save();
+  }
+
+  /**
+   * Read a value by its dotted key, e.g. 'contracts.relay'
+   */
+  get(key) {
+    return key.split('.').reduce((value, part) => value?.[part], this);
+  }
+
+  /**
+   * Save a value by its dotted key: profile keys go to the active profile
+   */
+  set(key, value) {
+    if (key === 'starknet.privateKey') {
+      throw new CliError(EXIT.USAGE, 'Private keys are kept in the keystore: `zarklink account import <name>`');
+    }
+    
+    const { parent, leaf } = this.locate(key, this.profile, true);
+    parent[leaf] = value;
+    this.save();
+  }
+
+  /**
+   * Remove a saved value by its dotted key, from the active profile unless
+   * another is given
+   */
+  unset(key, profile = this.profile) {
+    const { parent, leaf } = this.locate(key, profile, false);
+    if (parent && Object.hasOwn(parent, leaf)) {
+      delete parent[leaf];
+      this.save();
+    }
+  }
+
+  /**
+   * Object in the config file that holds a dotted key
+   */
+  locate(key, profile, create) {
+    const [section, ...path] = key.split('.');
+    let parent;
+    if (PROFILE_SECTIONS.includes(section)) {
+      parent = create ? (this.file.profiles[profile] ??= {}) : this.file.profiles[profile];
+    } else if (SHARED_SECTIONS.includes(section)) {
+      parent = this.file;
+    } else {
+      throw new CliError(EXIT.USAGE, `Unknown configuration key "${key}" (sections: ${[...PROFILE_SECTIONS, ...SHARED_SECTIONS].join(', ')})`);
+    }
+    if (path.length === 0) {
+      throw new CliError(EXIT.USAGE, `"${key}" is a section, set one of its keys`);
+    }
+    
+    for (const part of [section, ...path.slice(0, -1)]) {
+      parent = create ? (parent[part] ??= {}) : parent?.[part];
+    }
+    return { parent, leaf: path[path.length - 1] };
+  }
+
+  get starknet() {
+    return this.resolveProfile().starknet;
+  }
+
+  get contracts() {
+    return this.resolveProfile().contracts;
+  }
+
+  get zcash() {
+    return this.resolveProfile().zcash;
+  }
+
+  get finality() {
+    return mergeDeep(sharedFromEnv(this.env).finality, this.file.finality || {});
+  }
+
+  get bridge() {
+    return mergeDeep(sharedFromEnv(this.env).bridge, this.file.bridge || {});
+  }
 }
 
 /**
@@ -93,17 +423,30 @@ function mergeDeep(target, source) {
   return result;
 }
 
+/**
+ * Copy without undefined values and the sections they leave empty
+ */
+function prune(values) {
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const nested = prune(value);
+      if (Object.keys(nested).length > 0) {
+        result[key] = nested;
+      }
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
 /**
  * Get Starknet RPC URL for network
  */
 function getStarknetRpcUrl(network) {
-  const urls = {
-    mainnet: 'https://starknet-mainnet.public.blastapi.io',
-    sepolia: 'https://starknet-sepolia.public.blastapi.io',
-    devnet: 'http://127.0.0.1:5050',
-  };
-  return urls[network] || urls.sepolia;
+  return (PRESETS[network] || PRESETS.sepolia).starknet.rpcUrl;
 }
 
-export const config = loadConfig();
-export { getStarknetRpcUrl, defaultConfig };
+export const config = new Config();
+export { getStarknetRpcUrl };
@@ -0,0 +1,9 @@
+/**
+ * Contract Bindings
+ * Generated by scripts/generate-bindings.js; do not edit
+ */
+
+export { ZclaimBridge, ABI as ZCLAIM_BRIDGE_ABI, EVENTS as ZCLAIM_BRIDGE_EVENTS } from './zclaim-bridge.js';
+export { RelaySystem, ABI as RELAY_SYSTEM_ABI, EVENTS as RELAY_SYSTEM_EVENTS } from './relay-system.js';
+export { VaultRegistry, ABI as VAULT_REGISTRY_ABI, EVENTS as VAULT_REGISTRY_EVENTS } from './vault-registry.js';
+export { wZEC, ABI as WZEC_ABI, EVENTS as WZEC_EVENTS } from './wzec.js';
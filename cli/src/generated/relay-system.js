@@ -0,0 +1,576 @@
+/**
+ * RelaySystem Contract Bindings
+ * Generated by scripts/generate-bindings.js from zclaim_RelaySystem.contract_class.json;
+ * do not edit, run `npm run codegen` after `scarb build` instead
+ */
+
+import { Contract } from 'starknet';
+
+/** @typedef {import('starknet').BigNumberish} BigNumberish */
+/** @typedef {import('starknet').CairoCustomEnum} CairoCustomEnum */
+/** @typedef {import('starknet').InvokeFunctionResponse} InvokeFunctionResponse */
+
+/**
+ * @typedef {Object} MerkleProof - zclaim::relay::types::MerkleProof
+ * @property {Array<bigint>} siblings
+ * @property {bigint} index
+ */
+
+/**
+ * @typedef {Object} BlockHeader - zclaim::relay::types::BlockHeader
+ * @property {bigint} block_hash
+ * @property {bigint} prev_block_hash
+ * @property {bigint} merkle_root
+ * @property {bigint} sapling_root
+ * @property {bigint} timestamp
+ * @property {bigint} bits
+ * @property {bigint} height
+ * @property {bigint} chain_work
+ * @property {boolean} verified
+ */
+
+export const ABI = [
+  {
+    "type": "impl",
+    "name": "RelaySystemImpl",
+    "interface_name": "zclaim::relay::relay_system::IRelaySystem"
+  },
+  {
+    "type": "struct",
+    "name": "core::integer::u256",
+    "members": [
+      {
+        "name": "low",
+        "type": "core::integer::u128"
+      },
+      {
+        "name": "high",
+        "type": "core::integer::u128"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "core::bool",
+    "variants": [
+      {
+        "name": "False",
+        "type": "()"
+      },
+      {
+        "name": "True",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::MerkleProof",
+    "members": [
+      {
+        "name": "siblings",
+        "type": "core::array::Array::<core::integer::u256>"
+      },
+      {
+        "name": "index",
+        "type": "core::integer::u64"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::BlockHeader",
+    "members": [
+      {
+        "name": "block_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "prev_block_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "merkle_root",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "sapling_root",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "timestamp",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "bits",
+        "type": "core::integer::u32"
+      },
+      {
+        "name": "height",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "chain_work",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "verified",
+        "type": "core::bool"
+      }
+    ]
+  },
+  {
+    "type": "interface",
+    "name": "zclaim::relay::relay_system::IRelaySystem",
+    "items": [
+      {
+        "type": "function",
+        "name": "submit_block_header",
+        "inputs": [
+          {
+            "name": "header_data",
+            "type": "core::array::Array::<core::felt252>"
+          },
+          {
+            "name": "height",
+            "type": "core::integer::u64"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "submit_block_headers_batch",
+        "inputs": [
+          {
+            "name": "headers",
+            "type": "core::array::Array::<core::array::Array::<core::felt252>>"
+          },
+          {
+            "name": "start_height",
+            "type": "core::integer::u64"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "is_confirmed",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_sapling_root",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "verify_note_commitment",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "note_commitment",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "proof",
+            "type": "zclaim::relay::types::MerkleProof"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_header",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "zclaim::relay::types::BlockHeader"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_block_hash",
+        "inputs": [
+          {
+            "name": "height",
+            "type": "core::integer::u64"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_chain_tip",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "(core::integer::u256, core::integer::u64)"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "add_relayer",
+        "inputs": [
+          {
+            "name": "relayer",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "remove_relayer",
+        "inputs": [
+          {
+            "name": "relayer",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "is_relayer",
+        "inputs": [
+          {
+            "name": "address",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "view"
+      }
+    ]
+  },
+  {
+    "type": "constructor",
+    "name": "constructor",
+    "inputs": [
+      {
+        "name": "genesis_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "genesis_height",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "genesis_sapling_root",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "genesis_chain_work",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "owner",
+        "type": "core::starknet::contract_address::ContractAddress"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::BlockHeaderSubmitted",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "block_hash",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "prev_block_hash",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "relayer",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "height",
+        "type": "core::integer::u64",
+        "kind": "data"
+      },
+      {
+        "name": "sapling_root",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::ChainReorg",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "old_tip",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "new_tip",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "old_height",
+        "type": "core::integer::u64",
+        "kind": "data"
+      },
+      {
+        "name": "new_height",
+        "type": "core::integer::u64",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::RelayerAdded",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "relayer",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::RelayerRemoved",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "relayer",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::Event",
+    "kind": "enum",
+    "variants": [
+      {
+        "name": "BlockHeaderSubmitted",
+        "type": "zclaim::relay::relay_system::RelaySystem::BlockHeaderSubmitted",
+        "kind": "nested"
+      },
+      {
+        "name": "ChainReorg",
+        "type": "zclaim::relay::relay_system::RelaySystem::ChainReorg",
+        "kind": "nested"
+      },
+      {
+        "name": "RelayerAdded",
+        "type": "zclaim::relay::relay_system::RelaySystem::RelayerAdded",
+        "kind": "nested"
+      },
+      {
+        "name": "RelayerRemoved",
+        "type": "zclaim::relay::relay_system::RelaySystem::RelayerRemoved",
+        "kind": "nested"
+      }
+    ]
+  }
+];
+
+// Event name → the key parseEvents() reports it under
+export const EVENTS = {
+  BlockHeaderSubmitted: 'zclaim::relay::relay_system::RelaySystem::BlockHeaderSubmitted',
+  ChainReorg: 'zclaim::relay::relay_system::RelaySystem::ChainReorg',
+  RelayerAdded: 'zclaim::relay::relay_system::RelaySystem::RelayerAdded',
+  RelayerRemoved: 'zclaim::relay::relay_system::RelaySystem::RelayerRemoved',
+};
+
+export class RelaySystem {
+  /**
+   * @param {string} address
+   * @param {import('starknet').ProviderInterface|import('starknet').AccountInterface} providerOrAccount
+   *   An account is needed for external functions
+   */
+  constructor(address, providerOrAccount) {
+    this.address = address;
+    this.contract = new Contract(ABI, address, providerOrAccount);
+  }
+
+  /**
+   * Call of an external function, for fee estimates and multicalls
+   * @returns {import('starknet').Call}
+   */
+  populate(method, args = []) {
+    return this.contract.populate(method, args);
+  }
+
+  /**
+   * Events of this contract in a transaction receipt, keyed by EVENTS values
+   */
+  parseEvents(receipt) {
+    return this.contract.parseEvents(receipt);
+  }
+
+  /**
+   * submit_block_header(header_data: core::array::Array::<core::felt252>, height: core::integer::u64) -> core::integer::u256
+   * @param {Array<BigNumberish>} header_data
+   * @param {BigNumberish} height
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  submit_block_header(header_data, height) {
+    return this.contract.invoke('submit_block_header', [header_data, height]);
+  }
+
+  /**
+   * submit_block_headers_batch(headers: core::array::Array::<core::array::Array::<core::felt252>>, start_height: core::integer::u64)
+   * @param {Array<Array<BigNumberish>>} headers
+   * @param {BigNumberish} start_height
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  submit_block_headers_batch(headers, start_height) {
+    return this.contract.invoke('submit_block_headers_batch', [headers, start_height]);
+  }
+
+  /**
+   * is_confirmed(block_hash: core::integer::u256) -> core::bool
+   * @param {BigNumberish} block_hash
+   * @returns {Promise<boolean>}
+   */
+  is_confirmed(block_hash) {
+    return this.contract.call('is_confirmed', [block_hash]);
+  }
+
+  /**
+   * get_sapling_root(block_hash: core::integer::u256) -> core::integer::u256
+   * @param {BigNumberish} block_hash
+   * @returns {Promise<bigint>}
+   */
+  get_sapling_root(block_hash) {
+    return this.contract.call('get_sapling_root', [block_hash]);
+  }
+
+  /**
+   * verify_note_commitment(block_hash: core::integer::u256, note_commitment: core::integer::u256, proof: zclaim::relay::types::MerkleProof) -> core::bool
+   * @param {BigNumberish} block_hash
+   * @param {BigNumberish} note_commitment
+   * @param {MerkleProof} proof
+   * @returns {Promise<boolean>}
+   */
+  verify_note_commitment(block_hash, note_commitment, proof) {
+    return this.contract.call('verify_note_commitment', [block_hash, note_commitment, proof]);
+  }
+
+  /**
+   * get_header(block_hash: core::integer::u256) -> zclaim::relay::types::BlockHeader
+   * @param {BigNumberish} block_hash
+   * @returns {Promise<BlockHeader>}
+   */
+  get_header(block_hash) {
+    return this.contract.call('get_header', [block_hash]);
+  }
+
+  /**
+   * get_block_hash(height: core::integer::u64) -> core::integer::u256
+   * @param {BigNumberish} height
+   * @returns {Promise<bigint>}
+   */
+  get_block_hash(height) {
+    return this.contract.call('get_block_hash', [height]);
+  }
+
+  /**
+   * get_chain_tip() -> (core::integer::u256, core::integer::u64)
+   * @returns {Promise<{ 0: bigint, 1: bigint }>}
+   */
+  get_chain_tip() {
+    return this.contract.call('get_chain_tip', []);
+  }
+
+  /**
+   * add_relayer(relayer: core::starknet::contract_address::ContractAddress)
+   * @param {BigNumberish} relayer
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  add_relayer(relayer) {
+    return this.contract.invoke('add_relayer', [relayer]);
+  }
+
+  /**
+   * remove_relayer(relayer: core::starknet::contract_address::ContractAddress)
+   * @param {BigNumberish} relayer
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  remove_relayer(relayer) {
+    return this.contract.invoke('remove_relayer', [relayer]);
+  }
+
+  /**
+   * is_relayer(address: core::starknet::contract_address::ContractAddress) -> core::bool
+   * @param {BigNumberish} address
+   * @returns {Promise<boolean>}
+   */
+  is_relayer(address) {
+    return this.contract.call('is_relayer', [address]);
+  }
+}
@@ -0,0 +1,719 @@
+/**
+ * VaultRegistry Contract Bindings
+ * Generated by scripts/generate-bindings.js from zclaim_VaultRegistry.contract_class.json;
+ * do not edit, run `npm run codegen` after `scarb build` instead
+ */
+
+import { Contract } from 'starknet';
+
+/** @typedef {import('starknet').BigNumberish} BigNumberish */
+/** @typedef {import('starknet').CairoCustomEnum} CairoCustomEnum */
+/** @typedef {import('starknet').InvokeFunctionResponse} InvokeFunctionResponse */
+
+/**
+ * @typedef {Object} VaultRegistration - zclaim::vault::types::VaultRegistration
+ * @property {bigint} zcash_diversifier
+ * @property {bigint} zcash_pkd
+ * @property {bigint} collateral
+ */
+
+/**
+ * @typedef {Object} BalanceProof - zclaim::vault::types::BalanceProof
+ * @property {bigint} balance_commitment
+ * @property {bigint} exchange_rate
+ * @property {Array<bigint>} proof
+ * @property {bigint} valid_at_height
+ */
+
+/**
+ * @typedef {Object} Vault - zclaim::vault::types::Vault
+ * @property {bigint} address
+ * @property {bigint} zcash_address_hash
+ * @property {bigint} collateral
+ * @property {bigint} balance_commitment
+ * @property {bigint} last_exchange_rate
+ * @property {boolean} accepts_issue
+ * @property {boolean} accepts_redeem
+ * @property {bigint} registered_at
+ * @property {boolean} active
+ */
+
+/**
+ * @typedef {CairoCustomEnum} VaultStatus - zclaim::vault::types::VaultStatus:
+ *   Unregistered, Active, Suspended, Liquidating, Liquidated
+ */
+
+export const ABI = [
+  {
+    "type": "impl",
+    "name": "VaultRegistryImpl",
+    "interface_name": "zclaim::vault::registry::IVaultRegistry"
+  },
+  {
+    "type": "struct",
+    "name": "core::integer::u256",
+    "members": [
+      {
+        "name": "low",
+        "type": "core::integer::u128"
+      },
+      {
+        "name": "high",
+        "type": "core::integer::u128"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::vault::types::VaultRegistration",
+    "members": [
+      {
+        "name": "zcash_diversifier",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "zcash_pkd",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "collateral",
+        "type": "core::integer::u256"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::vault::types::BalanceProof",
+    "members": [
+      {
+        "name": "balance_commitment",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "exchange_rate",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "proof",
+        "type": "core::array::Array::<core::felt252>"
+      },
+      {
+        "name": "valid_at_height",
+        "type": "core::integer::u64"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "core::bool",
+    "variants": [
+      {
+        "name": "False",
+        "type": "()"
+      },
+      {
+        "name": "True",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::vault::types::Vault",
+    "members": [
+      {
+        "name": "address",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "zcash_address_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "collateral",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "balance_commitment",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "last_exchange_rate",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "accepts_issue",
+        "type": "core::bool"
+      },
+      {
+        "name": "accepts_redeem",
+        "type": "core::bool"
+      },
+      {
+        "name": "registered_at",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "active",
+        "type": "core::bool"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "zclaim::vault::types::VaultStatus",
+    "variants": [
+      {
+        "name": "Unregistered",
+        "type": "()"
+      },
+      {
+        "name": "Active",
+        "type": "()"
+      },
+      {
+        "name": "Suspended",
+        "type": "()"
+      },
+      {
+        "name": "Liquidating",
+        "type": "()"
+      },
+      {
+        "name": "Liquidated",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "interface",
+    "name": "zclaim::vault::registry::IVaultRegistry",
+    "items": [
+      {
+        "type": "function",
+        "name": "register_vault",
+        "inputs": [
+          {
+            "name": "registration",
+            "type": "zclaim::vault::types::VaultRegistration"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "add_collateral",
+        "inputs": [
+          {
+            "name": "amount",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "withdraw_collateral",
+        "inputs": [
+          {
+            "name": "amount",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "submit_balance_proof",
+        "inputs": [
+          {
+            "name": "proof",
+            "type": "zclaim::vault::types::BalanceProof"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "set_accepts_issue",
+        "inputs": [
+          {
+            "name": "accepts",
+            "type": "core::bool"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "set_accepts_redeem",
+        "inputs": [
+          {
+            "name": "accepts",
+            "type": "core::bool"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "get_vault",
+        "inputs": [
+          {
+            "name": "vault_id",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "zclaim::vault::types::Vault"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_vault_status",
+        "inputs": [
+          {
+            "name": "vault_id",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "zclaim::vault::types::VaultStatus"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_vault_count",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_available_vaults_for_issue",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::array::Array::<core::starknet::contract_address::ContractAddress>"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_available_vaults_for_redeem",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::array::Array::<core::starknet::contract_address::ContractAddress>"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "is_collateralized",
+        "inputs": [
+          {
+            "name": "vault_id",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_exchange_rate",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "update_exchange_rate",
+        "inputs": [
+          {
+            "name": "rate",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      }
+    ]
+  },
+  {
+    "type": "constructor",
+    "name": "constructor",
+    "inputs": [
+      {
+        "name": "owner",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "oracle",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "collateral_token",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "initial_rate",
+        "type": "core::integer::u256"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::vault::registry::VaultRegistry::VaultRegistered",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "collateral",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "zcash_address_hash",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::vault::registry::VaultRegistry::CollateralAdded",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "amount",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "new_total",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::vault::registry::VaultRegistry::CollateralWithdrawn",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "amount",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "new_total",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::vault::registry::VaultRegistry::BalanceProofSubmitted",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "balance_commitment",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "exchange_rate",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::vault::registry::VaultRegistry::VaultStatusChanged",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "old_status",
+        "type": "zclaim::vault::types::VaultStatus",
+        "kind": "data"
+      },
+      {
+        "name": "new_status",
+        "type": "zclaim::vault::types::VaultStatus",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::vault::registry::VaultRegistry::ExchangeRateUpdated",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "old_rate",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "new_rate",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::vault::registry::VaultRegistry::Event",
+    "kind": "enum",
+    "variants": [
+      {
+        "name": "VaultRegistered",
+        "type": "zclaim::vault::registry::VaultRegistry::VaultRegistered",
+        "kind": "nested"
+      },
+      {
+        "name": "CollateralAdded",
+        "type": "zclaim::vault::registry::VaultRegistry::CollateralAdded",
+        "kind": "nested"
+      },
+      {
+        "name": "CollateralWithdrawn",
+        "type": "zclaim::vault::registry::VaultRegistry::CollateralWithdrawn",
+        "kind": "nested"
+      },
+      {
+        "name": "BalanceProofSubmitted",
+        "type": "zclaim::vault::registry::VaultRegistry::BalanceProofSubmitted",
+        "kind": "nested"
+      },
+      {
+        "name": "VaultStatusChanged",
+        "type": "zclaim::vault::registry::VaultRegistry::VaultStatusChanged",
+        "kind": "nested"
+      },
+      {
+        "name": "ExchangeRateUpdated",
+        "type": "zclaim::vault::registry::VaultRegistry::ExchangeRateUpdated",
+        "kind": "nested"
+      }
+    ]
+  }
+];
+
+// Event name → the key parseEvents() reports it under
+export const EVENTS = {
+  VaultRegistered: 'zclaim::vault::registry::VaultRegistry::VaultRegistered',
+  CollateralAdded: 'zclaim::vault::registry::VaultRegistry::CollateralAdded',
+  CollateralWithdrawn: 'zclaim::vault::registry::VaultRegistry::CollateralWithdrawn',
+  BalanceProofSubmitted: 'zclaim::vault::registry::VaultRegistry::BalanceProofSubmitted',
+  VaultStatusChanged: 'zclaim::vault::registry::VaultRegistry::VaultStatusChanged',
+  ExchangeRateUpdated: 'zclaim::vault::registry::VaultRegistry::ExchangeRateUpdated',
+};
+
+export class VaultRegistry {
+  /**
+   * @param {string} address
+   * @param {import('starknet').ProviderInterface|import('starknet').AccountInterface} providerOrAccount
+   *   An account is needed for external functions
+   */
+  constructor(address, providerOrAccount) {
+    this.address = address;
+    this.contract = new Contract(ABI, address, providerOrAccount);
+  }
+
+  /**
+   * Call of an external function, for fee estimates and multicalls
+   * @returns {import('starknet').Call}
+   */
+  populate(method, args = []) {
+    return this.contract.populate(method, args);
+  }
+
+  /**
+   * Events of this contract in a transaction receipt, keyed by EVENTS values
+   */
+  parseEvents(receipt) {
+    return this.contract.parseEvents(receipt);
+  }
+
+  /**
+   * register_vault(registration: zclaim::vault::types::VaultRegistration) -> core::integer::u256
+   * @param {VaultRegistration} registration
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  register_vault(registration) {
+    return this.contract.invoke('register_vault', [registration]);
+  }
+
+  /**
+   * add_collateral(amount: core::integer::u256)
+   * @param {BigNumberish} amount
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  add_collateral(amount) {
+    return this.contract.invoke('add_collateral', [amount]);
+  }
+
+  /**
+   * withdraw_collateral(amount: core::integer::u256)
+   * @param {BigNumberish} amount
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  withdraw_collateral(amount) {
+    return this.contract.invoke('withdraw_collateral', [amount]);
+  }
+
+  /**
+   * submit_balance_proof(proof: zclaim::vault::types::BalanceProof)
+   * @param {BalanceProof} proof
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  submit_balance_proof(proof) {
+    return this.contract.invoke('submit_balance_proof', [proof]);
+  }
+
+  /**
+   * set_accepts_issue(accepts: core::bool)
+   * @param {boolean} accepts
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  set_accepts_issue(accepts) {
+    return this.contract.invoke('set_accepts_issue', [accepts]);
+  }
+
+  /**
+   * set_accepts_redeem(accepts: core::bool)
+   * @param {boolean} accepts
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  set_accepts_redeem(accepts) {
+    return this.contract.invoke('set_accepts_redeem', [accepts]);
+  }
+
+  /**
+   * get_vault(vault_id: core::starknet::contract_address::ContractAddress) -> zclaim::vault::types::Vault
+   * @param {BigNumberish} vault_id
+   * @returns {Promise<Vault>}
+   */
+  get_vault(vault_id) {
+    return this.contract.call('get_vault', [vault_id]);
+  }
+
+  /**
+   * get_vault_status(vault_id: core::starknet::contract_address::ContractAddress) -> zclaim::vault::types::VaultStatus
+   * @param {BigNumberish} vault_id
+   * @returns {Promise<VaultStatus>}
+   */
+  get_vault_status(vault_id) {
+    return this.contract.call('get_vault_status', [vault_id]);
+  }
+
+  /**
+   * get_vault_count() -> core::integer::u256
+   * @returns {Promise<bigint>}
+   */
+  get_vault_count() {
+    return this.contract.call('get_vault_count', []);
+  }
+
+  /**
+   * get_available_vaults_for_issue() -> core::array::Array::<core::starknet::contract_address::ContractAddress>
+   * @returns {Promise<Array<bigint>>}
+   */
+  get_available_vaults_for_issue() {
+    return this.contract.call('get_available_vaults_for_issue', []);
+  }
+
+  /**
+   * get_available_vaults_for_redeem() -> core::array::Array::<core::starknet::contract_address::ContractAddress>
+   * @returns {Promise<Array<bigint>>}
+   */
+  get_available_vaults_for_redeem() {
+    return this.contract.call('get_available_vaults_for_redeem', []);
+  }
+
+  /**
+   * is_collateralized(vault_id: core::starknet::contract_address::ContractAddress) -> core::bool
+   * @param {BigNumberish} vault_id
+   * @returns {Promise<boolean>}
+   */
+  is_collateralized(vault_id) {
+    return this.contract.call('is_collateralized', [vault_id]);
+  }
+
+  /**
+   * get_exchange_rate() -> core::integer::u256
+   * @returns {Promise<bigint>}
+   */
+  get_exchange_rate() {
+    return this.contract.call('get_exchange_rate', []);
+  }
+
+  /**
+   * update_exchange_rate(rate: core::integer::u256)
+   * @param {BigNumberish} rate
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  update_exchange_rate(rate) {
+    return this.contract.invoke('update_exchange_rate', [rate]);
+  }
+}
@@ -0,0 +1,516 @@
+/**
+ * wZEC Contract Bindings
+ * Generated by scripts/generate-bindings.js from zclaim_wZEC.contract_class.json;
+ * do not edit, run `npm run codegen` after `scarb build` instead
+ */
+
+import { Contract } from 'starknet';
+
+/** @typedef {import('starknet').BigNumberish} BigNumberish */
+/** @typedef {import('starknet').CairoCustomEnum} CairoCustomEnum */
+/** @typedef {import('starknet').InvokeFunctionResponse} InvokeFunctionResponse */
+
+export const ABI = [
+  {
+    "type": "impl",
+    "name": "wZECImpl",
+    "interface_name": "zclaim::token::wzec::IwZEC"
+  },
+  {
+    "type": "struct",
+    "name": "core::byte_array::ByteArray",
+    "members": [
+      {
+        "name": "data",
+        "type": "core::array::Array::<core::bytes_31::bytes31>"
+      },
+      {
+        "name": "pending_word",
+        "type": "core::felt252"
+      },
+      {
+        "name": "pending_word_len",
+        "type": "core::integer::u32"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "core::integer::u256",
+    "members": [
+      {
+        "name": "low",
+        "type": "core::integer::u128"
+      },
+      {
+        "name": "high",
+        "type": "core::integer::u128"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "core::bool",
+    "variants": [
+      {
+        "name": "False",
+        "type": "()"
+      },
+      {
+        "name": "True",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "interface",
+    "name": "zclaim::token::wzec::IwZEC",
+    "items": [
+      {
+        "type": "function",
+        "name": "name",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::byte_array::ByteArray"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "symbol",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::byte_array::ByteArray"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "decimals",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::integer::u8"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "total_supply",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "balance_of",
+        "inputs": [
+          {
+            "name": "account",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "allowance",
+        "inputs": [
+          {
+            "name": "owner",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "spender",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "transfer",
+        "inputs": [
+          {
+            "name": "recipient",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "amount",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "transfer_from",
+        "inputs": [
+          {
+            "name": "sender",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "recipient",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "amount",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "approve",
+        "inputs": [
+          {
+            "name": "spender",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "amount",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "mint",
+        "inputs": [
+          {
+            "name": "to",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "amount",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "burn",
+        "inputs": [
+          {
+            "name": "from",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "amount",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "bridge_address",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "set_bridge",
+        "inputs": [
+          {
+            "name": "bridge",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      }
+    ]
+  },
+  {
+    "type": "constructor",
+    "name": "constructor",
+    "inputs": [
+      {
+        "name": "owner",
+        "type": "core::starknet::contract_address::ContractAddress"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::token::wzec::wZEC::Transfer",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "from",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "to",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "value",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::token::wzec::wZEC::Approval",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "owner",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "spender",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "value",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::token::wzec::wZEC::BridgeUpdated",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "old_bridge",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      },
+      {
+        "name": "new_bridge",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::token::wzec::wZEC::Event",
+    "kind": "enum",
+    "variants": [
+      {
+        "name": "Transfer",
+        "type": "zclaim::token::wzec::wZEC::Transfer",
+        "kind": "nested"
+      },
+      {
+        "name": "Approval",
+        "type": "zclaim::token::wzec::wZEC::Approval",
+        "kind": "nested"
+      },
+      {
+        "name": "BridgeUpdated",
+        "type": "zclaim::token::wzec::wZEC::BridgeUpdated",
+        "kind": "nested"
+      }
+    ]
+  }
+];
+
+// Event name → the key parseEvents() reports it under
+export const EVENTS = {
+  Transfer: 'zclaim::token::wzec::wZEC::Transfer',
+  Approval: 'zclaim::token::wzec::wZEC::Approval',
+  BridgeUpdated: 'zclaim::token::wzec::wZEC::BridgeUpdated',
+};
+
+export class wZEC {
+  /**
+   * @param {string} address
+   * @param {import('starknet').ProviderInterface|import('starknet').AccountInterface} providerOrAccount
+   *   An account is needed for external functions
+   */
+  constructor(address, providerOrAccount) {
+    this.address = address;
+    this.contract = new Contract(ABI, address, providerOrAccount);
+  }
+
+  /**
+   * Call of an external function, for fee estimates and multicalls
+   * @returns {import('starknet').Call}
+   */
+  populate(method, args = []) {
+    return this.contract.populate(method, args);
+  }
+
+  /**
+   * Events of this contract in a transaction receipt, keyed by EVENTS values
+   */
+  parseEvents(receipt) {
+    return this.contract.parseEvents(receipt);
+  }
+
+  /**
+   * name() -> core::byte_array::ByteArray
+   * @returns {Promise<string>}
+   */
+  name() {
+    return this.contract.call('name', []);
+  }
+
+  /**
+   * symbol() -> core::byte_array::ByteArray
+   * @returns {Promise<string>}
+   */
+  symbol() {
+    return this.contract.call('symbol', []);
+  }
+
+  /**
+   * decimals() -> core::integer::u8
+   * @returns {Promise<bigint>}
+   */
+  decimals() {
+    return this.contract.call('decimals', []);
+  }
+
+  /**
+   * total_supply() -> core::integer::u256
+   * @returns {Promise<bigint>}
+   */
+  total_supply() {
+    return this.contract.call('total_supply', []);
+  }
+
+  /**
+   * balance_of(account: core::starknet::contract_address::ContractAddress) -> core::integer::u256
+   * @param {BigNumberish} account
+   * @returns {Promise<bigint>}
+   */
+  balance_of(account) {
+    return this.contract.call('balance_of', [account]);
+  }
+
+  /**
+   * allowance(owner: core::starknet::contract_address::ContractAddress, spender: core::starknet::contract_address::ContractAddress) -> core::integer::u256
+   * @param {BigNumberish} owner
+   * @param {BigNumberish} spender
+   * @returns {Promise<bigint>}
+   */
+  allowance(owner, spender) {
+    return this.contract.call('allowance', [owner, spender]);
+  }
+
+  /**
+   * transfer(recipient: core::starknet::contract_address::ContractAddress, amount: core::integer::u256) -> core::bool
+   * @param {BigNumberish} recipient
+   * @param {BigNumberish} amount
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  transfer(recipient, amount) {
+    return this.contract.invoke('transfer', [recipient, amount]);
+  }
+
+  /**
+   * transfer_from(sender: core::starknet::contract_address::ContractAddress, recipient: core::starknet::contract_address::ContractAddress, amount: core::integer::u256) -> core::bool
+   * @param {BigNumberish} sender
+   * @param {BigNumberish} recipient
+   * @param {BigNumberish} amount
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  transfer_from(sender, recipient, amount) {
+    return this.contract.invoke('transfer_from', [sender, recipient, amount]);
+  }
+
+  /**
+   * approve(spender: core::starknet::contract_address::ContractAddress, amount: core::integer::u256) -> core::bool
+   * @param {BigNumberish} spender
+   * @param {BigNumberish} amount
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  approve(spender, amount) {
+    return this.contract.invoke('approve', [spender, amount]);
+  }
+
+  /**
+   * mint(to: core::starknet::contract_address::ContractAddress, amount: core::integer::u256)
+   * @param {BigNumberish} to
+   * @param {BigNumberish} amount
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  mint(to, amount) {
+    return this.contract.invoke('mint', [to, amount]);
+  }
+
+  /**
+   * burn(from: core::starknet::contract_address::ContractAddress, amount: core::integer::u256)
+   * @param {BigNumberish} from
+   * @param {BigNumberish} amount
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  burn(from, amount) {
+    return this.contract.invoke('burn', [from, amount]);
+  }
+
+  /**
+   * bridge_address() -> core::starknet::contract_address::ContractAddress
+   * @returns {Promise<bigint>}
+   */
+  bridge_address() {
+    return this.contract.call('bridge_address', []);
+  }
+
+  /**
+   * set_bridge(bridge: core::starknet::contract_address::ContractAddress)
+   * @param {BigNumberish} bridge
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  set_bridge(bridge) {
+    return this.contract.invoke('set_bridge', [bridge]);
+  }
+}
@@ -0,0 +1,836 @@
+/**
+ * ZclaimBridge Contract Bindings
+ * Generated by scripts/generate-bindings.js from zclaim_ZclaimBridge.contract_class.json;
+ * do not edit, run `npm run codegen` after `scarb build` instead
+ */
+
+import { Contract } from 'starknet';
+
+/** @typedef {import('starknet').BigNumberish} BigNumberish */
+/** @typedef {import('starknet').CairoCustomEnum} CairoCustomEnum */
+/** @typedef {import('starknet').InvokeFunctionResponse} InvokeFunctionResponse */
+
+/**
+ * @typedef {Object} MerkleProof - zclaim::relay::types::MerkleProof
+ * @property {Array<bigint>} siblings
+ * @property {bigint} index
+ */
+
+/**
+ * @typedef {Object} MintTransfer - zclaim::relay::types::MintTransfer
+ * @property {bigint} cv
+ * @property {bigint} cvn
+ * @property {bigint} permit_nonce
+ * @property {bigint} note_commitment
+ * @property {bigint} block_hash
+ * @property {MerkleProof} merkle_proof
+ * @property {Array<bigint>} encrypted_note
+ */
+
+/**
+ * @typedef {Object} BurnTransfer - zclaim::relay::types::BurnTransfer
+ * @property {bigint} cv
+ * @property {bigint} cvn
+ * @property {bigint} vault_id
+ * @property {bigint} requested_note_commitment
+ * @property {Array<bigint>} encrypted_note
+ */
+
+/**
+ * @typedef {CairoCustomEnum} IssueStatus - zclaim::relay::types::IssueStatus:
+ *   None, AwaitingMint, AwaitingConfirmation, Confirmed, Challenged, Expired
+ */
+
+/**
+ * @typedef {CairoCustomEnum} RedeemStatus - zclaim::relay::types::RedeemStatus:
+ *   None, AwaitingRelease, Confirmed, Challenged, Expired
+ */
+
+/**
+ * @typedef {Object} LockPermit - zclaim::relay::types::LockPermit
+ * @property {bigint} nonce
+ * @property {bigint} vault_address_hash
+ * @property {bigint} user_emk
+ * @property {bigint} issued_at
+ * @property {bigint} expires_at
+ * @property {boolean} used
+ */
+
+export const ABI = [
+  {
+    "type": "impl",
+    "name": "ZclaimBridgeImpl",
+    "interface_name": "zclaim::bridge::zclaim::IZclaimBridge"
+  },
+  {
+    "type": "struct",
+    "name": "core::integer::u256",
+    "members": [
+      {
+        "name": "low",
+        "type": "core::integer::u128"
+      },
+      {
+        "name": "high",
+        "type": "core::integer::u128"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::MerkleProof",
+    "members": [
+      {
+        "name": "siblings",
+        "type": "core::array::Array::<core::integer::u256>"
+      },
+      {
+        "name": "index",
+        "type": "core::integer::u64"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::MintTransfer",
+    "members": [
+      {
+        "name": "cv",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "cvn",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "permit_nonce",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "note_commitment",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "block_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "merkle_proof",
+        "type": "zclaim::relay::types::MerkleProof"
+      },
+      {
+        "name": "encrypted_note",
+        "type": "core::array::Array::<core::felt252>"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::BurnTransfer",
+    "members": [
+      {
+        "name": "cv",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "cvn",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "vault_id",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "requested_note_commitment",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "encrypted_note",
+        "type": "core::array::Array::<core::felt252>"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "zclaim::relay::types::IssueStatus",
+    "variants": [
+      {
+        "name": "None",
+        "type": "()"
+      },
+      {
+        "name": "AwaitingMint",
+        "type": "()"
+      },
+      {
+        "name": "AwaitingConfirmation",
+        "type": "()"
+      },
+      {
+        "name": "Confirmed",
+        "type": "()"
+      },
+      {
+        "name": "Challenged",
+        "type": "()"
+      },
+      {
+        "name": "Expired",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "zclaim::relay::types::RedeemStatus",
+    "variants": [
+      {
+        "name": "None",
+        "type": "()"
+      },
+      {
+        "name": "AwaitingRelease",
+        "type": "()"
+      },
+      {
+        "name": "Confirmed",
+        "type": "()"
+      },
+      {
+        "name": "Challenged",
+        "type": "()"
+      },
+      {
+        "name": "Expired",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "core::bool",
+    "variants": [
+      {
+        "name": "False",
+        "type": "()"
+      },
+      {
+        "name": "True",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::LockPermit",
+    "members": [
+      {
+        "name": "nonce",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "vault_address_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "user_emk",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "issued_at",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "expires_at",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "used",
+        "type": "core::bool"
+      }
+    ]
+  },
+  {
+    "type": "interface",
+    "name": "zclaim::bridge::zclaim::IZclaimBridge",
+    "items": [
+      {
+        "type": "function",
+        "name": "request_lock",
+        "inputs": [
+          {
+            "name": "vault",
+            "type": "core::starknet::contract_address::ContractAddress"
+          },
+          {
+            "name": "user_emk",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "mint",
+        "inputs": [
+          {
+            "name": "permit_nonce",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "transfer",
+            "type": "zclaim::relay::types::MintTransfer"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "confirm_issue",
+        "inputs": [
+          {
+            "name": "permit_nonce",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "challenge_issue",
+        "inputs": [
+          {
+            "name": "permit_nonce",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "shared_secret",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "burn",
+        "inputs": [
+          {
+            "name": "transfer",
+            "type": "zclaim::relay::types::BurnTransfer"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "confirm_redeem",
+        "inputs": [
+          {
+            "name": "burn_nonce",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "note_commitment",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "proof_siblings",
+            "type": "core::array::Array::<core::integer::u256>"
+          },
+          {
+            "name": "proof_index",
+            "type": "core::integer::u64"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "challenge_redeem",
+        "inputs": [
+          {
+            "name": "burn_nonce",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "shared_secret",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "get_issue_status",
+        "inputs": [
+          {
+            "name": "permit_nonce",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "zclaim::relay::types::IssueStatus"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_redeem_status",
+        "inputs": [
+          {
+            "name": "burn_nonce",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "zclaim::relay::types::RedeemStatus"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_lock_permit",
+        "inputs": [
+          {
+            "name": "nonce",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "zclaim::relay::types::LockPermit"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_token",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_relay",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_registry",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "state_mutability": "view"
+      }
+    ]
+  },
+  {
+    "type": "constructor",
+    "name": "constructor",
+    "inputs": [
+      {
+        "name": "token",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "relay",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "registry",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "owner",
+        "type": "core::starknet::contract_address::ContractAddress"
+      },
+      {
+        "name": "fee_rate",
+        "type": "core::integer::u256"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::LockPermitIssued",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "nonce",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "user",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      },
+      {
+        "name": "expires_at",
+        "type": "core::integer::u64",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::MintSubmitted",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "permit_nonce",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "note_commitment",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "block_hash",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::IssueConfirmed",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "permit_nonce",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "user",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      },
+      {
+        "name": "amount",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::IssueChallenged",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "permit_nonce",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::BurnSubmitted",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "burn_nonce",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      },
+      {
+        "name": "user",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::RedeemConfirmed",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "burn_nonce",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "note_commitment",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::RedeemChallenged",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "burn_nonce",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "vault",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::bridge::zclaim::ZclaimBridge::Event",
+    "kind": "enum",
+    "variants": [
+      {
+        "name": "LockPermitIssued",
+        "type": "zclaim::bridge::zclaim::ZclaimBridge::LockPermitIssued",
+        "kind": "nested"
+      },
+      {
+        "name": "MintSubmitted",
+        "type": "zclaim::bridge::zclaim::ZclaimBridge::MintSubmitted",
+        "kind": "nested"
+      },
+      {
+        "name": "IssueConfirmed",
+        "type": "zclaim::bridge::zclaim::ZclaimBridge::IssueConfirmed",
+        "kind": "nested"
+      },
+      {
+        "name": "IssueChallenged",
+        "type": "zclaim::bridge::zclaim::ZclaimBridge::IssueChallenged",
+        "kind": "nested"
+      },
+      {
+        "name": "BurnSubmitted",
+        "type": "zclaim::bridge::zclaim::ZclaimBridge::BurnSubmitted",
+        "kind": "nested"
+      },
+      {
+        "name": "RedeemConfirmed",
+        "type": "zclaim::bridge::zclaim::ZclaimBridge::RedeemConfirmed",
+        "kind": "nested"
+      },
+      {
+        "name": "RedeemChallenged",
+        "type": "zclaim::bridge::zclaim::ZclaimBridge::RedeemChallenged",
+        "kind": "nested"
+      }
+    ]
+  }
+];
+
+// Event name → the key parseEvents() reports it under
+export const EVENTS = {
+  LockPermitIssued: 'zclaim::bridge::zclaim::ZclaimBridge::LockPermitIssued',
+  MintSubmitted: 'zclaim::bridge::zclaim::ZclaimBridge::MintSubmitted',
+  IssueConfirmed: 'zclaim::bridge::zclaim::ZclaimBridge::IssueConfirmed',
+  IssueChallenged: 'zclaim::bridge::zclaim::ZclaimBridge::IssueChallenged',
+  BurnSubmitted: 'zclaim::bridge::zclaim::ZclaimBridge::BurnSubmitted',
+  RedeemConfirmed: 'zclaim::bridge::zclaim::ZclaimBridge::RedeemConfirmed',
+  RedeemChallenged: 'zclaim::bridge::zclaim::ZclaimBridge::RedeemChallenged',
+};
+
+export class ZclaimBridge {
+  /**
+   * @param {string} address
+   * @param {import('starknet').ProviderInterface|import('starknet').AccountInterface} providerOrAccount
+   *   An account is needed for external functions
+   */
+  constructor(address, providerOrAccount) {
+    this.address = address;
+    this.contract = new Contract(ABI, address, providerOrAccount);
+  }
+
+  /**
+   * Call of an external function, for fee estimates and multicalls
+   * @returns {import('starknet').Call}
+   */
+  populate(method, args = []) {
+    return this.contract.populate(method, args);
+  }
+
+  /**
+   * Events of this contract in a transaction receipt, keyed by EVENTS values
+   */
+  parseEvents(receipt) {
+    return this.contract.parseEvents(receipt);
+  }
+
+  /**
+   * request_lock(vault: core::starknet::contract_address::ContractAddress, user_emk: core::integer::u256) -> core::integer::u256
+   * @param {BigNumberish} vault
+   * @param {BigNumberish} user_emk
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  request_lock(vault, user_emk) {
+    return this.contract.invoke('request_lock', [vault, user_emk]);
+  }
+
+  /**
+   * mint(permit_nonce: core::integer::u256, transfer: zclaim::relay::types::MintTransfer)
+   * @param {BigNumberish} permit_nonce
+   * @param {MintTransfer} transfer
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  mint(permit_nonce, transfer) {
+    return this.contract.invoke('mint', [permit_nonce, transfer]);
+  }
+
+  /**
+   * confirm_issue(permit_nonce: core::integer::u256)
+   * @param {BigNumberish} permit_nonce
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  confirm_issue(permit_nonce) {
+    return this.contract.invoke('confirm_issue', [permit_nonce]);
+  }
+
+  /**
+   * challenge_issue(permit_nonce: core::integer::u256, shared_secret: core::integer::u256)
+   * @param {BigNumberish} permit_nonce
+   * @param {BigNumberish} shared_secret
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  challenge_issue(permit_nonce, shared_secret) {
+    return this.contract.invoke('challenge_issue', [permit_nonce, shared_secret]);
+  }
+
+  /**
+   * burn(transfer: zclaim::relay::types::BurnTransfer) -> core::integer::u256
+   * @param {BurnTransfer} transfer
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  burn(transfer) {
+    return this.contract.invoke('burn', [transfer]);
+  }
+
+  /**
+   * confirm_redeem(burn_nonce: core::integer::u256, note_commitment: core::integer::u256, block_hash: core::integer::u256, proof_siblings: core::array::Array::<core::integer::u256>, proof_index: core::integer::u64)
+   * @param {BigNumberish} burn_nonce
+   * @param {BigNumberish} note_commitment
+   * @param {BigNumberish} block_hash
+   * @param {Array<BigNumberish>} proof_siblings
+   * @param {BigNumberish} proof_index
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  confirm_redeem(burn_nonce, note_commitment, block_hash, proof_siblings, proof_index) {
+    return this.contract.invoke('confirm_redeem', [burn_nonce, note_commitment, block_hash, proof_siblings, proof_index]);
+  }
+
+  /**
+   * challenge_redeem(burn_nonce: core::integer::u256, shared_secret: core::integer::u256)
+   * @param {BigNumberish} burn_nonce
+   * @param {BigNumberish} shared_secret
+   * @returns {Promise<InvokeFunctionResponse>}
+   */
+  challenge_redeem(burn_nonce, shared_secret) {
+    return this.contract.invoke('challenge_redeem', [burn_nonce, shared_secret]);
+  }
+
+  /**
+   * get_issue_status(permit_nonce: core::integer::u256) -> zclaim::relay::types::IssueStatus
+   * @param {BigNumberish} permit_nonce
+   * @returns {Promise<IssueStatus>}
+   */
+  get_issue_status(permit_nonce) {
+    return this.contract.call('get_issue_status', [permit_nonce]);
+  }
+
+  /**
+   * get_redeem_status(burn_nonce: core::integer::u256) -> zclaim::relay::types::RedeemStatus
+   * @param {BigNumberish} burn_nonce
+   * @returns {Promise<RedeemStatus>}
+   */
+  get_redeem_status(burn_nonce) {
+    return this.contract.call('get_redeem_status', [burn_nonce]);
+  }
+
+  /**
+   * get_lock_permit(nonce: core::integer::u256) -> zclaim::relay::types::LockPermit
+   * @param {BigNumberish} nonce
+   * @returns {Promise<LockPermit>}
+   */
+  get_lock_permit(nonce) {
+    return this.contract.call('get_lock_permit', [nonce]);
+  }
+
+  /**
+   * get_token() -> core::starknet::contract_address::ContractAddress
+   * @returns {Promise<bigint>}
+   */
+  get_token() {
+    return this.contract.call('get_token', []);
+  }
+
+  /**
+   * get_relay() -> core::starknet::contract_address::ContractAddress
+   * @returns {Promise<bigint>}
+   */
+  get_relay() {
+    return this.contract.call('get_relay', []);
+  }
+
+  /**
+   * get_registry() -> core::starknet::contract_address::ContractAddress
+   * @returns {Promise<bigint>}
+   */
+  get_registry() {
+    return this.contract.call('get_registry', []);
+  }
+}
@@ -4,23 +4,44 @@
  * Privacy-preserving Zcash to Starknet bridge CLI
  */
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import { relayCommand } from './commands/relay.js';
 import { issueCommand } from './commands/issue.js';
 import { redeemCommand } from './commands/redeem.js';
 import { vaultCommand } from './commands/vault.js';
 import { configCommand } from './commands/config.js';
+import { accountCommand } from './commands/account.js';
 import { statusCommand } from './commands/status.js';
 import { testnetCommand } from './commands/testnet.js';
-import { LOGO, LOGO_SMALL, bullet, info } from './utils/ui.js';
+import { LOGO, LOGO_SMALL, print, bullet, info, error } from './utils/ui.js';
+import { EXIT, CliError, setOutputMode, isHuman, isJson, emit, fail } from './utils/output.js';
+import { config } from './config.js';
 
 const program = new Command();
 
 program
   .name('zarklink')
   .description('CLI for zarklink bridge - Privacy-preserving Zcash to Starknet bridge')
-  .version('0.1.0');
+  .version('0.1.0')
+  .option('--json', 'Write a JSON document (NDJSON for streaming commands) to stdout')
+  .option('-q, --quiet', 'Print nothing but errors (on stderr)')
+  .option('-y, --yes', 'Answer yes to confirmations (required for them with --json or --quiet)')
+  .addOption(new Option('--profile <name>', 'Network profile for this command (default: the one set with `config profile use`)').env('ZARKLINK_PROFILE'));
+
+// Output mode and the command name the JSON documents report, then the
+// network profile the command runs against
+program.hook('preAction', (root, actionCommand) => {
+  const path = [];
+  for (let cmd = actionCommand; cmd && cmd !== root; cmd = cmd.parent) {
+    path.unshift(cmd.name());
+  }
+  setOutputMode({ ...root.opts(), command: path.join(' ') });
+  
+  if (root.opts().profile) {
+    config.use(root.opts().profile);
+  }
+});
 
 // Add subcommands
 program.addCommand(relayCommand);
@@ -28,24 +49,87 @@ program.addCommand(issueCommand);
 program.addCommand(redeemCommand);
 program.addCommand(vaultCommand);
 program.addCommand(configCommand);
+program.addCommand(accountCommand);
 program.addCommand(statusCommand);
 program.addCommand(testnetCommand);
 
 // Default action
 program.action(() => {
-  console.log(LOGO);
-  console.log(chalk.dim('    Privacy-Preserving Zcash ↔ Starknet Bridge\n'));
+  print(LOGO);
+  print(chalk.dim('    Privacy-Preserving Zcash ↔ Starknet Bridge\n'));
   
-  console.log(chalk.bold.white('  Commands:\n'));
-  console.log(`    ${chalk.cyan('issue')}    ${chalk.dim('─')} Lock ZEC → mint wZEC`);
-  console.log(`    ${chalk.cyan('redeem')}   ${chalk.dim('─')} Burn wZEC → unlock ZEC`);
-  console.log(`    ${chalk.cyan('relay')}    ${chalk.dim('─')} Manage block header relay`);
-  console.log(`    ${chalk.cyan('vault')}    ${chalk.dim('─')} Vault operations`);
-  console.log(`    ${chalk.cyan('status')}   ${chalk.dim('─')} Bridge & transaction status`);
-  console.log(`    ${chalk.cyan('testnet')}  ${chalk.dim('─')} Zcash testnet utilities`);
-  console.log(`    ${chalk.cyan('config')}   ${chalk.dim('─')} Configure settings`);
-  console.log('');
-  console.log(chalk.dim('  Run `zarklink <command> --help` for more information\n'));
+  print(chalk.bold.white('  Commands:\n'));
+  print(`    ${chalk.cyan('issue')}    ${chalk.dim('─')} Lock ZEC → mint wZEC`);
+  print(`    ${chalk.cyan('redeem')}   ${chalk.dim('─')} Burn wZEC → unlock ZEC`);
+  print(`    ${chalk.cyan('relay')}    ${chalk.dim('─')} Manage block header relay`);
+  print(`    ${chalk.cyan('vault')}    ${chalk.dim('─')} Vault operations`);
+  print(`    ${chalk.cyan('status')}   ${chalk.dim('─')} Bridge & transaction status`);
+  print(`    ${chalk.cyan('testnet')}  ${chalk.dim('─')} Zcash testnet utilities`);
+  print(`    ${chalk.cyan('config')}   ${chalk.dim('─')} Configure settings`);
+  print(`    ${chalk.cyan('account')}  ${chalk.dim('─')} Starknet account keystores`);
+  print('');
+  print(chalk.dim('  Run `zarklink <command> --help` for more information\n'));
+  
+  emit({ commands: program.commands.map((cmd) => cmd.name()) });
 });
 
-program.parse();
+// The preAction hook only runs for a command that executes, so help and
+// argument errors need the output mode from the raw arguments
+function earlyOutputMode(args) {
+  const end = args.indexOf('--');
+  const globals = end === -1 ? args : args.slice(0, end);
+  
+  const path = [];
+  let command = program;
+  for (const arg of globals) {
+    const sub = command.commands.find((cmd) => cmd.name() === arg || cmd.aliases().includes(arg));
+    if (sub) {
+      path.push(sub.name());
+      command = sub;
+    }
+  }
+  
+  setOutputMode({
+    json: globals.includes('--json'),
+    quiet: globals.includes('-q') || globals.includes('--quiet'),
+    yes: globals.includes('-y') || globals.includes('--yes'),
+    command: path.join(' '),
+  });
+}
+earlyOutputMode(process.argv.slice(2));
+
+// Commander's help and messages are for people: the machine modes turn
+// them into the error document (--json) or the single stderr line
+// (--quiet). Argument errors exit with USAGE.
+let helpText = '';
+function overrideExit(command) {
+  command.configureOutput({
+    writeOut: (str) => (isHuman() ? process.stdout.write(str) : (helpText += str)),
+    writeErr: (str) => (isHuman() ? process.stderr.write(str) : (helpText += str)),
+    outputError: (str, write) => isHuman() && write(str),
+  });
+  command.exitOverride((err) => {
+    if (err.code === 'commander.version' && isJson()) {
+      emit({ version: program.version() });
+    }
+    if (err.code === 'commander.helpDisplayed' && isJson()) {
+      fail(new CliError(EXIT.USAGE, 'Help is text only; run without --json to read it', { help: helpText }), EXIT.USAGE);
+    }
+    if (err.exitCode === 0) {
+      process.exit(0); // --help, --version
+    }
+    if (err.code === 'commander.help') {
+      const subcommands = command.commands.map((cmd) => cmd.name()).join(', ');
+      const message = `${command.name()} needs a subcommand (${subcommands})`;
+      fail(new CliError(EXIT.USAGE, message, isJson() ? { help: helpText } : undefined), EXIT.USAGE);
+    }
+    fail(new CliError(EXIT.USAGE, err.message.replace(/^error: /, '')), EXIT.USAGE);
+  });
+  command.commands.forEach(overrideExit);
+}
+overrideExit(program);
+
+program.parseAsync().catch((err) => {
+  error(`Failed: ${err.message}`);
+  fail(err);
+});
@@ -5,7 +5,14 @@
 
 import blake2 from 'blake2';
 import nacl from 'tweetnacl';
-import { zcashRpc, getBlockByHeight, getSaplingRoot, parseBlockHeader } from './zcash.js';
+import {
+  zcashRpc,
+  getBlockByHeight,
+  getSaplingRoot,
+  parseBlockHeader,
+  withBlockRoots,
+  getBlockRoots,
+} from './zcash.js';
 
 /**
  * Sapling Note structure
@@ -326,39 +333,12 @@ export async function waitForConfirmation(opid, requiredConfirmations = 20) {
  */
 export async function getBlockHeaderForRelay(height) {
   const block = await getBlockByHeight(height, 1);
-  const header = parseBlockHeader(block.hex?.substring(0, 280) || '0'.repeat(280));
-  
-  return {
-    height,
-    hash: block.hash,
-    prevBlockHash: header.prevBlockHash,
-    merkleRoot: header.merkleRoot,
-    saplingRoot: header.saplingRoot || block.finalsaplingroot,
-    timestamp: header.timestamp || block.time,
-    bits: header.bits || parseInt(block.bits, 16),
-    nonce: header.nonce,
-  };
-}
-
-/**
- * Encode block header for Starknet submission
- */
-export function encodeHeaderForStarknet(header) {
-  const splitU256 = (hexStr) => {
-    const buf = Buffer.from(hexStr.replace('0x', ''), 'hex');
-    const padded = Buffer.concat([Buffer.alloc(32 - buf.length), buf]);
-    const low = BigInt('0x' + padded.slice(16, 32).toString('hex'));
-    const high = BigInt('0x' + padded.slice(0, 16).toString('hex'));
-    return [low.toString(), high.toString()];
-  };
+  const header = withBlockRoots(
+    parseBlockHeader(await zcashRpc('getblockheader', [block.hash, false]), height),
+    getBlockRoots(block)
+  );
   
-  return [
-    ...splitU256(header.prevBlockHash),
-    ...splitU256(header.merkleRoot),
-    ...splitU256(header.saplingRoot),
-    header.timestamp.toString(),
-    header.bits.toString(),
-  ];
+  return { ...header, height, hash: block.hash };
 }
 
 /**
@@ -1,235 +1,51 @@
 /**
  * Bridge Contract Interaction
- * Functions for interacting with zarklink bridge on Starknet
+ * Functions for interacting with zarklink bridge on Starknet, through the
+ * bindings generated from the Cairo ABIs (src/generated)
  */
 
-import { Contract, CallData } from 'starknet';
-import { getProvider, getAccount, bigIntToU256, u256ToBigInt, waitForTransaction } from './starknet.js';
+import { getProvider, getAccount, u256ToBigInt, waitForTransaction, estimateFee } from './starknet.js';
 import { config } from '../config.js';
+import {
+  ZclaimBridge,
+  RelaySystem,
+  VaultRegistry,
+  wZEC,
+  ZCLAIM_BRIDGE_EVENTS,
+} from '../generated/index.js';
+import { EXIT, CliError } from './output.js';
 
-// Bridge ABI (minimal)
-const BRIDGE_ABI = [
-  {
-    name: 'request_lock',
-    type: 'function',
-    inputs: [
-      { name: 'vault', type: 'core::starknet::contract_address::ContractAddress' },
-      { name: 'amount', type: 'core::integer::u256' },
-      { name: 'user_emk', type: 'core::integer::u256' },
-    ],
-    outputs: [{ name: 'permit_nonce', type: 'core::integer::u256' }],
-    state_mutability: 'external',
-  },
-  {
-    name: 'get_permit',
-    type: 'function',
-    inputs: [{ name: 'nonce', type: 'core::integer::u256' }],
-    outputs: [
-      { name: 'vault_address', type: 'core::starknet::contract_address::ContractAddress' },
-      { name: 'vault_zaddr_hash', type: 'core::integer::u256' },
-      { name: 'amount', type: 'core::integer::u256' },
-      { name: 'user_emk', type: 'core::integer::u256' },
-      { name: 'expires_at', type: 'core::integer::u64' },
-      { name: 'status', type: 'core::integer::u8' },
-    ],
-    state_mutability: 'view',
-  },
-  {
-    name: 'mint',
-    type: 'function',
-    inputs: [
-      { name: 'permit_nonce', type: 'core::integer::u256' },
-      { name: 'block_hash', type: 'core::integer::u256' },
-      { name: 'note_commitment', type: 'core::integer::u256' },
-      { name: 'cv', type: 'core::integer::u256' },
-      { name: 'cvn', type: 'core::integer::u256' },
-      { name: 'merkle_proof', type: 'core::array::Array::<core::integer::u256>' },
-      { name: 'merkle_index', type: 'core::integer::u32' },
-      { name: 'encrypted_note', type: 'core::array::Array::<core::felt252>' },
-    ],
-    outputs: [{ name: 'minted_amount', type: 'core::integer::u256' }],
-    state_mutability: 'external',
-  },
-  {
-    name: 'request_redeem',
-    type: 'function',
-    inputs: [
-      { name: 'amount', type: 'core::integer::u256' },
-      { name: 'vault', type: 'core::starknet::contract_address::ContractAddress' },
-      { name: 'encrypted_dest', type: 'core::array::Array::<core::felt252>' },
-    ],
-    outputs: [{ name: 'burn_nonce', type: 'core::integer::u256' }],
-    state_mutability: 'external',
-  },
-  {
-    name: 'confirm_release',
-    type: 'function',
-    inputs: [
-      { name: 'burn_nonce', type: 'core::integer::u256' },
-      { name: 'zcash_txid', type: 'core::integer::u256' },
-    ],
-    outputs: [],
-    state_mutability: 'external',
-  },
-  {
-    name: 'claim_collateral',
-    type: 'function',
-    inputs: [{ name: 'burn_nonce', type: 'core::integer::u256' }],
-    outputs: [{ name: 'collateral_amount', type: 'core::integer::u256' }],
-    state_mutability: 'external',
-  },
-  {
-    name: 'get_burn_request',
-    type: 'function',
-    inputs: [{ name: 'burn_nonce', type: 'core::integer::u256' }],
-    outputs: [
-      { name: 'burner', type: 'core::starknet::contract_address::ContractAddress' },
-      { name: 'vault', type: 'core::starknet::contract_address::ContractAddress' },
-      { name: 'amount', type: 'core::integer::u256' },
-      { name: 'encrypted_dest', type: 'core::array::Array::<core::felt252>' },
-      { name: 'timeout', type: 'core::integer::u64' },
-      { name: 'status', type: 'core::integer::u8' },
-    ],
-    state_mutability: 'view',
-  },
-];
-
-// Relay ABI (minimal)
-const RELAY_ABI = [
-  {
-    name: 'get_chain_tip',
-    type: 'function',
-    inputs: [],
-    outputs: [{ name: 'tip_hash', type: 'core::integer::u256' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'get_chain_tip_height',
-    type: 'function',
-    inputs: [],
-    outputs: [{ name: 'height', type: 'core::integer::u64' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'get_sapling_root',
-    type: 'function',
-    inputs: [{ name: 'block_hash', type: 'core::integer::u256' }],
-    outputs: [{ name: 'sapling_root', type: 'core::integer::u256' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'is_confirmed',
-    type: 'function',
-    inputs: [{ name: 'block_hash', type: 'core::integer::u256' }],
-    outputs: [{ name: 'confirmed', type: 'core::bool' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'submit_block_header',
-    type: 'function',
-    inputs: [
-      { name: 'header_data', type: 'core::array::Array::<core::felt252>' },
-      { name: 'height', type: 'core::integer::u64' },
-    ],
-    outputs: [{ name: 'block_hash', type: 'core::integer::u256' }],
-    state_mutability: 'external',
-  },
-];
-
-// Vault Registry ABI (minimal)
-const REGISTRY_ABI = [
-  {
-    name: 'get_vault',
-    type: 'function',
-    inputs: [{ name: 'vault_address', type: 'core::starknet::contract_address::ContractAddress' }],
-    outputs: [
-      { name: 'zcash_address_hash', type: 'core::integer::u256' },
-      { name: 'collateral', type: 'core::integer::u256' },
-      { name: 'active', type: 'core::bool' },
-    ],
-    state_mutability: 'view',
-  },
-  {
-    name: 'get_vault_zaddr',
-    type: 'function',
-    inputs: [{ name: 'vault_address', type: 'core::starknet::contract_address::ContractAddress' }],
-    outputs: [{ name: 'zaddr_hash', type: 'core::integer::u256' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'get_vault_count',
-    type: 'function',
-    inputs: [],
-    outputs: [{ name: 'count', type: 'core::integer::u32' }],
-    state_mutability: 'view',
-  },
-];
-
-// Token ABI (minimal)
-const TOKEN_ABI = [
-  {
-    name: 'name',
-    type: 'function',
-    inputs: [],
-    outputs: [{ name: 'name', type: 'core::felt252' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'symbol',
-    type: 'function',
-    inputs: [],
-    outputs: [{ name: 'symbol', type: 'core::felt252' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'decimals',
-    type: 'function',
-    inputs: [],
-    outputs: [{ name: 'decimals', type: 'core::integer::u8' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'total_supply',
-    type: 'function',
-    inputs: [],
-    outputs: [{ name: 'supply', type: 'core::integer::u256' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'balance_of',
-    type: 'function',
-    inputs: [{ name: 'account', type: 'core::starknet::contract_address::ContractAddress' }],
-    outputs: [{ name: 'balance', type: 'core::integer::u256' }],
-    state_mutability: 'view',
-  },
-];
+const hex = (value) => u256ToBigInt(value).toString(16).padStart(64, '0');
+
+/**
+ * Fields of the first `name` event a contract emitted in a receipt
+ */
+function eventOf(contract, events, receipt, name) {
+  const event = receipt && contract.parseEvents(receipt).find(parsed => parsed[events[name]]);
+  if (!event) {
+    throw new Error(`Transaction emitted no ${name} event`);
+  }
+  return event[events[name]];
+}
 
 /**
  * Get Bridge contract instance
  */
-export function getBridgeContract(withAccount = false) {
+export function getBridgeContract(account = null) {
   const address = config.contracts.bridge;
-  if (!address) throw new Error('Bridge contract address not configured');
+  if (!address) throw new CliError(EXIT.CONFIG, 'Bridge contract address not configured');
   
-  if (withAccount) {
-    const account = getAccount();
-    return new Contract(BRIDGE_ABI, address, account);
-  }
-  return new Contract(BRIDGE_ABI, address, getProvider());
+  return new ZclaimBridge(address, account || getProvider());
 }
 
 /**
  * Get Relay contract instance
  */
-export function getRelayContract(withAccount = false) {
+export function getRelayContract(account = null) {
   const address = config.contracts.relay;
-  if (!address) throw new Error('Relay contract address not configured');
+  if (!address) throw new CliError(EXIT.CONFIG, 'Relay contract address not configured');
   
-  if (withAccount) {
-    const account = getAccount();
-    return new Contract(RELAY_ABI, address, account);
-  }
-  return new Contract(RELAY_ABI, address, getProvider());
+  return new RelaySystem(address, account || getProvider());
 }
 
 /**
@@ -237,8 +53,8 @@ export function getRelayContract(withAccount = false) {
  */
 export function getRegistryContract() {
   const address = config.contracts.registry;
-  if (!address) throw new Error('Registry contract address not configured');
-  return new Contract(REGISTRY_ABI, address, getProvider());
+  if (!address) throw new CliError(EXIT.CONFIG, 'Registry contract address not configured');
+  return new VaultRegistry(address, getProvider());
 }
 
 /**
@@ -246,50 +62,50 @@ export function getRegistryContract() {
  */
 export function getTokenContract() {
   const address = config.contracts.token;
-  if (!address) throw new Error('Token contract address not configured');
-  return new Contract(TOKEN_ABI, address, getProvider());
+  if (!address) throw new CliError(EXIT.CONFIG, 'Token contract address not configured');
+  return new wZEC(address, getProvider());
 }
 
 // ============ Issue Protocol Functions ============
 
 /**
  * Request a lock permit from the bridge
+ * The amount is not part of the permit: it stays hidden in the value
+ * commitments of the mint
  */
-export async function requestLockPermit(vaultAddress, amount, userEmk) {
-  const contract = getBridgeContract(true);
-  
-  const tx = await contract.request_lock(
-    vaultAddress,
-    bigIntToU256(amount),
-    bigIntToU256(userEmk)
-  );
+export async function requestLockPermit(vaultAddress, userEmk) {
+  const contract = getBridgeContract(await getAccount());
   
+  const tx = await contract.request_lock(vaultAddress, userEmk);
   const receipt = await waitForTransaction(tx.transaction_hash);
-  
-  // Extract permit nonce from events
-  const permitNonce = receipt.events?.[0]?.data?.[0] || '0';
+  const issued = eventOf(contract, ZCLAIM_BRIDGE_EVENTS, receipt, 'LockPermitIssued');
   
   return {
     txHash: tx.transaction_hash,
-    permitNonce: BigInt(permitNonce),
+    permitNonce: issued.nonce,
   };
 }
 
 /**
- * Get lock permit details
+ * Get lock permit details and the issue status of its nonce
+ * status is an IssueStatus variant name ('AwaitingMint', 'Confirmed', ...)
  */
 export async function getLockPermit(nonce) {
   const contract = getBridgeContract();
   
-  const result = await contract.get_permit(bigIntToU256(nonce));
+  const [permit, status] = await Promise.all([
+    contract.get_lock_permit(nonce),
+    contract.get_issue_status(nonce),
+  ]);
   
   return {
-    vaultAddress: result.vault_address,
-    vaultZaddrHash: u256ToBigInt(result.vault_zaddr_hash).toString(16),
-    amount: u256ToBigInt(result.amount),
-    userEmk: u256ToBigInt(result.user_emk).toString(16),
-    expiresAt: Number(result.expires_at),
-    status: Number(result.status),
+    nonce: permit.nonce,
+    vaultZaddrHash: hex(permit.vault_address_hash),
+    userEmk: hex(permit.user_emk),
+    issuedAt: Number(permit.issued_at),
+    expiresAt: Number(permit.expires_at),
+    used: permit.used,
+    status: status.activeVariant(),
   };
 }
 
@@ -308,18 +124,20 @@ export async function submitMintProof(params) {
     encryptedNote,
   } = params;
 
-  const contract = getBridgeContract(true);
-  
-  const tx = await contract.mint(
-    bigIntToU256(permitNonce),
-    bigIntToU256(BigInt('0x' + blockHash)),
-    bigIntToU256(BigInt('0x' + noteCommitment)),
-    bigIntToU256(BigInt('0x' + cv)),
-    bigIntToU256(BigInt('0x' + cvn)),
-    merkleProof.map(h => bigIntToU256(BigInt('0x' + h))),
-    merkleIndex,
-    encryptedNote.map(b => b.toString())
-  );
+  const contract = getBridgeContract(await getAccount());
+  
+  const tx = await contract.mint(permitNonce, {
+    cv: BigInt('0x' + cv),
+    cvn: BigInt('0x' + cvn),
+    permit_nonce: permitNonce,
+    note_commitment: BigInt('0x' + noteCommitment),
+    block_hash: BigInt('0x' + blockHash),
+    merkle_proof: {
+      siblings: merkleProof.map(h => BigInt('0x' + h)),
+      index: merkleIndex,
+    },
+    encrypted_note: encryptedNote.map(b => b.toString()),
+  });
   
   const receipt = await waitForTransaction(tx.transaction_hash);
   
@@ -329,77 +147,100 @@ export async function submitMintProof(params) {
   };
 }
 
-// ============ Redeem Protocol Functions ============
+/**
+ * Confirm an issue after receiving the locked ZEC (vault only)
+ */
+export async function confirmIssue(permitNonce) {
+  const contract = getBridgeContract(await getAccount());
+  
+  const tx = await contract.confirm_issue(permitNonce);
+  
+  return await waitForTransaction(tx.transaction_hash);
+}
 
 /**
- * Get burn request info
+ * Challenge an issue whose note encryption is bad (vault only)
  */
-export async function getBurnRequest(burnNonce) {
-  const contract = getBridgeContract();
+export async function challengeIssue(permitNonce, sharedSecret) {
+  const contract = getBridgeContract(await getAccount());
   
-  const result = await contract.get_burn_request(bigIntToU256(burnNonce));
+  const tx = await contract.challenge_issue(permitNonce, BigInt('0x' + sharedSecret));
   
-  const statusMap = {
-    0: 'pending',
-    1: 'released',
-    2: 'claimed',
-    3: 'expired'
-  };
+  return await waitForTransaction(tx.transaction_hash);
+}
+
+// ============ Redeem Protocol Functions ============
+
+/**
+ * Get the redeem status of a burn nonce, as a RedeemStatus variant name
+ * ('AwaitingRelease', 'Confirmed', ...)
+ */
+export async function getRedeemStatus(burnNonce) {
+  const contract = getBridgeContract();
   
-  return {
-    burner: '0x' + result.burner.toString(16),
-    vault: '0x' + result.vault.toString(16),
-    amount: u256ToBigInt(result.amount),
-    encryptedDest: result.encrypted_dest,
-    timeout: Number(result.timeout),
-    status: statusMap[Number(result.status)] || 'unknown',
-    statusCode: Number(result.status),
-  };
+  const status = await contract.get_redeem_status(burnNonce);
+  return status.activeVariant();
 }
 
 /**
  * Request redemption (burn wZEC)
+ * @param {Object} transfer
+ * @param {string} transfer.cv - Value commitment, hex
+ * @param {string} transfer.cvn - Net value commitment, hex
+ * @param {string} transfer.vault - Vault address
+ * @param {string} transfer.requestedNoteCommitment - Note the vault must release, hex
+ * @param {Array<string>} transfer.encryptedNote - Note encrypted to the vault, as felts
  */
-export async function requestRedeem(amount, vaultAddress, encryptedDest) {
-  const contract = getBridgeContract(true);
+export async function requestRedeem({ cv, cvn, vault, requestedNoteCommitment, encryptedNote }) {
+  const contract = getBridgeContract(await getAccount());
   
-  const tx = await contract.request_redeem(
-    bigIntToU256(amount),
-    vaultAddress,
-    encryptedDest
-  );
+  const tx = await contract.burn({
+    cv: BigInt('0x' + cv),
+    cvn: BigInt('0x' + cvn),
+    vault_id: vault,
+    requested_note_commitment: BigInt('0x' + requestedNoteCommitment),
+    encrypted_note: encryptedNote,
+  });
   
   const receipt = await waitForTransaction(tx.transaction_hash);
-  
-  const burnNonce = receipt.events?.[0]?.data?.[0] || '0';
+  const burned = eventOf(contract, ZCLAIM_BRIDGE_EVENTS, receipt, 'BurnSubmitted');
   
   return {
     txHash: tx.transaction_hash,
-    burnNonce: BigInt(burnNonce),
+    burnNonce: burned.burn_nonce,
   };
 }
 
 /**
- * Confirm ZEC release (vault only)
+ * Confirm a redeem by proving the released note is in a relayed block
+ * (vault only)
+ * @param {Object} release
+ * @param {string} release.noteCommitment - Released note, hex
+ * @param {string} release.blockHash - Zcash block containing it, hex
+ * @param {Array<string>} release.siblings - Sapling tree path, hex
+ * @param {number} release.index - Note position in the tree
  */
-export async function confirmRelease(burnNonce, zcashTxid) {
-  const contract = getBridgeContract(true);
-  
-  const tx = await contract.confirm_release(
-    bigIntToU256(burnNonce),
-    bigIntToU256(BigInt('0x' + zcashTxid))
+export async function confirmRedeem(burnNonce, { noteCommitment, blockHash, siblings, index }) {
+  const contract = getBridgeContract(await getAccount());
+  
+  const tx = await contract.confirm_redeem(
+    burnNonce,
+    BigInt('0x' + noteCommitment),
+    BigInt('0x' + blockHash),
+    siblings.map(h => BigInt('0x' + h)),
+    index
   );
   
   return await waitForTransaction(tx.transaction_hash);
 }
 
 /**
- * Claim collateral after timeout
+ * Challenge a redeem whose note encryption is bad (vault only)
  */
-export async function claimCollateral(burnNonce) {
-  const contract = getBridgeContract(true);
+export async function challengeRedeem(burnNonce, sharedSecret) {
+  const contract = getBridgeContract(await getAccount());
   
-  const tx = await contract.claim_collateral(bigIntToU256(burnNonce));
+  const tx = await contract.challenge_redeem(burnNonce, BigInt('0x' + sharedSecret));
   
   return await waitForTransaction(tx.transaction_hash);
 }
@@ -412,28 +253,75 @@ export async function claimCollateral(burnNonce) {
 export async function getRelayChainTip() {
   const contract = getRelayContract();
   
-  const [tipHash, tipHeight] = await Promise.all([
-    contract.get_chain_tip(),
-    contract.get_chain_tip_height(),
-  ]);
+  const { 0: tipHash, 1: tipHeight } = await contract.get_chain_tip();
   
   return {
-    hash: u256ToBigInt(tipHash).toString(16).padStart(64, '0'),
+    hash: hex(tipHash),
     height: Number(tipHeight),
   };
 }
 
+/**
+ * Get the main-chain block hash the relay stores at a height (null if none)
+ */
+export async function getRelayBlockHash(height) {
+  const contract = getRelayContract();
+  
+  const hash = await contract.get_block_hash(height);
+  return hash === 0n ? null : hex(hash);
+}
+
+/**
+ * Get the header the relay stores for a block hash (null if unknown)
+ * Hashes and roots are hex in display byte order
+ */
+export async function getRelayHeader(blockHash) {
+  const contract = getRelayContract();
+  
+  const header = await contract.get_header(BigInt('0x' + blockHash));
+  if (!header.verified) {
+    return null;
+  }
+  
+  return {
+    blockHash: hex(header.block_hash),
+    prevBlockHash: hex(header.prev_block_hash),
+    merkleRoot: hex(header.merkle_root),
+    saplingRoot: hex(header.sapling_root),
+    timestamp: Number(header.timestamp),
+    bits: Number(header.bits),
+    height: Number(header.height),
+    chainWork: header.chain_work,
+  };
+}
+
+/**
+ * Deploy a RelaySystem contract whose genesis is a trusted checkpoint
+ * @param {string} classHash - Declared RelaySystem class
+ * @param {Array<string>} constructorCalldata - From @zarklink/checkpoints
+ * @returns {Promise<{ address: string, txHash: string }>}
+ */
+export async function deployRelayContract(classHash, constructorCalldata, onStatus) {
+  const account = await getAccount();
+  
+  const { transaction_hash, contract_address } = await account.deployContract({
+    classHash,
+    constructorCalldata,
+  });
+  await waitForTransaction(transaction_hash, onStatus);
+  
+  return { address: contract_address, txHash: transaction_hash };
+}
+
 /**
  * Get Sapling root for a block
  */
 export async function getRelaySaplingRoot(blockHash) {
   const contract = getRelayContract();
   
-  const root = await contract.get_sapling_root(
-    bigIntToU256(BigInt('0x' + blockHash))
-  );
+  const root = await contract.get_sapling_root(BigInt('0x' + blockHash));
   
-  return u256ToBigInt(root).toString(16).padStart(64, '0');
+  return hex(root);
 }
 
 /**
@@ -442,22 +330,45 @@ export async function getRelaySaplingRoot(blockHash) {
 export async function isBlockConfirmed(blockHash) {
   const contract = getRelayContract();
   
-  return await contract.is_confirmed(
-    bigIntToU256(BigInt('0x' + blockHash))
-  );
+  return await contract.is_confirmed(BigInt('0x' + blockHash));
 }
 
 /**
  * Submit block header to relay
  */
 export async function submitBlockHeader(headerData, height) {
-  const contract = getRelayContract(true);
+  const contract = getRelayContract(await getAccount());
   
   const tx = await contract.submit_block_header(headerData, height);
   
   return await waitForTransaction(tx.transaction_hash);
 }
 
+/**
+ * Submit consecutive block headers in one transaction
+ */
+export async function submitBlockHeadersBatch(headers, startHeight, onStatus) {
+  const contract = getRelayContract(await getAccount());
+  
+  const tx = await contract.submit_block_headers_batch(headers, startHeight);
+  
+  return {
+    txHash: tx.transaction_hash,
+    receipt: await waitForTransaction(tx.transaction_hash, onStatus),
+  };
+}
+
+/**
+ * Estimate the fee of a header batch submission
+ */
+export async function estimateBlockHeadersBatchFee(headers, startHeight) {
+  const account = await getAccount();
+  const call = getRelayContract(account).populate('submit_block_headers_batch', [headers, startHeight]);
+  
+  const estimate = await estimateFee(account, [call]);
+  return BigInt(estimate.overall_fee);
+}
+
 // ============ Query Functions ============
 
 /**
@@ -466,12 +377,20 @@ export async function submitBlockHeader(headerData, height) {
 export async function getVaultInfo(vaultAddress) {
   const contract = getRegistryContract();
   
-  const result = await contract.get_vault(vaultAddress);
+  const [vault, status] = await Promise.all([
+    contract.get_vault(vaultAddress),
+    contract.get_vault_status(vaultAddress),
+  ]);
   
   return {
-    zcashAddressHash: u256ToBigInt(result.zcash_address_hash).toString(16),
-    collateral: u256ToBigInt(result.collateral),
-    active: result.active,
+    zcashAddressHash: hex(vault.zcash_address_hash),
+    collateral: vault.collateral,
+    balanceCommitment: hex(vault.balance_commitment),
+    acceptsIssue: vault.accepts_issue,
+    acceptsRedeem: vault.accepts_redeem,
+    registeredAt: Number(vault.registered_at),
+    active: vault.active,
+    status: status.activeVariant(),
   };
 }
 
@@ -489,10 +408,10 @@ export async function getTokenInfo() {
   ]);
   
   return {
-    name: feltToString(name),
-    symbol: feltToString(symbol),
+    name,
+    symbol,
     decimals: Number(decimals),
-    totalSupply: u256ToBigInt(totalSupply),
+    totalSupply,
   };
 }
 
@@ -501,16 +420,5 @@ export async function getTokenInfo() {
  */
 export async function getBalance(address) {
   const contract = getTokenContract();
-  const balance = await contract.balance_of(address);
-  return u256ToBigInt(balance);
-}
-
-// Helper
-function feltToString(felt) {
-  const hex = BigInt(felt).toString(16);
-  let str = '';
-  for (let i = 0; i < hex.length; i += 2) {
-    str += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
-  }
-  return str;
+  return await contract.balance_of(address);
 }
@@ -0,0 +1,370 @@
+/**
+ * Keystore
+ * Encrypted Starknet private keys in ~/.zarklink/keystores/<name>.json
+ *
+ * The files use the format starkli reads and writes (Web3 Secret Storage
+ * v3): the key is encrypted with AES-128-CTR under a scrypt-derived key and
+ * authenticated with keccak256(derivedKey[16..32] ‖ ciphertext), so a
+ * keystore made with `starkli signer keystore new` can be imported as is
+ * and an exported one used with `starkli --keystore`.
+ *
+ * `zarklink account unlock` keeps a key unlocked for a while: the key is
+ * written to ~/.zarklink/sessions/<name>.json encrypted with AES-256-GCM
+ * under a random token that only the shell gets, as ZARKLINK_SESSION.
+ * Without the token the session file is useless, and once it expires it is
+ * ignored and removed.
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  pbkdf2Sync,
+  randomBytes,
+  randomUUID,
+  scryptSync,
+  timingSafeEqual,
+} from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { keccak_256 } from '@noble/hashes/sha3';
+import chalk from 'chalk';
+import { pauseSpinners, COLORS } from './ui.js';
+import { EXIT, CliError, prompt } from './output.js';
+
+const KEYSTORE_DIR = join(homedir(), '.zarklink', 'keystores');
+const SESSION_DIR = join(homedir(), '.zarklink', 'sessions');
+
+// starkli's defaults (eth-keystore: log2 n = 13, r = 8, p = 1)
+const SCRYPT_PARAMS = { n: 8192, r: 8, p: 1 };
+
+const KEYSTORE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Stark curve order: private keys are in [1, n)
+const STARK_ORDER = 0x0800000000000010ffffffffffffffffb781126dcae7b2321e66a241adc64d2fn;
+
+/**
+ * Private key as 0x-prefixed 64 hex digits, or a USAGE error
+ */
+export function normalizePrivateKey(privateKey) {
+  let key;
+  try {
+    key = BigInt(privateKey);
+  } catch {
+    throw new CliError(EXIT.USAGE, 'Private key must be a hex number');
+  }
+  if (key <= 0n || key >= STARK_ORDER) {
+    throw new CliError(EXIT.USAGE, 'Private key is out of range for the Stark curve');
+  }
+  return '0x' + key.toString(16).padStart(64, '0');
+}
+
+function deriveKey(password, crypto) {
+  const params = crypto.kdfparams;
+  const salt = Buffer.from(params.salt, 'hex');
+  
+  if (crypto.kdf === 'scrypt') {
+    return scryptSync(Buffer.from(password, 'utf8'), salt, params.dklen, {
+      N: params.n,
+      r: params.r,
+      p: params.p,
+      maxmem: 256 * params.n * params.r,
+    });
+  }
+  if (crypto.kdf === 'pbkdf2' && params.prf === 'hmac-sha256') {
+    return pbkdf2Sync(Buffer.from(password, 'utf8'), salt, params.c, params.dklen, 'sha256');
+  }
+  throw new CliError(EXIT.CONFIG, `Unsupported keystore KDF ${crypto.kdf}`);
+}
+
+function mac(derivedKey, ciphertext) {
+  return Buffer.from(keccak_256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])));
+}
+
+/**
+ * Encrypt a private key into a keystore
+ * @param {string} privateKey
+ * @param {string} password
+ * @param {Object} params - scrypt n, r, p (starkli's defaults otherwise)
+ * @returns {Object} Keystore JSON
+ */
+export function encryptKey(privateKey, password, params = SCRYPT_PARAMS) {
+  const key = Buffer.from(normalizePrivateKey(privateKey).slice(2), 'hex');
+  const crypto = {
+    cipher: 'aes-128-ctr',
+    cipherparams: { iv: randomBytes(16).toString('hex') },
+    ciphertext: '',
+    kdf: 'scrypt',
+    kdfparams: { dklen: 32, n: params.n, p: params.p, r: params.r, salt: randomBytes(32).toString('hex') },
+    mac: '',
+  };
+  
+  const derivedKey = deriveKey(password, crypto);
+  const cipher = createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, 'hex'));
+  const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+  
+  crypto.ciphertext = ciphertext.toString('hex');
+  crypto.mac = mac(derivedKey, ciphertext).toString('hex');
+  
+  return { crypto, id: randomUUID(), version: 3 };
+}
+
+/**
+ * Decrypt a keystore
+ * @returns {string} Private key, 0x-prefixed
+ */
+export function decryptKey(keystore, password) {
+  const crypto = keystore?.crypto || keystore?.Crypto;
+  if (keystore?.version !== 3 || !crypto) {
+    throw new CliError(EXIT.CONFIG, 'Not a version 3 keystore');
+  }
+  if (crypto.cipher !== 'aes-128-ctr') {
+    throw new CliError(EXIT.CONFIG, `Unsupported keystore cipher ${crypto.cipher}`);
+  }
+  
+  const derivedKey = deriveKey(password, crypto);
+  const ciphertext = Buffer.from(crypto.ciphertext, 'hex');
+  const expected = Buffer.from(crypto.mac, 'hex');
+  const actual = mac(derivedKey, ciphertext);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new CliError(EXIT.USAGE, 'Wrong keystore password');
+  }
+  
+  const decipher = createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, 'hex'));
+  const key = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return normalizePrivateKey('0x' + key.toString('hex'));
+}
+
+// ============ Keystore Files ============
+
+/**
+ * Keystore names become file names under KEYSTORE_DIR and SESSION_DIR: no
+ * separators or dots that could point elsewhere
+ */
+function checkName(name) {
+  if (!KEYSTORE_NAME.test(name)) {
+    throw new CliError(EXIT.USAGE, `Invalid keystore name "${name}" (letters, digits, - and _)`);
+  }
+  return name;
+}
+
+function keystorePath(name) {
+  return join(KEYSTORE_DIR, `${checkName(name)}.json`);
+}
+
+export function hasKeystore(name) {
+  return existsSync(keystorePath(name));
+}
+
+export function readKeystore(name) {
+  const path = keystorePath(name);
+  if (!existsSync(path)) {
+    throw new CliError(EXIT.CONFIG, `No keystore named "${name}" (see \`zarklink account list\`)`);
+  }
+  return parseKeystore(readFileSync(path, 'utf8'), `Keystore ${name} (${path})`);
+}
+
+/**
+ * A keystore file from elsewhere, e.g. starkli's, to import
+ */
+export function readKeystoreFile(file) {
+  if (!existsSync(file)) {
+    throw new CliError(EXIT.USAGE, `No keystore file ${file}`);
+  }
+  return parseKeystore(readFileSync(file, 'utf8'), file);
+}
+
+function parseKeystore(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new CliError(EXIT.CONFIG, `${source} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Save a keystore, readable by the owner only
+ */
+export function writeKeystore(name, keystore) {
+  const path = keystorePath(name);
+  if (existsSync(path)) {
+    throw new CliError(EXIT.USAGE, `Keystore "${name}" already exists`);
+  }
+  mkdirSync(KEYSTORE_DIR, { recursive: true, mode: 0o700 });
+  writeFileSync(path, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  return path;
+}
+
+export function removeKeystore(name) {
+  rmSync(keystorePath(name), { force: true });
+  endSession(name);
+}
+
+/**
+ * Keystores in KEYSTORE_DIR. Files whose names are not keystore names
+ * (copied in by hand) are left out; a keystore that cannot be read is
+ * listed with a null keystore and the reason.
+ * @returns {Array<{ name: string, path: string, keystore: Object|null, error: string|null }>}
+ */
+export function listKeystores() {
+  if (!existsSync(KEYSTORE_DIR)) {
+    return [];
+  }
+  return readdirSync(KEYSTORE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(name => KEYSTORE_NAME.test(name))
+    .map(name => {
+      const path = join(KEYSTORE_DIR, `${name}.json`);
+      try {
+        return { name, path, keystore: readKeystore(name), error: null };
+      } catch (err) {
+        return { name, path, keystore: null, error: err.message };
+      }
+    });
+}
+
+// ============ Unlock Sessions ============
+
+function sessionPath(name) {
+  return join(SESSION_DIR, `${checkName(name)}.json`);
+}
+
+/**
+ * Keep a key unlocked
+ * @returns {{ token: string, expiresAt: number }} The token goes into
+ *   ZARKLINK_SESSION
+ */
+export function startSession(name, privateKey, timeoutSeconds, token = process.env.ZARKLINK_SESSION) {
+  const secret = token ? Buffer.from(token, 'base64url') : randomBytes(32);
+  if (secret.length !== 32) {
+    throw new CliError(EXIT.USAGE, 'ZARKLINK_SESSION is not a session token');
+  }
+  
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', secret, iv);
+  cipher.setAAD(Buffer.from(name));
+  const ciphertext = Buffer.concat([cipher.update(normalizePrivateKey(privateKey).slice(2), 'hex'), cipher.final()]);
+  const expiresAt = Math.floor(Date.now() / 1000) + timeoutSeconds;
+  
+  mkdirSync(SESSION_DIR, { recursive: true, mode: 0o700 });
+  writeFileSync(sessionPath(name), JSON.stringify({
+    keystore: readKeystore(name).id,
+    expiresAt,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+  }), { mode: 0o600 });
+  
+  return { token: secret.toString('base64url'), expiresAt };
+}
+
+/**
+ * A keystore's session file; an expired or unreadable one is removed
+ * @returns {Object|null}
+ */
+function loadSession(name) {
+  const path = sessionPath(name);
+  if (!existsSync(path)) {
+    return null;
+  }
+  
+  let session;
+  try {
+    session = JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    session = null;
+  }
+  if (!session || !(session.expiresAt > Date.now() / 1000)) {
+    rmSync(path, { force: true });
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Expiry of a keystore's session, or null when it has none (or it expired)
+ */
+export function sessionExpiry(name) {
+  return loadSession(name)?.expiresAt ?? null;
+}
+
+/**
+ * Private key from the session ZARKLINK_SESSION unlocks, if any
+ */
+function readSession(name, token = process.env.ZARKLINK_SESSION) {
+  const session = token ? loadSession(name) : null;
+  if (!session || session.keystore !== readKeystore(name).id) {
+    return null;
+  }
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', Buffer.from(token, 'base64url'), Buffer.from(session.iv, 'hex'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(session.tag, 'hex'));
+    const key = Buffer.concat([decipher.update(Buffer.from(session.ciphertext, 'hex')), decipher.final()]);
+    return '0x' + key.toString('hex');
+  } catch {
+    // Another shell's session
+    return null;
+  }
+}
+
+export function endSession(name) {
+  rmSync(sessionPath(name), { force: true });
+}
+
+// ============ Password Prompts ============
+
+/**
+ * Ask for a password, or take ZARKLINK_KEYSTORE_PASSWORD (scripts, CI)
+ * @param {string} message
+ * @param {boolean} confirm - Ask twice, for new keystores
+ */
+export async function askPassword(message, confirm = false) {
+  if (process.env.ZARKLINK_KEYSTORE_PASSWORD !== undefined) {
+    return process.env.ZARKLINK_KEYSTORE_PASSWORD;
+  }
+  
+  const questions = [
+    {
+      type: 'password',
+      name: 'password',
+      message: chalk.hex(COLORS.primary)(message),
+      mask: '*',
+      validate: (v) => !confirm || v.length >= 8 ? true : 'At least 8 characters',
+    },
+  ];
+  if (confirm) {
+    questions.push({
+      type: 'password',
+      name: 'repeated',
+      message: chalk.hex(COLORS.primary)('Repeat password:'),
+      mask: '*',
+      validate: (v, answers) => v === answers.password ? true : 'Passwords do not match',
+    });
+  }
+  
+  const resume = pauseSpinners();
+  try {
+    const { password } = await prompt(questions);
+    return password;
+  } finally {
+    resume();
+  }
+}
+
+/**
+ * Private key of a keystore: from an unlock session, or decrypted with a
+ * password
+ */
+export async function unlockKeystore(name) {
+  const keystore = readKeystore(name);
+  
+  const unlocked = readSession(name);
+  if (unlocked) {
+    return unlocked;
+  }
+  
+  const password = await askPassword(`Password for keystore ${name}:`);
+  return decryptKey(keystore, password);
+}
@@ -0,0 +1,175 @@
+/**
+ * Operation Ledger
+ * Local history of the issue and redeem operations this CLI takes part in,
+ * one journal per bridge in ~/.zarklink/ledger/<bridge>.jsonl
+ *
+ * Like the relayer's state store, it is a @zarklink/journal: every change
+ * is one JSON line, fsync'd and merged into the entry of its operation
+ * (`issue:<permit nonce>` or `redeem:<burn nonce>`). Entries keep what it
+ * takes to finish or audit an operation later, including secrets (the user
+ * emk and the note rcm), so the journal is readable by its owner only.
+ */
+
+import path from 'path';
+import { homedir } from 'os';
+import { KeyedJournal } from '@zarklink/journal';
+import { config } from '../config.js';
+import { warning } from './ui.js';
+import { EXIT, CliError } from './output.js';
+
+const LEDGER_DIR = path.join(homedir(), '.zarklink', 'ledger');
+
+export const OperationKind = {
+  ISSUE: 'issue',   // keyed by permit nonce
+  REDEEM: 'redeem', // keyed by burn nonce
+};
+
+// Who this machine acted as
+export const OperationRole = {
+  USER: 'user',
+  VAULT: 'vault',
+};
+
+// IssueStatus / RedeemStatus variants nothing follows
+const FINAL = new Set(['Confirmed', 'Challenged', 'Expired']);
+
+// Fields that let whoever reads them claim or link the operation's notes
+const SECRET_FIELDS = ['userEmk', 'rcm'];
+
+function normalizeNonce(nonce) {
+  return BigInt(nonce).toString();
+}
+
+/**
+ * Starknet address as 0x + 64 hex digits, so addresses compare as strings
+ */
+export function normalizeAddress(address) {
+  return address ? '0x' + BigInt(address).toString(16).padStart(64, '0') : null;
+}
+
+export function isFinalStatus(status) {
+  return FINAL.has(status);
+}
+
+/**
+ * Entry without its secrets, for listings
+ */
+export function withoutSecrets(entry) {
+  return Object.fromEntries(Object.entries(entry).filter(([field]) => !SECRET_FIELDS.includes(field)));
+}
+
+export class OperationLedger extends KeyedJournal {
+  constructor(filePath) {
+    // kind:nonce -> entry, in a file only the owner can read
+    super(filePath, record => `${record.kind}:${record.nonce}`, { mode: 0o600, dirMode: 0o700 });
+  }
+
+  /**
+   * Merge fields into an operation, creating it on first sight. A new
+   * `status` is added to the operation's transitions with the time it was
+   * observed; the role is the one the operation was first recorded with.
+   * @returns {Object} The updated entry
+   */
+  record(kind, nonce, fields = {}) {
+    nonce = normalizeNonce(nonce);
+    const existing = this.get(kind, nonce);
+    const now = new Date().toISOString();
+    const record = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    Object.assign(record, { kind, nonce, updatedAt: now });
+    
+    if (existing) {
+      delete record.role;
+    } else {
+      record.createdAt = now;
+      record.transitions = [];
+    }
+    if (fields.status !== undefined && fields.status !== existing?.status) {
+      record.transitions = [...(existing?.transitions || []), { status: fields.status, at: now }];
+    }
+    
+    this.append(record);
+    return this.get(kind, nonce);
+  }
+
+  /**
+   * Record a status read from the contract, for operations already in the
+   * ledger only
+   * @returns {Object|null} The entry, or null if the ledger doesn't have it
+   */
+  observe(kind, nonce, status) {
+    const entry = this.get(kind, nonce);
+    if (!entry) {
+      return null;
+    }
+    return entry.status === status ? entry : this.record(kind, nonce, { status });
+  }
+
+  get(kind, nonce) {
+    return this.entries.get(`${kind}:${normalizeNonce(nonce)}`) || null;
+  }
+
+  /**
+   * Operations of a kind, oldest first
+   * @param {string} kind
+   * @param {Object} filter
+   * @param {string} filter.role - Only the operations recorded with this role
+   * @param {string} filter.vault - Only the operations with this vault
+   * @param {boolean} filter.pending - Leave out operations in a final status
+   */
+  list(kind, { role, vault, pending = false } = {}) {
+    const vaultAddress = normalizeAddress(vault);
+    return [...this.entries.values()]
+      .filter(entry => entry.kind === kind)
+      .filter(entry => !role || entry.role === role)
+      .filter(entry => !vaultAddress || normalizeAddress(entry.vault) === vaultAddress)
+      .filter(entry => !pending || !isFinalStatus(entry.status))
+      .sort((a, b) => (BigInt(a.nonce) < BigInt(b.nonce) ? -1 : 1));
+  }
+}
+
+/**
+ * Ledger of the active profile's bridge, loaded
+ */
+export function openLedger(bridge = config.contracts.bridge) {
+  if (!bridge) {
+    throw new CliError(EXIT.CONFIG, 'Bridge contract not configured. Set contracts.bridge in config');
+  }
+  const ledger = new OperationLedger(path.join(LEDGER_DIR, `${normalizeAddress(bridge)}.jsonl`));
+  ledger.open();
+  return ledger;
+}
+
+/**
+ * Record one change in the active profile's ledger. By the time a command
+ * records, its transaction went through: failing to write is a warning, not
+ * a failure of the command.
+ * @returns {Object|null} The updated entry
+ */
+export function recordOperation(kind, nonce, fields) {
+  let ledger;
+  try {
+    ledger = openLedger();
+    return ledger.record(kind, nonce, fields);
+  } catch (err) {
+    warning(`Not saved to the local history: ${err.message}`);
+    return null;
+  } finally {
+    ledger?.close();
+  }
+}
+
+/**
+ * Record a status read from the contract if the ledger tracks the operation
+ */
+export function observeOperation(kind, nonce, status) {
+  let ledger;
+  try {
+    ledger = openLedger();
+    return ledger.observe(kind, nonce, status);
+  } catch (err) {
+    warning(`Not saved to the local history: ${err.message}`);
+    return null;
+  } finally {
+    ledger?.close();
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * CLI Output Modes
+ * Human output (the ui.js boxes and spinners), machine-readable `--json`
+ * documents, `--quiet`, and the exit codes every command ends with
+ *
+ * With `--json` stdout carries exactly one JSON document per command:
+ *
+ *   { "ok": true,  "command": "issue status", "data": { ... } }
+ *   { "ok": false, "command": "issue status", "error": { "code": "NOT_FOUND", "exitCode": 5, "message": "..." } }
+ *
+ * Long-running commands (relay sync, relay verify) stream NDJSON: one
+ * `{ "command", "event", "data" }` line per progress event, then the
+ * document above as the last line. u256 and other big integers are written
+ * as decimal strings.
+ *
+ * Human output goes through ui.js, which checks isHuman(), so stdout only
+ * carries these documents. With `--quiet` nothing is printed on success and
+ * failures print one line on stderr. Neither mode ever prompts: a value
+ * that would be asked for is a usage error, and a confirmation is only
+ * given by `--yes` (without it the command ends CANCELLED).
+ */
+
+import { stripVTControlCharacters } from 'util';
+import inquirer from 'inquirer';
+
+/**
+ * Exit codes, stable across releases
+ */
+export const EXIT = {
+  OK: 0,
+  ERROR: 1,          // Unexpected failure
+  USAGE: 2,          // Missing or invalid arguments
+  CONFIG: 3,         // Account, key, RPC or contract address not configured
+  NETWORK: 4,        // Starknet or Zcash endpoint unreachable or erroring
+  NOT_FOUND: 5,      // Permit, request, transaction, block or vault does not exist
+  STATE: 6,          // It exists but is in the wrong state (expired, not final, ...)
+  REJECTED: 7,       // The contract rejected or reverted the transaction
+  CANCELLED: 8,      // The operator declined a confirmation
+  MISMATCH: 9,       // A check failed (relay divergences, invalid address)
+};
+
+const CODE_NAMES = Object.fromEntries(Object.entries(EXIT).map(([name, code]) => [code, name]));
+
+/**
+ * Error with the exit code of its failure class
+ */
+export class CliError extends Error {
+  constructor(exitCode, message, details = undefined) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+    this.details = details;
+  }
+}
+
+const mode = {
+  json: false,
+  quiet: false,
+  yes: false,
+  command: '',
+};
+
+/**
+ * Set from the global --json / --quiet / --yes options before a command runs
+ */
+export function setOutputMode({ json = false, quiet = false, yes = false, command = '' }) {
+  mode.json = Boolean(json);
+  mode.quiet = Boolean(quiet);
+  mode.yes = Boolean(yes);
+  mode.command = command;
+}
+
+export function isJson() {
+  return mode.json;
+}
+
+export function isHuman() {
+  return !mode.json && !mode.quiet;
+}
+
+function serialize(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+/**
+ * Write the command's result document (--json only)
+ */
+export function emit(data) {
+  if (mode.json) {
+    process.stdout.write(serialize({ ok: true, command: mode.command, data }) + '\n');
+  }
+}
+
+/**
+ * Write one NDJSON progress line (--json only)
+ */
+export function emitEvent(event, data) {
+  if (mode.json) {
+    process.stdout.write(serialize({ command: mode.command, event, data }) + '\n');
+  }
+}
+
+/**
+ * Exit code of an error: CliErrors carry theirs, transport failures are
+ * NETWORK, reverted transactions REJECTED, anything else ERROR
+ */
+export function exitCodeOf(err) {
+  if (err instanceof CliError) {
+    return err.exitCode;
+  }
+
+  const message = String(err?.message || '');
+  if (
+    ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(err?.code) ||
+    err?.isAxiosError ||
+    /fetch failed|socket hang up|network error|timeout/i.test(message)
+  ) {
+    return EXIT.NETWORK;
+  }
+  if (/REVERTED|REJECTED|execution (was )?reverted|Failure reason/i.test(message)) {
+    return EXIT.REJECTED;
+  }
+  return EXIT.ERROR;
+}
+
+/**
+ * End the command with an error. In human mode the command has already
+ * shown it; --json writes the error document, --quiet one stderr line.
+ */
+export function fail(err, exitCode = exitCodeOf(err)) {
+  const message = err?.message || String(err);
+
+  if (mode.json) {
+    const error = { code: CODE_NAMES[exitCode] || 'ERROR', exitCode, message };
+    if (err?.details !== undefined) {
+      error.details = err.details;
+    }
+    process.stdout.write(serialize({ ok: false, command: mode.command, error }) + '\n');
+  } else if (mode.quiet) {
+    process.stderr.write(`zarklink ${mode.command}: ${message}\n`);
+  }
+
+  process.exit(exitCode);
+}
+
+/**
+ * Refuse what needs a confirmation when no one is there to give it: with
+ * --json or --quiet only --yes does
+ * @param {string} action - What was not confirmed, for the error message
+ */
+export function requireYes(action) {
+  if (!isHuman() && !mode.yes) {
+    throw new CliError(EXIT.CANCELLED, `${action} needs --yes with --json or --quiet`);
+  }
+}
+
+/**
+ * inquirer.prompt that never blocks a machine mode. --yes answers the
+ * confirmations in every mode; without it a machine mode refuses them
+ * (CANCELLED), and questions without an answer are a usage error.
+ */
+export async function prompt(questions) {
+  const asked = questions.filter(q => q.when === undefined || q.when);
+  const confirms = asked.filter(q => q.type === 'confirm');
+  const confirmed = Object.fromEntries(confirms.map(q => [q.name, true]));
+
+  if (isHuman()) {
+    if (!mode.yes) {
+      return inquirer.prompt(questions);
+    }
+    const rest = questions.filter(q => q.type !== 'confirm');
+    return { ...confirmed, ...(rest.length > 0 ? await inquirer.prompt(rest) : {}) };
+  }
+
+  const missing = asked.filter(q => q.type !== 'confirm');
+  if (missing.length > 0) {
+    throw new CliError(EXIT.USAGE, `Missing ${missing.map(q => q.name).join(', ')} (no prompts with --json or --quiet)`);
+  }
+  if (confirms.length > 0) {
+    requireYes(`Not confirmed: "${stripVTControlCharacters(confirms[0].message)}"`);
+  }
+  return confirmed;
+}
@@ -0,0 +1,173 @@
+/**
+ * Relay Audit
+ * Checks the headers a relay contract stores against Zcash sources
+ *
+ * For every height the relay's main chain entry (`get_block_hash`, then
+ * `get_header`) is compared with each source: block hash, prev link,
+ * merkle root, sapling root, timestamp and bits. Sources that serve raw
+ * headers (zcashd) also let us recompute the block hash locally: the
+ * relay's stored fields are written into the source's raw header (which
+ * carries the nonce and Equihash solution the relay does not store) and
+ * hashed, so a relay whose fields do not belong to its hash is caught even
+ * when every source agrees with it on the hash. From Heartwood on the
+ * header commits to the chain history instead of the Sapling root, so the
+ * stored Sapling root is only compared with the sources there.
+ */
+
+import {
+  zcashRpc,
+  getPublicBlock,
+  parseBlockHeader,
+  withBlockRoots,
+  getBlockRoots,
+  computeHeaderHash,
+  CommitmentType,
+} from './zcash.js';
+
+/**
+ * A zcashd JSON-RPC source
+ * @param {string} url - RPC URL, credentials may be given as user:pass@
+ */
+export function rpcSource(url) {
+  const parsed = new URL(url);
+  const rpc = {
+    rpcUrl: `${parsed.protocol}//${parsed.host}${parsed.pathname}`,
+    rpcUser: decodeURIComponent(parsed.username),
+    rpcPassword: decodeURIComponent(parsed.password),
+  };
+  
+  return {
+    name: parsed.host,
+    async getBlock(height) {
+      const hash = await zcashRpc('getblockhash', [height], rpc);
+      const [rawHeader, block] = await Promise.all([
+        zcashRpc('getblockheader', [hash, false], rpc),
+        zcashRpc('getblock', [hash, 1], rpc),
+      ]);
+      return { hash, rawHeader, ...withBlockRoots(parseBlockHeader(rawHeader, height), getBlockRoots(block)) };
+    },
+  };
+}
+
+/**
+ * The configured public API (Blockchair, mainnet only); it serves no raw
+ * headers and no prev link
+ */
+export function publicSource() {
+  return {
+    name: 'blockchair',
+    async getBlock(height) {
+      const block = await getPublicBlock(height);
+      return {
+        hash: block.hash,
+        rawHeader: null,
+        prevBlockHash: null,
+        merkleRoot: block.merkleroot,
+        saplingRoot: block.finalsaplingroot,
+        timestamp: block.time,
+        bits: null,
+      };
+    },
+  };
+}
+
+/**
+ * Raw header with the relay's stored fields in place of the source's
+ */
+export function withStoredFields(rawHeader, stored) {
+  const header = Buffer.from(rawHeader, 'hex');
+  Buffer.from(stored.prevBlockHash, 'hex').reverse().copy(header, 4);
+  Buffer.from(stored.merkleRoot, 'hex').reverse().copy(header, 36);
+  if (stored.commitmentType === CommitmentType.FINAL_SAPLING_ROOT) {
+    Buffer.from(stored.saplingRoot, 'hex').reverse().copy(header, 68);
+  }
+  header.writeUInt32LE(stored.timestamp, 100);
+  header.writeUInt32LE(stored.bits, 104);
+  return header;
+}
+
+/**
+ * Fields of a source block that disagree with the relay's header
+ * @returns {Array<{ field: string, relay: string, value: string }>}
+ */
+export function compareHeader(stored, block) {
+  const divergences = [];
+  const check = (field, relayValue, sourceValue) => {
+    if (sourceValue === null || sourceValue === undefined) {
+      return;
+    }
+    if (String(relayValue).toLowerCase() !== String(sourceValue).toLowerCase()) {
+      divergences.push({ field, relay: String(relayValue), value: String(sourceValue) });
+    }
+  };
+  
+  check('hash', stored.blockHash, block.hash);
+  check('prevBlockHash', stored.prevBlockHash, block.prevBlockHash);
+  check('merkleRoot', stored.merkleRoot, block.merkleRoot);
+  check('saplingRoot', stored.saplingRoot, block.saplingRoot);
+  check('timestamp', stored.timestamp, block.timestamp);
+  check('bits', stored.bits, block.bits);
+  
+  if (block.rawHeader) {
+    const header = withStoredFields(block.rawHeader, { ...stored, commitmentType: block.commitmentType });
+    check('computedHash', stored.blockHash, computeHeaderHash(header));
+  }
+  
+  return divergences;
+}
+
+/**
+ * Audit a height range of a relay
+ * @param {Object} options
+ * @param {number} options.from
+ * @param {number} options.to
+ * @param {Array<Object>} options.sources - From rpcSource / publicSource
+ * @param {Object} options.relay - { getBlockHash(height), getHeader(hash) }
+ * @param {function(number, Array<Object>)} options.onHeight - Progress callback
+ * @returns {Promise<Array<{ height: number, source: string, field: string, relay: string, value: string }>>}
+ *   Divergences; `source` is 'relay' for the relay's own inconsistencies
+ *   and `value` is what the source (or the relay's previous entry) has
+ */
+export async function auditRelay({ from, to, sources, relay, onHeight = () => {} }) {
+  const divergences = [];
+  let prevHash = from > 0 ? await relay.getBlockHash(from - 1) : null;
+  
+  for (let height = from; height <= to; height++) {
+    const found = [];
+    const report = (source, field, relayValue, sourceValue) => {
+      found.push({ height, source, field, relay: relayValue, value: sourceValue });
+    };
+    
+    const hash = await relay.getBlockHash(height);
+    const stored = hash ? await relay.getHeader(hash) : null;
+    
+    if (!stored) {
+      report('relay', 'missing', hash || 'none', 'a header');
+    } else {
+      if (stored.height !== height) {
+        report('relay', 'height', String(stored.height), String(height));
+      }
+      // Below the relay's genesis there is nothing to link to
+      if (prevHash && stored.prevBlockHash !== prevHash) {
+        report('relay', 'prevLink', stored.prevBlockHash, prevHash);
+      }
+      
+      for (const source of sources) {
+        try {
+          const block = await source.getBlock(height);
+          for (const { field, relay: relayValue, value } of compareHeader(stored, block)) {
+            report(source.name, field, relayValue, value);
+          }
+        } catch (error) {
+          report(source.name, 'unavailable', stored.blockHash, error.message);
+        }
+      }
+    }
+    
+    divergences.push(...found);
+    onHeight(height, found);
+    prevHash = hash;
+  }
+  
+  return divergences;
+}
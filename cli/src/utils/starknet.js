@@ -5,6 +5,15 @@
 
 import { Account, RpcProvider, Contract, CallData, stark, ec } from 'starknet';
 import { config, getStarknetRpcUrl } from '../config.js';
+import { splitU256, joinU256 } from '@zarklink/header-codec';
+import { EXIT, CliError } from './output.js';
+import { unlockKeystore } from './keystore.js';
+import { warning } from './ui.js';
+
+// Private keys unlocked in this process by keystore name: a command that
+// signs several times asks for the password (and runs scrypt) once
+const unlockedKeys = new Map();
+let warnedPlaintextKey = false;
 
 /**
  * Get RPC Provider
@@ -15,20 +24,30 @@ export function getProvider() {
 }
 
 /**
- * Get Account instance
+ * Get Account instance, signing with the profile's keystore (unlocked by
+ * a session or a password prompt, once per process)
  */
-export function getAccount() {
+export async function getAccount() {
   const provider = getProvider();
+  const { accountAddress, keystore, privateKey } = config.starknet;
+  
+  if (!accountAddress || (!keystore && !privateKey)) {
+    throw new CliError(EXIT.CONFIG, `Profile ${config.profile} has no account: run \`zarklink account import <name> --address <address>\``);
+  }
   
-  if (!config.starknet.accountAddress || !config.starknet.privateKey) {
-    throw new Error('Account address and private key must be configured');
+  if (keystore) {
+    if (!unlockedKeys.has(keystore)) {
+      unlockedKeys.set(keystore, await unlockKeystore(keystore));
+    }
+    return new Account(provider, accountAddress, unlockedKeys.get(keystore));
   }
   
-  return new Account(
-    provider,
-    config.starknet.accountAddress,
-    config.starknet.privateKey
-  );
+  // Plaintext key from before keystores
+  if (!warnedPlaintextKey) {
+    warning(`Using the plaintext private key of profile ${config.profile}; move it with \`zarklink account import <name> --from-config\``);
+    warnedPlaintextKey = true;
+  }
+  return new Account(provider, accountAddress, privateKey);
 }
 
 /**
@@ -43,7 +62,7 @@ export async function getContract(address, abi) {
  * Get Contract with Account (for transactions)
  */
 export async function getContractWithAccount(address, abi) {
-  const account = getAccount();
+  const account = await getAccount();
   return new Contract(abi, address, account);
 }
 
@@ -63,21 +82,21 @@ export function hexToFelt(hex) {
 
 /**
  * Convert u256 from Starknet (low, high) to BigInt
+ * (starknet.js already parses ABI-typed u256 outputs to a BigInt)
  */
 export function u256ToBigInt(u256) {
-  const low = BigInt(u256.low);
-  const high = BigInt(u256.high);
-  return low + (high << 128n);
+  if (typeof u256 === 'bigint') {
+    return u256;
+  }
+  return joinU256(u256.low, u256.high);
 }
 
 /**
  * Convert BigInt to Starknet u256 (low, high)
  */
 export function bigIntToU256(value) {
-  const bigValue = BigInt(value);
-  const low = bigValue & ((1n << 128n) - 1n);
-  const high = bigValue >> 128n;
-  return { low: low.toString(), high: high.toString() };
+  const [low, high] = splitU256(BigInt(value));
+  return { low, high };
 }
 
 /**
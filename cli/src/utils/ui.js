@@ -1,10 +1,16 @@
 /**
  * CLI UI Utilities
  * Consistent styling and animations for zarklink CLI
+ *
+ * Everything here is human output: with --json or --quiet (utils/output.js)
+ * print() and the helpers built on it write nothing, spinners are silent
+ * and the animations are skipped. Commands print through print(), never
+ * console.log, so machine modes keep stdout for their JSON.
  */
 
 import chalk from 'chalk';
 import ora from 'ora';
+import { isHuman } from './output.js';
 
 // ============================================================================
 // Colors - Hex values for consistent theming
@@ -36,6 +42,19 @@ export const colors = {
   white: chalk.white,
 };
 
+// ============================================================================
+// Output
+// ============================================================================
+
+/**
+ * console.log for human output, silent with --json or --quiet
+ */
+export function print(...args) {
+  if (isHuman()) {
+    console.log(...args);
+  }
+}
+
 // ============================================================================
 // ASCII Art
 // ============================================================================
@@ -108,46 +127,61 @@ export function subsection(title) {
 // ============================================================================
 
 export function success(msg) {
-  console.log(chalk.green('  ✓ ') + msg);
+  print(chalk.green('  ✓ ') + msg);
 }
 
 export function error(msg) {
-  console.log(chalk.red('  ✗ ') + msg);
+  print(chalk.red('  ✗ ') + msg);
 }
 
 export function warning(msg) {
-  console.log(chalk.yellow('  ⚠ ') + msg);
+  print(chalk.yellow('  ⚠ ') + msg);
 }
 
 export function info(msg) {
-  console.log(chalk.cyan('  ℹ ') + msg);
+  print(chalk.cyan('  ℹ ') + msg);
 }
 
 export function bullet(msg) {
-  console.log(chalk.green('  • ') + msg);
+  print(chalk.green('  • ') + msg);
 }
 
 export function step(num, msg) {
-  console.log(chalk.cyan(`  ${num}. `) + msg);
+  print(chalk.cyan(`  ${num}. `) + msg);
 }
 
 export function arrow(msg) {
-  console.log(chalk.yellow('  → ') + msg);
+  print(chalk.yellow('  → ') + msg);
 }
 
 // ============================================================================
 // Progress Indicators
 // ============================================================================
 
+const spinners = new Set();
+
 export function createSpinner(text) {
-  return ora({
+  const spinner = ora({
     text,
+    isSilent: !isHuman(),
     color: 'cyan',
     spinner: {
       interval: 80,
       frames: ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏']
     }
   });
+  spinners.add(spinner);
+  return spinner;
+}
+
+/**
+ * Stop the running spinners while a prompt is shown
+ * @returns {function()} Restarts them
+ */
+export function pauseSpinners() {
+  const running = [...spinners].filter(spinner => spinner.isSpinning);
+  running.forEach(spinner => spinner.stop());
+  return () => running.forEach(spinner => spinner.start());
 }
 
 export async function withSpinner(text, fn) {
@@ -178,14 +212,16 @@ export function progressBar(current, total, width = 30) {
 // ============================================================================
 
 export async function typewrite(text, delay = 15) {
+  if (!isHuman()) return;
   for (const char of text) {
     process.stdout.write(char);
     await sleep(delay);
   }
-  console.log();
+  print();
 }
 
 export async function animateLoading(text, duration = 500) {
+  if (!isHuman()) return;
   const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   const startTime = Date.now();
   let i = 0;
@@ -200,6 +236,7 @@ export async function animateLoading(text, duration = 500) {
 }
 
 export async function countdown(seconds, message = 'Starting in') {
+  if (!isHuman()) return;
   for (let i = seconds; i > 0; i--) {
     process.stdout.write(`\r${chalk.yellow(message)} ${chalk.bold(i)}...`);
     await sleep(1000);
@@ -215,22 +252,22 @@ export async function countdown(seconds, message = 'Starting in') {
  * Print a styled header with title and optional subtitle
  */
 export function printHeader(title, subtitle = '') {
-  console.log('');
-  console.log(chalk.hex(COLORS.border)('  ╔' + '═'.repeat(66) + '╗'));
-  console.log(chalk.hex(COLORS.border)('  ║') + chalk.hex(COLORS.primary).bold(`  ${title.padEnd(64)}`) + chalk.hex(COLORS.border)('║'));
+  print('');
+  print(chalk.hex(COLORS.border)('  ╔' + '═'.repeat(66) + '╗'));
+  print(chalk.hex(COLORS.border)('  ║') + chalk.hex(COLORS.primary).bold(`  ${title.padEnd(64)}`) + chalk.hex(COLORS.border)('║'));
   if (subtitle) {
-    console.log(chalk.hex(COLORS.border)('  ║') + chalk.hex(COLORS.dim)(`  ${subtitle.padEnd(64)}`) + chalk.hex(COLORS.border)('║'));
+    print(chalk.hex(COLORS.border)('  ║') + chalk.hex(COLORS.dim)(`  ${subtitle.padEnd(64)}`) + chalk.hex(COLORS.border)('║'));
   }
-  console.log(chalk.hex(COLORS.border)('  ╚' + '═'.repeat(66) + '╝'));
-  console.log('');
+  print(chalk.hex(COLORS.border)('  ╚' + '═'.repeat(66) + '╝'));
+  print('');
 }
 
 /**
  * Print a section divider
  */
 export function printSection(title) {
-  console.log(chalk.hex(COLORS.primary).bold(`  ▸ ${title}`));
-  console.log(chalk.hex(COLORS.border)('  ' + '─'.repeat(50)));
+  print(chalk.hex(COLORS.primary).bold(`  ▸ ${title}`));
+  print(chalk.hex(COLORS.border)('  ' + '─'.repeat(50)));
 }
 
 /**
@@ -238,22 +275,23 @@ export function printSection(title) {
  */
 export function printBox(title, lines) {
   const width = 60;
-  console.log(chalk.hex(COLORS.border)('  ┌─ ') + chalk.hex(COLORS.primary).bold(title) + chalk.hex(COLORS.border)(' ' + '─'.repeat(width - title.length - 4)));
+  print(chalk.hex(COLORS.border)('  ┌─ ') + chalk.hex(COLORS.primary).bold(title) + chalk.hex(COLORS.border)(' ' + '─'.repeat(width - title.length - 4)));
   for (const line of lines) {
-    console.log(chalk.hex(COLORS.border)('  │ ') + line);
+    print(chalk.hex(COLORS.border)('  │ ') + line);
   }
-  console.log(chalk.hex(COLORS.border)('  └' + '─'.repeat(width)));
+  print(chalk.hex(COLORS.border)('  └' + '─'.repeat(width)));
 }
 
 /**
  * Typing effect animation
  */
 export async function typingEffect(text, delay = 25) {
+  if (!isHuman()) return;
   for (const char of text) {
     process.stdout.write(char);
     await sleep(delay);
   }
-  console.log('');
+  print('');
 }
 
 /**
@@ -269,11 +307,12 @@ export function formatAddress(address, prefixLen = 10, suffixLen = 6) {
  * Print animated banner
  */
 export async function printBanner() {
+  if (!isHuman()) return;
   console.clear();
-  console.log(LOGO);
-  console.log(chalk.hex(COLORS.dim)('           Privacy-Preserving Zcash ↔ Starknet Bridge'));
-  console.log(chalk.hex(COLORS.dim)('           ════════════════════════════════════════════'));
-  console.log('');
+  print(LOGO);
+  print(chalk.hex(COLORS.dim)('           Privacy-Preserving Zcash ↔ Starknet Bridge'));
+  print(chalk.hex(COLORS.dim)('           ════════════════════════════════════════════'));
+  print('');
 }
 
 // ============================================================================
@@ -11,7 +11,9 @@
 
 import axios from 'axios';
 import { config } from '../config.js';
-import blake2 from 'blake2';
+import { FinalityPolicy } from '@zarklink/finality-policy';
+import { commitmentTypeAt, parseHeader, getNetworkParams as getConsensusParams } from '@zarklink/header-codec';
+import { EXIT, CliError } from './output.js';
 
 // ============ PUBLIC API ENDPOINTS ============
 
@@ -48,7 +50,14 @@ const BLOCK_EXPLORERS = {
  * Determine if we're on testnet
  */
 function isTestnet() {
-  return config.get ? config.get('zcash.network') === 'testnet' : config.zcash?.network === 'testnet';
+  return config.get('zcash.network') === 'testnet';
+}
+
+/**
+ * Configured Zcash network: 'mainnet' or 'testnet'
+ */
+export function getZcashNetwork() {
+  return isTestnet() ? 'testnet' : 'mainnet';
 }
 
 /**
@@ -76,14 +85,7 @@ function getApiEndpoint() {
  * Note: This is optional - the CLI works without local zcashd for mainnet
  */
 function getRpcConfig() {
-  const zcashConfig = config.get ? {
-    rpcUrl: config.get('zcash.rpcUrl'),
-    rpcUser: config.get('zcash.rpcUser'),
-    rpcPassword: config.get('zcash.rpcPassword'),
-    network: config.get('zcash.network'),
-  } : config.zcash;
-  
-  return zcashConfig;
+  return config.zcash;
 }
 
 /**
@@ -98,7 +100,7 @@ async function publicApi(endpoint, options = {}) {
     // For testnet, throw helpful error if no RPC configured
     const { rpcUrl } = getRpcConfig();
     if (!rpcUrl) {
-      throw new Error('Testnet requires local zcashd node or configured RPC. Set ZCASH_RPC_URL in .env');
+      throw new CliError(EXIT.CONFIG, 'Testnet requires local zcashd node or configured RPC. Set ZCASH_RPC_URL in .env');
     }
     // Fall through to RPC-based implementation
     throw new Error('TESTNET_USE_RPC');
@@ -119,12 +121,13 @@ async function publicApi(endpoint, options = {}) {
 
 /**
  * Make RPC call to Zcash node (optional - only if local node configured)
+ * @param {Object} rpc - Node to call instead of the configured one ({ rpcUrl, rpcUser, rpcPassword })
  */
-export async function zcashRpc(method, params = []) {
-  const { rpcUrl, rpcUser, rpcPassword } = getRpcConfig();
+export async function zcashRpc(method, params = [], rpc = getRpcConfig()) {
+  const { rpcUrl, rpcUser, rpcPassword } = rpc;
   
   if (!rpcUrl) {
-    throw new Error('No Zcash RPC configured. Use public API methods or configure a local node.');
+    throw new CliError(EXIT.CONFIG, 'No Zcash RPC configured. Use public API methods or configure a local node.');
   }
   
   try {
@@ -155,7 +158,7 @@ export async function zcashRpc(method, params = []) {
     return response.data.result;
   } catch (error) {
     if (error.response) {
-      throw new Error(`Zcash RPC failed: ${error.response.status} ${error.response.statusText}`);
+      throw new CliError(EXIT.NETWORK, `Zcash RPC failed: ${error.response.status} ${error.response.statusText}`);
     }
     throw error;
   }
@@ -196,7 +199,7 @@ export async function getBlockchainInfo() {
     try {
       return await zcashRpc('getblockchaininfo');
     } catch (rpcError) {
-      throw new Error(`Cannot connect to Zcash network: ${apiError.message}`);
+      throw new CliError(EXIT.NETWORK, `Cannot connect to Zcash network: ${apiError.message}`);
     }
   }
 }
@@ -257,6 +260,18 @@ export async function getBlockByHash(hash, verbosity = 2) {
   }
 }
 
+/**
+ * Get block by height from the public API only (mainnet), never the RPC node
+ */
+export async function getPublicBlock(height) {
+  const { data, source } = await publicApi(`/block/${height}`);
+  
+  if (source !== 'blockchair') {
+    throw new Error('Unknown API response');
+  }
+  return normalizeBlockchairBlock(data);
+}
+
 /**
  * Normalize Blockchair block response to standard format
  */
@@ -268,10 +283,11 @@ function normalizeBlockchairBlock(blockchairData) {
     height: block.id || block.height,
     version: block.version,
     merkleroot: block.merkle_root,
-    time: new Date(block.time).getTime() / 1000,
+    time: Date.parse(`${block.time.replace(' ', 'T')}Z`) / 1000, // Blockchair times are UTC
     nonce: block.nonce,
     bits: block.bits,
     difficulty: block.difficulty,
+    chainwork: block.chainwork,
     previousblockhash: null, // Not directly available, need separate call
     confirmations: 1, // Blockchair doesn't provide this directly
     size: block.size,
@@ -282,13 +298,12 @@ function normalizeBlockchairBlock(blockchairData) {
 }
 
 /**
- * Get raw block header - requires RPC (full header not available via API)
+ * Get the raw block header, Equihash solution included - requires RPC
+ * (full header not available via API)
  */
 export async function getRawBlockHeader(hash) {
   try {
-    const block = await zcashRpc('getblock', [hash, 0]);
-    // First 140 bytes (280 hex chars) is the header
-    return block.substring(0, 280);
+    return await zcashRpc('getblockheader', [hash, false]);
   } catch (rpcError) {
     // Public APIs don't provide raw hex
     console.warn('Raw block header requires local zcashd node');
@@ -315,67 +330,35 @@ export async function getChainTip() {
   };
 }
 
-/**
- * Parse Zcash block header
- * Header structure (1487 bytes for Zcash):
- * - nVersion: 4 bytes
- * - hashPrevBlock: 32 bytes
- * - hashMerkleRoot: 32 bytes  
- * - hashFinalSaplingRoot: 32 bytes
- * - nTime: 4 bytes
- * - nBits: 4 bytes
- * - nNonce: 32 bytes
- * - nSolution: variable (1344 bytes for Equihash(200,9))
- */
-export function parseBlockHeader(headerHex) {
-  const header = Buffer.from(headerHex, 'hex');
-  
-  return {
-    version: header.readUInt32LE(0),
-    prevBlockHash: header.slice(4, 36).reverse().toString('hex'),
-    merkleRoot: header.slice(36, 68).reverse().toString('hex'),
-    saplingRoot: header.slice(68, 100).reverse().toString('hex'),
-    timestamp: header.readUInt32LE(100),
-    bits: header.readUInt32LE(104),
-    nonce: header.slice(108, 140).toString('hex'),
-    // Solution follows after nonce
-  };
-}
+// ============ Block Headers ============
+// Parsing, hashing and the Starknet encoding come from
+// @zarklink/header-codec, which the relay service shares
+
+export {
+  CommitmentType,
+  HEADER_ENCODING_VERSION,
+  hashBlockCommitments,
+  computeHeaderHash,
+  rootsFromBlock as getBlockRoots,
+  withRoots as withBlockRoots,
+  serializeHeader as serializeBlockHeader,
+  encodeForStarknet as encodeHeaderForStarknet,
+  decodeFromStarknet as decodeHeaderFromStarknet,
+} from '@zarklink/header-codec';
 
 /**
- * Compute block hash using BLAKE2b-256 with Zcash personalization
+ * Meaning of the header commitment field at a height on the configured network
  */
-export function computeBlockHash(headerBytes) {
-  const h = blake2.createHash('blake2b', { 
-    digestLength: 32,
-    personalization: Buffer.from('ZcashBlockHash\x00\x00', 'ascii')
-  });
-  h.update(headerBytes);
-  return h.digest().reverse().toString('hex');
+export function getCommitmentType(height) {
+  return commitmentTypeAt(getNetworkParams(), height);
 }
 
 /**
- * Encode block header for Starknet submission
- * Returns array of felt252 values
+ * Parse a raw Zcash block header on the configured network
+ * @param {number|null} height - Needed to know what the commitment is
  */
-export function encodeHeaderForStarknet(header) {
-  // Split each 32-byte hash into low/high u128 for u256
-  const splitU256 = (hexStr) => {
-    const buf = Buffer.from(hexStr, 'hex');
-    const low = BigInt('0x' + buf.slice(16, 32).toString('hex'));
-    const high = BigInt('0x' + buf.slice(0, 16).toString('hex'));
-    return [low.toString(), high.toString()];
-  };
-  
-  const encoded = [
-    ...splitU256(header.prevBlockHash),  // [0-1]
-    ...splitU256(header.merkleRoot),     // [2-3]
-    ...splitU256(header.saplingRoot),    // [4-5]
-    header.timestamp.toString(),          // [6]
-    header.bits.toString(),               // [7]
-  ];
-  
-  return encoded;
+export function parseBlockHeader(headerHex, height = null) {
+  return parseHeader(headerHex, height, getNetworkParams());
 }
 
 /**
@@ -542,24 +525,83 @@ export async function getTxFromExplorer(txid) {
 }
 
 /**
- * Check if a transaction is confirmed with N confirmations
+ * Finality policy for the configured network, the same one the relay
+ * service applies before relaying a block
+ * @param {Object} overrides - e.g. { minDepth } from a command-line option
  */
-export async function isTransactionConfirmed(txid, minConfirmations = 20) {
+export function getFinalityPolicy(overrides = {}) {
+  const finality = config.finality;
+  const defined = Object.entries({ ...finality, ...overrides }).filter(([, value]) => value !== undefined);
+  
+  return new FinalityPolicy({
+    network: getZcashNetwork(),
+    ...Object.fromEntries(defined),
+  });
+}
+
+/**
+ * Confirmations and containing block of a transaction: public API first,
+ * then RPC
+ */
+async function getTxPosition(txid) {
   try {
-    // Try public API first
     const txData = await getTxFromExplorer(txid);
-    return (txData.confirmations || 0) >= minConfirmations;
+    return { confirmations: txData.confirmations || 0, blockHash: txData.blockHash || txData.blockhash || null };
   } catch (apiError) {
-    // Try RPC as fallback
     try {
-      const tx = await zcashRpc('gettransaction', [txid]);
-      return tx.confirmations >= minConfirmations;
+      const tx = await zcashRpc('getrawtransaction', [txid, 1]);
+      return { confirmations: tx.confirmations || 0, blockHash: tx.blockhash || null };
     } catch (rpcError) {
       throw new Error(`Cannot verify transaction: ${apiError.message}`);
     }
   }
 }
 
+/**
+ * Chain work of the blocks on top of a block: tip chainwork minus the
+ * block's chainwork. Public APIs do not report chainwork, so this needs RPC.
+ */
+async function getWorkAbove(blockHash) {
+  try {
+    const [tip, block] = await Promise.all([
+      zcashRpc('getblockchaininfo'),
+      zcashRpc('getblockheader', [blockHash, true]),
+    ]);
+    return BigInt('0x' + tip.chainwork) - BigInt('0x' + block.chainwork);
+  } catch (error) {
+    throw new Error(`The work finality rule needs chainwork from a Zcash node (set ZCASH_RPC_URL, or FINALITY_RULE=depth): ${error.message}`);
+  }
+}
+
+/**
+ * Check a transaction's block against the finality policy
+ * @returns {Promise<{ final: boolean, reasons: Array<string>, depth: number, workAbove: bigint|null }>}
+ */
+export async function getTransactionFinality(txid, policy = getFinalityPolicy()) {
+  const { confirmations, blockHash } = await getTxPosition(txid);
+  
+  let workAbove = null;
+  if (policy.usesWork && confirmations > 0) {
+    if (!blockHash) {
+      throw new Error(`Cannot find the block of transaction ${txid}`);
+    }
+    workAbove = await getWorkAbove(blockHash);
+  }
+  
+  const { final, reasons } = policy.check({ depth: confirmations, workAbove: workAbove ?? 0n });
+  return { final, reasons, depth: confirmations, workAbove };
+}
+
+/**
+ * Check if a transaction is final under the finality policy
+ * @param {string} txid
+ * @param {FinalityPolicy} policy - Defaults to the configured policy
+ */
+export async function isTransactionConfirmed(txid, policy = getFinalityPolicy()) {
+  const { final } = await getTransactionFinality(txid, policy);
+  return final;
+}
+
 /**
  * Get the recommended testnet nodes to connect to
  */
@@ -611,12 +653,13 @@ debug=rpc
 }
 
 /**
- * Get network-specific parameters
+ * Get network-specific parameters: the consensus parameters from
+ * @zarklink/header-codec plus ports and address prefixes
  */
 export function getNetworkParams() {
   if (isTestnet()) {
     return {
-      network: 'testnet',
+      ...getConsensusParams('testnet'),
       port: 18233,
       rpcPort: 18232,
       addressPrefix: {
@@ -624,18 +667,10 @@ export function getNetworkParams() {
         sapling: 'ztestsapling',
         unified: 'utest',
       },
-      genesisHash: '05a60a92d99d85997cce3b87616c089f6124d7342af37106edc76126334a2c38',
-      activationHeights: {
-        sapling: 280000,
-        blossom: 584000,
-        heartwood: 903800,
-        canopy: 1028500,
-        nu5: 1842420,
-      },
     };
   } else {
     return {
-      network: 'mainnet',
+      ...getConsensusParams('mainnet'),
       port: 8233,
       rpcPort: 8232,
       addressPrefix: {
@@ -643,14 +678,6 @@ export function getNetworkParams() {
         sapling: 'zs',
         unified: 'u',
       },
-      genesisHash: '00040fe8ec8471911baa1db1266ea15dd06b4a8a5c453883c000b031973dce08',
-      activationHeights: {
-        sapling: 419200,
-        blossom: 653600,
-        heartwood: 903000,
-        canopy: 1046400,
-        nu5: 1687104,
-      },
     };
   }
 }
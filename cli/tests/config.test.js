@@ -0,0 +1,190 @@
+/**
+ * Config tests
+ * Built-in and custom profiles, files from before profiles, environment
+ * variables against saved values, and dotted keys
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EXIT } from '../src/utils/output.js';
+
+let home;
+let Config;
+
+before(async () => {
+  // The module loads the default config from the home directory
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'zarklink-config-'));
+  process.env.HOME = home;
+  ({ Config } = await import('../src/config.js'));
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function configFile(t, contents) {
+  const dir = fs.mkdtempSync(path.join(home, 'config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'nested', 'config.json');
+  if (contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(contents));
+  }
+  return file;
+}
+
+function saved(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function withCode(exitCode, message) {
+  return (err) => err.exitCode === exitCode && message.test(err.message);
+}
+
+test('built-in profiles start from their network presets', (t) => {
+  const config = new Config({ path: configFile(t), env: {} });
+
+  assert.equal(config.profile, 'sepolia');
+  assert.deepEqual(config.profileNames(), ['sepolia', 'mainnet', 'devnet']);
+  assert.match(config.contracts.bridge, /^0x069d135c/);
+  assert.equal(config.zcash.network, 'testnet');
+  assert.equal(config.starknet.keystore, '');
+
+  config.use('mainnet');
+  assert.equal(config.profile, 'mainnet');
+  assert.equal(config.starknet.rpcUrl, 'https://starknet-mainnet.public.blastapi.io');
+  assert.equal(config.contracts.bridge, '');
+  assert.equal(config.zcash.network, 'mainnet');
+
+  assert.equal(config.resolveProfile('devnet').starknet.rpcUrl, 'http://127.0.0.1:5050');
+  assert.throws(() => config.use('staging'), withCode(EXIT.NOT_FOUND, /Unknown profile "staging"/));
+});
+
+test('custom profiles build on the network they name and are saved', (t) => {
+  const file = configFile(t);
+  const config = new Config({ path: file, env: {} });
+
+  config.addProfile('staging', { starknet: { network: 'mainnet', rpcUrl: 'http://staging:9545' }, contracts: { relay: '0x5' } });
+  config.addProfile('scratch', { contracts: { relay: undefined } });
+  assert.deepEqual(saved(file).profiles.scratch, { starknet: { network: 'sepolia' } });
+
+  assert.throws(() => config.addProfile('staging', {}), withCode(EXIT.USAGE, /already exists/));
+  assert.throws(() => config.addProfile('sepolia', {}), withCode(EXIT.USAGE, /already exists/));
+  assert.throws(() => config.addProfile('../x', {}), withCode(EXIT.USAGE, /Invalid profile name/));
+  assert.throws(() => config.addProfile('other', { starknet: { network: 'goerli' } }), withCode(EXIT.USAGE, /Unknown Starknet network/));
+
+  const reloaded = new Config({ path: file, env: {} });
+  reloaded.setDefaultProfile('staging');
+  assert.equal(new Config({ path: file, env: {} }).profile, 'staging');
+
+  const staging = reloaded.resolveProfile('staging');
+  assert.equal(staging.starknet.rpcUrl, 'http://staging:9545');
+  assert.equal(staging.contracts.relay, '0x5');
+  assert.equal(staging.zcash.network, 'mainnet');
+  assert.equal(reloaded.resolveProfile('scratch').contracts.relay, reloaded.resolveProfile('sepolia').contracts.relay);
+
+  assert.throws(() => reloaded.removeProfile('staging'), withCode(EXIT.STATE, /is the default/));
+  reloaded.removeProfile('scratch');
+  assert.ok(!new Config({ path: file, env: {} }).hasProfile('scratch'));
+});
+
+test('a saved default profile that no longer exists falls back to STARKNET_NETWORK', (t) => {
+  const file = configFile(t, { defaultProfile: 'gone', profiles: {} });
+
+  assert.equal(new Config({ path: file, env: {} }).profile, 'sepolia');
+  assert.equal(new Config({ path: file, env: { STARKNET_NETWORK: 'devnet' } }).profile, 'devnet');
+});
+
+test('a file from before profiles becomes the profile of its network', (t) => {
+  const file = configFile(t, {
+    starknet: { network: 'mainnet', accountAddress: '0xabc' },
+    contracts: { relay: '0x1' },
+    finality: { minDepth: 5 },
+  });
+  const config = new Config({ path: file, env: {} });
+
+  assert.equal(config.profile, 'mainnet');
+  assert.deepEqual(config.file.profiles, {
+    mainnet: { starknet: { network: 'mainnet', accountAddress: '0xabc' }, contracts: { relay: '0x1' } },
+  });
+  assert.equal(config.get('starknet.accountAddress'), '0xabc');
+  assert.equal(config.get('contracts.relay'), '0x1');
+  assert.equal(config.get('starknet.rpcUrl'), 'https://starknet-mainnet.public.blastapi.io');
+  assert.equal(config.finality.minDepth, 5);
+
+  // Saved in the new layout on the next write
+  config.set('contracts.token', '0x2');
+  assert.deepEqual(Object.keys(saved(file)).sort(), ['defaultProfile', 'finality', 'profiles']);
+
+  // Without a network it belongs to STARKNET_NETWORK's profile
+  const unnamed = configFile(t, { contracts: { relay: '0x3' } });
+  const devnet = new Config({ path: unnamed, env: { STARKNET_NETWORK: 'devnet' } });
+  assert.equal(devnet.profile, 'devnet');
+  assert.equal(devnet.contracts.relay, '0x3');
+});
+
+test('environment variables override presets, and saved values override both', (t) => {
+  const file = configFile(t);
+  const env = {
+    STARKNET_RPC_URL: 'http://env:9545',
+    BRIDGE_ADDRESS: '0xe1',
+    ZCASH_USE_PUBLIC_API: 'false',
+    FINALITY_MIN_DEPTH: '12',
+    FEE_RATE: '20',
+  };
+  const config = new Config({ path: file, env });
+
+  assert.equal(config.starknet.rpcUrl, 'http://env:9545');
+  assert.equal(config.contracts.bridge, '0xe1');
+  assert.equal(config.zcash.usePublicApi, false);
+  assert.equal(config.finality.minDepth, 12);
+  assert.equal(config.bridge.feeRate, 20);
+  assert.equal(config.bridge.issueTimeout, 86400);
+
+  // Only the profile STARKNET_NETWORK names takes them
+  assert.equal(config.resolveProfile('mainnet').starknet.rpcUrl, 'https://starknet-mainnet.public.blastapi.io');
+  assert.equal(new Config({ path: file, env: { ...env, STARKNET_NETWORK: 'mainnet' } }).resolveProfile('mainnet').contracts.bridge, '0xe1');
+
+  config.set('starknet.rpcUrl', 'http://saved:9545');
+  config.set('finality.minDepth', 3);
+  const reloaded = new Config({ path: file, env });
+  assert.equal(reloaded.starknet.rpcUrl, 'http://saved:9545');
+  assert.equal(reloaded.finality.minDepth, 3);
+  assert.equal(reloaded.contracts.bridge, '0xe1');
+});
+
+test('dotted keys are read, saved and removed where they belong', (t) => {
+  const file = configFile(t);
+  const config = new Config({ path: file, env: {} });
+  const preset = config.get('contracts.relay');
+
+  config.set('contracts.relay', '0x7');
+  config.set('zcash.rpcUrl', 'http://zcashd:18232');
+  config.set('bridge.feeRate', 5);
+  assert.equal(config.get('contracts.relay'), '0x7');
+  assert.equal(config.get('bridge.feeRate'), 5);
+  assert.equal(config.get('contracts.nothing'), undefined);
+  assert.deepEqual(saved(file).profiles.sepolia, { contracts: { relay: '0x7' }, zcash: { rpcUrl: 'http://zcashd:18232' } });
+  assert.deepEqual(saved(file).bridge, { feeRate: 5 });
+
+  // Profile keys go to the selected profile
+  config.use('devnet');
+  config.set('contracts.relay', '0x8');
+  assert.equal(config.resolveProfile('sepolia').contracts.relay, '0x7');
+  assert.equal(config.get('contracts.relay'), '0x8');
+
+  config.unset('contracts.relay', 'sepolia');
+  config.unset('bridge.feeRate');
+  config.unset('zcash.rpcUser');
+  assert.equal(config.resolveProfile('sepolia').contracts.relay, preset);
+  assert.equal(config.get('bridge.feeRate'), 10);
+  assert.equal(config.get('contracts.relay'), '0x8');
+  assert.equal(new Config({ path: file, env: {} }).resolveProfile('sepolia').contracts.relay, preset);
+
+  assert.throws(() => config.set('starknet.privateKey', '0x1'), withCode(EXIT.USAGE, /keystore/));
+  assert.throws(() => config.set('wallet.seed', 'x'), withCode(EXIT.USAGE, /Unknown configuration key/));
+  assert.throws(() => config.set('contracts', 'x'), withCode(EXIT.USAGE, /is a section/));
+});
@@ -0,0 +1,95 @@
+/**
+ * Binding generator tests
+ * Run scripts/generate-bindings.js --check against artifacts rebuilt from
+ * the committed ABIs, so the tracked generated files are only read
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as ZclaimBridge from '../src/generated/zclaim-bridge.js';
+import * as RelaySystem from '../src/generated/relay-system.js';
+import * as VaultRegistry from '../src/generated/vault-registry.js';
+import * as wZEC from '../src/generated/wzec.js';
+import * as RelayServiceAbi from '../../relay-service/src/generated/relay-system.js';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/generate-bindings.js', import.meta.url));
+const BINDINGS = { ZclaimBridge, RelaySystem, VaultRegistry, wZEC };
+
+function generate(...args) {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args], { encoding: 'utf8', timeout: 30000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// What `scarb build` writes, as far as the generator reads it
+function artifacts(t, abis = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zarklink-artifacts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, { ABI }] of Object.entries(BINDINGS)) {
+    const abi = abis[name] || ABI;
+    fs.writeFileSync(path.join(dir, `zclaim_${name}.contract_class.json`), JSON.stringify({ sierra_program: [], abi }));
+  }
+  return dir;
+}
+
+test('the committed bindings match the ABIs they were generated from', (t) => {
+  // Sierra artifacts may carry the ABI as a JSON string
+  const dir = artifacts(t, { wZEC: JSON.stringify(wZEC.ABI) });
+
+  const { status, stdout, stderr } = generate('--check', '--artifacts', dir);
+  assert.equal(stderr, '');
+  assert.equal(status, 0);
+  assert.equal(stdout, `Contract bindings match ${dir}\n`);
+
+  // The relay service gets the same RelaySystem ABI
+  assert.deepEqual(RelayServiceAbi.ABI, RelaySystem.ABI);
+  assert.deepEqual(RelayServiceAbi.EVENTS, RelaySystem.EVENTS);
+});
+
+test('a changed ABI is reported as drift in the CLI and the relay service', (t) => {
+  const abi = structuredClone(RelaySystem.ABI);
+  abi.find((item) => item.type === 'interface').items.push({
+    type: 'function',
+    name: 'get_relayer_count',
+    inputs: [],
+    outputs: [{ type: 'core::integer::u64' }],
+    state_mutability: 'view',
+  });
+  const dir = artifacts(t, { RelaySystem: abi });
+
+  const { status, stdout, stderr } = generate('--check', '--artifacts', dir);
+  assert.equal(status, 1);
+  assert.equal(stdout, '');
+  assert.equal(stderr, [
+    'Contract bindings drifted from the Cairo ABIs: cli/src/generated/relay-system.js, relay-service/src/generated/relay-system.js',
+    'Run `npm run codegen` and commit the result',
+    '',
+  ].join('\n'));
+});
+
+test('a missing artifact asks for scarb build', (t) => {
+  const dir = artifacts(t);
+  fs.rmSync(path.join(dir, 'zclaim_VaultRegistry.contract_class.json'));
+
+  const { status, stdout, stderr } = generate('--check', '--artifacts', dir);
+  assert.equal(status, 1);
+  assert.equal(stdout, '');
+  assert.equal(stderr, `Missing ${path.join(dir, 'zclaim_VaultRegistry.contract_class.json')}; run \`scarb build\` in cairo/ first\n`);
+});
+
+test('each binding class has a method per ABI function', () => {
+  for (const [name, binding] of Object.entries(BINDINGS)) {
+    const functions = binding.ABI
+      .flatMap((item) => (item.type === 'interface' ? item.items : [item]))
+      .filter((item) => item.type === 'function')
+      .map((item) => item.name);
+    assert.ok(functions.length > 0, name);
+    for (const fn of functions) {
+      assert.equal(typeof binding[name].prototype[fn], 'function', `${name}.${fn}`);
+    }
+  }
+});
@@ -0,0 +1,168 @@
+/**
+ * Keystore tests
+ * starkli keystores, the password check and unlock sessions, in a
+ * throwaway HOME
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, mkdirSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { EXIT } from '../src/utils/output.js';
+
+// starkli's layout (scrypt n = 8192, aes-128-ctr, keccak MAC), password
+// `zarklink-test`
+const FIXTURE = JSON.parse(readFileSync(new URL('./fixtures/starkli-keystore.json', import.meta.url), 'utf8'));
+const FIXTURE_PASSWORD = 'zarklink-test';
+const FIXTURE_KEY = '0x0279c4de8d3bc7f18fa5e4e3b1b3b9c0e8d2c4a1f6b7e9d0c3a5b8e1f2d4c6a7';
+
+// Cheap scrypt for keystores made by the tests
+const FAST = { n: 1024, r: 8, p: 1 };
+
+let home;
+let keystore;
+
+before(async () => {
+  // The keystore directories come from the home directory at import time
+  home = mkdtempSync(path.join(tmpdir(), 'zarklink-keystore-'));
+  process.env.HOME = home;
+  delete process.env.ZARKLINK_SESSION;
+  delete process.env.ZARKLINK_KEYSTORE_PASSWORD;
+  keystore = await import('../src/utils/keystore.js');
+});
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+function withCode(exitCode, message) {
+  return (err) => err.exitCode === exitCode && message.test(err.message);
+}
+
+test('a starkli keystore decrypts with its password', () => {
+  assert.equal(keystore.decryptKey(FIXTURE, FIXTURE_PASSWORD), FIXTURE_KEY);
+});
+
+test('encryptKey writes what decryptKey reads back', () => {
+  const encrypted = keystore.encryptKey('0xabc', 'correct horse', FAST);
+
+  assert.equal(encrypted.version, 3);
+  assert.deepEqual(Object.keys(encrypted.crypto), Object.keys(FIXTURE.crypto));
+  assert.deepEqual(Object.keys(encrypted.crypto.kdfparams), Object.keys(FIXTURE.crypto.kdfparams));
+  assert.equal(encrypted.crypto.kdfparams.n, FAST.n);
+  assert.equal(keystore.decryptKey(encrypted, 'correct horse'), '0x' + 'abc'.padStart(64, '0'));
+});
+
+test('a wrong password fails the MAC check', () => {
+  assert.throws(() => keystore.decryptKey(FIXTURE, 'wrong password'), withCode(EXIT.USAGE, /Wrong keystore password/));
+
+  const tampered = structuredClone(FIXTURE);
+  tampered.crypto.ciphertext = 'ff' + tampered.crypto.ciphertext.slice(2);
+  assert.throws(() => keystore.decryptKey(tampered, FIXTURE_PASSWORD), withCode(EXIT.USAGE, /Wrong keystore password/));
+});
+
+test('keystores that are not version 3 or not valid JSON are a config error', () => {
+  assert.throws(() => keystore.decryptKey({ ...FIXTURE, version: 1 }, FIXTURE_PASSWORD), withCode(EXIT.CONFIG, /version 3/));
+
+  const dir = path.join(home, '.zarklink', 'keystores');
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path.join(dir, 'broken.json'), '{"crypto": ');
+  assert.throws(() => keystore.readKeystore('broken'), withCode(EXIT.CONFIG, /not valid JSON/));
+  rmSync(path.join(dir, 'broken.json'));
+});
+
+test('keystore names cannot leave the keystore and session directories', () => {
+  for (const name of ['../escape', 'a/b', '.hidden', '']) {
+    assert.throws(() => keystore.hasKeystore(name), withCode(EXIT.USAGE, /Invalid keystore name/));
+    assert.throws(() => keystore.endSession(name), withCode(EXIT.USAGE, /Invalid keystore name/));
+  }
+});
+
+test('an unlock session keeps the key until it ends', async (t) => {
+  keystore.writeKeystore('main', FIXTURE);
+  t.after(() => keystore.removeKeystore('main'));
+
+  const { token, expiresAt } = keystore.startSession('main', FIXTURE_KEY, 60, null);
+  assert.equal(keystore.sessionExpiry('main'), expiresAt);
+
+  process.env.ZARKLINK_SESSION = token;
+  t.after(() => delete process.env.ZARKLINK_SESSION);
+  assert.equal(await keystore.unlockKeystore('main'), FIXTURE_KEY);
+
+  keystore.endSession('main');
+  assert.equal(keystore.sessionExpiry('main'), null);
+
+  // Without the session the password is asked again
+  process.env.ZARKLINK_KEYSTORE_PASSWORD = 'wrong password';
+  t.after(() => delete process.env.ZARKLINK_KEYSTORE_PASSWORD);
+  await assert.rejects(keystore.unlockKeystore('main'), withCode(EXIT.USAGE, /Wrong keystore password/));
+});
+
+test('a session only opens with its own token and expires', async (t) => {
+  keystore.writeKeystore('other', FIXTURE);
+  t.after(() => keystore.removeKeystore('other'));
+  process.env.ZARKLINK_KEYSTORE_PASSWORD = 'wrong password';
+  t.after(() => delete process.env.ZARKLINK_KEYSTORE_PASSWORD);
+
+  // Another shell's token: the session is ignored and the password asked
+  keystore.startSession('other', FIXTURE_KEY, 60, null);
+  process.env.ZARKLINK_SESSION = randomBytes(32).toString('base64url');
+  t.after(() => delete process.env.ZARKLINK_SESSION);
+  await assert.rejects(keystore.unlockKeystore('other'), withCode(EXIT.USAGE, /Wrong keystore password/));
+
+  // An expired session is removed on sight
+  keystore.startSession('other', FIXTURE_KEY, 0, process.env.ZARKLINK_SESSION);
+  const sessionFile = path.join(home, '.zarklink', 'sessions', 'other.json');
+  assert.ok(existsSync(sessionFile));
+  assert.equal(keystore.sessionExpiry('other'), null);
+  assert.ok(!existsSync(sessionFile));
+});
+
+test('a session file that does not parse counts as no session', async (t) => {
+  keystore.writeKeystore('corrupt', FIXTURE);
+  t.after(() => keystore.removeKeystore('corrupt'));
+  process.env.ZARKLINK_KEYSTORE_PASSWORD = FIXTURE_PASSWORD;
+  t.after(() => delete process.env.ZARKLINK_KEYSTORE_PASSWORD);
+
+  process.env.ZARKLINK_SESSION = keystore.startSession('corrupt', FIXTURE_KEY, 60, null).token;
+  t.after(() => delete process.env.ZARKLINK_SESSION);
+  const sessionFile = path.join(home, '.zarklink', 'sessions', 'corrupt.json');
+  writeFileSync(sessionFile, '{"keystore":"');
+
+  assert.equal(await keystore.unlockKeystore('corrupt'), FIXTURE_KEY);
+  assert.ok(!existsSync(sessionFile));
+  assert.equal(keystore.sessionExpiry('corrupt'), null);
+});
+
+test('listing skips foreign file names and reports unreadable keystores', (t) => {
+  const dir = path.join(home, '.zarklink', 'keystores');
+  keystore.writeKeystore('good', FIXTURE);
+  writeFileSync(path.join(dir, 'my.key.json'), JSON.stringify(FIXTURE));
+  writeFileSync(path.join(dir, 'bad.json'), '{"crypto": ');
+  t.after(() => {
+    keystore.removeKeystore('good');
+    rmSync(path.join(dir, 'my.key.json'));
+    rmSync(path.join(dir, 'bad.json'));
+  });
+
+  const listed = keystore.listKeystores().sort((a, b) => a.name.localeCompare(b.name));
+  assert.deepEqual(listed.map(({ name, keystore: contents }) => [name, contents?.id ?? null]), [
+    ['bad', null],
+    ['good', FIXTURE.id],
+  ]);
+  assert.match(listed[0].error, /not valid JSON/);
+  assert.equal(listed[1].error, null);
+});
+
+test('keystore files to import are read with usage and config errors', () => {
+  const fixture = new URL('./fixtures/starkli-keystore.json', import.meta.url).pathname;
+  assert.deepEqual(keystore.readKeystoreFile(fixture), FIXTURE);
+
+  const broken = path.join(home, 'broken-import.json');
+  writeFileSync(broken, '{"crypto": ');
+  assert.throws(() => keystore.readKeystoreFile(broken), withCode(EXIT.CONFIG, /not valid JSON/));
+  assert.throws(() => keystore.readKeystoreFile(path.join(home, 'missing.json')), withCode(EXIT.USAGE, /No keystore file/));
+  rmSync(broken);
+});
@@ -0,0 +1,159 @@
+/**
+ * OperationLedger tests
+ * Recording issue and redeem operations, their status transitions, contract
+ * observations and the listings, in a throwaway HOME
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const VAULT = '0x' + '5'.padStart(64, '0');
+
+let home;
+let ledgerModule;
+
+before(async () => {
+  // The ledger directory comes from the home directory at import time
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'zarklink-ledger-'));
+  process.env.HOME = home;
+  ledgerModule = await import('../src/utils/ledger.js');
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function tempLedger(t) {
+  const dir = fs.mkdtempSync(path.join(home, 'ledger-'));
+  const ledger = new ledgerModule.OperationLedger(path.join(dir, 'bridge.jsonl'));
+  ledger.open();
+  t.after(() => ledger.close());
+  return ledger;
+}
+
+function reopen(t, ledger) {
+  ledger.close();
+  const reopened = new ledgerModule.OperationLedger(ledger.filePath);
+  reopened.open();
+  t.after(() => reopened.close());
+  return reopened;
+}
+
+test('record creates an operation and merges later fields into it', (t) => {
+  const { OperationKind, OperationRole } = ledgerModule;
+  const ledger = tempLedger(t);
+
+  const created = ledger.record(OperationKind.ISSUE, '0x2a', {
+    role: OperationRole.USER,
+    vault: VAULT,
+    amount: '100000',
+    status: 'AwaitingMint',
+    userEmk: 'secret',
+  });
+  assert.equal(created.nonce, '42');
+  assert.equal(created.role, OperationRole.USER);
+  assert.equal(created.createdAt, created.updatedAt);
+  assert.deepEqual(created.transitions.map(step => step.status), ['AwaitingMint']);
+
+  // The role stays the one first recorded; undefined fields change nothing
+  const updated = ledger.record(OperationKind.ISSUE, 42n, { role: OperationRole.VAULT, amount: undefined, txHash: '0x1' });
+  assert.equal(updated.role, OperationRole.USER);
+  assert.equal(updated.amount, '100000');
+  assert.equal(updated.txHash, '0x1');
+  assert.equal(updated.createdAt, created.createdAt);
+  assert.equal(updated.transitions.length, 1);
+
+  assert.deepEqual(reopen(t, ledger).get(OperationKind.ISSUE, 42), updated);
+  assert.equal(fs.statSync(ledger.filePath).mode & 0o777, 0o600);
+});
+
+test('issue and redeem operations with the same nonce are kept apart', (t) => {
+  const { OperationKind } = ledgerModule;
+  const ledger = tempLedger(t);
+
+  ledger.record(OperationKind.ISSUE, 7, { status: 'AwaitingMint' });
+  ledger.record(OperationKind.REDEEM, 7, { status: 'AwaitingRelease' });
+
+  assert.equal(ledger.get(OperationKind.ISSUE, 7).status, 'AwaitingMint');
+  assert.equal(ledger.get(OperationKind.REDEEM, 7).status, 'AwaitingRelease');
+  assert.equal(ledger.get(OperationKind.ISSUE, 8), null);
+});
+
+test('observe follows operations to Confirmed, Challenged or Expired', (t) => {
+  const { OperationKind, isFinalStatus } = ledgerModule;
+  const ledger = tempLedger(t);
+
+  ledger.record(OperationKind.ISSUE, 1, { status: 'AwaitingMint' });
+  ledger.record(OperationKind.ISSUE, 2, { status: 'AwaitingMint' });
+  ledger.record(OperationKind.REDEEM, 3, { status: 'AwaitingRelease' });
+
+  // Operations the ledger does not have are not added
+  assert.equal(ledger.observe(OperationKind.ISSUE, 9, 'Confirmed'), null);
+  assert.equal(ledger.get(OperationKind.ISSUE, 9), null);
+
+  // The same status again is not a transition, and is not written
+  const lines = fs.readFileSync(ledger.filePath, 'utf8').split('\n').length;
+  ledger.observe(OperationKind.ISSUE, 1, 'AwaitingMint');
+  assert.equal(fs.readFileSync(ledger.filePath, 'utf8').split('\n').length, lines);
+
+  ledger.observe(OperationKind.ISSUE, 1, 'AwaitingConfirmation');
+  const confirmed = ledger.observe(OperationKind.ISSUE, 1, 'Confirmed');
+  const challenged = ledger.observe(OperationKind.ISSUE, 2, 'Challenged');
+  const expired = ledger.observe(OperationKind.REDEEM, 3, 'Expired');
+
+  assert.deepEqual(confirmed.transitions.map(step => step.status), ['AwaitingMint', 'AwaitingConfirmation', 'Confirmed']);
+  assert.deepEqual(challenged.transitions.map(step => step.status), ['AwaitingMint', 'Challenged']);
+  assert.deepEqual(expired.transitions.map(step => step.status), ['AwaitingRelease', 'Expired']);
+  for (const entry of [confirmed, challenged, expired]) {
+    assert.ok(isFinalStatus(entry.status));
+  }
+  assert.ok(!isFinalStatus('AwaitingConfirmation'));
+
+  const reopened = reopen(t, ledger);
+  assert.deepEqual(reopened.get(OperationKind.ISSUE, 1).transitions, confirmed.transitions);
+  assert.equal(reopened.list(OperationKind.ISSUE, { pending: true }).length, 0);
+});
+
+test('list filters by role, vault and pending, in nonce order', (t) => {
+  const { OperationKind, OperationRole } = ledgerModule;
+  const ledger = tempLedger(t);
+  const other = '0x6';
+
+  ledger.record(OperationKind.ISSUE, 10, { role: OperationRole.USER, vault: '0x5', status: 'AwaitingMint' });
+  ledger.record(OperationKind.ISSUE, 9, { role: OperationRole.VAULT, vault: VAULT, status: 'Confirmed' });
+  ledger.record(OperationKind.ISSUE, 100, { role: OperationRole.USER, vault: other, status: 'Expired' });
+  ledger.record(OperationKind.REDEEM, 1, { role: OperationRole.USER, vault: VAULT, status: 'AwaitingRelease' });
+
+  const nonces = (entries) => entries.map(entry => entry.nonce);
+  assert.deepEqual(nonces(ledger.list(OperationKind.ISSUE)), ['9', '10', '100']);
+  assert.deepEqual(nonces(ledger.list(OperationKind.ISSUE, { role: OperationRole.USER })), ['10', '100']);
+  assert.deepEqual(nonces(ledger.list(OperationKind.ISSUE, { vault: '0x05' })), ['9', '10']);
+  assert.deepEqual(nonces(ledger.list(OperationKind.ISSUE, { pending: true })), ['10']);
+  assert.deepEqual(nonces(ledger.list(OperationKind.REDEEM, { vault: other })), []);
+});
+
+test('listings leave the secrets out', (t) => {
+  const { OperationKind, withoutSecrets } = ledgerModule;
+  const ledger = tempLedger(t);
+
+  const entry = ledger.record(OperationKind.ISSUE, 1, { userEmk: 'emk', rcm: 'rcm', amount: '5' });
+  const listed = withoutSecrets(entry);
+  assert.equal(listed.amount, '5');
+  assert.ok(!('userEmk' in listed));
+  assert.ok(!('rcm' in listed));
+  assert.equal(ledger.get(OperationKind.ISSUE, 1).userEmk, 'emk');
+});
+
+test('openLedger keeps one journal per bridge under the home directory', (t) => {
+  const { openLedger, OperationKind } = ledgerModule;
+
+  const ledger = openLedger('0xb41d6e');
+  t.after(() => ledger.close());
+  ledger.record(OperationKind.REDEEM, 1, { status: 'AwaitingRelease' });
+
+  assert.equal(ledger.filePath, path.join(home, '.zarklink', 'ledger', `0x${'b41d6e'.padStart(64, '0')}.jsonl`));
+  assert.equal(fs.statSync(path.dirname(ledger.filePath)).mode & 0o777, 0o700);
+});
@@ -0,0 +1,136 @@
+/**
+ * Output contract tests
+ * --json writes one document to stdout, --quiet nothing but one stderr
+ * line on failure, and the exit code is the same in every mode. The CLI
+ * runs as a child process with a temporary home directory.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EXIT } from '../src/utils/output.js';
+
+const CLI = fileURLToPath(new URL('../src/index.js', import.meta.url));
+// Refuses connections at once
+const UNREACHABLE = 'http://127.0.0.1:1';
+
+let home;
+
+beforeEach(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'zarklink-output-'));
+});
+
+afterEach(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function zarklink(args, env = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: home,
+    env: { PATH: process.env.PATH, HOME: home, ...env },
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function json(args, env) {
+  const { status, stdout } = zarklink(['--json', ...args], env);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines.length, 1, stdout);
+  return { status, document: JSON.parse(lines[0]) };
+}
+
+test('--json writes the result document and --quiet prints nothing on success', () => {
+  const added = json(['config', 'profile', 'add', 'staging', '--network', 'devnet']);
+  assert.equal(added.status, EXIT.OK);
+  assert.equal(added.document.ok, true);
+  assert.equal(added.document.command, 'config profile add');
+  assert.equal(added.document.data.name, 'staging');
+  assert.equal(added.document.data.starknet.network, 'devnet');
+
+  assert.deepEqual(zarklink(['-q', 'config', 'profile', 'use', 'staging']), { status: EXIT.OK, stdout: '', stderr: '' });
+
+  // The global flags also come after the subcommand
+  const { status, stdout } = zarklink(['config', 'profile', 'list', '--json']);
+  assert.equal(status, EXIT.OK);
+  assert.equal(JSON.parse(stdout).data.default, 'staging');
+});
+
+test('failures write the error document or one stderr line with the same exit code', () => {
+  const { status, document } = json(['config', 'profile', 'use', 'staging']);
+  assert.equal(status, EXIT.NOT_FOUND);
+  assert.deepEqual(document, {
+    ok: false,
+    command: 'config profile use',
+    error: { code: 'NOT_FOUND', exitCode: EXIT.NOT_FOUND, message: document.error.message },
+  });
+  assert.match(document.error.message, /Unknown profile "staging"/);
+
+  const quiet = zarklink(['-q', 'config', 'profile', 'use', 'staging']);
+  assert.equal(quiet.status, EXIT.NOT_FOUND);
+  assert.equal(quiet.stdout, '');
+  assert.equal(quiet.stderr, `zarklink config profile use: ${document.error.message}\n`);
+
+  assert.equal(zarklink(['config', 'profile', 'use', 'staging']).status, EXIT.NOT_FOUND);
+});
+
+test('confirmations need --yes in the machine modes', () => {
+  json(['config', 'profile', 'add', 'staging']);
+
+  const refused = json(['config', 'profile', 'remove', 'staging']);
+  assert.equal(refused.status, EXIT.CANCELLED);
+  assert.equal(refused.document.error.code, 'CANCELLED');
+
+  const removed = json(['--yes', 'config', 'profile', 'remove', 'staging']);
+  assert.equal(removed.status, EXIT.OK);
+  assert.equal(removed.document.ok, true);
+  assert.equal(json(['config', 'profile', 'use', 'staging']).status, EXIT.NOT_FOUND);
+});
+
+test('help and argument errors are USAGE error documents with --json', () => {
+  const missing = json(['status']);
+  assert.equal(missing.status, EXIT.USAGE);
+  assert.equal(missing.document.command, 'status');
+  assert.equal(missing.document.error.code, 'USAGE');
+  assert.equal(missing.document.error.message, 'status needs a subcommand (bridge, tx, block, health)');
+  assert.match(missing.document.error.details.help, /^Usage: zarklink status/);
+
+  const help = json(['relay', 'sync', '--help']);
+  assert.equal(help.status, EXIT.USAGE);
+  assert.equal(help.document.command, 'relay sync');
+  assert.match(help.document.error.details.help, /^Usage: zarklink relay sync/);
+
+  const unknown = json(['relay', 'sync', '--bogus']);
+  assert.equal(unknown.status, EXIT.USAGE);
+  assert.equal(unknown.document.error.message, "unknown option '--bogus'");
+
+  const quiet = zarklink(['-q', 'relay', 'sync', '--bogus']);
+  assert.deepEqual(quiet, { status: EXIT.USAGE, stdout: '', stderr: "zarklink relay sync: unknown option '--bogus'\n" });
+
+  // People still get commander's help
+  const human = zarklink(['status']);
+  assert.equal(human.status, EXIT.USAGE);
+  assert.match(human.stderr, /^Usage: zarklink status/);
+
+  const version = json(['--version']);
+  assert.equal(version.status, EXIT.OK);
+  assert.deepEqual(version.document.data, { version: '0.1.0' });
+});
+
+test('relay status with its endpoints unreachable fails NETWORK with what it could fetch', () => {
+  const env = { STARKNET_RPC_URL: UNREACHABLE, ZCASH_RPC_URL: UNREACHABLE, RELAY_ADDRESS: '0x1234' };
+
+  const { status, document } = json(['relay', 'status'], env);
+  assert.equal(status, EXIT.NETWORK);
+  assert.equal(document.ok, false);
+  assert.equal(document.error.code, 'NETWORK');
+  assert.match(document.error.message, /^Unreachable: Zcash node \(.+\), Starknet relay \(.+\)$/);
+  assert.deepEqual(document.error.details, { zcash: null, relay: { address: '0x1234', tip: null }, blocksBehind: null });
+
+  assert.equal(zarklink(['relay', 'status'], env).status, EXIT.NETWORK);
+});
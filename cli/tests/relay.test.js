@@ -0,0 +1,235 @@
+/**
+ * Relay command tests
+ * Run the CLI as a child process against a temporary home directory and
+ * read its --json documents and exit code. The audit runs against one
+ * local JSON-RPC server playing both the Starknet node and zcashd.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hash } from 'starknet';
+import { constructorCalldata, resolveCheckpoint } from '@zarklink/checkpoints';
+import { computeHeaderHash, joinU256, serializeHeader, splitU256 } from '@zarklink/header-codec';
+import { EXIT } from '../src/utils/output.js';
+
+const CLI = fileURLToPath(new URL('../src/index.js', import.meta.url));
+const OWNER = '0x0123';
+
+let home;
+
+before(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'zarklink-relay-'));
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+// Only PATH, HOME and the given variables, and the home directory as
+// working directory, so neither the caller's environment nor a .env file
+// configures the CLI. Asynchronous, for the RPC server in this process.
+function zarklink(args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, '--json', ...args], {
+      cwd: home,
+      env: { PATH: process.env.PATH, HOME: home, ...env },
+      timeout: 30000,
+    });
+    let stdout = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (status) => {
+      const lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+      resolve({ status, events: lines.slice(0, -1), document: lines.at(-1) });
+    });
+  });
+}
+
+function checkpointFile(t, checkpoint) {
+  const file = path.join(home, `checkpoint-${checkpoint.height}.json`);
+  fs.writeFileSync(file, JSON.stringify(checkpoint));
+  t.after(() => fs.rmSync(file, { force: true }));
+  return file;
+}
+
+test('bootstrap --dry-run picks the shipped checkpoint of the profile network and builds its calldata', async () => {
+  const { status, document } = await zarklink(['--profile', 'mainnet', 'relay', 'bootstrap', '--class-hash', '0x5', '--owner', OWNER, '--no-verify', '--dry-run']);
+  const checkpoint = resolveCheckpoint('mainnet');
+
+  assert.equal(status, EXIT.OK);
+  assert.equal(document.ok, true);
+  assert.equal(document.command, 'relay bootstrap');
+  assert.equal(document.data.dryRun, true);
+  assert.equal(document.data.relay, null);
+  assert.equal(document.data.checkpoint.network, 'mainnet');
+  assert.equal(document.data.checkpoint.height, 2062238);
+  assert.equal(document.data.checkpoint.hash, '0000000000f8909d473b8bad2a78fb419a70fd59567e412e5070ce488e45dd17');
+  assert.equal(document.data.checkpoint.chainwork, checkpoint.chainwork.toString());
+
+  // genesis hash (low, high), height, sapling root (low, high), chainwork (low, high), owner
+  assert.deepEqual(document.data.calldata, constructorCalldata(checkpoint, OWNER));
+  assert.equal(document.data.calldata.length, 8);
+  assert.equal(document.data.calldata[2], '2062238');
+  assert.equal(BigInt(document.data.calldata[0]) + (BigInt(document.data.calldata[1]) << 128n), BigInt('0x' + checkpoint.hash));
+  assert.equal(document.data.calldata[5], String(0x0d22978cb1f59f16n));
+  assert.equal(document.data.calldata[6], '0');
+  assert.equal(document.data.calldata[7], String(0x123));
+});
+
+test('bootstrap --dry-run takes a checkpoint file for the configured network and refuses another network', async (t) => {
+  const testnet = {
+    network: 'testnet',
+    height: 2500000,
+    hash: '00'.repeat(31) + '2a',
+    chainwork: 'ff',
+    saplingRoot: '11'.repeat(32),
+    time: null,
+  };
+  const file = checkpointFile(t, testnet);
+
+  const { status, document } = await zarklink(['relay', 'bootstrap', '--checkpoint', file, '--class-hash', '0x5', '--owner', OWNER, '--no-verify', '--dry-run']);
+  assert.equal(status, EXIT.OK);
+  assert.equal(document.data.checkpoint.height, 2500000);
+  assert.deepEqual(document.data.calldata, ['42', '0', '2500000', String(0x11111111111111111111111111111111n), String(0x11111111111111111111111111111111n), '255', '0', '291']);
+
+  const mainnet = await zarklink(['--profile', 'mainnet', 'relay', 'bootstrap', '--checkpoint', file, '--class-hash', '0x5', '--owner', OWNER, '--no-verify', '--dry-run']);
+  assert.equal(mainnet.status, EXIT.CONFIG);
+  assert.equal(mainnet.document.ok, false);
+  assert.match(mainnet.document.error.message, /Checkpoint is for testnet but the CLI is configured for mainnet/);
+});
+
+// Three chained testnet headers after Sapling, so the header carries the
+// Sapling root and the audit recomputes each block hash
+function testnetChain() {
+  const blocks = [];
+  let prevBlockHash = '00'.repeat(31) + '01';
+  for (let height = 300000; height < 300003; height++) {
+    const header = {
+      version: 4,
+      prevBlockHash,
+      merkleRoot: height.toString(16).padStart(64, '0'),
+      commitment: (height * 2).toString(16).padStart(64, '0'),
+      timestamp: 1540000000 + height,
+      bits: 0x2007ffff,
+      nonce: '00'.repeat(32),
+      solution: 'ab',
+    };
+    const raw = serializeHeader(header);
+    const blockHash = computeHeaderHash(raw);
+    blocks.push({ height, header, raw: raw.toString('hex'), blockHash });
+    prevBlockHash = blockHash;
+  }
+  return blocks;
+}
+
+// starknet_call answers for get_block_hash and get_header from the relay's
+// view of the chain, and zcashd's from the real one
+function startNode(t, chain, relayChain) {
+  const selector = (name) => BigInt(hash.getSelectorFromName(name)).toString();
+  const relay = {
+    [selector('get_block_hash')]: ([height]) => {
+      const block = relayChain.find((entry) => entry.height === Number(height));
+      return block ? splitU256(block.blockHash) : [0, 0];
+    },
+    [selector('get_header')]: ([low, high]) => {
+      const blockHash = joinU256(low, high).toString(16).padStart(64, '0');
+      const { height, header } = relayChain.find((entry) => entry.blockHash === blockHash);
+      return [
+        ...splitU256(blockHash),
+        ...splitU256(header.prevBlockHash),
+        ...splitU256(header.merkleRoot),
+        ...splitU256(header.commitment),
+        header.timestamp,
+        header.bits,
+        height,
+        1, 0, // chain_work
+        1, // verified
+      ];
+    },
+  };
+  const zcashd = {
+    getblockhash: ([height]) => chain.find((block) => block.height === height).blockHash,
+    getblockheader: ([blockHash]) => chain.find((block) => block.blockHash === blockHash).raw,
+    getblock: ([blockHash]) => {
+      const block = chain.find((entry) => entry.blockHash === blockHash);
+      return { hash: blockHash, height: block.height, finalsaplingroot: block.header.commitment };
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      let result;
+      if (method === 'starknet_call') {
+        const { entry_point_selector: entryPoint, calldata } = params.request;
+        result = relay[BigInt(entryPoint).toString()](calldata).map((felt) => '0x' + BigInt(felt).toString(16));
+      } else if (zcashd[method]) {
+        result = zcashd[method](params);
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(result === undefined
+        ? { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } }
+        : { jsonrpc: '2.0', id, result }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      t.after(() => server.close());
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ STARKNET_RPC_URL: url, ZCASH_RPC_URL: url, RELAY_ADDRESS: '0x1234' });
+    });
+  });
+}
+
+test('verify reports a relay that matches zcashd', async (t) => {
+  const chain = testnetChain();
+  const env = await startNode(t, chain, chain);
+
+  const { status, events, document } = await zarklink(['relay', 'verify', '--from', '300000', '--to', '300002'], env);
+  assert.equal(status, EXIT.OK);
+  assert.deepEqual(events, []);
+  assert.equal(document.ok, true);
+  assert.equal(document.command, 'relay verify');
+  assert.deepEqual(document.data, { from: 300000, to: 300002, sources: [new URL(env.ZCASH_RPC_URL).host], checked: 3 });
+});
+
+test('verify streams each divergent height and fails MISMATCH', async (t) => {
+  const chain = testnetChain();
+  // The relay stores another merkle root under the real hash of 300001
+  const forged = { ...chain[1].header, merkleRoot: 'ff'.repeat(32) };
+  const relayChain = chain.map((block) => (block.height === 300001 ? { ...block, header: forged } : block));
+  const env = await startNode(t, chain, relayChain);
+  const source = new URL(env.ZCASH_RPC_URL).host;
+
+  const { status, events, document } = await zarklink(['relay', 'verify', '--from', '300000', '--to', '300002'], env);
+  assert.equal(status, EXIT.MISMATCH);
+  assert.deepEqual(events, [{
+    command: 'relay verify',
+    event: 'divergence',
+    data: {
+      height: 300001,
+      divergences: [
+        { height: 300001, source, field: 'merkleRoot', relay: 'ff'.repeat(32), value: chain[1].header.merkleRoot },
+        { height: 300001, source, field: 'computedHash', relay: chain[1].blockHash, value: computeHeaderHash(serializeHeader(forged)) },
+      ],
+    },
+  }]);
+  assert.equal(document.ok, false);
+  assert.equal(document.error.code, 'MISMATCH');
+  assert.equal(document.error.exitCode, EXIT.MISMATCH);
+  assert.match(document.error.message, /diverges from Zcash at 1 heights/);
+  assert.deepEqual(document.error.details, { from: 300000, to: 300002, sources: [source], checked: 3, divergentHeights: [300001] });
+});
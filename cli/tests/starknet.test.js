@@ -0,0 +1,50 @@
+/**
+ * Starknet helper tests
+ * Signing accounts from the profile's keystore, in a throwaway HOME
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const FIXTURE = JSON.parse(fs.readFileSync(new URL('./fixtures/starkli-keystore.json', import.meta.url), 'utf8'));
+const FIXTURE_PASSWORD = 'zarklink-test';
+const FIXTURE_KEY = '0x0279c4de8d3bc7f18fa5e4e3b1b3b9c0e8d2c4a1f6b7e9d0c3a5b8e1f2d4c6a7';
+const ADDRESS = '0x' + 'a1'.padStart(64, '0');
+
+let home;
+let starknet;
+
+before(async () => {
+  // The config and keystore directories come from the home directory at
+  // import time
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'zarklink-starknet-'));
+  process.env.HOME = home;
+  delete process.env.ZARKLINK_SESSION;
+  fs.mkdirSync(path.join(home, '.zarklink', 'keystores'), { recursive: true });
+  fs.writeFileSync(path.join(home, '.zarklink', 'keystores', 'main.json'), JSON.stringify(FIXTURE));
+  fs.writeFileSync(path.join(home, '.zarklink', 'config.json'), JSON.stringify({
+    defaultProfile: 'devnet',
+    profiles: { devnet: { starknet: { accountAddress: ADDRESS, keystore: 'main' } } },
+  }));
+  starknet = await import('../src/utils/starknet.js');
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+  delete process.env.ZARKLINK_KEYSTORE_PASSWORD;
+});
+
+test('the keystore is unlocked once per process', async () => {
+  process.env.ZARKLINK_KEYSTORE_PASSWORD = FIXTURE_PASSWORD;
+  const first = await starknet.getAccount();
+  assert.equal(first.address, ADDRESS);
+  assert.equal(await first.signer.getPubKey(), await new (first.signer.constructor)(FIXTURE_KEY).getPubKey());
+
+  // A second signer does not ask for the password again
+  process.env.ZARKLINK_KEYSTORE_PASSWORD = 'wrong password';
+  const second = await starknet.getAccount();
+  assert.equal(await second.signer.getPubKey(), await first.signer.getPubKey());
+});
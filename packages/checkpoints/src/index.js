@@ -0,0 +1,176 @@
+/**
+ * Relay Checkpoints
+ * Trusted Zcash blocks a relay deployment can start from instead of
+ * relaying every header since genesis
+ *
+ * A checkpoint file is JSON, with hashes in the byte order zcashd displays
+ * and chainwork as zcashd's 64-digit hex:
+ *
+ *   {
+ *     "network": "mainnet",
+ *     "height": 2062238,
+ *     "hash": "0000000000f8909d...",
+ *     "chainwork": "00000000...0d22978cb1f59f16",
+ *     "saplingRoot": "41b8a505cd65cc8e...",
+ *     "time": "2023-04-23T23:58:50Z"
+ *   }
+ *
+ * The relay contract is deployed with the checkpoint as its genesis block
+ * (including the cumulative chainwork, so tips compare by real work), and
+ * the relay verifies every header after it.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+export const NETWORKS = ['mainnet', 'testnet'];
+
+const HASH = /^[0-9a-f]{64}$/;
+const U128_MASK = (1n << 128n) - 1n;
+
+/**
+ * Validate a parsed checkpoint file
+ * @returns {{ network: string, height: number, hash: string, chainwork: bigint, saplingRoot: string, time: string|null }}
+ */
+export function parseCheckpoint(data) {
+  const fail = (reason) => {
+    throw new Error(`Invalid checkpoint: ${reason}`);
+  };
+
+  if (!data || typeof data !== 'object') {
+    fail('expected a JSON object');
+  }
+  if (!NETWORKS.includes(data.network)) {
+    fail(`network must be one of ${NETWORKS.join(', ')}`);
+  }
+  if (!Number.isInteger(data.height) || data.height < 1) {
+    fail('height must be a positive integer');
+  }
+
+  const hash = String(data.hash || '').toLowerCase();
+  const saplingRoot = String(data.saplingRoot || '').toLowerCase();
+  const chainwork = String(data.chainwork || '').toLowerCase().replace(/^0x/, '');
+  if (!HASH.test(hash)) {
+    fail('hash must be 32 bytes of hex');
+  }
+  if (!HASH.test(saplingRoot)) {
+    fail('saplingRoot must be 32 bytes of hex');
+  }
+  if (!/^[0-9a-f]{1,64}$/.test(chainwork) || BigInt('0x' + chainwork) === 0n) {
+    fail('chainwork must be non-zero hex of at most 32 bytes');
+  }
+
+  return {
+    network: data.network,
+    height: data.height,
+    hash,
+    chainwork: BigInt('0x' + chainwork),
+    saplingRoot,
+    time: data.time || null,
+  };
+}
+
+export function loadCheckpoint(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read checkpoint ${file}: ${error.message}`);
+  }
+  return parseCheckpoint(data);
+}
+
+/**
+ * Path of the checkpoint shipped for a network (it may not exist)
+ */
+export function shippedCheckpointPath(network) {
+  return fileURLToPath(new URL(`../checkpoints/${network}.json`, import.meta.url));
+}
+
+/**
+ * The checkpoint shipped for a network, or null if there is none
+ */
+export function shippedCheckpoint(network) {
+  const file = shippedCheckpointPath(network);
+  return fs.existsSync(file) ? loadCheckpoint(file) : null;
+}
+
+/**
+ * Load a checkpoint given either a file path or a network name
+ */
+export function resolveCheckpoint(fileOrNetwork) {
+  if (NETWORKS.includes(fileOrNetwork)) {
+    const checkpoint = shippedCheckpoint(fileOrNetwork);
+    if (!checkpoint) {
+      throw new Error(`No checkpoint is shipped for ${fileOrNetwork}; create one from a trusted node`);
+    }
+    return checkpoint;
+  }
+  return loadCheckpoint(fileOrNetwork);
+}
+
+/**
+ * Checkpoint file contents
+ */
+export function serializeCheckpoint(checkpoint) {
+  return JSON.stringify({
+    network: checkpoint.network,
+    height: checkpoint.height,
+    hash: checkpoint.hash,
+    chainwork: checkpoint.chainwork.toString(16).padStart(64, '0'),
+    saplingRoot: checkpoint.saplingRoot,
+    time: checkpoint.time,
+  }, null, 2) + '\n';
+}
+
+/**
+ * Checkpoint from a zcashd `getblock` (verbosity 1) result
+ */
+export function checkpointFromBlock(network, block) {
+  return parseCheckpoint({
+    network,
+    height: block.height,
+    hash: block.hash,
+    chainwork: block.chainwork,
+    saplingRoot: block.finalsaplingroot,
+    time: block.time ? new Date(block.time * 1000).toISOString().replace('.000Z', 'Z') : null,
+  });
+}
+
+/**
+ * Fields of a node's block at the checkpoint height that disagree with
+ * the checkpoint. Fields the node does not report are not compared.
+ * @returns {Array<string>} Empty if the block matches
+ */
+export function compareWithBlock(checkpoint, block) {
+  const mismatches = [];
+
+  if (String(block.hash).toLowerCase() !== checkpoint.hash) {
+    mismatches.push(`hash ${block.hash} at height ${checkpoint.height}`);
+  }
+  if (block.chainwork && BigInt('0x' + String(block.chainwork).replace(/^0x/, '')) !== checkpoint.chainwork) {
+    mismatches.push(`chainwork ${block.chainwork}`);
+  }
+  if (block.finalsaplingroot && String(block.finalsaplingroot).toLowerCase() !== checkpoint.saplingRoot) {
+    mismatches.push(`sapling root ${block.finalsaplingroot}`);
+  }
+
+  return mismatches;
+}
+
+/**
+ * RelaySystem constructor calldata: genesis_hash, genesis_height,
+ * genesis_sapling_root, genesis_chain_work, owner (u256s as low, high)
+ * @returns {Array<string>}
+ */
+export function constructorCalldata(checkpoint, owner) {
+  const u256 = (value) => [(value & U128_MASK).toString(), (value >> 128n).toString()];
+
+  return [
+    ...u256(BigInt('0x' + checkpoint.hash)),
+    checkpoint.height.toString(),
+    ...u256(BigInt('0x' + checkpoint.saplingRoot)),
+    ...u256(checkpoint.chainwork),
+    BigInt(owner).toString(),
+  ];
+}
@@ -0,0 +1,75 @@
+/**
+ * Checkpoint tests
+ * Validation, the shipped mainnet checkpoint against the bundled block
+ * dataset, and the relay contract constructor calldata
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  parseCheckpoint,
+  shippedCheckpoint,
+  resolveCheckpoint,
+  serializeCheckpoint,
+  checkpointFromBlock,
+  compareWithBlock,
+  constructorCalldata,
+} from '../src/index.js';
+
+const DATASET = fileURLToPath(new URL('../../../data/block20230423.tsv', import.meta.url));
+
+function datasetBlock(height) {
+  const [head, ...lines] = readFileSync(DATASET, 'utf8').trim().split('\n');
+  const columns = head.split('\t');
+  const line = lines.find(l => l.startsWith(`${height}\t`));
+  const row = Object.fromEntries(line.split('\t').map((v, i) => [columns[i], v]));
+  return {
+    height: Number(row.id),
+    hash: row.hash,
+    chainwork: row.chainwork,
+    finalsaplingroot: row.final_sapling_root,
+    time: Date.parse(row.time.replace(' ', 'T') + 'Z') / 1000,
+  };
+}
+
+test('the shipped mainnet checkpoint matches the block dataset', () => {
+  const checkpoint = shippedCheckpoint('mainnet');
+  const block = datasetBlock(checkpoint.height);
+
+  assert.deepEqual(compareWithBlock(checkpoint, block), []);
+  assert.deepEqual(checkpointFromBlock('mainnet', block), checkpoint);
+  assert.equal(checkpoint.chainwork, 0xd22978cb1f59f16n);
+});
+
+test('mismatching node blocks are reported field by field', () => {
+  const checkpoint = shippedCheckpoint('mainnet');
+  const other = datasetBlock(checkpoint.height - 1);
+
+  const mismatches = compareWithBlock(checkpoint, { ...other, chainwork: undefined });
+  assert.equal(mismatches.length, 1);
+  assert.match(mismatches[0], /^hash 00000000/);
+});
+
+test('invalid checkpoints are rejected', () => {
+  const valid = JSON.parse(serializeCheckpoint(shippedCheckpoint('mainnet')));
+
+  assert.deepEqual(parseCheckpoint(valid), shippedCheckpoint('mainnet'));
+  assert.throws(() => parseCheckpoint({ ...valid, network: 'regtest' }), /network/);
+  assert.throws(() => parseCheckpoint({ ...valid, height: '2062238' }), /height/);
+  assert.throws(() => parseCheckpoint({ ...valid, hash: valid.hash.slice(2) }), /hash/);
+  assert.throws(() => parseCheckpoint({ ...valid, chainwork: '0' }), /chainwork/);
+  assert.throws(() => resolveCheckpoint('testnet'), /No checkpoint is shipped for testnet/);
+});
+
+test('constructor calldata splits u256 values into low and high', () => {
+  const checkpoint = shippedCheckpoint('mainnet');
+  const calldata = constructorCalldata(checkpoint, '0x123');
+
+  assert.equal(calldata.length, 8);
+  assert.equal((BigInt(calldata[1]) << 128n) + BigInt(calldata[0]), BigInt('0x' + checkpoint.hash));
+  assert.equal(calldata[2], '2062238');
+  assert.equal((BigInt(calldata[4]) << 128n) + BigInt(calldata[3]), BigInt('0x' + checkpoint.saplingRoot));
+  assert.deepEqual(calldata.slice(5), [checkpoint.chainwork.toString(), '0', '291']);
+});
@@ -0,0 +1,135 @@
+/**
+ * Finality Policy
+ * One definition of when a Zcash block is final, shared by the relay
+ * service (what to relay) and the CLI (when to mint)
+ *
+ * Rules:
+ * - depth: the block has at least `minDepth` confirmations (the tip has 1)
+ * - work:  the blocks built on top of it add at least `minWork` chain work
+ * - both:  depth and work
+ *
+ * Work is counted in expected hashes, as HeaderProcessor.calculateWork and
+ * the `chainwork` field of zcashd report it.
+ */
+
+export const RULES = ['depth', 'work', 'both'];
+
+export const NETWORK_DEFAULTS = {
+  mainnet: {
+    rule: 'both',
+    minDepth: 20,
+    // ~20 blocks at the 2023 mainnet difficulty (~87M)
+    minWork: 14n * 10n ** 12n,
+  },
+  testnet: {
+    rule: 'depth',
+    minDepth: 20,
+    // 20 blocks at the minimum difficulty; testnet difficulty swings too
+    // much for the work rule to mean more than that
+    minWork: 640n,
+  },
+};
+
+export class FinalityPolicy {
+  /**
+   * @param {Object} options - Unset values fall back to the network defaults
+   * @param {string} options.network - 'mainnet' or 'testnet'
+   * @param {string} options.rule - 'depth', 'work' or 'both'
+   * @param {number} options.minDepth - Confirmations, counting the block itself
+   * @param {bigint} options.minWork - Chain work on top of the block
+   */
+  constructor({ network = 'mainnet', rule, minDepth, minWork } = {}) {
+    const defaults = NETWORK_DEFAULTS[network];
+    if (!defaults) {
+      throw new Error(`Unknown Zcash network: ${network}`);
+    }
+    
+    this.network = network;
+    this.rule = rule || defaults.rule;
+    this.minDepth = minDepth ?? defaults.minDepth;
+    this.minWork = minWork ?? defaults.minWork;
+    
+    if (!RULES.includes(this.rule)) {
+      throw new Error(`Unknown finality rule "${this.rule}", expected one of ${RULES.join(', ')}`);
+    }
+    if (!Number.isInteger(this.minDepth) || this.minDepth < 1) {
+      throw new Error(`Finality depth must be a positive integer, got ${this.minDepth}`);
+    }
+    this.minWork = BigInt(this.minWork);
+  }
+  
+  get usesDepth() {
+    return this.rule !== 'work';
+  }
+  
+  get usesWork() {
+    return this.rule !== 'depth';
+  }
+  
+  /**
+   * @param {Object} position
+   * @param {number} position.depth - Confirmations of the block (tip = 1)
+   * @param {bigint} position.workAbove - Chain work of the blocks on top of it
+   * @returns {{ final: boolean, reasons: Array<string> }}
+   */
+  check({ depth, workAbove = 0n }) {
+    const reasons = [];
+    
+    if (this.usesDepth && depth < this.minDepth) {
+      reasons.push(`${depth} of ${this.minDepth} confirmations`);
+    }
+    if (this.usesWork && BigInt(workAbove) < this.minWork) {
+      reasons.push(`chain work ${BigInt(workAbove)} of ${this.minWork} on top`);
+    }
+    
+    return { final: reasons.length === 0, reasons };
+  }
+  
+  isFinal(position) {
+    return this.check(position).final;
+  }
+  
+  /**
+   * Highest final height below a tip
+   * @param {number} tipHeight
+   * @param {function(number): Promise<bigint>} workAt - Work of the block at
+   *   a height (only called for the work rule)
+   * @param {number} floor - Stop searching at this height
+   * @returns {Promise<number>} Final height, or a height <= floor if none above it is
+   */
+  async finalizedHeight(tipHeight, workAt, floor = 0) {
+    let height = this.usesDepth ? tipHeight - this.minDepth + 1 : tipHeight;
+    if (!this.usesWork) {
+      return height;
+    }
+    
+    let workAbove = 0n;
+    for (let above = tipHeight; above > height; above--) {
+      workAbove += await workAt(above);
+    }
+    
+    while (workAbove < this.minWork && height > floor) {
+      workAbove += await workAt(height);
+      height--;
+    }
+    
+    return workAbove < this.minWork ? Math.min(height, floor) : height;
+  }
+  
+  /**
+   * Human-readable form, e.g. "20 confirmations and 14000000000000 chain work on top"
+   */
+  describe() {
+    const depth = `${this.minDepth} confirmations`;
+    const work = `${this.minWork} chain work on top`;
+    
+    switch (this.rule) {
+      case 'depth':
+        return depth;
+      case 'work':
+        return work;
+      default:
+        return `${depth} and ${work}`;
+    }
+  }
+}
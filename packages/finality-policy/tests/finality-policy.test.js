@@ -0,0 +1,56 @@
+/**
+ * FinalityPolicy tests
+ * Depth, work and combined rules, and the final height search used by the relay
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FinalityPolicy, NETWORK_DEFAULTS } from '../src/index.js';
+
+test('network defaults apply unless overridden', () => {
+  const mainnet = new FinalityPolicy();
+  assert.equal(mainnet.rule, NETWORK_DEFAULTS.mainnet.rule);
+  assert.equal(mainnet.minDepth, 20);
+
+  const testnet = new FinalityPolicy({ network: 'testnet', minDepth: 6 });
+  assert.equal(testnet.rule, 'depth');
+  assert.equal(testnet.minDepth, 6);
+
+  assert.throws(() => new FinalityPolicy({ rule: 'vibes' }), /Unknown finality rule/);
+  assert.throws(() => new FinalityPolicy({ network: 'regtest' }), /Unknown Zcash network/);
+  assert.throws(() => new FinalityPolicy({ minDepth: 0 }), /positive integer/);
+});
+
+test('each rule checks its own condition', () => {
+  const depth = new FinalityPolicy({ rule: 'depth', minDepth: 20 });
+  assert.deepEqual(depth.check({ depth: 19 }), { final: false, reasons: ['19 of 20 confirmations'] });
+  assert.equal(depth.isFinal({ depth: 20 }), true);
+
+  const work = new FinalityPolicy({ rule: 'work', minWork: 1000n });
+  assert.equal(work.isFinal({ depth: 1, workAbove: 1000n }), true);
+  assert.equal(work.isFinal({ depth: 100, workAbove: 999n }), false);
+
+  const both = new FinalityPolicy({ rule: 'both', minDepth: 20, minWork: 1000n });
+  assert.equal(both.check({ depth: 19, workAbove: 10n }).reasons.length, 2);
+  assert.equal(both.isFinal({ depth: 20, workAbove: 1000n }), true);
+  assert.equal(both.describe(), '20 confirmations and 1000 chain work on top');
+});
+
+test('finalizedHeight walks down until enough work is on top', async () => {
+  // Blocks above 100 carry 10 work each, the rest 1
+  const workAt = async (height) => (height > 100 ? 10n : 1n);
+  const tip = 110;
+
+  const depth = new FinalityPolicy({ rule: 'depth', minDepth: 6 });
+  assert.equal(await depth.finalizedHeight(tip, workAt), 105);
+
+  const work = new FinalityPolicy({ rule: 'work', minWork: 30n });
+  assert.equal(await work.finalizedHeight(tip, workAt), 107);
+
+  const both = new FinalityPolicy({ rule: 'both', minDepth: 2, minWork: 30n });
+  assert.equal(await both.finalizedHeight(tip, workAt), 107);
+
+  // Not enough work anywhere above the floor
+  const heavy = new FinalityPolicy({ rule: 'work', minWork: 1000n });
+  assert.equal(await heavy.finalizedHeight(tip, workAt, 95), 95);
+});
@@ -0,0 +1,112 @@
+/**
+ * Header Commitments
+ * What the 32 header bytes after hashMerkleRoot commit to, by network upgrade
+ *
+ * - before Sapling: hashReserved, all zeros
+ * - Sapling: hashFinalSaplingRoot, the Sapling note commitment tree root
+ * - Heartwood (ZIP-221): hashLightClientRoot, the chain history tree root
+ *   (all zeros in the activation block)
+ * - NU5 (ZIP-244): hashBlockCommitments = BLAKE2b-256("ZcashBlockCommit",
+ *   hashChainHistoryRoot || hashAuthDataRoot || [0x00; 32])
+ *
+ * From Heartwood on a header no longer carries its Sapling root: the roots
+ * of a block are leaves of the chain history tree committed to by the next
+ * block. Relays take the Sapling and Orchard roots from their sources, along
+ * with the chain history and auth data roots that prove them, and check
+ * the header commits to the latter.
+ */
+
+import blake from 'blakejs';
+
+export const CommitmentType = {
+  RESERVED: 'reserved',
+  FINAL_SAPLING_ROOT: 'finalSaplingRoot',
+  CHAIN_HISTORY_ROOT: 'chainHistoryRoot',
+  BLOCK_COMMITMENTS: 'blockCommitments',
+};
+
+export const ZERO_HASH = '00'.repeat(32);
+
+const BLOCK_COMMITMENTS_PERSONALIZATION = Buffer.from('ZcashBlockCommit', 'ascii');
+
+/**
+ * Meaning of the header commitment field at a height
+ * @param {{ activationHeights: { sapling: number, heartwood: number, nu5: number } }} params -
+ *   Network parameters
+ */
+export function commitmentTypeAt(params, height) {
+  const { sapling, heartwood, nu5 } = params.activationHeights;
+
+  if (height >= nu5) return CommitmentType.BLOCK_COMMITMENTS;
+  if (height >= heartwood) return CommitmentType.CHAIN_HISTORY_ROOT;
+  if (height >= sapling) return CommitmentType.FINAL_SAPLING_ROOT;
+  return CommitmentType.RESERVED;
+}
+
+/**
+ * hashBlockCommitments of an NU5 header, hashes in display byte order
+ * (the native blake2 binding ignores personalization, so use blakejs)
+ */
+export function hashBlockCommitments(chainHistoryRoot, authDataRoot) {
+  const ctx = blake.blake2bInit(32, null, null, BLOCK_COMMITMENTS_PERSONALIZATION);
+  blake.blake2bUpdate(ctx, Buffer.from(chainHistoryRoot, 'hex').reverse());
+  blake.blake2bUpdate(ctx, Buffer.from(authDataRoot, 'hex').reverse());
+  blake.blake2bUpdate(ctx, Buffer.alloc(32));
+  return Buffer.from(blake.blake2bFinal(ctx)).reverse().toString('hex');
+}
+
+/**
+ * Tree roots from a zcashd `getblock` (verbosity 1) result; roots a node
+ * does not report are null
+ * @returns {{ saplingRoot: string|null, orchardRoot: string|null, authDataRoot: string|null, chainHistoryRoot: string|null }}
+ */
+export function rootsFromBlock(block) {
+  return {
+    saplingRoot: block.finalsaplingroot || null,
+    orchardRoot: block.finalorchardroot || null,
+    authDataRoot: block.authdataroot || null,
+    chainHistoryRoot: block.chainhistoryroot || null,
+  };
+}
+
+/**
+ * Why a header's commitment field does not match the given roots
+ * @param {string} type - CommitmentType at the header's height
+ * @param {string} commitment - The header field, display byte order
+ * @returns {string|null} null if it matches
+ */
+export function commitmentMismatch(type, commitment, roots) {
+  switch (type) {
+    case CommitmentType.RESERVED:
+      return commitment === ZERO_HASH ? null : `hashReserved ${commitment} is not zero`;
+
+    case CommitmentType.FINAL_SAPLING_ROOT:
+      if (roots.saplingRoot && roots.saplingRoot !== commitment) {
+        return `hashFinalSaplingRoot ${commitment} does not match sapling root ${roots.saplingRoot}`;
+      }
+      return null;
+
+    case CommitmentType.CHAIN_HISTORY_ROOT:
+      if (!roots.chainHistoryRoot) {
+        return 'source did not report the chain history root';
+      }
+      if (roots.chainHistoryRoot !== commitment) {
+        return `hashLightClientRoot ${commitment} does not match chain history root ${roots.chainHistoryRoot}`;
+      }
+      return null;
+
+    case CommitmentType.BLOCK_COMMITMENTS: {
+      if (!roots.chainHistoryRoot || !roots.authDataRoot) {
+        return 'source did not report the chain history and auth data roots';
+      }
+      const expected = hashBlockCommitments(roots.chainHistoryRoot, roots.authDataRoot);
+      if (expected !== commitment) {
+        return `hashBlockCommitments ${commitment} does not match ${expected} from the chain history and auth data roots`;
+      }
+      return null;
+    }
+
+    default:
+      throw new Error(`Unknown commitment type ${type}`);
+  }
+}
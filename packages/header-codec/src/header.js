@@ -0,0 +1,170 @@
+/**
+ * Zcash Block Headers
+ * Raw header parsing, serialization and hashing
+ *
+ * Header structure (1487 bytes for Equihash(200,9)):
+ * - nVersion: 4 bytes
+ * - hashPrevBlock: 32 bytes
+ * - hashMerkleRoot: 32 bytes
+ * - commitment: 32 bytes (hashFinalSaplingRoot, hashLightClientRoot or
+ *   hashBlockCommitments depending on the height, see commitments.js)
+ * - nTime: 4 bytes
+ * - nBits: 4 bytes
+ * - nNonce: 32 bytes
+ * - nSolution: compactSize length + 1344 bytes
+ *
+ * Hashes are in the byte order zcashd displays; the nonce and solution
+ * keep their header byte order.
+ */
+
+import crypto from 'crypto';
+import { CommitmentType, ZERO_HASH, commitmentTypeAt, commitmentMismatch } from './commitments.js';
+
+// Fixed-size header fields before nSolution
+export const HEADER_PREFIX_SIZE = 140;
+
+/**
+ * Parse a raw block header, with or without its solution
+ *
+ * `saplingRoot` is only known from the header before Heartwood; later
+ * headers get it from withRoots().
+ * @param {string} headerHex - Raw header in hex
+ * @param {number|null} height - Block height, needed to interpret the commitment
+ * @param {Object|null} params - Network parameters with activationHeights,
+ *   required with a height
+ */
+export function parseHeader(headerHex, height = null, params = null) {
+  const header = Buffer.from(headerHex, 'hex');
+
+  if (header.length < HEADER_PREFIX_SIZE) {
+    throw new Error(`Header too short: ${header.length} bytes`);
+  }
+  if (height !== null && !params) {
+    throw new Error('Network parameters are needed to parse a header at a height');
+  }
+
+  let solution = null;
+  if (header.length > HEADER_PREFIX_SIZE) {
+    const { value: solutionLength, size } = readCompactSize(header, HEADER_PREFIX_SIZE);
+    const start = HEADER_PREFIX_SIZE + size;
+    if (header.length < start + solutionLength) {
+      throw new Error(`Header truncated: expected ${start + solutionLength} bytes, got ${header.length}`);
+    }
+    solution = header.slice(start, start + solutionLength).toString('hex');
+  }
+
+  const commitment = header.slice(68, 100).reverse().toString('hex');
+  const commitmentType = height === null ? null : commitmentTypeAt(params, height);
+
+  let saplingRoot = null;
+  if (commitmentType === CommitmentType.FINAL_SAPLING_ROOT) {
+    saplingRoot = commitment;
+  } else if (commitmentType === CommitmentType.RESERVED) {
+    saplingRoot = ZERO_HASH;
+  }
+
+  return {
+    version: header.readUInt32LE(0),
+    prevBlockHash: header.slice(4, 36).reverse().toString('hex'),
+    merkleRoot: header.slice(36, 68).reverse().toString('hex'),
+    commitment,
+    commitmentType,
+    saplingRoot,
+    timestamp: header.readUInt32LE(100),
+    bits: header.readUInt32LE(104),
+    nonce: header.slice(108, 140).toString('hex'),
+    solution,
+  };
+}
+
+/**
+ * Serialize a parsed header back to its wire format
+ * @param {Object} header - Parsed header object
+ * @param {boolean} withSolution - Append the compactSize-prefixed solution
+ * @returns {Buffer}
+ */
+export function serializeHeader(header, withSolution = true) {
+  const prefix = Buffer.alloc(HEADER_PREFIX_SIZE);
+  prefix.writeUInt32LE(header.version, 0);
+  Buffer.from(header.prevBlockHash, 'hex').reverse().copy(prefix, 4);
+  Buffer.from(header.merkleRoot, 'hex').reverse().copy(prefix, 36);
+  Buffer.from(header.commitment, 'hex').reverse().copy(prefix, 68);
+  prefix.writeUInt32LE(header.timestamp, 100);
+  prefix.writeUInt32LE(header.bits, 104);
+  Buffer.from(header.nonce, 'hex').copy(prefix, 108);
+
+  if (!withSolution || !header.solution) {
+    return prefix;
+  }
+
+  const solution = Buffer.from(header.solution, 'hex');
+  return Buffer.concat([prefix, writeCompactSize(solution.length), solution]);
+}
+
+/**
+ * Attach the tree roots a source reported for a header, once the header
+ * is shown to commit to them
+ * @param {Object} header - Parsed with its height
+ * @param {Object} roots - { saplingRoot, orchardRoot, authDataRoot, chainHistoryRoot }
+ */
+export function withRoots(header, roots) {
+  if (header.commitmentType === null) {
+    throw new Error('Header was parsed without its height');
+  }
+
+  const mismatch = commitmentMismatch(header.commitmentType, header.commitment, roots);
+  if (mismatch) {
+    throw new Error(`Header roots rejected: ${mismatch}`);
+  }
+  if (!header.saplingRoot && !roots.saplingRoot) {
+    throw new Error('Header roots rejected: source did not report the sapling root');
+  }
+
+  return {
+    ...header,
+    saplingRoot: header.saplingRoot || roots.saplingRoot,
+    orchardRoot: roots.orchardRoot,
+    authDataRoot: roots.authDataRoot,
+    chainHistoryRoot: roots.chainHistoryRoot,
+  };
+}
+
+/**
+ * Compute the block hash as Zcash nodes report it: double SHA-256 of the
+ * full header (solution included), reversed for display. Headers link to
+ * their parent by it, and RelaySystem._compute_block_hash keys blocks by it.
+ * @param {Buffer} headerBytes - Full header bytes including solution
+ */
+export function computeHeaderHash(headerBytes) {
+  const first = crypto.createHash('sha256').update(headerBytes).digest();
+  return crypto.createHash('sha256').update(first).digest().reverse().toString('hex');
+}
+
+/**
+ * Read a Bitcoin-style compactSize integer
+ * @returns {{ value: number, size: number }}
+ */
+function readCompactSize(buf, offset) {
+  const first = buf[offset];
+  if (first < 0xfd) return { value: first, size: 1 };
+  if (first === 0xfd) return { value: buf.readUInt16LE(offset + 1), size: 3 };
+  if (first === 0xfe) return { value: buf.readUInt32LE(offset + 1), size: 5 };
+  throw new Error('compactSize too large');
+}
+
+/**
+ * Encode a compactSize integer
+ */
+function writeCompactSize(value) {
+  if (value < 0xfd) return Buffer.from([value]);
+  if (value <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = 0xfd;
+    buf.writeUInt16LE(value, 1);
+    return buf;
+  }
+  const buf = Buffer.alloc(5);
+  buf[0] = 0xfe;
+  buf.writeUInt32LE(value, 1);
+  return buf;
+}
@@ -0,0 +1,14 @@
+/**
+ * Header Codec
+ * One implementation of the Zcash header handling the relay service and
+ * the CLI share: raw header parsing and hashing, the header commitment
+ * field by network upgrade, network parameters, proof-of-work math, u256
+ * felts and the Starknet header encoding
+ */
+
+export * from './u256.js';
+export * from './network-params.js';
+export * from './commitments.js';
+export * from './header.js';
+export * from './work.js';
+export * from './starknet.js';
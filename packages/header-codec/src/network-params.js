@@ -0,0 +1,85 @@
+/**
+ * Zcash Network Parameters
+ * Consensus constants needed to interpret headers and validate header
+ * chains off-chain: genesis, network upgrade activation heights and the
+ * difficulty adjustment rules
+ */
+
+const NETWORKS = {
+  mainnet: {
+    network: 'mainnet',
+    genesisHash: '00040fe8ec8471911baa1db1266ea15dd06b4a8a5c453883c000b031973dce08',
+    activationHeights: {
+      sapling: 419200,
+      blossom: 653600,
+      heartwood: 903000,
+      canopy: 1046400,
+      nu5: 1687104,
+    },
+    pow: {
+      limit: 0x0007ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffn,
+      averagingWindow: 17,
+      maxAdjustDown: 32, // percent
+      maxAdjustUp: 16,   // percent
+      preBlossomSpacing: 150,
+      postBlossomSpacing: 75,
+      // Testnet-only minimum difficulty rule (disabled on mainnet)
+      allowMinDifficultyAfterHeight: null,
+    },
+  },
+  testnet: {
+    network: 'testnet',
+    genesisHash: '05a60a92d99d85997cce3b87616c089f6124d7342af37106edc76126334a2c38',
+    activationHeights: {
+      sapling: 280000,
+      blossom: 584000,
+      heartwood: 903800,
+      canopy: 1028500,
+      nu5: 1842420,
+    },
+    pow: {
+      limit: 0x07ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffn,
+      averagingWindow: 17,
+      maxAdjustDown: 32,
+      maxAdjustUp: 16,
+      preBlossomSpacing: 150,
+      postBlossomSpacing: 75,
+      allowMinDifficultyAfterHeight: 299187,
+    },
+  },
+};
+
+// Number of blocks used for median-time-past
+export const MEDIAN_TIME_SPAN = 11;
+
+// Maximum allowed drift of a block timestamp into the future (seconds)
+export const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60;
+
+/**
+ * Get consensus parameters for a Zcash network
+ * @param {string} network - 'mainnet' or 'testnet'
+ */
+export function getNetworkParams(network = 'mainnet') {
+  const params = NETWORKS[network];
+  if (!params) {
+    throw new Error(`Unknown Zcash network: ${network}`);
+  }
+  return params;
+}
+
+/**
+ * Map a getblockchaininfo `chain` value to a network name
+ * @param {string} chain - 'main' or 'test'
+ */
+export function networkFromChain(chain) {
+  return chain === 'test' ? 'testnet' : 'mainnet';
+}
+
+/**
+ * Target block spacing in seconds at a given height
+ */
+export function getTargetSpacing(params, height) {
+  return height >= params.activationHeights.blossom
+    ? params.pow.postBlossomSpacing
+    : params.pow.preBlossomSpacing;
+}
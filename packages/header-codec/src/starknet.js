@@ -0,0 +1,107 @@
+/**
+ * Starknet Header Encoding
+ * The felt252 layout RelaySystem._parse_header reads (u256s as low, high
+ * of the value in display byte order):
+ *
+ *   [0]: encoding version (HEADER_ENCODING_VERSION)
+ *   [1-2]: prev_block_hash, [3-4]: merkle_root, [5-6]: sapling_root
+ *   [7]: timestamp, [8]: bits, [9]: nVersion
+ *   [10-11]: header commitment field (see commitments.js)
+ *   [12-13]: orchard_root, [14-15]: auth_data_root,
+ *   [16-17]: chain_history_root (zero where the block has none)
+ *   [18-19]: nNonce (its 32 bytes in header order)
+ *   [20]: nSolution length in bytes
+ *   [21..]: nSolution, 31 big-endian bytes per felt252, the last word
+ *           holding what is left
+ */
+
+import { ZERO_HASH } from './commitments.js';
+import { splitU256, u256ToHex } from './u256.js';
+
+export const HEADER_ENCODING_VERSION = 1;
+
+const SOLUTION_OFFSET = 21;
+const SOLUTION_WORD_BYTES = 31; // so every word is below the felt252 prime
+
+/**
+ * Encode a parsed header, with its roots and solution, for the relay contract
+ * @param {Object} header - From parseHeader() and withRoots()
+ * @returns {Array<string>} felt252 values
+ */
+export function encodeForStarknet(header) {
+  if (!header.saplingRoot) {
+    throw new Error('Header has no Sapling root, attach its roots with withRoots()');
+  }
+  if (!header.solution) {
+    throw new Error('Header has no Equihash solution');
+  }
+
+  const solution = Buffer.from(header.solution, 'hex');
+  const solutionWords = [];
+  for (let i = 0; i < solution.length; i += SOLUTION_WORD_BYTES) {
+    solutionWords.push(BigInt('0x' + solution.subarray(i, i + SOLUTION_WORD_BYTES).toString('hex')).toString());
+  }
+
+  return [
+    HEADER_ENCODING_VERSION.toString(),
+    ...splitU256(header.prevBlockHash),
+    ...splitU256(header.merkleRoot),
+    ...splitU256(header.saplingRoot),
+    header.timestamp.toString(),
+    header.bits.toString(),
+    header.version.toString(),
+    ...splitU256(header.commitment),
+    ...splitU256(header.orchardRoot || ZERO_HASH),
+    ...splitU256(header.authDataRoot || ZERO_HASH),
+    ...splitU256(header.chainHistoryRoot || ZERO_HASH),
+    ...splitU256(header.nonce),
+    solution.length.toString(),
+    ...solutionWords,
+  ];
+}
+
+/**
+ * Decode a header encoded by encodeForStarknet
+ * @param {Array<string|bigint>} encoded - felt252 values
+ * @returns {Object} Header fields, serializeHeader() rebuilds the raw header
+ */
+export function decodeFromStarknet(encoded) {
+  const words = encoded.map(word => BigInt(word));
+  if (words[0] !== BigInt(HEADER_ENCODING_VERSION)) {
+    throw new Error(`Unsupported header encoding version ${words[0]}`);
+  }
+  if (words.length < SOLUTION_OFFSET) {
+    throw new Error(`Encoded header too short: ${words.length} words`);
+  }
+
+  const u256 = (i) => u256ToHex(words[i], words[i + 1]);
+  const solutionLength = Number(words[20]);
+  const wordCount = Math.ceil(solutionLength / SOLUTION_WORD_BYTES);
+  if (words.length !== SOLUTION_OFFSET + wordCount) {
+    throw new Error(`Encoded header has ${words.length} words, a ${solutionLength}-byte solution needs ${SOLUTION_OFFSET + wordCount}`);
+  }
+
+  const solution = words.slice(SOLUTION_OFFSET).map((word, i) => {
+    const size = Math.min(SOLUTION_WORD_BYTES, solutionLength - i * SOLUTION_WORD_BYTES);
+    const hex = word.toString(16).padStart(size * 2, '0');
+    if (hex.length > size * 2) {
+      throw new Error(`Solution word ${i} does not fit in ${size} bytes`);
+    }
+    return hex;
+  });
+
+  return {
+    prevBlockHash: u256(1),
+    merkleRoot: u256(3),
+    saplingRoot: u256(5),
+    timestamp: Number(words[7]),
+    bits: Number(words[8]),
+    version: Number(words[9]),
+    commitment: u256(10),
+    orchardRoot: u256(12),
+    authDataRoot: u256(14),
+    chainHistoryRoot: u256(16),
+    nonce: u256(18),
+    solution: solution.join(''),
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * u256 Values
+ * Cairo passes a u256 as two felt252 words, low 128 bits first
+ */
+
+export const U128_MASK = (1n << 128n) - 1n;
+
+const MAX_U256 = (1n << 256n) - 1n;
+
+/**
+ * A u256 as a bigint, from a bigint, a number or hex (with or without 0x,
+ * shorter values are zero-padded on the left)
+ */
+export function toU256(value) {
+  let n;
+  if (typeof value === 'bigint' || typeof value === 'number') {
+    n = BigInt(value);
+  } else {
+    const hex = String(value).replace(/^0x/i, '');
+    if (!/^[0-9a-fA-F]{1,64}$/.test(hex)) {
+      throw new Error(`Not a u256 hex value: ${value}`);
+    }
+    n = BigInt('0x' + hex);
+  }
+
+  if (n < 0n || n > MAX_U256) {
+    throw new Error(`Value out of u256 range: ${value}`);
+  }
+  return n;
+}
+
+/**
+ * Split a value into its u256 felts: [low, high] as decimal strings. For a
+ * 32-byte hash in display order, low is the last 16 bytes.
+ */
+export function splitU256(value) {
+  const n = toU256(value);
+  return [(n & U128_MASK).toString(), (n >> 128n).toString()];
+}
+
+/**
+ * Join u256 felts back into a bigint
+ */
+export function joinU256(low, high) {
+  return (BigInt(high) << 128n) + BigInt(low);
+}
+
+/**
+ * u256 felts as 32 bytes of hex
+ */
+export function u256ToHex(low, high) {
+  return joinU256(low, high).toString(16).padStart(64, '0');
+}
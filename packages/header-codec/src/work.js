@@ -0,0 +1,73 @@
+/**
+ * Proof-of-Work Math
+ * Compact difficulty bits, targets and chain work as zcashd computes them
+ * (arith_uint256::SetCompact / GetCompact and GetBlockProof)
+ */
+
+const MAX_U256 = (1n << 256n) - 1n;
+
+/**
+ * Convert compact bits to a target
+ * @param {number} bits - Difficulty bits (nBits)
+ * @returns {bigint}
+ */
+export function bitsToTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = bits & 0x007fffff;
+
+  if (exponent <= 3) {
+    return BigInt(mantissa) >> BigInt(8 * (3 - exponent));
+  }
+  return BigInt(mantissa) << BigInt(8 * (exponent - 3));
+}
+
+/**
+ * Encode a target as compact difficulty bits
+ * @param {bigint} target - Target threshold
+ */
+export function targetToBits(target) {
+  if (target === 0n) {
+    return 0;
+  }
+
+  let size = Math.ceil(target.toString(2).length / 8);
+  let compact;
+
+  if (size <= 3) {
+    compact = Number(target << BigInt(8 * (3 - size)));
+  } else {
+    compact = Number(target >> BigInt(8 * (size - 3)));
+  }
+
+  // The 0x00800000 bit denotes the sign, so shift the mantissa if it is set
+  if (compact & 0x00800000) {
+    compact >>>= 8;
+    size++;
+  }
+
+  return ((size << 24) | compact) >>> 0;
+}
+
+/**
+ * Whether a block hash meets the target of its bits
+ * @param {string} blockHash - Block hash in display hex
+ * @param {number} bits - Difficulty bits
+ */
+export function meetsTarget(blockHash, bits) {
+  return BigInt('0x' + blockHash) <= bitsToTarget(bits);
+}
+
+/**
+ * Expected number of hashes for a block at these bits:
+ * (2^256 - 1) / (target + 1), as in the `chainwork` zcashd reports
+ * @param {number} bits - Difficulty bits
+ * @returns {bigint}
+ */
+export function calculateWork(bits) {
+  const target = bitsToTarget(bits);
+
+  if (target === 0n) {
+    return 0n;
+  }
+  return MAX_U256 / (target + 1n);
+}
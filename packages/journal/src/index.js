@@ -0,0 +1,151 @@
+/**
+ * Journal
+ * Append-only JSON Lines files: every change is one line, fsync'd before
+ * the caller moves on, and replayed in order on the next open
+ *
+ * Journal keeps the file and leaves what a record means to its subclass
+ * (`apply`). KeyedJournal merges records into one entry per key and
+ * rewrites the file to one line per entry once the history outgrows them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function parseLines(text) {
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // A crash mid-write can leave a truncated last line
+    }
+  }
+  return records;
+}
+
+/**
+ * Records of a journal file, in the order they were written
+ * @returns {Array<Object>} [] if the file does not exist
+ */
+export function readJournal(filePath) {
+  return fs.existsSync(filePath) ? parseLines(fs.readFileSync(filePath, 'utf8')) : [];
+}
+
+export class Journal {
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {number} options.mode - Mode of the journal file (default: umask)
+   * @param {number} options.dirMode - Mode of directories created for it
+   */
+  constructor(filePath, { mode, dirMode } = {}) {
+    this.filePath = filePath;
+    this.mode = mode;
+    this.dirMode = dirMode;
+    this.fd = null;
+  }
+
+  /**
+   * Replay the journal and open it for appending
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: this.dirMode });
+
+    const text = fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath, 'utf8') : '';
+    // Cut a truncated last line off, or the next append would continue it
+    if (text && !text.endsWith('\n')) {
+      fs.truncateSync(this.filePath, Buffer.byteLength(text.slice(0, text.lastIndexOf('\n') + 1)));
+    }
+
+    const records = parseLines(text);
+    for (const record of records) {
+      this.apply(record);
+    }
+    if (this.needsCompaction(records.length)) {
+      this.compact();
+    }
+
+    this.fd = fs.openSync(this.filePath, 'a', this.mode);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Take one record into memory, when replayed or appended
+   */
+  apply(record) {
+    throw new Error(`${this.constructor.name} does not implement apply()`);
+  }
+
+  /**
+   * Write records in one go, then apply them
+   */
+  append(...records) {
+    fs.writeSync(this.fd, records.map(record => JSON.stringify(record) + '\n').join(''));
+    fs.fsyncSync(this.fd);
+    for (const record of records) {
+      this.apply(record);
+    }
+  }
+
+  /**
+   * Whether open() should rewrite the file from snapshot()
+   * @param {number} lineCount - Records replayed
+   */
+  needsCompaction(lineCount) {
+    return false;
+  }
+
+  /**
+   * Records that replay to the current state
+   */
+  snapshot() {
+    throw new Error(`${this.constructor.name} does not implement snapshot()`);
+  }
+
+  /**
+   * Replace the file with snapshot(), atomically
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = this.snapshot().map(record => JSON.stringify(record) + '\n');
+    fs.writeFileSync(tmpPath, lines.join(''), { mode: this.mode });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+export class KeyedJournal extends Journal {
+  /**
+   * @param {string} filePath
+   * @param {Function} keyOf - record => key of the entry it updates
+   * @param {Object} options - See Journal
+   */
+  constructor(filePath, keyOf, options = {}) {
+    super(filePath, options);
+    this.keyOf = keyOf;
+    this.entries = new Map(); // key -> entry
+  }
+
+  apply(record) {
+    const key = this.keyOf(record);
+    const existing = this.entries.get(key) || {};
+    this.entries.set(key, { ...existing, ...record });
+  }
+
+  // Collapse the history to one line per entry once it grows
+  needsCompaction(lineCount) {
+    return lineCount > 2 * this.entries.size;
+  }
+
+  snapshot() {
+    return [...this.entries.values()];
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Journal tests
+ * Replay across restarts, truncated lines, keyed merging and compaction
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Journal, KeyedJournal, readJournal } from '../src/index.js';
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'journal.jsonl');
+}
+
+class ListJournal extends Journal {
+  constructor(filePath, options) {
+    super(filePath, options);
+    this.records = [];
+  }
+
+  apply(record) {
+    this.records.push(record);
+  }
+}
+
+test('records are replayed in order after a restart', (t) => {
+  const file = tempFile(t);
+
+  const first = new ListJournal(file);
+  first.open();
+  first.append({ n: 1 });
+  first.append({ n: 2 }, { n: 3 });
+  first.close();
+
+  const second = new ListJournal(file);
+  second.open();
+  t.after(() => second.close());
+  assert.deepEqual(second.records, [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('a truncated last line is skipped and cut off before appending', (t) => {
+  const file = tempFile(t);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{"n":1}\n\n{"n":2}\n{"n":');
+
+  assert.deepEqual(readJournal(file), [{ n: 1 }, { n: 2 }]);
+  assert.deepEqual(readJournal(`${file}.missing`), []);
+
+  const journal = new ListJournal(file);
+  journal.open();
+  journal.append({ n: 3 });
+  journal.close();
+  assert.deepEqual(readJournal(file), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('a keyed journal merges records per key and compacts its history', (t) => {
+  const file = tempFile(t);
+
+  const first = new KeyedJournal(file, record => record.id);
+  first.open();
+  first.append({ id: 'a', status: 'new', note: 'kept' });
+  first.append({ id: 'a', status: 'done' });
+  first.append({ id: 'b', status: 'new' });
+  first.append({ id: 'a', status: 'archived' });
+  first.append({ id: 'b', status: 'done' });
+  first.close();
+  assert.equal(readJournal(file).length, 5);
+
+  const second = new KeyedJournal(file, record => record.id);
+  second.open();
+  assert.deepEqual(second.entries.get('a'), { id: 'a', status: 'archived', note: 'kept' });
+  assert.deepEqual(readJournal(file), [...second.entries.values()]);
+
+  // Appends after the compaction land in the new file
+  second.append({ id: 'c', status: 'new' });
+  second.close();
+  assert.equal(readJournal(file).length, 3);
+});
+
+test('file and directory modes are applied', (t) => {
+  const file = tempFile(t);
+
+  const journal = new KeyedJournal(file, record => record.id, { mode: 0o600, dirMode: 0o700 });
+  journal.open();
+  journal.append({ id: 'a' }, { id: 'a' }, { id: 'a' });
+  journal.close();
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.equal(fs.statSync(path.dirname(file)).mode & 0o777, 0o700);
+
+  // The compacted file keeps the mode
+  journal.open();
+  journal.close();
+  assert.equal(readJournal(file).length, 1);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
@@ -0,0 +1,250 @@
+/**
+ * Relay Indexer
+ * Follows a RelaySystem contract's events through `starknet_getEvents` and
+ * keeps them in a local append-only JSON log (a @zarklink/journal), to answer who relayed a
+ * height, which reorgs the relay went through and how submissions split
+ * between relayers
+ *
+ * Each sync reads every page of events from the block after the last
+ * synced one up to the latest accepted block, and appends them with a
+ * cursor line marking that block. Events logged after the last cursor (a
+ * crash mid-write) are dropped from the log on open and read again by the
+ * next sync.
+ *
+ * BlockHeaderSubmitted carries the submitting relayer as its last key;
+ * for contracts deployed before it did, the relayer is the sender of the
+ * event's transaction.
+ */
+
+import { Journal } from '@zarklink/journal';
+import { u256ToHex } from '@zarklink/header-codec';
+
+// sn_keccak of the event names
+export const EventSelector = {
+  BlockHeaderSubmitted: '0x2178e8f99522c146e073c5985b22ae338c9548ae287ace8a3d010f19a6ddb02',
+  ChainReorg: '0x92664900e7bbc687f4b3ad2993af17d6687f0ddbe82cebec3ef5c30a93f9e5',
+  RelayerAdded: '0x540582870962fda8fec25ced019a8b71933e64e62a2e1dcaa70acd31cd06d6',
+  RelayerRemoved: '0x1d37210d2dea24d9c5e49b78e014fd41170d3038839d79e85689204c91361e6',
+};
+
+const EVENT_NAMES = new Map(Object.entries(EventSelector).map(([name, selector]) => [BigInt(selector), name]));
+
+/**
+ * A Starknet address in one canonical form
+ */
+export function normalizeAddress(address) {
+  return '0x' + BigInt(address).toString(16).padStart(64, '0');
+}
+
+/**
+ * Fields of a raw RelaySystem event, or null for other events
+ * @param {Object} event - As returned by starknet_getEvents
+ * @returns {Object|null} { type, ... }; BlockHeaderSubmitted has a null
+ *   relayer if the event does not carry it
+ */
+export function decodeEvent(event) {
+  const type = EVENT_NAMES.get(BigInt(event.keys[0]));
+  const { keys, data } = event;
+
+  switch (type) {
+    case 'BlockHeaderSubmitted':
+      // keys: [selector, block_hash (2), prev_block_hash (2), relayer?]
+      // data: [height, sapling_root (2)]
+      return {
+        type,
+        blockHash: u256ToHex(keys[1], keys[2]),
+        prevBlockHash: u256ToHex(keys[3], keys[4]),
+        relayer: keys.length > 5 ? normalizeAddress(keys[5]) : null,
+        height: Number(BigInt(data[0])),
+        saplingRoot: u256ToHex(data[1], data[2]),
+      };
+    case 'ChainReorg':
+      // data: [old_tip (2), new_tip (2), old_height, new_height]
+      return {
+        type,
+        oldTip: u256ToHex(data[0], data[1]),
+        newTip: u256ToHex(data[2], data[3]),
+        oldHeight: Number(BigInt(data[4])),
+        newHeight: Number(BigInt(data[5])),
+      };
+    case 'RelayerAdded':
+    case 'RelayerRemoved':
+      return { type, relayer: normalizeAddress(keys[1]) };
+    default:
+      return null;
+  }
+}
+
+export class RelayIndexer extends Journal {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - starknet.js RpcProvider (getEvents,
+   *   getBlockNumber, getBlock, getTransactionByHash)
+   * @param {string} options.contractAddress - RelaySystem contract
+   * @param {string} options.file - JSON log to keep the history in
+   * @param {number} options.fromBlock - Starknet block to start from (the
+   *   contract's deployment block)
+   * @param {number} options.chunkSize - Events per getEvents page
+   */
+  constructor({ provider, contractAddress, file, fromBlock = 0, chunkSize = 100 }) {
+    super(file);
+    this.provider = provider;
+    this.contractAddress = contractAddress;
+    this.fromBlock = fromBlock;
+    this.chunkSize = chunkSize;
+    this.events = [];
+    this.uncommitted = []; // events not followed by a cursor yet
+    this.syncedBlock = null; // last Starknet block fully indexed
+  }
+
+  apply(record) {
+    if (record.type === 'cursor') {
+      this.events.push(...this.uncommitted);
+      this.uncommitted = [];
+      this.syncedBlock = record.block;
+    } else {
+      this.uncommitted.push(record);
+    }
+  }
+
+  /**
+   * Load the history kept so far and open the log for appending
+   */
+  open() {
+    super.open();
+    this.uncommitted = [];
+  }
+
+  // Rewrite the log without the events of an interrupted sync
+  needsCompaction() {
+    return this.uncommitted.length > 0;
+  }
+
+  snapshot() {
+    return this.syncedBlock === null ? [] : [...this.events, { type: 'cursor', block: this.syncedBlock }];
+  }
+
+  /**
+   * Index events up to the latest accepted block
+   * @returns {Promise<{ from: number, to: number, added: number }|null>} null if already up to date
+   */
+  async sync() {
+    const from = this.syncedBlock === null ? this.fromBlock : this.syncedBlock + 1;
+    const to = await this.provider.getBlockNumber();
+    if (from > to) {
+      return null;
+    }
+
+    const raw = [];
+    let continuationToken;
+    do {
+      const page = await this.provider.getEvents({
+        address: this.contractAddress,
+        from_block: { block_number: from },
+        to_block: { block_number: to },
+        keys: [Object.values(EventSelector)],
+        chunk_size: this.chunkSize,
+        continuation_token: continuationToken,
+      });
+      raw.push(...page.events);
+      continuationToken = page.continuation_token;
+    } while (continuationToken);
+
+    const times = new Map();
+    const senders = new Map();
+    const added = [];
+    for (const event of raw) {
+      const decoded = decodeEvent(event);
+      if (!decoded) {
+        continue;
+      }
+
+      if (!times.has(event.block_number)) {
+        const block = await this.provider.getBlock(event.block_number);
+        times.set(event.block_number, block.timestamp);
+      }
+      if (decoded.type === 'BlockHeaderSubmitted' && !decoded.relayer) {
+        if (!senders.has(event.transaction_hash)) {
+          const tx = await this.provider.getTransactionByHash(event.transaction_hash);
+          senders.set(event.transaction_hash, normalizeAddress(tx.sender_address));
+        }
+        decoded.relayer = senders.get(event.transaction_hash);
+      }
+
+      added.push({
+        ...decoded,
+        txHash: event.transaction_hash,
+        blockNumber: event.block_number,
+        time: times.get(event.block_number),
+      });
+    }
+
+    this.append(...added, { type: 'cursor', block: to });
+    return { from, to, added: added.length };
+  }
+
+  /**
+   * Every submission of a header at a Zcash height, oldest first (more
+   * than one when the height was reorged or relayed on several branches)
+   * @returns {Array<{ blockHash: string, relayer: string, txHash: string, blockNumber: number, time: number }>}
+   */
+  relayedAt(height) {
+    return this.ofType('BlockHeaderSubmitted')
+      .filter(event => event.height === height)
+      .map(({ blockHash, relayer, txHash, blockNumber, time }) => ({ blockHash, relayer, txHash, blockNumber, time }));
+  }
+
+  /**
+   * ChainReorg events at or after a time, oldest first
+   * @param {number} since - Unix seconds
+   */
+  reorgs(since = 0) {
+    return this.ofType('ChainReorg').filter(event => event.time >= since);
+  }
+
+  /**
+   * Headers submitted per relayer at or after a time, most first
+   * @param {number} since - Unix seconds
+   * @returns {Array<{ relayer: string, submissions: number, share: number, active: boolean }>}
+   *   share is the fraction of all submissions; active is whether the
+   *   relayer is still registered as far as the history shows
+   */
+  relayerShare(since = 0) {
+    const counts = new Map();
+    for (const event of this.ofType('BlockHeaderSubmitted')) {
+      if (event.time >= since) {
+        counts.set(event.relayer, (counts.get(event.relayer) || 0) + 1);
+      }
+    }
+
+    const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    const active = this.relayers();
+    return [...counts.entries()]
+      .map(([relayer, submissions]) => ({
+        relayer,
+        submissions,
+        share: submissions / total,
+        active: active.includes(relayer),
+      }))
+      .sort((a, b) => b.submissions - a.submissions);
+  }
+
+  /**
+   * Relayers added and not removed since
+   */
+  relayers() {
+    const registered = new Set();
+    for (const event of this.events) {
+      if (event.type === 'RelayerAdded') {
+        registered.add(event.relayer);
+      } else if (event.type === 'RelayerRemoved') {
+        registered.delete(event.relayer);
+      }
+    }
+    return [...registered];
+  }
+
+  ofType(type) {
+    return this.events.filter(event => event.type === type);
+  }
+}
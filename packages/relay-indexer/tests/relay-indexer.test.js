@@ -0,0 +1,162 @@
+/**
+ * RelayIndexer tests
+ * Paginated syncing from a fake provider, the local log across restarts
+ * and the history queries
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { splitU256 } from '@zarklink/header-codec';
+import { RelayIndexer, EventSelector, decodeEvent, normalizeAddress } from '../src/index.js';
+
+const CONTRACT = '0x1ae3';
+const ALICE = normalizeAddress('0xa11ce');
+const BOB = normalizeAddress('0xb0b');
+const DAY = 86400;
+
+const hashAt = (height) => height.toString(16).padStart(64, '0');
+
+function submitted(height, relayer, blockNumber, { withRelayer = true, hash = hashAt(height) } = {}) {
+  const keys = [EventSelector.BlockHeaderSubmitted, ...splitU256(hash), ...splitU256(hashAt(height - 1))];
+  return {
+    keys: withRelayer ? [...keys, relayer] : keys,
+    data: [String(height), ...splitU256('ab'.repeat(32))],
+    block_number: blockNumber,
+    transaction_hash: `0x${blockNumber}${height}`,
+  };
+}
+
+function reorg(oldHeight, newHeight, blockNumber) {
+  return {
+    keys: [EventSelector.ChainReorg],
+    data: [...splitU256(hashAt(oldHeight)), ...splitU256('cd'.repeat(32)), String(oldHeight), String(newHeight)],
+    block_number: blockNumber,
+    transaction_hash: `0xre${blockNumber}`,
+  };
+}
+
+function relayerEvent(type, relayer, blockNumber) {
+  return { keys: [EventSelector[type], relayer], data: [], block_number: blockNumber, transaction_hash: `0x${type}${blockNumber}` };
+}
+
+/**
+ * Serves `events` (one Starknet block per day) in pages of chunk_size
+ */
+function fakeProvider(events, { latest, senders = {} }) {
+  const provider = {
+    calls: 0,
+    latest,
+    async getBlockNumber() {
+      return provider.latest;
+    },
+    async getEvents({ from_block, to_block, chunk_size, continuation_token }) {
+      provider.calls++;
+      const inRange = events.filter(e => e.block_number >= from_block.block_number && e.block_number <= to_block.block_number);
+      const start = continuation_token ? Number(continuation_token) : 0;
+      const end = start + chunk_size;
+      return {
+        events: inRange.slice(start, end),
+        continuation_token: end < inRange.length ? String(end) : undefined,
+      };
+    },
+    async getBlock(blockNumber) {
+      return { timestamp: blockNumber * DAY };
+    },
+    async getTransactionByHash(txHash) {
+      return { sender_address: senders[txHash] };
+    },
+  };
+  return provider;
+}
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'relay-history-')), 'history.jsonl');
+}
+
+test('events are decoded from their keys and data', () => {
+  const event = decodeEvent(submitted(2062000, ALICE, 5));
+  assert.deepEqual(event, {
+    type: 'BlockHeaderSubmitted',
+    blockHash: hashAt(2062000),
+    prevBlockHash: hashAt(2061999),
+    relayer: ALICE,
+    height: 2062000,
+    saplingRoot: 'ab'.repeat(32),
+  });
+  assert.equal(decodeEvent(reorg(10, 11, 1)).newHeight, 11);
+  assert.equal(decodeEvent({ keys: ['0x1234'], data: [] }), null);
+});
+
+test('sync pages through every event and answers history queries', async () => {
+  const events = [
+    relayerEvent('RelayerAdded', ALICE, 1),
+    relayerEvent('RelayerAdded', BOB, 1),
+    submitted(100, ALICE, 2),
+    submitted(101, ALICE, 2),
+    submitted(102, BOB, 3),
+    submitted(102, ALICE, 9, { hash: 'ee'.repeat(32) }),
+    reorg(102, 102, 9),
+    relayerEvent('RelayerRemoved', BOB, 10),
+  ];
+  const provider = fakeProvider(events, { latest: 10 });
+  const indexer = new RelayIndexer({ provider, contractAddress: CONTRACT, file: tempFile(), chunkSize: 3 });
+  indexer.open();
+
+  assert.deepEqual(await indexer.sync(), { from: 0, to: 10, added: 8 });
+  assert.equal(provider.calls, 3);
+  assert.equal(await indexer.sync(), null);
+
+  assert.deepEqual(indexer.relayedAt(102).map(s => [s.relayer, s.blockNumber, s.time]), [[BOB, 3, 3 * DAY], [ALICE, 9, 9 * DAY]]);
+  assert.deepEqual(indexer.relayedAt(99), []);
+  assert.equal(indexer.reorgs(8 * DAY).length, 1);
+  assert.equal(indexer.reorgs(10 * DAY).length, 0);
+  assert.deepEqual(indexer.relayers(), [ALICE]);
+  assert.deepEqual(indexer.relayerShare(), [
+    { relayer: ALICE, submissions: 3, share: 0.75, active: true },
+    { relayer: BOB, submissions: 1, share: 0.25, active: false },
+  ]);
+  assert.deepEqual(indexer.relayerShare(4 * DAY).map(s => s.relayer), [ALICE]);
+});
+
+test('the log survives restarts and only resumes after the last cursor', async () => {
+  const file = tempFile();
+  const events = [submitted(100, ALICE, 2), submitted(101, BOB, 5)];
+  const provider = fakeProvider(events, { latest: 3 });
+
+  const first = new RelayIndexer({ provider, contractAddress: CONTRACT, file });
+  first.open();
+  await first.sync();
+
+  // A crash after writing an event but before its cursor
+  fs.appendFileSync(file, JSON.stringify({ type: 'BlockHeaderSubmitted', height: 101 }) + '\n{"type":"curs');
+
+  provider.latest = 6;
+  const second = new RelayIndexer({ provider, contractAddress: CONTRACT, file });
+  second.open();
+  assert.equal(second.syncedBlock, 3);
+  assert.equal(second.relayedAt(101).length, 0);
+
+  assert.deepEqual(await second.sync(), { from: 4, to: 6, added: 1 });
+  assert.deepEqual(second.relayedAt(101).map(s => s.relayer), [BOB]);
+  second.close();
+
+  // The interrupted sync's event is gone from the log, not just skipped
+  const third = new RelayIndexer({ provider, contractAddress: CONTRACT, file });
+  third.open();
+  assert.equal(third.syncedBlock, 6);
+  assert.deepEqual(third.relayedAt(101).map(s => s.relayer), [BOB]);
+  third.close();
+});
+
+test('submissions without a relayer key are attributed to the transaction sender', async () => {
+  const event = submitted(100, null, 2, { withRelayer: false });
+  const provider = fakeProvider([event], { latest: 2, senders: { [event.transaction_hash]: '0xb0b' } });
+  const indexer = new RelayIndexer({ provider, contractAddress: CONTRACT, file: tempFile() });
+  indexer.open();
+  await indexer.sync();
+
+  assert.equal(indexer.relayedAt(100)[0].relayer, BOB);
+});
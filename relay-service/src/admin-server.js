@@ -0,0 +1,172 @@
+/**
+ * Admin Server
+ * Authenticated local control API for operating a running relay
+ *
+ * Listens on a Unix socket or on 127.0.0.1 only. Every request needs
+ * `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ *   GET  /state      Relay heights, in-flight transactions, source health
+ *   POST /pause      Stop submitting new batches (in-flight ones still settle)
+ *   POST /resume
+ *   POST /resubmit   { "from": 100, "to": 120 }
+ *   POST /settings   { "pollInterval": 30000, "batchSize": 20 }
+ *   GET  /fees       ?from=&to=&format=csv   Fee ledger for reimbursement
+ *   GET  /history    ?height=&days=7   Who relayed a height, recent reorgs,
+ *                    relayer submission share (from the event indexer)
+ *   POST /replay/fork { "depth": 3 }   (offline replay only)
+ */
+
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+export class AdminError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+  }
+}
+
+export class AdminServer {
+  /**
+   * @param {Object} options
+   * @param {string} options.socketPath - Unix socket to listen on (preferred)
+   * @param {number} options.port - TCP port on 127.0.0.1 when no socket is set
+   * @param {string} options.token - Shared secret for the Authorization header
+   * @param {Object} options.handlers - { state, pause, resume, resubmit, settings, fees, history?, fork? }
+   */
+  constructor({ socketPath = '', port = 0, token, handlers }) {
+    if (!token) {
+      throw new Error('ADMIN_TOKEN is required to enable the admin API');
+    }
+    
+    this.socketPath = socketPath;
+    this.port = port;
+    this.token = Buffer.from(token);
+    this.handlers = handlers;
+    this.server = null;
+  }
+  
+  get address() {
+    return this.socketPath || `127.0.0.1:${this.server ? this.server.address().port : this.port}`;
+  }
+  
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        const status = error instanceof AdminError ? error.status : 500;
+        this.send(res, status, { error: error.message });
+      });
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      
+      if (this.socketPath) {
+        // A socket left behind by a crash would make listen fail
+        fs.rmSync(this.socketPath, { force: true });
+        this.server.listen(this.socketPath, () => {
+          fs.chmodSync(this.socketPath, 0o600);
+          resolve();
+        });
+      } else {
+        this.server.listen(this.port, '127.0.0.1', resolve);
+      }
+    });
+  }
+  
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+  
+  async handle(req, res) {
+    if (!this.authorized(req)) {
+      throw new AdminError('Unauthorized', 401);
+    }
+    
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${pathname}`;
+    
+    switch (route) {
+      case 'GET /state':
+        this.send(res, 200, await this.handlers.state());
+        return;
+      case 'POST /pause':
+        this.send(res, 200, await this.handlers.pause());
+        return;
+      case 'POST /resume':
+        this.send(res, 200, await this.handlers.resume());
+        return;
+      case 'POST /resubmit':
+        this.send(res, 202, await this.handlers.resubmit(await this.readJson(req)));
+        return;
+      case 'POST /settings':
+        this.send(res, 200, await this.handlers.settings(await this.readJson(req)));
+        return;
+      case 'GET /fees': {
+        const query = Object.fromEntries(searchParams);
+        const report = await this.handlers.fees(query);
+        if (query.format === 'csv') {
+          res.writeHead(200, { 'Content-Type': 'text/csv' });
+          res.end(report);
+        } else {
+          this.send(res, 200, report);
+        }
+        return;
+      }
+      case 'GET /history':
+        if (!this.handlers.history) {
+          throw new AdminError('Relay event history is not indexed', 404);
+        }
+        this.send(res, 200, await this.handlers.history(Object.fromEntries(searchParams)));
+        return;
+      case 'POST /replay/fork':
+        if (!this.handlers.fork) {
+          throw new AdminError('Not running in replay mode', 404);
+        }
+        this.send(res, 200, await this.handlers.fork(await this.readJson(req)));
+        return;
+      default:
+        throw new AdminError(`No such operation: ${route}`, 404);
+    }
+  }
+  
+  authorized(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      return false;
+    }
+    const given = Buffer.from(match[1]);
+    return given.length === this.token.length && crypto.timingSafeEqual(given, this.token);
+  }
+  
+  async readJson(req) {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        throw new AdminError('Request body too large', 413);
+      }
+    }
+    
+    if (!body) {
+      return {};
+    }
+    try {
+      return JSON.parse(body);
+    } catch {
+      throw new AdminError('Request body is not valid JSON');
+    }
+  }
+  
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Alerter
+ * Delivers relay alerts as JSON to a local webhook and/or a shell command
+ *
+ * Conditions (lag, low balance, relayer not registered, over budget) are raised on
+ * every check while they hold; the alerter sends them once per cooldown
+ * and a `resolved` alert when they clear. Events (reverts, reorgs) are
+ * sent every time. Delivery failures are logged and never thrown.
+ *
+ * Payload: { type, severity, message, details, resolved, service, time }
+ * The command gets the payload on stdin and ALERT_TYPE / ALERT_SEVERITY
+ * in its environment.
+ */
+
+import axios from 'axios';
+import { spawn } from 'child_process';
+
+export const AlertType = {
+  LAG: 'relay_lag',
+  REVERT: 'submission_reverted',
+  REORG: 'reorg',
+  LOW_BALANCE: 'low_balance',
+  NOT_RELAYER: 'not_relayer',
+  OVER_BUDGET: 'over_budget',
+};
+
+export class Alerter {
+  /**
+   * @param {Object} options
+   * @param {string} options.webhookUrl - POST target for the payload
+   * @param {string} options.command - Shell command, payload on stdin
+   * @param {number} options.cooldown - ms before a condition that still holds is sent again
+   * @param {number} options.timeout - ms per delivery
+   * @param {Object} options.logger - pino-compatible logger
+   * @param {function(): number} options.now - Clock in ms, for tests
+   */
+  constructor({ webhookUrl = '', command = '', cooldown = 3600000, timeout = 10000, logger = null, now = Date.now } = {}) {
+    this.webhookUrl = webhookUrl;
+    this.command = command;
+    this.cooldown = cooldown;
+    this.timeout = timeout;
+    this.logger = logger;
+    this.now = now;
+    this.active = new Map(); // condition type => last sent (ms)
+  }
+  
+  get enabled() {
+    return Boolean(this.webhookUrl || this.command);
+  }
+  
+  /**
+   * Send a one-off event
+   */
+  async event(type, severity, message, details = {}) {
+    await this.send({ type, severity, message, details, resolved: false });
+  }
+  
+  /**
+   * A condition holds: send it unless it was sent within the cooldown
+   */
+  async raise(type, severity, message, details = {}) {
+    const sentAt = this.active.get(type);
+    if (sentAt !== undefined && this.now() - sentAt < this.cooldown) {
+      return;
+    }
+    this.active.set(type, this.now());
+    await this.send({ type, severity, message, details, resolved: false });
+  }
+  
+  /**
+   * A condition no longer holds: send `resolved` if it had been raised
+   */
+  async clear(type, message, details = {}) {
+    if (!this.active.delete(type)) {
+      return;
+    }
+    await this.send({ type, severity: 'info', message, details, resolved: true });
+  }
+  
+  async send(alert) {
+    const payload = { ...alert, service: 'zclaim-relay', time: new Date(this.now()).toISOString() };
+    if (this.logger) {
+      const level = alert.severity === 'info' ? 'info' : 'warn';
+      this.logger[level]({ alert: alert.type, ...alert.details }, alert.message);
+    }
+    
+    if (!this.enabled) {
+      return;
+    }
+    
+    const body = JSON.stringify(payload, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    const targets = [];
+    if (this.webhookUrl) {
+      targets.push(['webhook', () => this.postWebhook(body)]);
+    }
+    if (this.command) {
+      targets.push(['command', () => this.runCommand(body, payload)]);
+    }
+    
+    const results = await Promise.allSettled(targets.map(([, deliver]) => deliver()));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected' && this.logger) {
+        this.logger.error({ alert: alert.type, target: targets[i][0], error: result.reason.message }, 'Alert delivery failed');
+      }
+    });
+  }
+  
+  async postWebhook(body) {
+    await axios.post(this.webhookUrl, body, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: this.timeout,
+    });
+  }
+  
+  runCommand(body, payload) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        env: { ...process.env, ALERT_TYPE: payload.type, ALERT_SEVERITY: payload.severity },
+        timeout: this.timeout,
+      });
+      
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Alert command exited with ${signal || code}${stderr ? `: ${stderr.trim()}` : ''}`));
+        }
+      });
+      // The command may exit without reading its input
+      child.stdin.on('error', () => {});
+      child.stdin.end(body);
+    });
+  }
+}
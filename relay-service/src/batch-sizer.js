@@ -0,0 +1,60 @@
+/**
+ * Batch Sizer
+ * Picks how many headers go into one submit_block_headers_batch call
+ *
+ * The size shrinks while fee estimation fails or exceeds the per-transaction
+ * fee cap, and doubles back toward the maximum after each batch that fits.
+ */
+
+export class BatchSizer {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSize - Upper bound on headers per transaction
+   * @param {bigint|null} options.maxFee - Fee cap per transaction, null for none
+   */
+  constructor({ maxSize, maxFee = null }) {
+    this.maxSize = Math.max(1, maxSize);
+    this.maxFee = maxFee;
+    this.size = this.maxSize;
+  }
+  
+  /**
+   * Find the largest batch that can be estimated within the fee cap
+   * @param {number} available - Headers ready to submit
+   * @param {function(number): Promise<bigint>} estimate - Fee for the first n headers
+   * @returns {Promise<{ size: number, fee: bigint }>}
+   */
+  async fit(available, estimate) {
+    let size = Math.min(this.size, available);
+    const firstTry = size;
+    
+    while (true) {
+      let fee = null;
+      let lastError = null;
+      try {
+        fee = await estimate(size);
+      } catch (error) {
+        // Typically the batch exceeds the sequencer's step/gas limits
+        lastError = error;
+      }
+      
+      const withinCap = fee !== null && (this.maxFee === null || fee <= this.maxFee);
+      
+      // A single header has to go through even above the cap
+      if (withinCap || (fee !== null && size === 1)) {
+        if (size < firstTry) {
+          this.size = size;
+        } else if (size === this.size) {
+          this.size = Math.min(this.maxSize, this.size * 2);
+        }
+        return { size, fee };
+      }
+      
+      if (size === 1) {
+        throw lastError;
+      }
+      
+      size = Math.floor(size / 2);
+    }
+  }
+}
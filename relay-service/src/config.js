@@ -0,0 +1,101 @@
+/**
+ * Relay Configuration
+ * Settings of the relay service, read from the environment (and .env,
+ * loaded by the entry point)
+ */
+
+import { parsePeers } from './relayer-coordinator.js';
+import { parseForkSchedule } from './dataset-source.js';
+
+/**
+ * Build the relay settings from environment variables
+ * @param {Object} env - Variables to read, process.env by default
+ */
+export function loadConfig(env = process.env) {
+  return {
+    // Zcash
+    zcashRpcUrl: env.ZCASH_RPC_URL || 'http://127.0.0.1:8232',
+    zcashRpcUser: env.ZCASH_RPC_USER || '',
+    zcashRpcPassword: env.ZCASH_RPC_PASSWORD || '',
+    zcashSources: env.ZCASH_SOURCES || '', // kind=url,... for quorum mode
+    sourceQuorum: parseInt(env.SOURCE_QUORUM || '0'), // 0 = majority
+    
+    // Starknet
+    starknetRpcUrl: env.STARKNET_RPC_URL || 'https://starknet-sepolia.public.blastapi.io',
+    starknetAccountAddress: env.STARKNET_ACCOUNT_ADDRESS,
+    starknetPrivateKey: env.STARKNET_PRIVATE_KEY,
+    relayContractAddress: env.RELAY_CONTRACT_ADDRESS,
+    feeTokenAddress: env.FEE_TOKEN_ADDRESS || '', // STRK, if not the canonical token
+    
+    // Relay settings
+    pollInterval: parseInt(env.POLL_INTERVAL || '60000'), // 1 minute
+    batchSize: parseInt(env.BATCH_SIZE || '10'),
+    // Per transaction, in the unit of the fee estimate: FRI for v3
+    // transactions paid in STRK (the default, and replay mode), WEI for
+    // legacy ones paid in ETH
+    maxBatchFee: env.MAX_BATCH_FEE ? BigInt(env.MAX_BATCH_FEE) : null,
+    startHeight: parseInt(env.START_HEIGHT || '0'),
+    checkpoint: env.CHECKPOINT || '', // checkpoint file, or a network for the shipped one
+    
+    // Finality, shared with the CLI (unset = per-network defaults)
+    finalityRule: env.FINALITY_RULE || undefined, // depth, work or both
+    // The older CONFIRMATIONS setting counted blocks on top of the relayed one
+    finalityMinDepth: env.FINALITY_MIN_DEPTH
+      ? parseInt(env.FINALITY_MIN_DEPTH)
+      : env.CONFIRMATIONS ? parseInt(env.CONFIRMATIONS) + 1 : undefined,
+    finalityMinWork: env.FINALITY_MIN_WORK ? BigInt(env.FINALITY_MIN_WORK) : undefined,
+    
+    // Submission pipeline
+    maxInFlight: parseInt(env.MAX_IN_FLIGHT || '4'),
+    stuckTxTimeout: parseInt(env.STUCK_TX_TIMEOUT || '180000'), // 3 minutes
+    maxFeeBumps: parseInt(env.MAX_FEE_BUMPS || '3'),
+    feeBumpPercent: parseInt(env.FEE_BUMP_PERCENT || '50'),
+    
+    // Fee budget, in base units of the fee token (FRI for STRK); unset = no limit
+    feeDailyBudget: env.FEE_DAILY_BUDGET ? BigInt(env.FEE_DAILY_BUDGET) : null, // per UTC day
+    feePerBlockBudget: env.FEE_PER_BLOCK_BUDGET ? BigInt(env.FEE_PER_BLOCK_BUDGET) : null, // per relayed header
+    feeMinBalance: BigInt(env.FEE_MIN_BALANCE || '0'), // kept in the account
+    
+    // Multi-relayer coordination
+    relayerPeers: parsePeers(env.RELAYER_PEERS), // other relayer addresses
+    slotDelay: parseInt(env.SLOT_DELAY || '30000'), // backoff per rank
+    slotJitter: parseInt(env.SLOT_JITTER || '5000'),
+    eventLookback: parseInt(env.EVENT_LOOKBACK || '20'), // Starknet blocks
+    
+    // Reorg handling
+    reorgCheckDepth: parseInt(env.REORG_CHECK_DEPTH || '100'),
+    maxReorgDepth: parseInt(env.MAX_REORG_DEPTH || '99'), // zcashd refuses deeper rollbacks
+    
+    // Local state
+    stateFile: env.STATE_FILE || (env.REPLAY_DATASET ? './state/replay-journal.jsonl' : './state/relay-journal.jsonl'),
+    feeLedgerFile: env.FEE_LEDGER_FILE || (env.REPLAY_DATASET ? './state/replay-fees.jsonl' : './state/fee-ledger.jsonl'),
+    
+    // Relay event history (not indexed in replay mode)
+    historyFile: env.HISTORY_FILE || './state/relay-history.jsonl',
+    historyFromBlock: parseInt(env.HISTORY_FROM_BLOCK || '0'), // Starknet block the relay was deployed in
+    historySyncInterval: parseInt(env.HISTORY_SYNC_INTERVAL || '300000'), // 5 minutes
+    
+    // Monitoring
+    metricsPort: parseInt(env.METRICS_PORT || '9464'),
+    maxLagBlocks: parseInt(env.MAX_LAG_BLOCKS || '30'),
+    maxLagSeconds: parseInt(env.MAX_LAG_SECONDS || '3600'),
+    
+    // Alerting (logged only unless a webhook or command is set)
+    alertWebhookUrl: env.ALERT_WEBHOOK_URL || '',
+    alertCommand: env.ALERT_COMMAND || '', // gets the JSON payload on stdin
+    alertLagBlocks: parseInt(env.ALERT_LAG_BLOCKS || env.MAX_LAG_BLOCKS || '30'),
+    alertMinBalance: env.ALERT_MIN_BALANCE ? BigInt(env.ALERT_MIN_BALANCE) : null, // fee token base units
+    alertCooldown: parseInt(env.ALERT_COOLDOWN || '3600000'), // 1 hour
+    accountCheckInterval: parseInt(env.ACCOUNT_CHECK_INTERVAL || '300000'), // 5 minutes
+    
+    // Admin API (disabled unless a socket or port is set)
+    adminSocket: env.ADMIN_SOCKET || '',
+    adminPort: parseInt(env.ADMIN_PORT || '0'), // binds 127.0.0.1
+    adminToken: env.ADMIN_TOKEN || '',
+    
+    // Offline replay: dataset-backed Zcash source and in-memory contract
+    replayDataset: env.REPLAY_DATASET || '', // TSV block export
+    replaySpeed: parseFloat(env.REPLAY_SPEED || '0'), // x real block times, 0 = all at once
+    replayForks: parseForkSchedule(env.REPLAY_FORKS), // height:depth,...
+  };
+}
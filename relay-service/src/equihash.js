@@ -0,0 +1,178 @@
+/**
+ * Equihash Verifier
+ * Off-chain check of Zcash Equihash proof-of-work solutions
+ *
+ * Mirrors zcashd's Equihash<N,K>::IsValidSolution so a header can be
+ * rejected before the relay pays Starknet fees to submit it.
+ */
+
+import blake from 'blakejs';
+
+// Zcash mainnet/testnet parameters
+export const EQUIHASH_N = 200;
+export const EQUIHASH_K = 9;
+
+/**
+ * Derive the sizes used by Equihash(n, k)
+ * @param {number} n - Hash output bit length
+ * @param {number} k - Number of collision rounds
+ */
+export function equihashParams(n = EQUIHASH_N, k = EQUIHASH_K) {
+  const collisionBitLength = n / (k + 1);
+  const collisionByteLength = Math.ceil(collisionBitLength / 8);
+  const indicesPerHashOutput = Math.floor(512 / n);
+
+  return {
+    n,
+    k,
+    collisionBitLength,
+    collisionByteLength,
+    hashLength: (k + 1) * collisionByteLength,
+    indicesPerHashOutput,
+    hashOutput: (indicesPerHashOutput * n) / 8,
+    // 2^k indices of (collisionBitLength + 1) bits each
+    solutionWidth: ((1 << k) * (collisionBitLength + 1)) / 8,
+  };
+}
+
+/**
+ * BLAKE2b personalization: "ZcashPoW" || le32(n) || le32(k)
+ */
+function powPersonalization(n, k) {
+  const personal = Buffer.alloc(16);
+  personal.write('ZcashPoW', 0, 'ascii');
+  personal.writeUInt32LE(n, 8);
+  personal.writeUInt32LE(k, 12);
+  return personal;
+}
+
+/**
+ * Read big-endian bit groups of `bitLen` bits from `input`
+ */
+function expandArray(input, bitLen) {
+  const values = [];
+  let accValue = 0;
+  let accBits = 0;
+
+  for (const byte of input) {
+    accValue = ((accValue << 8) | byte) >>> 0;
+    accBits += 8;
+    if (accBits >= bitLen) {
+      accBits -= bitLen;
+      values.push((accValue >>> accBits) & ((1 << bitLen) - 1));
+      // Keep only the bits that have not been consumed yet
+      accValue &= (1 << accBits) - 1;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Expand a minimal-encoded solution into its 2^k indices
+ */
+export function getIndicesFromMinimal(solution, collisionBitLength) {
+  return expandArray(solution, collisionBitLength + 1);
+}
+
+/**
+ * Hash of index `i`, split into collisionBitLength-sized words
+ */
+function generateRow(input, personal, params, index) {
+  const ctx = blake.blake2bInit(params.hashOutput, null, null, personal);
+  blake.blake2bUpdate(ctx, input);
+
+  const g = Buffer.alloc(4);
+  g.writeUInt32LE(Math.floor(index / params.indicesPerHashOutput));
+  blake.blake2bUpdate(ctx, g);
+
+  const digest = blake.blake2bFinal(ctx);
+  const offset = (index % params.indicesPerHashOutput) * (params.n / 8);
+  const words = expandArray(digest.subarray(offset, offset + params.n / 8), params.collisionBitLength);
+
+  // Pad each word to collisionByteLength bytes, big-endian
+  const hash = Buffer.alloc(params.hashLength);
+  words.forEach((word, w) => {
+    for (let b = 0; b < params.collisionByteLength; b++) {
+      hash[w * params.collisionByteLength + b] = (word >>> (8 * (params.collisionByteLength - b - 1))) & 0xff;
+    }
+  });
+
+  return { hash, indices: [index] };
+}
+
+/**
+ * Lexicographic comparison of two index lists (zcashd memcmps them big-endian)
+ */
+function indicesBefore(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i];
+    }
+  }
+  return false;
+}
+
+/**
+ * Verify an Equihash solution
+ * @param {Buffer} input - Header bytes hashed by the PoW (140 bytes: header fields + nNonce)
+ * @param {Buffer} solution - Minimal-encoded solution (1344 bytes for Equihash(200,9))
+ * @param {number} n - Equihash n parameter
+ * @param {number} k - Equihash k parameter
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function verifyEquihash(input, solution, n = EQUIHASH_N, k = EQUIHASH_K) {
+  const params = equihashParams(n, k);
+
+  if (!solution || solution.length !== params.solutionWidth) {
+    return {
+      valid: false,
+      reason: `invalid solution size (got ${solution ? solution.length : 0}, expected ${params.solutionWidth})`,
+    };
+  }
+
+  const personal = powPersonalization(n, k);
+  const indices = getIndicesFromMinimal(solution, params.collisionBitLength);
+
+  let rows = indices.map(index => generateRow(input, personal, params, index));
+  let hashLen = params.hashLength;
+  const trim = params.collisionByteLength;
+
+  while (rows.length > 1) {
+    const merged = [];
+
+    for (let i = 0; i < rows.length; i += 2) {
+      const a = rows[i];
+      const b = rows[i + 1];
+
+      if (a.hash.compare(b.hash, 0, trim, 0, trim) !== 0) {
+        return { valid: false, reason: 'collision check failed' };
+      }
+      if (indicesBefore(b.indices, a.indices)) {
+        return { valid: false, reason: 'indices out of order' };
+      }
+
+      const seen = new Set(a.indices);
+      if (b.indices.some(index => seen.has(index))) {
+        return { valid: false, reason: 'duplicate indices' };
+      }
+
+      // XOR the remaining words and drop the collided prefix
+      const hash = Buffer.alloc(hashLen - trim);
+      for (let j = trim; j < hashLen; j++) {
+        hash[j - trim] = a.hash[j] ^ b.hash[j];
+      }
+
+      merged.push({ hash, indices: a.indices.concat(b.indices) });
+    }
+
+    rows = merged;
+    hashLen -= trim;
+  }
+
+  if (rows[0].hash.some(byte => byte !== 0)) {
+    return { valid: false, reason: 'final hash is not zero' };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,103 @@
+/**
+ * Fee Budget
+ * Decides whether a header batch may be sent given its estimated fee
+ *
+ * - per-block: estimated fee per relayed header. Over it the batch is
+ *   skipped; fees may be lower at the next poll.
+ * - daily: fees paid since 00:00 UTC (from the fee ledger), plus batches
+ *   still in flight, plus this one. Over it submissions pause until the
+ *   next UTC day.
+ * - balance: the account must keep `minBalance` after paying the batch's
+ *   max fee and those in flight. Below it submissions pause until topped up.
+ *
+ * Limits are in base units of the token that pays the fee (FRI for STRK).
+ */
+
+export const BudgetAction = {
+  SKIP: 'skip',
+  PAUSE: 'pause',
+};
+
+export class BudgetError extends Error {
+  constructor(message, action) {
+    super(message);
+    this.name = 'BudgetError';
+    this.action = action;
+  }
+}
+
+export class FeeBudget {
+  /**
+   * @param {Object} options
+   * @param {FeeLedger} options.ledger - Fees already paid
+   * @param {bigint|null} options.dailyLimit - Fees per UTC day, null for none
+   * @param {bigint|null} options.perBlockLimit - Fee per relayed header, null for none
+   * @param {bigint} options.minBalance - Balance to keep after paying
+   * @param {function(): number} options.now - Clock in ms, for tests
+   */
+  constructor({ ledger, dailyLimit = null, perBlockLimit = null, minBalance = 0n, now = Date.now }) {
+    this.ledger = ledger;
+    this.dailyLimit = dailyLimit;
+    this.perBlockLimit = perBlockLimit;
+    this.minBalance = minBalance;
+    this.now = now;
+  }
+  
+  /**
+   * Fees paid in `unit` since 00:00 UTC today
+   */
+  spentToday(unit) {
+    const today = new Date(this.now());
+    today.setUTCHours(0, 0, 0, 0);
+    return this.ledger.spentSince(today, unit);
+  }
+  
+  /**
+   * Throw a BudgetError if a batch may not be sent
+   * @param {Object} batch
+   * @param {Object} batch.estimate - { overallFee, maxFee, unit }
+   * @param {number} batch.count - Headers in the batch
+   * @param {bigint} batch.inFlight - Estimated fees of batches not settled yet
+   * @param {bigint|null} batch.balance - Fee token balance, null to skip the check
+   */
+  check({ estimate, count, inFlight = 0n, balance = null }) {
+    const { overallFee, maxFee, unit } = estimate;
+    
+    if (this.perBlockLimit !== null) {
+      const perBlock = overallFee / BigInt(count);
+      if (perBlock > this.perBlockLimit) {
+        throw new BudgetError(
+          `Estimated fee of ${perBlock} ${unit} per header exceeds the per-block budget of ${this.perBlockLimit}`,
+          BudgetAction.SKIP
+        );
+      }
+    }
+    
+    if (balance !== null && balance - inFlight - maxFee < this.minBalance) {
+      throw new BudgetError(
+        `Balance of ${balance} ${unit} cannot cover a max fee of ${maxFee} and keep ${this.minBalance}`,
+        BudgetAction.PAUSE
+      );
+    }
+    
+    if (this.dailyLimit !== null) {
+      const spent = this.spentToday(unit);
+      if (spent + inFlight + overallFee > this.dailyLimit) {
+        throw new BudgetError(
+          `Daily fee budget of ${this.dailyLimit} ${unit} reached (${spent} paid, ${inFlight} in flight)`,
+          BudgetAction.PAUSE
+        );
+      }
+    }
+  }
+  
+  describe(unit) {
+    return {
+      unit,
+      spentToday: this.spentToday(unit),
+      dailyLimit: this.dailyLimit,
+      perBlockLimit: this.perBlockLimit,
+      minBalance: this.minBalance,
+    };
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Fee Ledger
+ * Append-only JSON log of the Starknet fees paid per relayed height
+ *
+ * A batch's actual fee is split evenly over its headers (the remainder
+ * goes to the first one). Reverted batches are charged too and are logged
+ * with their status, so a height relayed twice shows both payments.
+ * Operators export the ledger for reimbursement accounting.
+ */
+
+import { Journal } from '@zarklink/journal';
+
+const CSV_COLUMNS = ['height', 'blockHash', 'txHash', 'status', 'fee', 'unit', 'time'];
+
+export class FeeLedger extends Journal {
+  constructor(filePath) {
+    super(filePath);
+    this.entries = [];
+  }
+  
+  apply(record) {
+    this.entries.push({ ...record, fee: BigInt(record.fee) });
+  }
+  
+  /**
+   * Charge a batch's fee to its heights
+   * @param {Object} batch
+   * @param {Array<{ height: number, blockHash: string }>} batch.headers
+   * @param {string} batch.txHash
+   * @param {string} batch.status - 'accepted' or 'reverted'
+   * @param {bigint} batch.fee - Actual fee of the transaction
+   * @param {string} batch.unit - 'FRI' (STRK) or 'WEI' (ETH)
+   */
+  record({ headers, txHash, status, fee, unit, time = new Date() }) {
+    const count = BigInt(headers.length);
+    const share = fee / count;
+    const remainder = fee - share * count;
+    
+    this.append(...headers.map(({ height, blockHash }, i) => ({
+      height,
+      blockHash,
+      txHash,
+      status,
+      fee: (i === 0 ? share + remainder : share).toString(),
+      unit,
+      time: time.toISOString(),
+    })));
+  }
+  
+  /**
+   * Total fees in `unit` paid at or after `since`
+   * @param {Date} since
+   */
+  spentSince(since, unit) {
+    const from = since.toISOString();
+    return this.entries
+      .filter(entry => entry.unit === unit && entry.time >= from)
+      .reduce((sum, entry) => sum + entry.fee, 0n);
+  }
+  
+  /**
+   * Entries for a height range, in the order they were paid
+   */
+  query({ from = 0, to = Infinity } = {}) {
+    return this.entries.filter(entry => entry.height >= from && entry.height <= to);
+  }
+  
+  /**
+   * Ledger entries as CSV, one line per height and payment
+   */
+  toCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => String(entry[column] ?? '')).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+}
@@ -0,0 +1,422 @@
+/**
+ * RelaySystem Contract ABI
+ * Generated by cli/scripts/generate-bindings.js from zclaim_RelaySystem.contract_class.json;
+ * do not edit, run `npm run codegen` in cli/ after `scarb build` instead
+ */
+
+export const ABI = [
+  {
+    "type": "impl",
+    "name": "RelaySystemImpl",
+    "interface_name": "zclaim::relay::relay_system::IRelaySystem"
+  },
+  {
+    "type": "struct",
+    "name": "core::integer::u256",
+    "members": [
+      {
+        "name": "low",
+        "type": "core::integer::u128"
+      },
+      {
+        "name": "high",
+        "type": "core::integer::u128"
+      }
+    ]
+  },
+  {
+    "type": "enum",
+    "name": "core::bool",
+    "variants": [
+      {
+        "name": "False",
+        "type": "()"
+      },
+      {
+        "name": "True",
+        "type": "()"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::MerkleProof",
+    "members": [
+      {
+        "name": "siblings",
+        "type": "core::array::Array::<core::integer::u256>"
+      },
+      {
+        "name": "index",
+        "type": "core::integer::u64"
+      }
+    ]
+  },
+  {
+    "type": "struct",
+    "name": "zclaim::relay::types::BlockHeader",
+    "members": [
+      {
+        "name": "block_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "prev_block_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "merkle_root",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "sapling_root",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "timestamp",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "bits",
+        "type": "core::integer::u32"
+      },
+      {
+        "name": "height",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "chain_work",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "verified",
+        "type": "core::bool"
+      }
+    ]
+  },
+  {
+    "type": "interface",
+    "name": "zclaim::relay::relay_system::IRelaySystem",
+    "items": [
+      {
+        "type": "function",
+        "name": "submit_block_header",
+        "inputs": [
+          {
+            "name": "header_data",
+            "type": "core::array::Array::<core::felt252>"
+          },
+          {
+            "name": "height",
+            "type": "core::integer::u64"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "submit_block_headers_batch",
+        "inputs": [
+          {
+            "name": "headers",
+            "type": "core::array::Array::<core::array::Array::<core::felt252>>"
+          },
+          {
+            "name": "start_height",
+            "type": "core::integer::u64"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "is_confirmed",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_sapling_root",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "verify_note_commitment",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "note_commitment",
+            "type": "core::integer::u256"
+          },
+          {
+            "name": "proof",
+            "type": "zclaim::relay::types::MerkleProof"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_header",
+        "inputs": [
+          {
+            "name": "block_hash",
+            "type": "core::integer::u256"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "zclaim::relay::types::BlockHeader"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_block_hash",
+        "inputs": [
+          {
+            "name": "height",
+            "type": "core::integer::u64"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::integer::u256"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "get_chain_tip",
+        "inputs": [],
+        "outputs": [
+          {
+            "type": "(core::integer::u256, core::integer::u64)"
+          }
+        ],
+        "state_mutability": "view"
+      },
+      {
+        "type": "function",
+        "name": "add_relayer",
+        "inputs": [
+          {
+            "name": "relayer",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "remove_relayer",
+        "inputs": [
+          {
+            "name": "relayer",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [],
+        "state_mutability": "external"
+      },
+      {
+        "type": "function",
+        "name": "is_relayer",
+        "inputs": [
+          {
+            "name": "address",
+            "type": "core::starknet::contract_address::ContractAddress"
+          }
+        ],
+        "outputs": [
+          {
+            "type": "core::bool"
+          }
+        ],
+        "state_mutability": "view"
+      }
+    ]
+  },
+  {
+    "type": "constructor",
+    "name": "constructor",
+    "inputs": [
+      {
+        "name": "genesis_hash",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "genesis_height",
+        "type": "core::integer::u64"
+      },
+      {
+        "name": "genesis_sapling_root",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "genesis_chain_work",
+        "type": "core::integer::u256"
+      },
+      {
+        "name": "owner",
+        "type": "core::starknet::contract_address::ContractAddress"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::BlockHeaderSubmitted",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "block_hash",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "prev_block_hash",
+        "type": "core::integer::u256",
+        "kind": "key"
+      },
+      {
+        "name": "relayer",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      },
+      {
+        "name": "height",
+        "type": "core::integer::u64",
+        "kind": "data"
+      },
+      {
+        "name": "sapling_root",
+        "type": "core::integer::u256",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::ChainReorg",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "old_tip",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "new_tip",
+        "type": "core::integer::u256",
+        "kind": "data"
+      },
+      {
+        "name": "old_height",
+        "type": "core::integer::u64",
+        "kind": "data"
+      },
+      {
+        "name": "new_height",
+        "type": "core::integer::u64",
+        "kind": "data"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::RelayerAdded",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "relayer",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::RelayerRemoved",
+    "kind": "struct",
+    "members": [
+      {
+        "name": "relayer",
+        "type": "core::starknet::contract_address::ContractAddress",
+        "kind": "key"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "zclaim::relay::relay_system::RelaySystem::Event",
+    "kind": "enum",
+    "variants": [
+      {
+        "name": "BlockHeaderSubmitted",
+        "type": "zclaim::relay::relay_system::RelaySystem::BlockHeaderSubmitted",
+        "kind": "nested"
+      },
+      {
+        "name": "ChainReorg",
+        "type": "zclaim::relay::relay_system::RelaySystem::ChainReorg",
+        "kind": "nested"
+      },
+      {
+        "name": "RelayerAdded",
+        "type": "zclaim::relay::relay_system::RelaySystem::RelayerAdded",
+        "kind": "nested"
+      },
+      {
+        "name": "RelayerRemoved",
+        "type": "zclaim::relay::relay_system::RelaySystem::RelayerRemoved",
+        "kind": "nested"
+      }
+    ]
+  }
+];
+
+// Event name → the key starknet.js parseEvents() reports it under
+export const EVENTS = {
+  BlockHeaderSubmitted: 'zclaim::relay::relay_system::RelaySystem::BlockHeaderSubmitted',
+  ChainReorg: 'zclaim::relay::relay_system::RelaySystem::ChainReorg',
+  RelayerAdded: 'zclaim::relay::relay_system::RelaySystem::RelayerAdded',
+  RelayerRemoved: 'zclaim::relay::relay_system::RelaySystem::RelayerRemoved',
+};
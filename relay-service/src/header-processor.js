@@ -1,69 +1,124 @@
 /**
  * Header Processor
- * Parse and encode Zcash block headers for Starknet
+ * Parse and encode Zcash block headers for Starknet, and check header
+ * chains against the network's consensus rules
+ *
+ * Parsing, hashing, network parameters, PoW math and the Starknet encoding
+ * come from @zarklink/header-codec, which the CLI shares.
  */
 
-import blake2 from 'blake2';
+import * as codec from '@zarklink/header-codec';
+import { verifyEquihash, EQUIHASH_N, EQUIHASH_K } from './equihash.js';
 
 export class HeaderProcessor {
   /**
-   * Parse raw Zcash block header
-   * @param {string} headerHex - Raw header in hex (280 chars = 140 bytes)
+   * @param {string} network - Zcash network ('mainnet' or 'testnet')
    */
-  parseHeader(headerHex) {
-    const header = Buffer.from(headerHex, 'hex');
-    
-    return {
-      version: header.readUInt32LE(0),
-      prevBlockHash: header.slice(4, 36).reverse().toString('hex'),
-      merkleRoot: header.slice(36, 68).reverse().toString('hex'),
-      saplingRoot: header.slice(68, 100).reverse().toString('hex'),
-      timestamp: header.readUInt32LE(100),
-      bits: header.readUInt32LE(104),
-      nonce: header.slice(108, 140).toString('hex'),
-    };
+  constructor(network = 'mainnet') {
+    this.params = codec.getNetworkParams(network);
   }
   
   /**
-   * Compute block hash using BLAKE2b-256 with Zcash personalization
-   * @param {Buffer} headerBytes - Full header bytes including solution
+   * Number of ancestors needed to fully validate a header
+   * (difficulty averaging window + median-time-past span)
    */
-  computeBlockHash(headerBytes) {
-    // Zcash uses BLAKE2b-256 with personalization "ZcashBlockHash"
-    const h = blake2.createHash('blake2b', {
-      digestLength: 32,
-      personalization: Buffer.from('ZcashBlockHash\x00\x00', 'ascii'),
-    });
-    h.update(headerBytes);
-    // Reverse for display format
-    return h.digest().reverse().toString('hex');
+  get contextSize() {
+    return this.params.pow.averagingWindow + codec.MEDIAN_TIME_SPAN;
   }
   
   /**
-   * Encode header for Starknet relay contract
-   * Returns array of felt252 values
+   * Parse raw Zcash block header (see parseHeader in @zarklink/header-codec)
+   * @param {string} headerHex - Raw header in hex (2974 chars = 1487 bytes)
+   * @param {number|null} height - Block height, needed to interpret the commitment
+   */
+  parseHeader(headerHex, height = null) {
+    return codec.parseHeader(headerHex, height, this.params);
+  }
+  
+  /**
+   * Serialize a parsed header back to its wire format
    * @param {Object} header - Parsed header object
+   * @param {boolean} withSolution - Append the compactSize-prefixed solution
+   */
+  serializeHeader(header, withSolution = true) {
+    return codec.serializeHeader(header, withSolution);
+  }
+  
+  /**
+   * Whether a parsed header still needs its tree roots from a source
+   */
+  needsRoots(header) {
+    return header.saplingRoot === null;
+  }
+  
+  /**
+   * Attach the tree roots a source reported for a header, once the header
+   * is shown to commit to them
+   * @param {Object} header - Parsed with its height
+   * @param {Object} roots - { saplingRoot, orchardRoot, authDataRoot, chainHistoryRoot }
+   */
+  withRoots(header, roots) {
+    return codec.withRoots(header, roots);
+  }
+  
+  /**
+   * Compute the block hash as Zcash nodes report it (double SHA-256)
+   * @param {Buffer} headerBytes - Full header bytes including solution
+   */
+  computeHeaderHash(headerBytes) {
+    return codec.computeHeaderHash(headerBytes);
+  }
+  
+  /**
+   * Encode header for Starknet relay contract, in the layout
+   * RelaySystem._parse_header reads
+   * @param {Object} header - Parsed header object, with roots and solution
+   * @returns {Array<string>} felt252 values
    */
   encodeForStarknet(header) {
-    // Split 32-byte hash into low/high u128 for u256
-    const splitU256 = (hexStr) => {
-      const buf = Buffer.from(hexStr, 'hex');
-      // Note: We need to handle endianness properly
-      // low = last 16 bytes, high = first 16 bytes
-      const low = BigInt('0x' + buf.slice(16, 32).toString('hex'));
-      const high = BigInt('0x' + buf.slice(0, 16).toString('hex'));
-      return [low.toString(), high.toString()];
-    };
-    
-    const encoded = [
-      ...splitU256(header.prevBlockHash),  // [0-1]: prev_block_hash u256
-      ...splitU256(header.merkleRoot),     // [2-3]: merkle_root u256
-      ...splitU256(header.saplingRoot),    // [4-5]: sapling_root u256
-      header.timestamp.toString(),          // [6]: timestamp u64
-      header.bits.toString(),               // [7]: bits u32
-    ];
+    return codec.encodeForStarknet(header);
+  }
+  
+  /**
+   * Decode a header encoded by encodeForStarknet
+   * @param {Array<string|bigint>} encoded - felt252 values
+   */
+  decodeFromStarknet(encoded) {
+    return codec.decodeFromStarknet(encoded);
+  }
+  
+  /**
+   * Verify the Equihash (200,9) solution of a parsed header
+   * @param {Object} header - Parsed header object (must include solution)
+   * @returns {{ valid: boolean, reason?: string }}
+   */
+  verifyEquihash(header) {
+    if (!header.solution) {
+      return { valid: false, reason: 'header has no Equihash solution' };
+    }
     
-    return encoded;
+    return verifyEquihash(
+      this.serializeHeader(header, false),
+      Buffer.from(header.solution, 'hex'),
+      EQUIHASH_N,
+      EQUIHASH_K
+    );
+  }
+  
+  /**
+   * Decode compact difficulty bits into a target
+   * @param {number} bits - Difficulty bits
+   */
+  bitsToTarget(bits) {
+    return codec.bitsToTarget(bits);
+  }
+  
+  /**
+   * Encode a target as compact difficulty bits (arith_uint256::GetCompact)
+   * @param {bigint} target - Target threshold
+   */
+  targetToBits(target) {
+    return codec.targetToBits(target);
   }
   
   /**
@@ -72,20 +127,7 @@ export class HeaderProcessor {
    * @param {number} bits - Difficulty bits
    */
   validatePoW(blockHash, bits) {
-    // Extract target from compact bits format
-    const exponent = bits >> 24;
-    const mantissa = bits & 0x007fffff;
-    
-    let target;
-    if (exponent <= 3) {
-      target = BigInt(mantissa) >> BigInt(8 * (3 - exponent));
-    } else {
-      target = BigInt(mantissa) << BigInt(8 * (exponent - 3));
-    }
-    
-    // Compare hash to target
-    const hashValue = BigInt('0x' + blockHash);
-    return hashValue <= target;
+    return codec.meetsTarget(blockHash, bits);
   }
   
   /**
@@ -93,38 +135,126 @@ export class HeaderProcessor {
    * @param {number} bits - Difficulty bits
    */
   calculateWork(bits) {
-    const exponent = bits >> 24;
-    const mantissa = bits & 0x007fffff;
+    return codec.calculateWork(bits);
+  }
+  
+  /**
+   * Median of the last 11 block timestamps (CBlockIndex::GetMedianTimePast)
+   * @param {Array} headers - Ancestor headers in ascending height order
+   */
+  getMedianTimePast(headers) {
+    const times = headers
+      .slice(-codec.MEDIAN_TIME_SPAN)
+      .map(h => h.timestamp)
+      .sort((a, b) => a - b);
+    
+    return times[Math.floor(times.length / 2)];
+  }
+  
+  /**
+   * Expected nBits for the block following `ancestors` (DigiShield v3)
+   * @param {Array} ancestors - Headers up to height - 1, ascending; needs
+   *   averagingWindow + MEDIAN_TIME_SPAN entries unless the chain starts at genesis
+   * @param {number} height - Height of the block being checked
+   * @param {number} timestamp - Timestamp of the block being checked
+   */
+  getNextWorkRequired(ancestors, height, timestamp) {
+    const pow = this.params.pow;
+    const powLimitBits = this.targetToBits(pow.limit);
+    const last = ancestors[ancestors.length - 1];
+    
+    // Genesis block
+    if (!last) {
+      return powLimitBits;
+    }
     
-    let target;
-    if (exponent <= 3) {
-      target = BigInt(mantissa) >> BigInt(8 * (3 - exponent));
-    } else {
-      target = BigInt(mantissa) << BigInt(8 * (exponent - 3));
+    // Testnet: allow a min-difficulty block after 6 missed target spacings
+    if (pow.allowMinDifficultyAfterHeight !== null &&
+        height - 1 >= pow.allowMinDifficultyAfterHeight &&
+        timestamp > last.timestamp + codec.getTargetSpacing(this.params, height) * 6) {
+      return powLimitBits;
     }
     
-    if (target === 0n) {
-      return 0n;
+    // Not enough blocks for a full averaging window
+    if (ancestors.length <= pow.averagingWindow) {
+      return powLimitBits;
     }
     
-    // Work = 2^256 / (target + 1)
-    const maxU256 = (1n << 256n) - 1n;
-    return maxU256 / (target + 1n);
+    // Mean target over the averaging window
+    const window = ancestors.slice(-pow.averagingWindow);
+    const total = window.reduce((sum, h) => sum + this.bitsToTarget(h.bits), 0n);
+    const avg = total / BigInt(pow.averagingWindow);
+    
+    // Median time past of the last block and of the block before the window
+    const lastMtp = this.getMedianTimePast(ancestors);
+    const firstMtp = this.getMedianTimePast(ancestors.slice(0, -pow.averagingWindow));
+    
+    const windowTimespan = pow.averagingWindow * codec.getTargetSpacing(this.params, height);
+    const minTimespan = Math.trunc((windowTimespan * (100 - pow.maxAdjustUp)) / 100);
+    const maxTimespan = Math.trunc((windowTimespan * (100 + pow.maxAdjustDown)) / 100);
+    
+    // Dampen the adjustment and limit the step
+    let actualTimespan = lastMtp - firstMtp;
+    actualTimespan = windowTimespan + Math.trunc((actualTimespan - windowTimespan) / 4);
+    actualTimespan = Math.min(Math.max(actualTimespan, minTimespan), maxTimespan);
+    
+    let target = (avg / BigInt(windowTimespan)) * BigInt(actualTimespan);
+    if (target > pow.limit) {
+      target = pow.limit;
+    }
+    
+    return this.targetToBits(target);
   }
   
   /**
-   * Verify header chain (prevBlockHash links)
-   * @param {Array} headers - Array of parsed headers
+   * Verify a header chain: hash links, timestamps and difficulty
+   * 
+   * Headers must be consecutive and in ascending order. Leading headers act as
+   * context for the ones after them: a rule is only enforced once enough
+   * ancestors are present (or the chain starts at genesis).
+   * @param {Array} headers - Array of parsed headers (with solution)
+   * @param {number} startHeight - Height of headers[0]
+   * @returns {{ valid: boolean, height?: number, reason?: string }}
    */
-  verifyChain(headers) {
-    for (let i = 1; i < headers.length; i++) {
-      // Each header's prevBlockHash should match previous header's hash
-      // Note: Would need to compute hash for each header
-      // This is a simplified check
-      if (!headers[i].prevBlockHash) {
-        return false;
+  verifyChain(headers, startHeight) {
+    const now = Math.floor(Date.now() / 1000);
+    
+    let prevHash = null;
+    
+    for (let i = 0; i < headers.length; i++) {
+      const header = headers[i];
+      const height = startHeight + i;
+      const ancestors = headers.slice(0, i);
+      const fail = (reason) => ({ valid: false, height, reason });
+      
+      // Each header's prevBlockHash must match the previous header's hash
+      const hash = this.computeHeaderHash(this.serializeHeader(header));
+      if (prevHash !== null && header.prevBlockHash !== prevHash) {
+        return fail(`prevBlockHash ${header.prevBlockHash} does not match ${prevHash}`);
+      }
+      prevHash = hash;
+      
+      // Timestamp must be greater than the median of the previous 11 blocks
+      if (i >= codec.MEDIAN_TIME_SPAN || (i > 0 && i === height)) {
+        const mtp = this.getMedianTimePast(ancestors);
+        if (header.timestamp <= mtp) {
+          return fail(`timestamp ${header.timestamp} not after median time past ${mtp}`);
+        }
+      }
+      
+      if (header.timestamp > now + codec.MAX_FUTURE_BLOCK_TIME) {
+        return fail(`timestamp ${header.timestamp} too far in the future`);
+      }
+      
+      // nBits must match the DigiShield difficulty adjustment
+      if (i >= this.contextSize || i === height) {
+        const expected = this.getNextWorkRequired(ancestors, height, header.timestamp);
+        if (header.bits !== expected) {
+          return fail(`bits 0x${header.bits.toString(16)} do not match expected 0x${expected.toString(16)}`);
+        }
       }
     }
-    return true;
+    
+    return { valid: true };
   }
 }
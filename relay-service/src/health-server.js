@@ -0,0 +1,73 @@
+/**
+ * Health Server
+ * Serves /metrics (Prometheus), /healthz and /readyz over HTTP
+ */
+
+import http from 'http';
+
+export class HealthServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.port - Port to listen on
+   * @param {RelayMetrics} options.metrics - Metrics to expose
+   * @param {function(): { live: Object, ready: Object }} options.getHealth -
+   *   Returns `{ ok, reasons }` for the liveness and readiness probes
+   */
+  constructor({ port, metrics, getHealth }) {
+    this.port = port;
+    this.metrics = metrics;
+    this.getHealth = getHealth;
+    this.server = null;
+  }
+  
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      });
+    });
+    
+    return new Promise(resolve => this.server.listen(this.port, resolve));
+  }
+  
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+  
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    if (req.method !== 'GET') {
+      res.writeHead(405, { 'Content-Type': 'text/plain' });
+      res.end('Method not allowed');
+      return;
+    }
+    
+    switch (pathname) {
+      case '/metrics': {
+        const body = await this.metrics.render();
+        res.writeHead(200, { 'Content-Type': this.metrics.contentType });
+        res.end(body);
+        return;
+      }
+      case '/healthz':
+        this.sendProbe(res, this.getHealth().live);
+        return;
+      case '/readyz':
+        this.sendProbe(res, this.getHealth().ready);
+        return;
+      default:
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+  }
+  
+  sendProbe(res, probe) {
+    res.writeHead(probe.ok ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: probe.ok ? 'ok' : 'unhealthy', reasons: probe.reasons }));
+  }
+}
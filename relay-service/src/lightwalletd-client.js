@@ -0,0 +1,92 @@
+/**
+ * Lightwalletd Client
+ * Reads block hashes (and headers, when served) over lightwalletd gRPC
+ *
+ * lightwalletd only looks blocks up by height and usually leaves
+ * CompactBlock.header empty, so it mostly acts as a hash witness in
+ * quorum mode.
+ */
+
+import { fileURLToPath } from 'url';
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+
+const PROTO_PATH = fileURLToPath(new URL('../proto/lightwalletd.proto', import.meta.url));
+
+export class LightwalletdClient {
+  /**
+   * @param {Object} config
+   * @param {string} config.url - host:port of the gRPC endpoint
+   * @param {boolean} config.tls - Use TLS (default true)
+   * @param {string} config.name - Source name for logs and metrics
+   */
+  constructor(config, metrics = null) {
+    this.name = config.name || 'lightwalletd';
+    this.address = config.url;
+    this.tls = config.tls !== false;
+    this.timeout = config.timeout || 30000;
+    this.metrics = metrics;
+    this.client = null;
+  }
+  
+  async connect() {
+    const definition = protoLoader.loadSync(PROTO_PATH, { longs: String, defaults: true });
+    const { CompactTxStreamer } = grpc.loadPackageDefinition(definition).cash.z.wallet.sdk.rpc;
+    const credentials = this.tls ? grpc.credentials.createSsl() : grpc.credentials.createInsecure();
+    this.client = new CompactTxStreamer(this.address, credentials);
+    
+    // Test connection
+    await this.getBlockchainInfo();
+  }
+  
+  async rpc(method, request) {
+    const invoke = () => new Promise((resolve, reject) => {
+      const deadline = Date.now() + this.timeout;
+      this.client[method](request, { deadline }, (error, response) => {
+        if (error) {
+          reject(new Error(`gRPC error: ${error.details || error.message}`));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+    
+    if (this.metrics) {
+      return await this.metrics.observeRpc(this.name, method, invoke);
+    }
+    return await invoke();
+  }
+  
+  async getBlockchainInfo() {
+    const info = await this.rpc('GetLightdInfo', {});
+    return {
+      chain: info.chainName,
+      blocks: Number(info.blockHeight),
+    };
+  }
+  
+  async getBlockHash(height) {
+    const block = await this.rpc('GetBlock', { height: String(height) });
+    return Buffer.from(block.hash).reverse().toString('hex');
+  }
+  
+  async getRawBlockHeader(hash, height) {
+    if (height === undefined) {
+      throw new Error(`${this.name} can only look up blocks by height`);
+    }
+    
+    const block = await this.rpc('GetBlock', { height: String(height) });
+    if (Buffer.from(block.hash).reverse().toString('hex') !== hash) {
+      throw new Error(`${this.name} has a different block at height ${height}`);
+    }
+    if (!block.header || block.header.length === 0) {
+      throw new Error(`${this.name} does not serve full block headers`);
+    }
+    
+    return Buffer.from(block.header).toString('hex');
+  }
+  
+  async getBlockRoots() {
+    throw new Error(`${this.name} does not serve block tree roots`);
+  }
+}
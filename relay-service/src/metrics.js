@@ -0,0 +1,164 @@
+/**
+ * Relay Metrics
+ * Prometheus metrics for the relay loop and its RPC dependencies
+ */
+
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from 'prom-client';
+import { DEFAULT_FEE_UNIT } from './starknet-relay.js';
+
+const PREFIX = 'zclaim_relay_';
+
+export class RelayMetrics {
+  constructor() {
+    this.registry = new Registry();
+    collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+    
+    this.zcashTipHeight = null;
+    this.relayedTipHeight = null;
+    this.relayedTipTime = null; // unix seconds of the relayed tip block
+    
+    const metrics = this;
+    
+    new Gauge({
+      name: `${PREFIX}zcash_tip_height`,
+      help: 'Best block height reported by the Zcash node',
+      registers: [this.registry],
+      collect() {
+        if (metrics.zcashTipHeight !== null) {
+          this.set(metrics.zcashTipHeight);
+        }
+      },
+    });
+    
+    new Gauge({
+      name: `${PREFIX}relayed_tip_height`,
+      help: 'Height of the last header relayed to Starknet',
+      registers: [this.registry],
+      collect() {
+        if (metrics.relayedTipHeight !== null) {
+          this.set(metrics.relayedTipHeight);
+        }
+      },
+    });
+    
+    new Gauge({
+      name: `${PREFIX}lag_blocks`,
+      help: 'Blocks between the Zcash tip and the relayed tip',
+      registers: [this.registry],
+      collect() {
+        const lag = metrics.lagBlocks();
+        if (lag !== null) {
+          this.set(lag);
+        }
+      },
+    });
+    
+    new Gauge({
+      name: `${PREFIX}lag_seconds`,
+      help: 'Age of the relayed tip block (now minus its header timestamp)',
+      registers: [this.registry],
+      collect() {
+        const lag = metrics.lagSeconds();
+        if (lag !== null) {
+          this.set(lag);
+        }
+      },
+    });
+    
+    this.submissions = new Counter({
+      name: `${PREFIX}submissions_total`,
+      help: 'Header submissions by outcome',
+      labelNames: ['status'],
+      registers: [this.registry],
+    });
+    
+    this.feeSpent = new Counter({
+      name: `${PREFIX}fee_spent_total`,
+      help: 'Actual Starknet fees paid for header submissions, in the smallest fee token unit',
+      labelNames: ['unit'],
+      registers: [this.registry],
+    });
+    
+    this.rpcDuration = new Histogram({
+      name: `${PREFIX}rpc_duration_seconds`,
+      help: 'Latency of Zcash and Starknet RPC calls',
+      labelNames: ['target', 'method'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers: [this.registry],
+    });
+    
+    this.rpcErrors = new Counter({
+      name: `${PREFIX}rpc_errors_total`,
+      help: 'Failed Zcash and Starknet RPC calls',
+      labelNames: ['target', 'method'],
+      registers: [this.registry],
+    });
+  }
+  
+  /**
+   * Time an RPC call and count its failures
+   * @param {string} target - 'zcash' or 'starknet'
+   * @param {string} method - RPC or contract method name
+   * @param {function(): Promise<*>} fn
+   */
+  async observeRpc(target, method, fn) {
+    const end = this.rpcDuration.startTimer({ target, method });
+    try {
+      return await fn();
+    } catch (error) {
+      this.rpcErrors.inc({ target, method });
+      throw error;
+    } finally {
+      end();
+    }
+  }
+  
+  setZcashTip(height) {
+    this.zcashTipHeight = height;
+  }
+  
+  setRelayedTip(height, timestamp = null) {
+    this.relayedTipHeight = height;
+    this.relayedTipTime = timestamp;
+  }
+  
+  lagBlocks() {
+    if (this.zcashTipHeight === null || this.relayedTipHeight === null) {
+      return null;
+    }
+    return Math.max(0, this.zcashTipHeight - this.relayedTipHeight);
+  }
+  
+  lagSeconds() {
+    if (this.relayedTipTime === null) {
+      return null;
+    }
+    return Math.max(0, Math.floor(Date.now() / 1000) - this.relayedTipTime);
+  }
+  
+  recordSubmissions(status, count = 1) {
+    this.submissions.inc({ status }, count);
+  }
+  
+  /**
+   * Add the actual fee from a transaction receipt
+   * starknet.js v6 returns { amount, unit }, older receipts a plain value
+   * (taken to be in the v3 unit, like fees without a unit everywhere else)
+   */
+  recordFee(actualFee) {
+    if (actualFee === undefined || actualFee === null) {
+      return;
+    }
+    const amount = typeof actualFee === 'object' ? actualFee.amount : actualFee;
+    const unit = typeof actualFee === 'object' && actualFee.unit ? actualFee.unit : DEFAULT_FEE_UNIT;
+    this.feeSpent.inc({ unit }, Number(BigInt(amount)));
+  }
+  
+  async render() {
+    return await this.registry.metrics();
+  }
+  
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
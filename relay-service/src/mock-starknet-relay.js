@@ -0,0 +1,217 @@
+/**
+ * Mock Starknet Relay
+ * In-memory RelaySystem contract behind the StarknetRelay interface, for
+ * offline replay
+ *
+ * Mirrors relay_system.cairo: a header needs its verified parent at
+ * height - 1, may only be stored once, and moves the tip when it adds
+ * chain work. A batch reverts as a whole. Transactions execute as soon as
+ * they are sent, one Starknet block each. Headers are decoded from their
+ * Starknet encoding and hashed in full, nonce and solution included.
+ */
+
+import { HeaderProcessor } from './header-processor.js';
+
+const FINALITY = 'ACCEPTED_ON_L2';
+
+export class MockStarknetRelay {
+  /**
+   * @param {Object} options
+   * @param {{ hash: string, height: number, chainWork: bigint }} options.genesis -
+   *   Initial tip, as passed to the constructor
+   * @param {bigint} options.feePerHeader - Simulated fee per header (FRI)
+   * @param {bigint} options.balance - Fee token balance, charged per transaction
+   */
+  constructor({ genesis, feePerHeader = 10n ** 15n, balance = 10n ** 21n }) {
+    this.processor = new HeaderProcessor('mainnet');
+    this.feePerHeader = feePerHeader;
+    this.balance = balance;
+    this.contractAddress = '0x0';
+    this.nonce = 0n;
+    this.sentNonce = 0n;
+    this.blockNumber = 0;
+    this.headers = new Map(); // block hash => header
+    this.heightToHash = new Map();
+    this.transactions = new Map(); // tx hash => { execution, reason, fee }
+    this.events = [];
+    
+    const hash = BigInt('0x' + genesis.hash);
+    this.headers.set(hash, {
+      blockHash: hash,
+      height: genesis.height,
+      chainWork: genesis.chainWork || 0n,
+      verified: true,
+    });
+    this.heightToHash.set(genesis.height, hash);
+    this.tip = hash;
+    this.tipHeight = genesis.height;
+  }
+  
+  async connect() {}
+  
+  async getChainTip() {
+    return [this.tip, this.tipHeight];
+  }
+  
+  async getBlockHash(height) {
+    return this.heightToHash.get(height) || 0n;
+  }
+  
+  async getHeader(blockHash) {
+    return this.headers.get(BigInt(blockHash)) || { verified: false };
+  }
+  
+  async hasBlock(blockHash) {
+    return this.headers.has(BigInt(blockHash));
+  }
+  
+  async isConfirmed(blockHash) {
+    const header = this.headers.get(BigInt(blockHash));
+    return Boolean(header) && this.tipHeight >= header.height + 6;
+  }
+  
+  async isRelayer() {
+    return true;
+  }
+  
+  async getFeeTokenBalance(unit = 'FRI') {
+    return unit === 'FRI' ? this.balance : 0n;
+  }
+  
+  async syncNonce() {
+    this.nonce = this.sentNonce;
+    return this.nonce;
+  }
+  
+  async estimateBatch(headers) {
+    const overallFee = BigInt(headers.length) * this.feePerHeader;
+    return { overallFee, maxFee: overallFee * 2n, resourceBounds: null, unit: 'FRI' };
+  }
+  
+  async submitBlockHeadersBatch(headers, startHeight, estimate) {
+    const nonce = this.nonce++;
+    this.sentNonce = this.nonce;
+    const txHash = '0x' + (this.transactions.size + 1).toString(16).padStart(64, '0');
+    
+    let execution = 'SUCCEEDED';
+    let reason = null;
+    try {
+      this.applyBatch(headers, startHeight, txHash);
+    } catch (error) {
+      execution = 'REVERTED';
+      reason = error.message;
+    }
+    
+    const fee = estimate ? estimate.overallFee : 0n;
+    this.balance -= fee < this.balance ? fee : this.balance;
+    this.blockNumber++;
+    this.transactions.set(txHash, { execution, reason, fee });
+    return { txHash, nonce };
+  }
+  
+  /**
+   * Every transaction executes at once, so there is never anything to bump
+   */
+  async resubmitBatch(headers, startHeight, estimate) {
+    return { txHash: null, estimate };
+  }
+  
+  async getTransactionStatus(txHash) {
+    const tx = this.transactions.get(txHash);
+    return tx ? { finality: FINALITY, execution: tx.execution } : null;
+  }
+  
+  async getTransactionReceipt(txHash) {
+    const tx = this.transactions.get(txHash);
+    return {
+      finality_status: FINALITY,
+      execution_status: tx.execution,
+      revert_reason: tx.reason,
+      actual_fee: { amount: '0x' + tx.fee.toString(16), unit: 'FRI' },
+    };
+  }
+  
+  async waitForTransaction(txHash) {
+    return this.getTransactionReceipt(txHash);
+  }
+  
+  async getRecentHeaderEvents(lookbackBlocks = 20) {
+    return this.events.filter(event => event.blockNumber > this.blockNumber - lookbackBlocks - 1);
+  }
+  
+  /**
+   * submit_block_headers_batch: all headers or none
+   */
+  applyBatch(headers, startHeight, txHash) {
+    const headersBefore = new Map(this.headers);
+    const heightsBefore = new Map(this.heightToHash);
+    const tipBefore = [this.tip, this.tipHeight];
+    const eventsBefore = this.events.length;
+    
+    try {
+      headers.forEach((header, i) => this.applyHeader(header, startHeight + i, txHash));
+    } catch (error) {
+      this.headers = headersBefore;
+      this.heightToHash = heightsBefore;
+      [this.tip, this.tipHeight] = tipBefore;
+      this.events.length = eventsBefore;
+      throw error;
+    }
+  }
+  
+  /**
+   * submit_block_header
+   */
+  applyHeader(encoded, height, txHash = null) {
+    const header = this.processor.decodeFromStarknet(encoded);
+    const prevBlockHash = BigInt('0x' + header.prevBlockHash);
+    
+    const prev = this.headers.get(prevBlockHash);
+    if (!prev || !prev.verified) {
+      throw new Error('Previous block not verified');
+    }
+    if (prev.height !== height - 1) {
+      throw new Error('Invalid height');
+    }
+    
+    const hash = this.processor.computeHeaderHash(this.processor.serializeHeader(header));
+    const blockHash = BigInt('0x' + hash);
+    if (this.headers.has(blockHash)) {
+      throw new Error('Block already exists');
+    }
+    
+    const chainWork = prev.chainWork + work(header.bits);
+    this.headers.set(blockHash, {
+      blockHash,
+      prevBlockHash,
+      saplingRoot: BigInt('0x' + header.saplingRoot),
+      timestamp: header.timestamp,
+      bits: header.bits,
+      height,
+      chainWork,
+      verified: true,
+    });
+    
+    if (chainWork > this.headers.get(this.tip).chainWork) {
+      this.tip = blockHash;
+      this.tipHeight = height;
+      this.heightToHash.set(height, blockHash);
+    }
+    
+    this.events.push({ blockHash, height, txHash, pending: false, blockNumber: this.blockNumber + 1 });
+  }
+}
+
+/**
+ * Chain work of one block, computed exactly as the contract's _calculate_work
+ */
+function work(bits) {
+  const exponent = bits >>> 24;
+  if (exponent === 0) {
+    return 0n;
+  }
+
+  const shift = exponent <= 3 ? 0 : (exponent - 3) * 8;
+  const target = BigInt(bits & 0x007fffff) << BigInt(shift);
+  return target === 0n ? 0n : ((1n << 256n) - 1n) / (target + 1n);
+}
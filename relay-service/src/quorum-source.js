@@ -0,0 +1,157 @@
+/**
+ * Quorum Header Source
+ * Cross-checks several Zcash header sources and only trusts a block hash
+ * once M of N of them agree on it
+ *
+ * Headers themselves may come from any single source: they are accepted
+ * only if they hash to the agreed block hash.
+ */
+
+import { HeaderProcessor } from './header-processor.js';
+
+export class QuorumError extends Error {
+  constructor(message, votes = {}) {
+    super(message);
+    this.name = 'QuorumError';
+    this.votes = votes;
+  }
+}
+
+export class QuorumSource {
+  /**
+   * @param {Array} sources - ZcashClient-like sources
+   * @param {Object} options
+   * @param {number} options.quorum - Sources that must agree (M)
+   * @param {Object} options.logger - pino-compatible logger for disagreements
+   */
+  constructor(sources, { quorum, logger = null }) {
+    if (quorum < 1 || quorum > sources.length) {
+      throw new Error(`Quorum must be between 1 and ${sources.length}, got ${quorum}`);
+    }
+    
+    this.name = 'quorum';
+    this.sources = sources;
+    this.quorum = quorum;
+    this.logger = logger;
+    this.processor = new HeaderProcessor();
+  }
+  
+  /**
+   * Run `fn` against every source in parallel
+   * @returns {Promise<Array<{ source: string, value?: *, error?: Error }>>}
+   */
+  async poll(fn) {
+    const results = await Promise.allSettled(this.sources.map(source => fn(source)));
+    return results.map((result, i) => ({
+      source: this.sources[i].name,
+      value: result.status === 'fulfilled' ? result.value : undefined,
+      error: result.status === 'rejected' ? result.reason : undefined,
+    }));
+  }
+  
+  async connect() {
+    const results = await this.poll(source => source.connect());
+    const failed = results.filter(r => r.error);
+    
+    for (const { source, error } of failed) {
+      this.warn({ source, error: error.message }, 'Header source unreachable');
+    }
+    
+    const connected = results.length - failed.length;
+    if (connected < this.quorum) {
+      throw new QuorumError(`Only ${connected} of ${results.length} header sources reachable, quorum is ${this.quorum}`);
+    }
+  }
+  
+  /**
+   * Chain name agreed by the quorum, and the highest height that at least
+   * `quorum` sources have reached
+   */
+  async getBlockchainInfo() {
+    const results = (await this.poll(source => source.getBlockchainInfo())).filter(r => !r.error);
+    if (results.length < this.quorum) {
+      throw new QuorumError(`Only ${results.length} header sources answered, quorum is ${this.quorum}`);
+    }
+    
+    const chain = this.agree(results.map(r => ({ source: r.source, value: r.value.chain })), 'chain');
+    const heights = results.map(r => r.value.blocks).sort((a, b) => b - a);
+    
+    return { chain, blocks: heights[this.quorum - 1] };
+  }
+  
+  async getBlockHash(height) {
+    const results = await this.poll(source => source.getBlockHash(height));
+    return this.agree(results, `block hash at height ${height}`);
+  }
+  
+  async getRawBlockHeader(hash, height) {
+    const errors = {};
+    
+    for (const source of this.sources) {
+      try {
+        const raw = await source.getRawBlockHeader(hash, height);
+        const actual = this.processor.computeHeaderHash(Buffer.from(raw, 'hex'));
+        if (actual === hash) {
+          return raw;
+        }
+        errors[source.name] = `served header hashing to ${actual}`;
+        this.warn({ source: source.name, hash, actual }, 'Header source served a header with the wrong hash');
+      } catch (error) {
+        errors[source.name] = error.message;
+      }
+    }
+    
+    throw new QuorumError(`No source served a valid header for ${hash}`, errors);
+  }
+  
+  /**
+   * Tree roots of a block. The Sapling and Orchard roots need a quorum;
+   * the chain history and auth data roots are checked against the header
+   * (HeaderProcessor.withRoots), so the first source reporting them is used.
+   */
+  async getBlockRoots(hash, height) {
+    const results = await this.poll(source => source.getBlockRoots(hash, height));
+    
+    const treeRoots = this.agree(results.map(r => ({
+      ...r,
+      value: r.value && `${r.value.saplingRoot}:${r.value.orchardRoot}`,
+    })), `tree roots of ${hash}`);
+    const [saplingRoot, orchardRoot] = treeRoots.split(':').map(root => (root === 'null' ? null : root));
+    
+    const proving = results.find(r => r.value && r.value.chainHistoryRoot) || {};
+    return {
+      saplingRoot,
+      orchardRoot,
+      authDataRoot: proving.value ? proving.value.authDataRoot : null,
+      chainHistoryRoot: proving.value ? proving.value.chainHistoryRoot : null,
+    };
+  }
+  
+  /**
+   * Return the value reported by at least `quorum` sources
+   */
+  agree(results, what) {
+    const votes = {};
+    for (const { source, value, error } of results) {
+      const key = error ? `error: ${error.message}` : String(value);
+      (votes[key] = votes[key] || []).push(source);
+    }
+    
+    const winner = results.find(r => !r.error && votes[String(r.value)].length >= this.quorum);
+    
+    if (Object.keys(votes).length > 1) {
+      this.warn({ what, votes }, 'Header sources disagree');
+    }
+    if (!winner) {
+      throw new QuorumError(`No quorum (${this.quorum} of ${this.sources.length}) for ${what}`, votes);
+    }
+    
+    return winner.value;
+  }
+  
+  warn(details, message) {
+    if (this.logger) {
+      this.logger.warn(details, message);
+    }
+  }
+}
@@ -0,0 +1,1071 @@
+/**
+ * Relay Service
+ * Relays final Zcash block headers to the Starknet relay contract: polls
+ * the header source, submits batches through the pipeline, follows reorgs
+ * and serves the health and admin endpoints
+ */
+
+import { createHeaderSource } from './header-sources.js';
+import { StarknetRelay, DEFAULT_FEE_UNIT } from './starknet-relay.js';
+import { HeaderProcessor } from './header-processor.js';
+import { StateStore, SubmissionStatus } from './state-store.js';
+import { BatchSizer } from './batch-sizer.js';
+import { SubmissionPipeline, PipelineError } from './submission-pipeline.js';
+import { RelayMetrics } from './metrics.js';
+import { HealthServer } from './health-server.js';
+import { RelayerCoordinator } from './relayer-coordinator.js';
+import { AdminServer, AdminError } from './admin-server.js';
+import { DatasetSource } from './dataset-source.js';
+import { MockStarknetRelay } from './mock-starknet-relay.js';
+import { Alerter, AlertType } from './alerter.js';
+import { FeeLedger } from './fee-ledger.js';
+import { FeeBudget, BudgetError, BudgetAction } from './fee-budget.js';
+import { FinalityPolicy } from '@zarklink/finality-policy';
+import { resolveCheckpoint } from '@zarklink/checkpoints';
+import { networkFromChain } from '@zarklink/header-codec';
+import { RelayIndexer } from '@zarklink/relay-indexer';
+
+// Block work entries kept for the finality work rule
+const WORK_CACHE_SIZE = 1000;
+
+export class RelayService {
+  /**
+   * @param {Object} config - Relay settings, see loadConfig
+   * @param {Object} logger - pino logger
+   */
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = new RelayMetrics();
+    this.alerter = new Alerter({
+      webhookUrl: this.config.alertWebhookUrl,
+      command: this.config.alertCommand,
+      cooldown: this.config.alertCooldown,
+      logger: this.logger,
+    });
+    this.processor = new HeaderProcessor();
+    if (this.config.replayDataset) {
+      this.createReplay();
+    } else {
+      this.zcash = createHeaderSource(this.config, this.metrics, this.logger);
+      this.starknet = new StarknetRelay(this.config, this.metrics);
+    }
+    this.store = new StateStore(this.config.stateFile);
+    this.feeLedger = new FeeLedger(this.config.feeLedgerFile);
+    this.budget = new FeeBudget({
+      ledger: this.feeLedger,
+      dailyLimit: this.config.feeDailyBudget,
+      perBlockLimit: this.config.feePerBlockBudget,
+      minBalance: this.config.feeMinBalance,
+    });
+    this.budgetHold = null; // last budget refusal that pauses submissions
+    this.batchSizer = new BatchSizer({ maxSize: this.config.batchSize, maxFee: this.config.maxBatchFee });
+    this.pipeline = new SubmissionPipeline(this.starknet, {
+      window: this.config.maxInFlight,
+      stuckAfter: this.config.stuckTxTimeout,
+      maxBumps: this.config.maxFeeBumps,
+      feeBumpPercent: this.config.feeBumpPercent,
+      onSubmitted: (entry, txHash) => this.onBatchSubmitted(entry, txHash),
+      onSettled: (entry, result) => this.onBatchSettled(entry, result),
+    });
+    this.coordinator = this.config.relayerPeers.length > 0
+      ? new RelayerCoordinator(this.starknet, {
+        self: this.config.starknetAccountAddress,
+        peers: this.config.relayerPeers,
+        slotSize: this.config.batchSize,
+        slotDelay: this.config.slotDelay,
+        jitter: this.config.slotJitter,
+        eventLookback: this.config.eventLookback,
+        isCanonical: (height, blockHash) => this.isCanonical(height, blockHash),
+      })
+      : null;
+    this.running = false;
+    this.lastRelayedHeight = this.config.startHeight; // confirmed on Starknet
+    this.lastSubmittedHeight = this.config.startHeight; // sent, possibly still in flight
+    this.pendingReorg = null;
+    this.checkpoint = null; // trusted genesis of the relay contract, if bootstrapped
+    this.finality = null; // per network, set on initialize
+    this.workCache = new Map(); // block hash => chain work
+    this.paused = false;
+    this.resubmitRequest = null; // queued by the admin API
+    this.forcedResubmit = null; // being resubmitted
+    this.wakeUp = null;
+    this.haltReason = null;
+    this.initialized = false;
+    this.lastPollAt = null;
+    this.lastAccountCheck = null;
+    this.history = null; // RelayIndexer, once connected to Starknet
+    this.lastHistorySync = null;
+    this.healthServer = new HealthServer({
+      port: this.config.metricsPort,
+      metrics: this.metrics,
+      getHealth: () => this.healthStatus(),
+    });
+    this.adminServer = this.config.adminSocket || this.config.adminPort
+      ? new AdminServer({
+        socketPath: this.config.adminSocket,
+        port: this.config.adminPort,
+        token: this.config.adminToken,
+        handlers: {
+          state: () => this.adminState(),
+          pause: () => this.pause(),
+          resume: () => this.resume(),
+          resubmit: (range) => this.requestResubmit(range),
+          settings: (settings) => this.updateSettings(settings),
+          fees: (query) => this.feeReport(query),
+          history: this.config.replayDataset ? null : (query) => this.historyReport(query),
+          fork: this.config.replayDataset ? ({ depth }) => this.injectFork(depth) : null,
+        },
+      })
+      : null;
+  }
+  
+  /**
+   * Offline replay: the contract starts with enough dataset blocks below
+   * its tip to validate difficulty
+   */
+  createReplay() {
+    const dataset = new DatasetSource({
+      file: this.config.replayDataset,
+      speed: this.config.replaySpeed,
+      forkSchedule: this.config.replayForks,
+      logger: this.logger,
+    });
+    const genesis = dataset.headers[this.processor.contextSize];
+    
+    dataset.initialHeight = genesis.height;
+    this.zcash = dataset;
+    this.starknet = new MockStarknetRelay({ genesis });
+  }
+  
+  async initialize() {
+    this.logger.info('Initializing relay service...');
+    
+    // Probes answer (not ready) while we connect
+    await this.healthServer.start();
+    this.logger.info({ port: this.config.metricsPort }, 'Serving /metrics, /healthz and /readyz');
+    
+    if (this.adminServer) {
+      await this.adminServer.start();
+      this.logger.info({ address: this.adminServer.address }, 'Admin API listening');
+    }
+    
+    // Load submissions recorded before the last shutdown
+    this.store.open();
+    this.logger.info({ file: this.config.stateFile, pending: this.store.pending().length }, 'Loaded relay state');
+    this.feeLedger.open();
+    
+    // Connect to Zcash node
+    await this.zcash.connect();
+    const zcashInfo = await this.zcash.getBlockchainInfo();
+    this.logger.info({ chain: zcashInfo.chain, blocks: zcashInfo.blocks }, 'Connected to Zcash');
+    
+    // Use the consensus rules and finality defaults of the network the node is on
+    const network = networkFromChain(zcashInfo.chain);
+    this.processor = new HeaderProcessor(network);
+    this.finality = new FinalityPolicy({
+      network,
+      rule: this.config.finalityRule,
+      minDepth: this.config.finalityMinDepth,
+      minWork: this.config.finalityMinWork,
+    });
+    this.logger.info({ policy: this.finality.describe() }, 'Relaying final blocks only');
+    
+    // Connect to Starknet
+    await this.starknet.connect();
+    this.logger.info({ contract: this.config.relayContractAddress }, 'Connected to Starknet relay');
+    await this.checkAccount();
+    
+    if (!this.config.replayDataset) {
+      this.history = new RelayIndexer({
+        provider: this.starknet.provider,
+        contractAddress: this.config.relayContractAddress,
+        file: this.config.historyFile,
+        fromBlock: this.config.historyFromBlock,
+      });
+      this.history.open();
+      this.logger.info({ file: this.config.historyFile, syncedBlock: this.history.syncedBlock }, 'Loaded relay event history');
+    }
+    
+    if (this.config.checkpoint && !this.config.replayDataset) {
+      await this.verifyCheckpoint(network);
+      this.lastRelayedHeight = Math.max(this.lastRelayedHeight, this.checkpoint.height);
+    }
+    
+    if (this.coordinator) {
+      this.logger.info({ relayers: this.coordinator.relayers, self: this.coordinator.self }, 'Coordinating with other relayers');
+    }
+    
+    // Get last relayed height from contract
+    try {
+      const [tipHash, tipHeight] = await this.starknet.getChainTip();
+      this.lastRelayedHeight = tipHeight;
+      this.logger.info({ height: tipHeight }, 'Last relayed block');
+    } catch (e) {
+      const storedHeight = this.store.lastAcceptedHeight();
+      if (storedHeight !== null) {
+        this.lastRelayedHeight = storedHeight;
+        this.logger.warn({ height: storedHeight }, 'Could not get chain tip from contract, starting from local state');
+      } else {
+        this.logger.warn('Could not get chain tip from contract, starting from config');
+      }
+    }
+    
+    // Settle submissions that were in flight when we last stopped
+    await this.reconcilePending();
+    await this.updateRelayedTipMetrics();
+    
+    this.lastSubmittedHeight = this.lastRelayedHeight;
+    await this.starknet.syncNonce();
+    
+    this.initialized = true;
+    this.logger.info('Relay service initialized');
+  }
+  
+  /**
+   * The relay contract was bootstrapped from a checkpoint: make sure it is
+   * on the node's best chain and is the contract's genesis
+   */
+  async verifyCheckpoint(network) {
+    const checkpoint = resolveCheckpoint(this.config.checkpoint);
+    if (checkpoint.network !== network) {
+      throw new Error(`Checkpoint is for ${checkpoint.network}, but the Zcash node is on ${network}`);
+    }
+    
+    const nodeHash = await this.zcash.getBlockHash(checkpoint.height);
+    if (nodeHash !== checkpoint.hash) {
+      throw new Error(`Checkpoint block ${checkpoint.hash} is not on the node's best chain (node has ${nodeHash} at height ${checkpoint.height})`);
+    }
+    
+    if (!(await this.starknet.hasBlock('0x' + checkpoint.hash))) {
+      throw new Error(`Relay contract does not know checkpoint block ${checkpoint.hash}; deploy it with zarklink relay bootstrap`);
+    }
+    
+    this.checkpoint = checkpoint;
+    this.logger.info({ height: checkpoint.height, hash: checkpoint.hash }, 'Relaying from trusted checkpoint');
+  }
+  
+  async start() {
+    this.running = true;
+    this.logger.info({ interval: this.config.pollInterval }, 'Starting relay loop');
+    
+    while (this.running) {
+      let behind = false;
+      try {
+        behind = await this.relayNewBlocks();
+        this.lastPollAt = Date.now();
+      } catch (error) {
+        this.logger.error({ error: error.message }, 'Error in relay loop');
+      }
+      await this.checkAlerts();
+      await this.syncHistory();
+      
+      if (!this.running) {
+        break;
+      }
+      
+      // Keep going without waiting while catching up
+      if (!behind) {
+        await this.idle(this.config.pollInterval);
+      }
+    }
+  }
+  
+  /**
+   * Relay the next window of confirmed headers
+   * @returns {Promise<boolean>} True if progress was made and more blocks are waiting
+   */
+  async relayNewBlocks() {
+    // Settle batches that finished since the last poll
+    try {
+      await this.pipeline.collect();
+    } catch (error) {
+      this.handlePipelineError(error);
+    }
+    
+    if (this.resubmitRequest) {
+      await this.startForcedResubmit();
+    }
+    if (this.paused) {
+      this.logger.debug({ inFlight: this.pipeline.size }, 'Paused, not submitting');
+      return false;
+    }
+    
+    // Make sure the contract is still on the node's best chain. With batches
+    // in flight the check waits: headers from a stale branch revert anyway.
+    if (this.pipeline.size === 0) {
+      await this.checkForReorg();
+      if (!this.running) {
+        return false;
+      }
+      this.lastSubmittedHeight = this.lastRelayedHeight;
+    }
+    
+    // Get current Zcash height
+    const info = await this.zcash.getBlockchainInfo();
+    const currentHeight = info.blocks;
+    this.metrics.setZcashTip(currentHeight);
+    await this.updateRelayedTipMetrics();
+    
+    // Only relay blocks the finality policy considers final
+    const targetHeight = await this.finality.finalizedHeight(
+      currentHeight,
+      height => this.blockWork(height),
+      this.lastSubmittedHeight
+    );
+    
+    if (targetHeight <= this.lastSubmittedHeight) {
+      this.logger.debug({ current: currentHeight, lastSubmitted: this.lastSubmittedHeight }, 'No new blocks');
+      return false;
+    }
+    
+    const startHeight = this.lastSubmittedHeight + 1;
+    
+    // Let the relayer whose slot this is go first. With our own batches in
+    // flight we already hold the slot.
+    if (this.coordinator && this.pipeline.size === 0) {
+      const turn = await this.coordinator.waitForTurn(startHeight);
+      if (!this.running) {
+        return false;
+      }
+      if (!turn.proceed) {
+        return this.followPeers(turn, targetHeight);
+      }
+      if (turn.rank > 0) {
+        this.logger.warn({ height: startHeight, rank: turn.rank, waited: turn.delay }, 'Slot not covered by its relayer, submitting');
+      }
+    }
+    
+    const endHeight = Math.min(startHeight + this.config.batchSize - 1, targetHeight);
+    
+    this.logger.info({ from: startHeight, to: endHeight }, 'Relaying blocks');
+    
+    // Fetch the batch plus enough ancestors to check timestamps and difficulty
+    const contextStart = Math.max(0, startHeight - this.processor.contextSize);
+    const headers = [];
+    for (let height = contextStart; height <= endHeight; height++) {
+      headers.push(await this.fetchHeader(height));
+    }
+    
+    // Only relay headers up to the first one that breaks the chain rules
+    let lastValidHeight = endHeight;
+    const chain = this.processor.verifyChain(headers, contextStart);
+    if (!chain.valid) {
+      this.logger.error({ height: chain.height, reason: chain.reason }, 'Header rejected: chain validation failed');
+      lastValidHeight = chain.height - 1;
+    }
+    
+    // Verify Equihash PoW locally before paying Starknet fees. Replayed
+    // headers carry a rebuilt nonce, so their solutions cannot verify.
+    for (let height = startHeight; height <= lastValidHeight && !this.config.replayDataset; height++) {
+      const pow = this.processor.verifyEquihash(headers[height - contextStart]);
+      if (!pow.valid) {
+        this.logger.error({ height, reason: pow.reason }, 'Header rejected: invalid Equihash solution');
+        lastValidHeight = height - 1;
+        break;
+      }
+    }
+    
+    const previousHeight = this.lastSubmittedHeight;
+    let height = startHeight;
+    while (height <= lastValidHeight) {
+      const batch = headers.slice(height - contextStart, lastValidHeight - contextStart + 1);
+      try {
+        height += await this.relayBatch(height, batch);
+      } catch (error) {
+        if (error instanceof PipelineError) {
+          this.handlePipelineError(error);
+        } else if (error instanceof BudgetError) {
+          await this.handleOverBudget(error, height);
+        } else {
+          this.logger.error({ height, error: error.message }, 'Failed to relay batch');
+        }
+        break; // Stop on error to maintain chain integrity
+      }
+    }
+    await this.updateRelayedTipMetrics();
+    
+    return this.lastSubmittedHeight > previousHeight && this.lastSubmittedHeight < targetHeight;
+  }
+  
+  /**
+   * Another relayer covered the next heights: skip them and adopt the
+   * contract tip once it is on the node's best chain
+   */
+  async followPeers(turn, targetHeight) {
+    const previousHeight = this.lastRelayedHeight;
+    
+    this.logger.info({ from: this.lastSubmittedHeight + 1, to: turn.coveredHeight }, 'Heights covered by another relayer, skipping');
+    
+    if (turn.tipHeight > this.lastRelayedHeight && await this.isCanonical(turn.tipHeight, turn.tipHash)) {
+      this.lastRelayedHeight = turn.tipHeight;
+    }
+    this.lastSubmittedHeight = Math.max(this.lastRelayedHeight, turn.coveredHeight);
+    await this.updateRelayedTipMetrics();
+    
+    return this.lastRelayedHeight > previousHeight && this.lastRelayedHeight < targetHeight;
+  }
+  
+  /**
+   * Abandon in-flight batches from the requested height on and relay
+   * again from there. Headers the contract already stores are skipped.
+   */
+  async startForcedResubmit() {
+    const { from, to } = this.resubmitRequest;
+    this.resubmitRequest = null;
+    
+    const abandoned = await this.pipeline.abandon(from);
+    for (const entry of abandoned) {
+      entry.headers.forEach(header => this.store.recordStatus(header.hash, SubmissionStatus.FAILED, { error: 'abandoned by operator' }));
+      this.metrics.recordSubmissions(SubmissionStatus.FAILED, entry.headers.length);
+    }
+    
+    this.lastRelayedHeight = Math.min(this.lastRelayedHeight, from - 1);
+    this.lastSubmittedHeight = this.lastRelayedHeight;
+    this.forcedResubmit = { from, to };
+    
+    this.logger.warn({ from, to, abandonedBatches: abandoned.length }, 'Forced resubmission started');
+  }
+  
+  /**
+   * A batch failed and the window was drained: resume from the confirmed tip
+   */
+  handlePipelineError(error) {
+    if (!(error instanceof PipelineError)) {
+      throw error;
+    }
+    this.logger.error({ error: error.message, lastRelayed: this.lastRelayedHeight }, 'Pipeline failed, resubmitting from confirmed tip');
+    this.lastSubmittedHeight = this.lastRelayedHeight;
+  }
+  
+  /**
+   * A batch did not fit the fee budget. Skips wait for the next poll;
+   * pauses hold submissions (and readiness) until the budget allows again.
+   */
+  async handleOverBudget(error, height) {
+    if (error.action === BudgetAction.SKIP) {
+      this.logger.warn({ height, reason: error.message }, 'Batch over the per-block fee budget, retrying next poll');
+      return;
+    }
+    
+    this.logger.warn({ height, reason: error.message }, 'Submissions paused by the fee budget');
+    this.budgetHold = { reason: error.message, since: this.budgetHold?.since || new Date().toISOString() };
+    await this.alerter.raise(AlertType.OVER_BUDGET, 'warning', error.message, { height });
+  }
+  
+  /**
+   * Throw a BudgetError unless the fee budget and balance allow the batch
+   */
+  async checkBudget(estimate, count) {
+    const unit = estimate.unit || DEFAULT_FEE_UNIT;
+    const inFlight = this.pipeline.inFlight
+      .filter(entry => (entry.estimate.unit || DEFAULT_FEE_UNIT) === unit)
+      .reduce((sum, entry) => sum + entry.estimate.overallFee, 0n);
+    const balance = await this.starknet.getFeeTokenBalance(unit);
+    
+    this.budget.check({ estimate: { ...estimate, unit }, count, inFlight, balance });
+    
+    if (this.budgetHold) {
+      this.logger.info({ since: this.budgetHold.since }, 'Fee budget allows submissions again');
+      this.budgetHold = null;
+      await this.alerter.clear(AlertType.OVER_BUDGET, 'Fee budget allows submissions again');
+    }
+  }
+  
+  /**
+   * Charge a settled batch's actual fee to its heights
+   */
+  recordFees(entry, result, status) {
+    const actualFee = result.receipt?.actual_fee;
+    if (actualFee === undefined || actualFee === null) {
+      return;
+    }
+    
+    this.metrics.recordFee(actualFee);
+    this.feeLedger.record({
+      headers: entry.headers.map((header, i) => ({ height: entry.startHeight + i, blockHash: header.hash })),
+      txHash: result.txHash,
+      status,
+      fee: BigInt(typeof actualFee === 'object' ? actualFee.amount : actualFee),
+      unit: typeof actualFee === 'object' && actualFee.unit ? actualFee.unit : DEFAULT_FEE_UNIT,
+    });
+  }
+  
+  /**
+   * Compare the relayed tip with the node's best chain and rewind to the
+   * fork point if they diverged, so the winning branch gets resubmitted.
+   * Reorgs deeper than maxReorgDepth halt the service for operator review.
+   */
+  async checkForReorg() {
+    const tipHeight = this.lastRelayedHeight;
+    
+    // Nothing relayed yet at this height (fresh contract or config start height)
+    if (await this.starknet.getBlockHash(tipHeight) === 0n) {
+      return;
+    }
+    
+    // Nothing below the checkpoint can be rewound to
+    const floor = Math.max(this.checkpoint ? this.checkpoint.height : 0, tipHeight - this.config.reorgCheckDepth);
+    
+    let forkHeight = tipHeight;
+    while (forkHeight >= floor && !(await this.isOnBestChain(forkHeight))) {
+      forkHeight--;
+    }
+    
+    const depth = tipHeight - forkHeight;
+    if (depth === 0) {
+      if (this.pendingReorg) {
+        this.logger.info({ ...this.pendingReorg, newTip: tipHeight }, 'Reorg resolved');
+        this.pendingReorg = null;
+      }
+      return;
+    }
+    
+    if (forkHeight < floor || depth > this.config.maxReorgDepth) {
+      const reason = `Reorg at height ${tipHeight} is deeper than ${this.config.maxReorgDepth} blocks`;
+      this.halt(reason, { tipHeight, searchedDownTo: floor });
+      await this.alerter.event(AlertType.REORG, 'critical', `${reason}, relay halted`, { tipHeight, searchedDownTo: floor });
+      return;
+    }
+    
+    // Until the winning branch outweighs the old one the contract tip stays
+    // on the old branch, and every poll finds the same fork again
+    if (this.pendingReorg && forkHeight >= this.pendingReorg.forkHeight) {
+      this.logger.debug({ ...this.pendingReorg, relayedTo: tipHeight }, 'Reorg still pending');
+      this.lastRelayedHeight = forkHeight;
+      return;
+    }
+    
+    this.logger.warn({ depth, forkHeight, oldTip: tipHeight }, 'Reorg detected, resubmitting winning branch');
+    await this.alerter.event(AlertType.REORG, 'warning', `Reorg of ${depth} blocks below height ${tipHeight}`, {
+      depth,
+      forkHeight,
+      oldTip: tipHeight,
+    });
+    this.pendingReorg = { depth, forkHeight, oldTip: tipHeight };
+    this.lastRelayedHeight = forkHeight;
+  }
+  
+  async isOnBestChain(height) {
+    return this.isCanonical(height, await this.starknet.getBlockHash(height));
+  }
+  
+  async isCanonical(height, blockHash) {
+    const nodeHash = await this.zcash.getBlockHash(height);
+    return blockHash === BigInt('0x' + nodeHash);
+  }
+  
+  halt(reason, details = {}) {
+    this.logger.fatal({ ...details, reason }, 'Relay halted, operator review required');
+    this.haltReason = reason;
+    this.running = false;
+  }
+  
+  /**
+   * Resolve every in-flight submission from the journal against Starknet.
+   * Headers that made it onto the contract are marked accepted, the rest
+   * failed so they get resubmitted; nothing is sent twice blindly.
+   */
+  async reconcilePending() {
+    for (const entry of this.store.pending()) {
+      const status = await this.resolveSubmission(entry);
+      this.store.recordStatus(entry.blockHash, status);
+      this.metrics.recordSubmissions(status);
+      this.logger.info({ height: entry.height, txHash: entry.txHash, status }, 'Reconciled pending submission');
+      
+      if (status !== SubmissionStatus.FAILED && entry.height > this.lastRelayedHeight) {
+        this.lastRelayedHeight = entry.height;
+      }
+    }
+  }
+  
+  async resolveSubmission(entry) {
+    if (entry.txHash) {
+      const tx = await this.starknet.getTransactionStatus(entry.txHash);
+      
+      if (tx && tx.execution === 'SUCCEEDED') {
+        return tx.finality === 'ACCEPTED_ON_L1' ? SubmissionStatus.FINALIZED : SubmissionStatus.ACCEPTED;
+      }
+      
+      // Still in the mempool: wait for it rather than sending it again
+      if (tx && tx.finality === 'RECEIVED') {
+        try {
+          const receipt = await this.starknet.waitForTransaction(entry.txHash);
+          return receipt.finality_status === 'ACCEPTED_ON_L1' ? SubmissionStatus.FINALIZED : SubmissionStatus.ACCEPTED;
+        } catch (error) {
+          this.logger.warn({ height: entry.height, txHash: entry.txHash, error: error.message }, 'Pending submission did not go through');
+        }
+      }
+    }
+    
+    // No tx hash, unknown, rejected, reverted or timed out tx: the contract is the source of truth
+    const stored = await this.starknet.hasBlock('0x' + entry.blockHash);
+    return stored ? SubmissionStatus.ACCEPTED : SubmissionStatus.FAILED;
+  }
+  
+  /**
+   * Refresh the relayed tip gauges; the tip's timestamp drives lag_seconds
+   */
+  async updateRelayedTipMetrics() {
+    const height = this.lastRelayedHeight;
+    if (this.metrics.relayedTipHeight === height) {
+      return;
+    }
+    
+    let timestamp = null;
+    try {
+      const header = await this.fetchHeader(height);
+      timestamp = header.timestamp;
+    } catch (error) {
+      this.logger.warn({ height, error: error.message }, 'Could not fetch relayed tip timestamp');
+    }
+    this.metrics.setRelayedTip(height, timestamp);
+  }
+  
+  /**
+   * Liveness and readiness for the HTTP probes
+   */
+  healthStatus() {
+    const reasons = [];
+    
+    if (this.haltReason) {
+      reasons.push(`halted: ${this.haltReason}`);
+    }
+    
+    const lagBlocks = this.metrics.lagBlocks();
+    if (lagBlocks !== null && lagBlocks > this.config.maxLagBlocks) {
+      reasons.push(`lag of ${lagBlocks} blocks exceeds ${this.config.maxLagBlocks}`);
+    }
+    
+    const lagSeconds = this.metrics.lagSeconds();
+    if (lagSeconds !== null && lagSeconds > this.config.maxLagSeconds) {
+      reasons.push(`relayed tip is ${lagSeconds}s old, limit ${this.config.maxLagSeconds}s`);
+    }
+    
+    const liveReasons = [...reasons];
+    const stalledAfter = Math.max(3 * this.config.pollInterval, 5 * 60 * 1000);
+    if (this.initialized && this.lastPollAt !== null && Date.now() - this.lastPollAt > stalledAfter) {
+      liveReasons.push('relay loop has not completed a poll recently');
+    }
+    
+    const readyReasons = this.initialized ? [...reasons] : ['initializing', ...reasons];
+    if (this.paused) {
+      readyReasons.push('paused by operator');
+    }
+    if (this.budgetHold) {
+      readyReasons.push(`paused by fee budget: ${this.budgetHold.reason}`);
+    }
+    
+    return {
+      live: { ok: liveReasons.length === 0, reasons: liveReasons },
+      ready: { ok: readyReasons.length === 0, reasons: readyReasons },
+    };
+  }
+  
+  /**
+   * Raise or clear the lag alert, and check the relayer account every
+   * accountCheckInterval
+   */
+  async checkAlerts() {
+    const lagBlocks = this.metrics.lagBlocks();
+    if (lagBlocks !== null && lagBlocks > this.config.alertLagBlocks) {
+      await this.alerter.raise(AlertType.LAG, 'warning', `Relay is ${lagBlocks} blocks behind the Zcash tip`, {
+        lagBlocks,
+        limit: this.config.alertLagBlocks,
+        zcashTip: this.metrics.zcashTipHeight,
+        relayedTip: this.metrics.relayedTipHeight,
+      });
+    } else if (lagBlocks !== null) {
+      await this.alerter.clear(AlertType.LAG, 'Relay lag back within limit', { lagBlocks });
+    }
+    
+    if (this.lastAccountCheck === null || Date.now() - this.lastAccountCheck >= this.config.accountCheckInterval) {
+      await this.checkAccount();
+    }
+  }
+  
+  /**
+   * Alert if the contract no longer lists us as a relayer or the fee
+   * token balance is below ALERT_MIN_BALANCE
+   */
+  async checkAccount() {
+    this.lastAccountCheck = Date.now();
+    const account = this.config.starknetAccountAddress;
+    
+    try {
+      if (await this.starknet.isRelayer()) {
+        await this.alerter.clear(AlertType.NOT_RELAYER, 'Account is registered as a relayer', { account });
+      } else {
+        await this.alerter.raise(AlertType.NOT_RELAYER, 'critical', 'Account is not registered as a relayer, submissions will revert', { account });
+      }
+      
+      if (this.config.alertMinBalance !== null) {
+        const balance = await this.starknet.getFeeTokenBalance();
+        if (balance < this.config.alertMinBalance) {
+          await this.alerter.raise(AlertType.LOW_BALANCE, 'warning', 'Relayer fee token balance is low', {
+            account,
+            balance,
+            threshold: this.config.alertMinBalance,
+          });
+        } else {
+          await this.alerter.clear(AlertType.LOW_BALANCE, 'Relayer fee token balance restored', { account, balance });
+        }
+      }
+    } catch (error) {
+      this.logger.warn({ error: error.message }, 'Could not check relayer account');
+    }
+  }
+  
+  /**
+   * Index new relay contract events every historySyncInterval
+   */
+  async syncHistory() {
+    if (!this.history) {
+      return;
+    }
+    if (this.lastHistorySync !== null && Date.now() - this.lastHistorySync < this.config.historySyncInterval) {
+      return;
+    }
+    
+    this.lastHistorySync = Date.now();
+    try {
+      const synced = await this.history.sync();
+      if (synced && synced.added > 0) {
+        this.logger.info(synced, 'Indexed relay events');
+      }
+    } catch (error) {
+      this.logger.warn({ error: error.message }, 'Could not index relay events');
+    }
+  }
+  
+  /**
+   * Chain work of the block at a height, cached by block hash
+   */
+  async blockWork(height) {
+    const hash = await this.zcash.getBlockHash(height);
+    if (!this.workCache.has(hash)) {
+      const header = this.processor.parseHeader(await this.zcash.getRawBlockHeader(hash, height), height);
+      this.workCache.set(hash, this.processor.calculateWork(header.bits));
+      if (this.workCache.size > WORK_CACHE_SIZE) {
+        this.workCache.delete(this.workCache.keys().next().value);
+      }
+    }
+    return this.workCache.get(hash);
+  }
+  
+  async fetchHeader(height) {
+    // Get block from Zcash
+    const blockHash = await this.zcash.getBlockHash(height);
+    const rawHeader = await this.zcash.getRawBlockHeader(blockHash, height);
+    
+    // Parse header; from Heartwood its Sapling root comes from the sources
+    let header = this.processor.parseHeader(rawHeader, height);
+    if (this.processor.needsRoots(header)) {
+      header = this.processor.withRoots(header, await this.zcash.getBlockRoots(blockHash, height));
+    }
+    this.logger.debug({ height, hash: blockHash.substring(0, 16) }, 'Parsed header');
+    
+    return { ...header, hash: blockHash };
+  }
+  
+  /**
+   * Queue a prefix of `headers` (starting at `startHeight`) as one
+   * submit_block_headers_batch transaction, sized by fee estimation
+   * @returns {Promise<number>} Number of headers submitted or skipped
+   */
+  async relayBatch(startHeight, headers) {
+    // Blocks from a branch we already relayed are stored on the contract,
+    // resubmitting them would revert the whole batch
+    let skipped = 0;
+    while (
+      (this.pendingReorg || this.forcedResubmit) &&
+      skipped < headers.length &&
+      await this.starknet.hasBlock('0x' + headers[skipped].hash)
+    ) {
+      this.logger.info({ height: startHeight + skipped }, 'Block already on Starknet, skipping');
+      this.metrics.recordSubmissions('skipped');
+      this.lastRelayedHeight = startHeight + skipped;
+      this.lastSubmittedHeight = this.lastRelayedHeight;
+      skipped++;
+    }
+    if (skipped > 0) {
+      return skipped;
+    }
+    
+    // Encode for Starknet
+    const encoded = headers.map(header => this.processor.encodeForStarknet(header));
+    
+    // Parents still in flight make simulation revert, so extrapolate then
+    const simulate = this.pipeline.size === 0;
+    const estimates = {};
+    const { size } = await this.batchSizer.fit(encoded.length, async n => {
+      estimates[n] = await this.starknet.estimateBatch(encoded.slice(0, n), startHeight, { simulate });
+      return estimates[n].overallFee;
+    });
+    await this.checkBudget(estimates[size], size);
+    
+    const batch = headers.slice(0, size);
+    const endHeight = startHeight + size - 1;
+    
+    // Journal the attempt before sending so a crash can't hide it
+    batch.forEach((header, i) => this.store.recordSubmitting(startHeight + i, header.hash));
+    
+    try {
+      await this.pipeline.submit({
+        headers: batch,
+        encoded: encoded.slice(0, size),
+        startHeight,
+        endHeight,
+        estimate: estimates[size],
+      });
+    } catch (error) {
+      // Nothing was sent for this batch (a PipelineError comes from earlier ones)
+      batch.forEach(header => this.store.recordStatus(header.hash, SubmissionStatus.FAILED, { error: error.message }));
+      this.metrics.recordSubmissions(SubmissionStatus.FAILED, size);
+      throw error;
+    }
+    this.lastSubmittedHeight = endHeight;
+    
+    if (this.forcedResubmit && endHeight >= this.forcedResubmit.to) {
+      this.logger.info(this.forcedResubmit, 'Forced resubmission sent');
+      this.forcedResubmit = null;
+    }
+    
+    return size;
+  }
+  
+  onBatchSubmitted(entry, txHash) {
+    entry.headers.forEach(header => this.store.recordSubmitted(header.hash, txHash));
+    this.metrics.recordSubmissions(SubmissionStatus.PENDING, entry.headers.length);
+    this.logger.info({
+      from: entry.startHeight,
+      to: entry.endHeight,
+      txHash,
+      nonce: entry.nonce.toString(),
+      feeBumps: entry.bumps,
+      inFlight: this.pipeline.size,
+    }, entry.bumps > 0 ? 'Batch resubmitted with higher fee' : 'Batch submitted');
+  }
+  
+  onBatchSettled(entry, result) {
+    const count = entry.headers.length;
+    
+    if (!result.ok) {
+      entry.headers.forEach(header => this.store.recordStatus(header.hash, SubmissionStatus.FAILED, { error: result.reason }));
+      this.metrics.recordSubmissions(SubmissionStatus.FAILED, count);
+      this.recordFees(entry, result, 'reverted');
+      this.logger.error({ from: entry.startHeight, to: entry.endHeight, txHash: result.txHash, reason: result.reason }, 'Batch failed on Starknet');
+      // Delivery errors are logged by the alerter, the pipeline does not wait for it
+      this.alerter.event(AlertType.REVERT, 'warning', `Batch ${entry.startHeight}-${entry.endHeight} failed on Starknet`, {
+        from: entry.startHeight,
+        to: entry.endHeight,
+        txHash: result.txHash,
+        reason: result.reason,
+      });
+      return;
+    }
+    
+    const status = result.finality === 'ACCEPTED_ON_L1'
+      ? SubmissionStatus.FINALIZED
+      : SubmissionStatus.ACCEPTED;
+    entry.headers.forEach(header => this.store.recordStatus(header.hash, status, { txHash: result.txHash }));
+    this.metrics.recordSubmissions(status, count);
+    this.recordFees(entry, result, 'accepted');
+    this.lastRelayedHeight = entry.endHeight;
+    this.logger.info({ from: entry.startHeight, to: entry.endHeight, txHash: result.txHash }, 'Batch confirmed on Starknet');
+  }
+  
+  /**
+   * Admin API: everything an operator needs during an incident
+   */
+  async adminState() {
+    return {
+      running: this.running,
+      paused: this.paused,
+      haltReason: this.haltReason,
+      lastRelayedHeight: this.lastRelayedHeight,
+      lastSubmittedHeight: this.lastSubmittedHeight,
+      pendingReorg: this.pendingReorg,
+      forcedResubmit: this.forcedResubmit || this.resubmitRequest,
+      settings: { pollInterval: this.config.pollInterval, batchSize: this.config.batchSize },
+      nonce: this.starknet.nonce,
+      inFlight: this.pipeline.inFlight.map(entry => ({
+        from: entry.startHeight,
+        to: entry.endHeight,
+        nonce: entry.nonce,
+        txHashes: entry.txHashes,
+        feeBumps: entry.bumps,
+        sentAt: new Date(entry.sentAt).toISOString(),
+      })),
+      journalPending: this.store.pending().length,
+      fees: { ...this.budget.describe(DEFAULT_FEE_UNIT), hold: this.budgetHold },
+      sources: await this.sourceHealth(),
+      health: this.healthStatus(),
+    };
+  }
+  
+  async sourceHealth() {
+    const sources = this.zcash.sources || [this.zcash];
+    const results = await Promise.allSettled(sources.map(source => source.getBlockchainInfo()));
+    
+    return results.map((result, i) => (result.status === 'fulfilled'
+      ? { name: sources[i].name, ok: true, chain: result.value.chain, blocks: result.value.blocks }
+      : { name: sources[i].name, ok: false, error: result.reason.message }));
+  }
+  
+  /**
+   * Admin API: reorgs and relayer shares over the last `days`, and who
+   * relayed `height` if given
+   */
+  historyReport({ height, days = '7' }) {
+    if (!this.history) {
+      throw new AdminError('Relay event history is not loaded yet', 503);
+    }
+    const window = Number(days);
+    if (!(window > 0)) {
+      throw new AdminError('days must be a positive number');
+    }
+    
+    const since = Math.floor(Date.now() / 1000 - window * 86400);
+    const report = {
+      syncedBlock: this.history.syncedBlock,
+      since: new Date(since * 1000).toISOString(),
+      reorgs: this.history.reorgs(since),
+      relayers: this.history.relayerShare(since),
+    };
+    
+    if (height !== undefined) {
+      if (!Number.isInteger(Number(height))) {
+        throw new AdminError('height must be an integer');
+      }
+      report.height = Number(height);
+      report.submissions = this.history.relayedAt(Number(height));
+    }
+    return report;
+  }
+  
+  /**
+   * Admin API: fee ledger entries for a height range, as JSON or CSV
+   */
+  feeReport({ from, to, format }) {
+    const range = {
+      from: from === undefined ? undefined : Number(from),
+      to: to === undefined ? undefined : Number(to),
+    };
+    if (Object.values(range).some(height => height !== undefined && !Number.isInteger(height))) {
+      throw new AdminError('from and to must be integer heights');
+    }
+    
+    const entries = this.feeLedger.query(range);
+    if (format === 'csv') {
+      return this.feeLedger.toCsv(entries);
+    }
+    
+    const totals = {};
+    for (const entry of entries) {
+      totals[entry.unit] = (totals[entry.unit] || 0n) + entry.fee;
+    }
+    return { entries, totals };
+  }
+  
+  injectFork(depth) {
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new AdminError('depth must be a positive integer');
+    }
+    try {
+      return this.zcash.injectFork(depth);
+    } catch (error) {
+      throw new AdminError(error.message);
+    }
+  }
+  
+  pause() {
+    if (!this.paused) {
+      this.logger.warn('Paused by operator');
+      this.paused = true;
+    }
+    return { paused: true };
+  }
+  
+  resume() {
+    if (this.paused) {
+      this.logger.info('Resumed by operator');
+      this.paused = false;
+      this.wake();
+    }
+    return { paused: false };
+  }
+  
+  requestResubmit({ from, to }) {
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+      throw new AdminError('Expected integer heights with 1 <= from <= to');
+    }
+    if (from > this.lastSubmittedHeight + 1) {
+      throw new AdminError(`Nothing submitted at height ${from} yet (last submitted ${this.lastSubmittedHeight})`);
+    }
+    
+    this.logger.warn({ from, to }, 'Forced resubmission requested by operator');
+    this.resubmitRequest = { from, to };
+    this.wake();
+    return { queued: this.resubmitRequest };
+  }
+  
+  updateSettings({ pollInterval, batchSize }) {
+    if (pollInterval !== undefined && !(Number.isInteger(pollInterval) && pollInterval >= 1000)) {
+      throw new AdminError('pollInterval must be an integer of at least 1000 ms');
+    }
+    if (batchSize !== undefined && !(Number.isInteger(batchSize) && batchSize >= 1)) {
+      throw new AdminError('batchSize must be a positive integer');
+    }
+    
+    if (pollInterval !== undefined) {
+      this.config.pollInterval = pollInterval;
+    }
+    // Coordination slots keep their startup size so peers stay in agreement
+    if (batchSize !== undefined) {
+      this.config.batchSize = batchSize;
+      this.batchSizer.maxSize = batchSize;
+      this.batchSizer.size = Math.min(this.batchSizer.size, batchSize);
+    }
+    
+    const settings = { pollInterval: this.config.pollInterval, batchSize: this.config.batchSize };
+    this.logger.info(settings, 'Settings changed by operator');
+    this.wake();
+    return settings;
+  }
+  
+  stop() {
+    this.logger.info('Stopping relay service...');
+    this.running = false;
+    this.wake();
+    this.store.close();
+    this.feeLedger.close();
+    if (this.history) {
+      this.history.close();
+    }
+    this.healthServer.stop();
+    if (this.adminServer) {
+      this.adminServer.stop();
+    }
+  }
+  
+  /**
+   * Sleep between polls; the admin API can cut it short
+   */
+  idle(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+  
+  wake() {
+    if (this.wakeUp) {
+      this.wakeUp();
+      this.wakeUp = null;
+    }
+  }
+}
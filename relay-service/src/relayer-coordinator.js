@@ -0,0 +1,130 @@
+/**
+ * Relayer Coordinator
+ * Lets several relay-service instances share one RelaySystem contract
+ * without paying twice for the same headers
+ *
+ * Heights are split into slots of `slotSize` headers. Every slot has a
+ * deterministic order of relayers, rotated by relayer address: the first
+ * submits right away, the others wait `rank * slotDelay` (plus jitter) and
+ * only submit if nobody has covered the slot by then, either on the
+ * contract tip or in a pending BlockHeaderSubmitted event. A relayer that
+ * goes down only costs one backoff period per slot.
+ */
+
+export class RelayerCoordinator {
+  /**
+   * @param {StarknetRelay} starknet
+   * @param {Object} options
+   * @param {string} options.self - Our relayer account address
+   * @param {Array<string>} options.peers - Addresses of the other relayers
+   * @param {number} options.slotSize - Heights per slot
+   * @param {number} options.slotDelay - ms of backoff per rank
+   * @param {number} options.jitter - Max random ms added to the backoff
+   * @param {number} options.eventLookback - Starknet blocks of events to scan
+   * @param {function} options.isCanonical - (height, blockHash) => Promise<boolean>
+   */
+  constructor(starknet, {
+    self,
+    peers = [],
+    slotSize = 10,
+    slotDelay = 30000,
+    jitter = 5000,
+    eventLookback = 20,
+    isCanonical = async () => true,
+  }) {
+    const addresses = new Set([self, ...peers].map(normalizeAddress));
+    
+    this.starknet = starknet;
+    this.self = normalizeAddress(self);
+    this.relayers = [...addresses].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    this.index = this.relayers.indexOf(this.self);
+    this.slotSize = Math.max(1, slotSize);
+    this.slotDelay = slotDelay;
+    this.jitter = jitter;
+    this.eventLookback = eventLookback;
+    this.isCanonical = isCanonical;
+  }
+  
+  get enabled() {
+    return this.relayers.length > 1;
+  }
+  
+  /**
+   * Our position in the submission order for the slot holding `height`
+   * (0 = primary)
+   */
+  rank(height) {
+    const n = this.relayers.length;
+    const primary = Math.floor(height / this.slotSize) % n;
+    return (this.index - primary + n) % n;
+  }
+  
+  delayFor(height) {
+    const rank = this.rank(height);
+    if (rank === 0) {
+      return 0;
+    }
+    return rank * this.slotDelay + Math.floor(Math.random() * this.jitter);
+  }
+  
+  /**
+   * Highest height at or above `height` already relayed on the best chain,
+   * counting pending submissions from any relayer (-1 if none)
+   * @returns {Promise<{ tipHeight: number, tipHash: bigint, coveredHeight: number }>}
+   */
+  async observe(height) {
+    const [[tipHash, tipHeight], events] = await Promise.all([
+      this.starknet.getChainTip(),
+      this.starknet.getRecentHeaderEvents(this.eventLookback),
+    ]);
+    
+    // Headers on a stale branch do not cover anything
+    const candidates = [{ height: tipHeight, blockHash: tipHash }, ...events]
+      .filter(header => header.height >= height)
+      .sort((a, b) => b.height - a.height);
+    
+    let coveredHeight = -1;
+    for (const header of candidates) {
+      if (await this.isCanonical(header.height, header.blockHash)) {
+        coveredHeight = header.height;
+        break;
+      }
+    }
+    
+    return { tipHeight, tipHash, coveredHeight };
+  }
+  
+  /**
+   * Wait for our turn at `height` and report whether we should still submit
+   * @returns {Promise<{ proceed: boolean, rank: number, delay: number, tipHeight: number, tipHash: bigint, coveredHeight: number }>}
+   */
+  async waitForTurn(height) {
+    const rank = this.rank(height);
+    const delay = this.delayFor(height);
+    
+    if (delay > 0) {
+      await this.sleep(delay);
+    }
+    
+    const seen = await this.observe(height);
+    return { proceed: seen.coveredHeight < height, rank, delay, ...seen };
+  }
+  
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Parse a comma-separated RELAYER_PEERS value
+ */
+export function parsePeers(value) {
+  return (value || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+function normalizeAddress(address) {
+  return '0x' + BigInt(address).toString(16);
+}
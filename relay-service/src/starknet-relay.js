@@ -3,56 +3,37 @@
  * Submits block headers to the relay contract on Starknet
  */
 
-import { Account, RpcProvider, Contract, CallData } from 'starknet';
+import { Account, RpcProvider, Contract, CallData, hash } from 'starknet';
+// Generated from the contract class by cli/scripts/generate-bindings.js
+import { ABI as RELAY_ABI } from './generated/relay-system.js';
 
-// Relay contract ABI (minimal for header submission)
-const RELAY_ABI = [
-  {
-    name: 'submit_block_header',
-    type: 'function',
-    inputs: [
-      { name: 'header_data', type: 'core::array::Array::<core::felt252>' },
-      { name: 'height', type: 'core::integer::u64' }
-    ],
-    outputs: [{ name: 'block_hash', type: 'core::integer::u256' }],
-    state_mutability: 'external',
-  },
-  {
-    name: 'get_chain_tip',
-    type: 'function',
-    inputs: [],
-    outputs: [
-      { name: 'tip_hash', type: 'core::integer::u256' },
-      { name: 'tip_height', type: 'core::integer::u64' }
-    ],
-    state_mutability: 'view',
-  },
-  {
-    name: 'is_confirmed',
-    type: 'function',
-    inputs: [{ name: 'block_hash', type: 'core::integer::u256' }],
-    outputs: [{ name: 'confirmed', type: 'core::bool' }],
-    state_mutability: 'view',
-  },
-  {
-    name: 'is_relayer',
-    type: 'function',
-    inputs: [{ name: 'address', type: 'core::starknet::contract_address::ContractAddress' }],
-    outputs: [{ name: 'is_relayer', type: 'core::bool' }],
-    state_mutability: 'view',
-  },
-];
+const BLOCK_HEADER_SUBMITTED = hash.getSelectorFromName('BlockHeaderSubmitted');
+
+// Fee tokens by fee unit: STRK pays for v3 transactions, ETH for older ones
+export const DEFAULT_FEE_UNIT = 'FRI';
+
+const FEE_TOKENS = {
+  FRI: '0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d',
+  WEI: '0x049d36570d4e46f48e99674bd3fcc84644ddd6b96f7c741b1562b82f9e004dc7',
+};
 
 export class StarknetRelay {
-  constructor(config) {
+  constructor(config, metrics = null) {
+    this.metrics = metrics;
     this.rpcUrl = config.starknetRpcUrl;
     this.accountAddress = config.starknetAccountAddress;
     this.privateKey = config.starknetPrivateKey;
     this.contractAddress = config.relayContractAddress;
+    this.feeTokens = { ...FEE_TOKENS, FRI: config.feeTokenAddress || FEE_TOKENS.FRI };
     
     this.provider = null;
     this.account = null;
     this.contract = null;
+    
+    // Next nonce to use, tracked locally so submissions can be pipelined
+    this.nonce = null;
+    // Last simulated batch fee, extrapolated while parents are in flight
+    this.lastEstimate = null;
   }
   
   async connect() {
@@ -76,22 +57,61 @@ export class StarknetRelay {
     }
     
     this.contract = new Contract(RELAY_ABI, this.contractAddress, this.account);
-    
-    // Verify we're a relayer
-    const isRelayer = await this.contract.is_relayer(this.accountAddress);
-    if (!isRelayer) {
-      console.warn('Warning: Account is not registered as a relayer');
-    }
+  }
+  
+  /**
+   * Whether the contract lists our account as a relayer
+   */
+  async isRelayer() {
+    return Boolean(await this.observe('is_relayer', () => this.contract.is_relayer(this.accountAddress)));
+  }
+  
+  /**
+   * Balance of our account in the token paying fees of `unit`, in its
+   * smallest unit (FRI for STRK, WEI for ETH)
+   */
+  async getFeeTokenBalance(unit = DEFAULT_FEE_UNIT) {
+    const result = await this.observe('balance_of', () => this.provider.callContract({
+      contractAddress: this.feeTokens[unit],
+      entrypoint: 'balance_of',
+      calldata: [this.accountAddress],
+    }));
+    const [low, high] = result.result || result;
+    return this.u256ToBigInt({ low, high });
+  }
+  
+  /**
+   * STRK and ETH balances of our account
+   */
+  async getBalances() {
+    const [strk, eth] = await Promise.all([this.getFeeTokenBalance('FRI'), this.getFeeTokenBalance('WEI')]);
+    return { STRK: strk, ETH: eth };
   }
   
   async getChainTip() {
-    const result = await this.contract.get_chain_tip();
+    // (u256, u64) tuple
+    const result = await this.observe('get_chain_tip', () => this.contract.get_chain_tip());
     return [
-      this.u256ToBigInt(result.tip_hash),
-      Number(result.tip_height),
+      this.u256ToBigInt(result[0]),
+      Number(result[1]),
     ];
   }
   
+  async getBlockHash(height) {
+    const result = await this.observe('get_block_hash', () => this.contract.get_block_hash(height));
+    return this.u256ToBigInt(result);
+  }
+  
+  async getHeader(blockHash) {
+    const hashU256 = this.bigIntToU256(BigInt(blockHash));
+    return await this.observe('get_header', () => this.contract.get_header(hashU256));
+  }
+  
+  async hasBlock(blockHash) {
+    const header = await this.getHeader(blockHash);
+    return Boolean(header.verified);
+  }
+  
   async submitBlockHeader(headerData, height) {
     // Prepare calldata
     const call = this.contract.populate('submit_block_header', [
@@ -100,23 +120,127 @@ export class StarknetRelay {
     ]);
     
     // Execute transaction
-    const tx = await this.account.execute([call]);
+    const tx = await this.observe('execute', () => this.account.execute([call]));
     
     return tx.transaction_hash;
   }
   
+  buildBatchCall(headers, startHeight) {
+    return this.contract.populate('submit_block_headers_batch', [
+      headers,
+      startHeight,
+    ]);
+  }
+  
+  async syncNonce() {
+    const nonce = await this.observe('get_nonce', () => this.account.getNonce('pending'));
+    this.nonce = BigInt(nonce);
+    return this.nonce;
+  }
+  
+  /**
+   * Estimate the fee of a header batch
+   * 
+   * A batch whose parent headers are still in flight would revert in
+   * simulation, so with `simulate` false the last simulated per-header
+   * cost is extrapolated instead.
+   * @returns {Promise<{ overallFee: bigint, maxFee: bigint, resourceBounds: Object, unit: string }>}
+   */
+  async estimateBatch(headers, startHeight, { simulate = true } = {}) {
+    if (!simulate && this.lastEstimate) {
+      const { estimate, count } = this.lastEstimate;
+      return scaleEstimate(estimate, { amount: [headers.length, count] });
+    }
+    
+    const call = this.buildBatchCall(headers, startHeight);
+    const raw = await this.observe('estimate_fee', () => this.account.estimateInvokeFee([call]));
+    const estimate = {
+      overallFee: BigInt(raw.overall_fee),
+      maxFee: BigInt(raw.suggestedMaxFee),
+      resourceBounds: raw.resourceBounds,
+      unit: raw.unit || DEFAULT_FEE_UNIT,
+    };
+    this.lastEstimate = { estimate, count: headers.length };
+    return estimate;
+  }
+  
+  async sendBatch(headers, startHeight, estimate, nonce) {
+    const call = this.buildBatchCall(headers, startHeight);
+    const tx = await this.observe('execute', () => this.account.execute([call], undefined, {
+      nonce,
+      maxFee: estimate.maxFee,
+      resourceBounds: estimate.resourceBounds,
+    }));
+    return tx.transaction_hash;
+  }
+  
+  /**
+   * Submit a header batch with the next local nonce
+   * @returns {Promise<{ txHash: string, nonce: bigint }>}
+   */
+  async submitBlockHeadersBatch(headers, startHeight, estimate) {
+    if (this.nonce === null) {
+      await this.syncNonce();
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      const nonce = this.nonce;
+      try {
+        const txHash = await this.sendBatch(headers, startHeight, estimate, nonce);
+        this.nonce = nonce + 1n;
+        return { txHash, nonce };
+      } catch (error) {
+        // Another sender used the account, or an earlier tx was dropped
+        if (isNonceError(error) || isDuplicateTxError(error)) {
+          await this.syncNonce();
+          if (attempt === 0 && isNonceError(error)) {
+            continue;
+          }
+        }
+        throw error;
+      }
+    }
+  }
+  
+  /**
+   * Replace a stuck batch transaction (same nonce) with higher resource bounds
+   * @returns {Promise<{ txHash: string|null, estimate: Object }>} txHash is
+   *   null if the nonce was already consumed or the tx is a duplicate
+   */
+  async resubmitBatch(headers, startHeight, estimate, nonce, bumpPercent) {
+    const bumped = scaleEstimate(estimate, { price: [100 + bumpPercent, 100] });
+    try {
+      const txHash = await this.sendBatch(headers, startHeight, bumped, nonce);
+      return { txHash, estimate: bumped };
+    } catch (error) {
+      if (isNonceError(error) || isDuplicateTxError(error)) {
+        return { txHash: null, estimate: bumped };
+      }
+      throw error;
+    }
+  }
+  
+  async getTransactionReceipt(txHash) {
+    return await this.observe('get_transaction_receipt', () => this.provider.getTransactionReceipt(txHash));
+  }
+  
   async waitForTransaction(txHash, timeout = 120000) {
     const startTime = Date.now();
     
     while (Date.now() - startTime < timeout) {
       try {
-        const receipt = await this.provider.getTransactionReceipt(txHash);
+        const receipt = await this.observe('get_transaction_receipt', () => this.provider.getTransactionReceipt(txHash));
+        const status = receipt.finality_status || receipt.status;
+        
+        if (receipt.execution_status === 'REVERTED') {
+          throw new Error(`Transaction reverted: ${txHash}`);
+        }
         
-        if (receipt.status === 'ACCEPTED_ON_L2' || receipt.status === 'ACCEPTED_ON_L1') {
+        if (status === 'ACCEPTED_ON_L2' || status === 'ACCEPTED_ON_L1') {
           return receipt;
         }
         
-        if (receipt.status === 'REJECTED') {
+        if (status === 'REJECTED') {
           throw new Error(`Transaction rejected: ${txHash}`);
         }
       } catch (error) {
@@ -131,13 +255,80 @@ export class StarknetRelay {
     throw new Error(`Transaction timeout: ${txHash}`);
   }
   
+  /**
+   * Get finality/execution status of a transaction, or null if the
+   * sequencer does not know it
+   */
+  async getTransactionStatus(txHash) {
+    try {
+      const status = await this.observe('get_transaction_status', () => this.provider.getTransactionStatus(txHash));
+      return {
+        finality: status.finality_status,
+        execution: status.execution_status || null,
+      };
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('NOT_FOUND')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * BlockHeaderSubmitted events from the last `lookbackBlocks` Starknet
+   * blocks, pending block included
+   * @returns {Promise<Array<{ blockHash: bigint, height: number, txHash: string, pending: boolean }>>}
+   */
+  async getRecentHeaderEvents(lookbackBlocks = 20) {
+    const latest = await this.observe('block_number', () => this.provider.getBlockNumber());
+    const filter = {
+      address: this.contractAddress,
+      from_block: { block_number: Math.max(0, latest - lookbackBlocks) },
+      to_block: 'pending',
+      keys: [[BLOCK_HEADER_SUBMITTED]],
+      chunk_size: 100,
+    };
+    
+    const events = [];
+    let continuationToken;
+    do {
+      const page = await this.observe('get_events', () => this.provider.getEvents({
+        ...filter,
+        continuation_token: continuationToken,
+      }));
+      events.push(...page.events);
+      continuationToken = page.continuation_token;
+    } while (continuationToken);
+    
+    // keys: [selector, block_hash.low, block_hash.high, prev.low, prev.high, relayer]
+    // data: [height, sapling_root.low, sapling_root.high]
+    return events.map(event => ({
+      blockHash: this.u256ToBigInt({ low: event.keys[1], high: event.keys[2] }),
+      height: Number(BigInt(event.data[0])),
+      txHash: event.transaction_hash,
+      pending: event.block_number === undefined,
+    }));
+  }
+  
   async isConfirmed(blockHash) {
     const hashU256 = this.bigIntToU256(BigInt(blockHash));
-    return await this.contract.is_confirmed(hashU256);
+    return await this.observe('is_confirmed', () => this.contract.is_confirmed(hashU256));
+  }
+  
+  // Helper: Record latency and errors of a Starknet RPC call
+  async observe(method, fn) {
+    if (!this.metrics) {
+      return await fn();
+    }
+    return await this.metrics.observeRpc('starknet', method, fn);
   }
   
   // Helper: Convert Starknet u256 to BigInt
   u256ToBigInt(u256) {
+    // starknet.js v6 already decodes u256 outputs to BigInt
+    if (typeof u256 === 'bigint') {
+      return u256;
+    }
     const low = BigInt(u256.low);
     const high = BigInt(u256.high);
     return low + (high << 128n);
@@ -154,3 +345,36 @@ export class StarknetRelay {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 }
+
+// INVALID_TRANSACTION_NONCE (nonce too low/high)
+function isNonceError(error) {
+  return /nonce/i.test(error.message);
+}
+
+// DUPLICATE_TX: the exact same transaction was already sent
+function isDuplicateTxError(error) {
+  return /duplicate|already exists/i.test(error.message);
+}
+
+/**
+ * Scale a fee estimate: `amount` scales fees and gas amounts (more headers),
+ * `price` scales fees and gas prices (fee bumps). Both are [num, den].
+ */
+function scaleEstimate(estimate, { amount = [1, 1], price = [1, 1] }) {
+  const scale = (value, [num, den]) => (BigInt(value) * BigInt(num) + BigInt(den) - 1n) / BigInt(den);
+  const both = (value) => scale(scale(value, amount), price);
+  
+  const resourceBounds = estimate.resourceBounds && Object.fromEntries(
+    Object.entries(estimate.resourceBounds).map(([resource, bound]) => [resource, {
+      max_amount: '0x' + scale(bound.max_amount, amount).toString(16),
+      max_price_per_unit: '0x' + scale(bound.max_price_per_unit, price).toString(16),
+    }])
+  );
+  
+  return {
+    overallFee: both(estimate.overallFee),
+    maxFee: both(estimate.maxFee),
+    resourceBounds,
+    unit: estimate.unit,
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Relay State Store
+ * Append-only JSON journal of submitted headers and their Starknet status
+ *
+ * Every state change is one JSON line merged into its header's entry,
+ * fsync'd before the relay moves on, so after a crash the journal tells
+ * which headers were in flight.
+ */
+
+import { KeyedJournal } from '@zarklink/journal';
+
+// Submission lifecycle of a relayed header
+export const SubmissionStatus = {
+  SUBMITTING: 'submitting', // about to send, no tx hash yet
+  PENDING: 'pending',       // tx sent, not yet accepted
+  ACCEPTED: 'accepted',     // ACCEPTED_ON_L2
+  FINALIZED: 'finalized',   // ACCEPTED_ON_L1
+  FAILED: 'failed',         // rejected, reverted or never sent
+};
+
+const IN_FLIGHT = new Set([SubmissionStatus.SUBMITTING, SubmissionStatus.PENDING]);
+const STORED = new Set([SubmissionStatus.ACCEPTED, SubmissionStatus.FINALIZED]);
+
+export class StateStore extends KeyedJournal {
+  constructor(filePath) {
+    super(filePath, record => record.blockHash); // blockHash -> entry
+  }
+  
+  append(record) {
+    super.append({ ...record, updatedAt: new Date().toISOString() });
+  }
+  
+  /**
+   * Record that a header is about to be submitted (before the tx is sent)
+   */
+  recordSubmitting(height, blockHash) {
+    this.append({ height, blockHash, status: SubmissionStatus.SUBMITTING, txHash: null });
+  }
+  
+  recordSubmitted(blockHash, txHash) {
+    this.append({ blockHash, status: SubmissionStatus.PENDING, txHash });
+  }
+  
+  recordStatus(blockHash, status, details = {}) {
+    this.append({ ...details, blockHash, status });
+  }
+  
+  get(blockHash) {
+    return this.entries.get(blockHash) || null;
+  }
+  
+  /**
+   * Headers whose submission outcome is unknown, lowest height first
+   */
+  pending() {
+    return [...this.entries.values()]
+      .filter(entry => IN_FLIGHT.has(entry.status))
+      .sort((a, b) => a.height - b.height);
+  }
+  
+  /**
+   * Highest height known to be stored on the relay contract
+   */
+  lastAcceptedHeight() {
+    let height = null;
+    for (const entry of this.entries.values()) {
+      if (STORED.has(entry.status) && (height === null || entry.height > height)) {
+        height = entry.height;
+      }
+    }
+    return height;
+  }
+}
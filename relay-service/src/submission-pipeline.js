@@ -0,0 +1,218 @@
+/**
+ * Submission Pipeline
+ * Keeps a window of header batch transactions in flight on Starknet
+ *
+ * Batches are sent with consecutive nonces without waiting for each other
+ * and settle strictly in nonce order. Stuck transactions are replaced with
+ * higher resource bounds; a failed batch makes every later one fail too
+ * (their parent headers are missing), so the window is drained and the
+ * caller restarts from the last confirmed height.
+ */
+
+const ACCEPTED = new Set(['ACCEPTED_ON_L2', 'ACCEPTED_ON_L1']);
+
+export class PipelineError extends Error {
+  constructor(message, entry) {
+    super(message);
+    this.name = 'PipelineError';
+    this.entry = entry;
+  }
+}
+
+export class SubmissionPipeline {
+  /**
+   * @param {StarknetRelay} starknet
+   * @param {Object} options
+   * @param {number} options.window - Max transactions in flight
+   * @param {number} options.stuckAfter - ms before a pending tx gets a fee bump
+   * @param {number} options.maxBumps - Fee bumps per transaction
+   * @param {number} options.feeBumpPercent - Price increase per bump
+   * @param {function} options.onSubmitted - (entry, txHash) after a send or bump
+   * @param {function} options.onSettled - (entry, result) once a batch is final
+   */
+  constructor(starknet, {
+    window = 4,
+    stuckAfter = 180000,
+    maxBumps = 3,
+    feeBumpPercent = 50,
+    pollInterval = 5000,
+    onSubmitted = () => {},
+    onSettled = () => {},
+  } = {}) {
+    this.starknet = starknet;
+    this.window = Math.max(1, window);
+    this.stuckAfter = stuckAfter;
+    this.maxBumps = maxBumps;
+    this.feeBumpPercent = feeBumpPercent;
+    this.pollInterval = pollInterval;
+    this.onSubmitted = onSubmitted;
+    this.onSettled = onSettled;
+    this.inFlight = [];
+  }
+  
+  get size() {
+    return this.inFlight.length;
+  }
+  
+  /**
+   * Send a batch, first waiting for a free slot in the window
+   * @param {Object} batch - { encoded, startHeight, endHeight, estimate, ... }
+   */
+  async submit(batch) {
+    while (this.inFlight.length >= this.window) {
+      await this.settleOldest();
+    }
+    
+    const { txHash, nonce } = await this.starknet.submitBlockHeadersBatch(
+      batch.encoded,
+      batch.startHeight,
+      batch.estimate
+    );
+    
+    const entry = { ...batch, nonce, txHashes: [txHash], sentAt: Date.now(), bumps: 0 };
+    this.inFlight.push(entry);
+    this.onSubmitted(entry, txHash);
+    return entry;
+  }
+  
+  /**
+   * Settle whatever has already finished, without waiting
+   */
+  async collect() {
+    while (this.inFlight.length > 0) {
+      const result = await this.check(this.inFlight[0]);
+      if (!result) {
+        return;
+      }
+      await this.settle(result);
+    }
+  }
+  
+  /**
+   * Wait until every in-flight batch has settled
+   */
+  async drain() {
+    while (this.inFlight.length > 0) {
+      await this.settleOldest();
+    }
+  }
+  
+  /**
+   * Stop tracking batches that end at or above `height`, without waiting
+   * for them. Their nonces may still be used on chain, so resync.
+   * @returns {Promise<Array<Object>>} The abandoned entries
+   */
+  async abandon(height) {
+    const index = this.inFlight.findIndex(entry => entry.endHeight >= height);
+    if (index === -1) {
+      return [];
+    }
+    
+    const abandoned = this.inFlight.splice(index);
+    await this.starknet.syncNonce();
+    return abandoned;
+  }
+  
+  async settleOldest() {
+    const entry = this.inFlight[0];
+    let result = await this.check(entry);
+    while (!result) {
+      await this.sleep(this.pollInterval);
+      result = await this.check(entry);
+    }
+    await this.settle(result);
+  }
+  
+  async settle(result) {
+    const entry = this.inFlight.shift();
+    this.onSettled(entry, result);
+    
+    if (result.ok) {
+      return;
+    }
+    
+    // Later batches build on this one: let them settle, then resync the nonce
+    const failed = this.inFlight.splice(0);
+    for (const next of failed) {
+      let nextResult = await this.check(next);
+      while (!nextResult) {
+        await this.sleep(this.pollInterval);
+        nextResult = await this.check(next);
+      }
+      this.onSettled(next, nextResult);
+    }
+    await this.starknet.syncNonce();
+    
+    throw new PipelineError(
+      `Batch ${entry.startHeight}-${entry.endHeight} failed: ${result.reason}`,
+      entry
+    );
+  }
+  
+  /**
+   * Check an entry once; bumps its fee if it is stuck
+   * @returns {Promise<Object|null>} Settlement result, or null while pending
+   */
+  async check(entry) {
+    let known = false;
+    
+    for (const txHash of entry.txHashes) {
+      const status = await this.starknet.getTransactionStatus(txHash);
+      if (!status) {
+        continue;
+      }
+      known = true;
+      
+      if (status.execution === 'REVERTED') {
+        // Reverted transactions are still charged
+        const receipt = await this.starknet.getTransactionReceipt(txHash);
+        return { ok: false, txHash, reason: 'reverted', receipt };
+      }
+      if (status.finality === 'REJECTED') {
+        return { ok: false, txHash, reason: 'rejected' };
+      }
+      if (ACCEPTED.has(status.finality)) {
+        const receipt = await this.starknet.getTransactionReceipt(txHash);
+        return { ok: true, txHash, finality: status.finality, receipt };
+      }
+    }
+    
+    if (Date.now() - entry.sentAt < this.stuckAfter) {
+      return null;
+    }
+    
+    if (entry.bumps < this.maxBumps) {
+      await this.bump(entry);
+      return null;
+    }
+    
+    // Out of bumps and the sequencer has never heard of any of our attempts
+    if (!known) {
+      return { ok: false, txHash: entry.txHashes[entry.txHashes.length - 1], reason: 'dropped' };
+    }
+    return null;
+  }
+  
+  async bump(entry) {
+    const { txHash, estimate } = await this.starknet.resubmitBatch(
+      entry.encoded,
+      entry.startHeight,
+      entry.estimate,
+      entry.nonce,
+      this.feeBumpPercent
+    );
+    
+    entry.estimate = estimate;
+    entry.bumps++;
+    entry.sentAt = Date.now();
+    
+    if (txHash) {
+      entry.txHashes.push(txHash);
+      this.onSubmitted(entry, txHash);
+    }
+  }
+  
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -4,9 +4,12 @@
  */
 
 import axios from 'axios';
+import { rootsFromBlock } from '@zarklink/header-codec';
 
 export class ZcashClient {
-  constructor(config) {
+  constructor(config, metrics = null) {
+    this.name = config.name || 'zcash';
+    this.metrics = metrics;
     this.rpcUrl = config.zcashRpcUrl;
     this.rpcUser = config.zcashRpcUser;
     this.rpcPassword = config.zcashRpcPassword;
@@ -30,6 +33,13 @@ export class ZcashClient {
   }
   
   async rpc(method, params = []) {
+    if (this.metrics) {
+      return await this.metrics.observeRpc(this.name, method, () => this.call(method, params));
+    }
+    return await this.call(method, params);
+  }
+  
+  async call(method, params) {
     const response = await this.client.post('/', {
       jsonrpc: '1.0',
       id: Date.now(),
@@ -61,10 +71,6 @@ export class ZcashClient {
   }
   
   async getRawBlockHeader(hash) {
-    // Get raw block and extract header (first 1487 bytes = 2974 hex chars for Zcash with Equihash)
-    // But we only need the first 140 bytes (280 hex chars) for the fixed header part
-    const rawBlock = await this.getRawBlock(hash);
-    
     // Zcash block header structure:
     // - nVersion: 4 bytes
     // - hashPrevBlock: 32 bytes  
@@ -74,9 +80,12 @@ export class ZcashClient {
     // - nBits: 4 bytes
     // - nNonce: 32 bytes
     // Total fixed part: 140 bytes (280 hex chars)
-    // + nSolution: variable (1344 bytes for Equihash 200,9)
-    
-    return rawBlock.substring(0, 280);
+    // + nSolution: compactSize (3 bytes) + 1344 bytes for Equihash (200,9)
+    // Total: 1487 bytes (2974 hex chars)
+    //
+    // getblockheader with verbose=false returns the full serialized header,
+    // solution included, so the PoW can be checked locally
+    return await this.rpc('getblockheader', [hash, false]);
   }
   
   async getSaplingRoot(hash) {
@@ -84,6 +93,13 @@ export class ZcashClient {
     return block.finalsaplingroot;
   }
   
+  /**
+   * Sapling, Orchard, auth data and chain history roots of a block
+   */
+  async getBlockRoots(hash) {
+    return rootsFromBlock(await this.getBlock(hash, 1));
+  }
+  
   async getBlockByHeight(height) {
     const hash = await this.getBlockHash(height);
     return await this.getBlock(hash, 2);
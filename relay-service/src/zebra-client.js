@@ -0,0 +1,48 @@
+/**
+ * Zebra RPC Client
+ * Communicates with a zebrad node over its zcashd-compatible JSON-RPC
+ */
+
+import { ZcashClient } from './zcash-client.js';
+
+// Fixed-size header fields before the nSolution compactSize
+const HEADER_PREFIX_SIZE = 140;
+
+export class ZebraClient extends ZcashClient {
+  constructor(config, metrics = null) {
+    super({ name: 'zebrad', ...config }, metrics);
+  }
+  
+  async call(method, params) {
+    const response = await this.client.post('/', {
+      jsonrpc: '2.0',
+      id: Date.now(),
+      method,
+      params,
+    });
+    
+    if (response.data.error) {
+      throw new Error(`RPC error: ${response.data.error.message}`);
+    }
+    
+    return response.data.result;
+  }
+  
+  async getRawBlockHeader(hash) {
+    // Older zebrad releases lack getblockheader; cut the header off the raw block
+    const block = Buffer.from(await this.getRawBlock(hash), 'hex');
+    
+    const marker = block[HEADER_PREFIX_SIZE];
+    let solutionStart = HEADER_PREFIX_SIZE + 1;
+    let solutionLength = marker;
+    if (marker === 0xfd) {
+      solutionLength = block.readUInt16LE(HEADER_PREFIX_SIZE + 1);
+      solutionStart += 2;
+    } else if (marker === 0xfe) {
+      solutionLength = block.readUInt32LE(HEADER_PREFIX_SIZE + 1);
+      solutionStart += 4;
+    }
+    
+    return block.subarray(0, solutionStart + solutionLength).toString('hex');
+  }
+}
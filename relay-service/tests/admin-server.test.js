@@ -0,0 +1,143 @@
+/**
+ * AdminServer tests
+ * Serves fake handlers on an ephemeral port and on a Unix socket
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AdminServer, AdminError } from '../src/admin-server.js';
+
+const TOKEN = 'test-token';
+
+function fakeHandlers() {
+  const calls = [];
+  return {
+    calls,
+    state: async () => ({ lastRelayedHeight: 100, nonce: 7n }),
+    pause: () => { calls.push('pause'); return { paused: true }; },
+    resume: () => { calls.push('resume'); return { paused: false }; },
+    resubmit: ({ from, to }) => {
+      if (to < from) {
+        throw new AdminError('Expected integer heights with 1 <= from <= to');
+      }
+      calls.push(['resubmit', from, to]);
+      return { queued: { from, to } };
+    },
+    settings: (settings) => settings,
+    fees: ({ format }) => (format === 'csv' ? 'height,fee\n100,5\n' : { entries: [], totals: { FRI: 5n } }),
+    history: ({ height }) => ({ height: Number(height), submissions: [] }),
+  };
+}
+
+async function serve(t, options) {
+  const server = new AdminServer({ token: TOKEN, handlers: fakeHandlers(), ...options });
+  await server.start();
+  t.after(() => server.stop());
+  return server;
+}
+
+function request(server, method, pathname, { body, token = TOKEN } = {}) {
+  const target = server.socketPath
+    ? { socketPath: server.socketPath }
+    : { host: '127.0.0.1', port: server.server.address().port };
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      ...target,
+      method,
+      path: pathname,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+test('refuses to start without a token', () => {
+  assert.throws(() => new AdminServer({ port: 0, handlers: fakeHandlers() }), /ADMIN_TOKEN/);
+});
+
+test('requests without the right bearer token are rejected', async (t) => {
+  const server = await serve(t, { port: 0 });
+
+  assert.equal((await request(server, 'GET', '/state', { token: null })).status, 401);
+  assert.equal((await request(server, 'GET', '/state', { token: 'test-tokem' })).status, 401);
+  assert.equal(server.handlers.calls.length, 0);
+});
+
+test('operations are routed to the handlers', async (t) => {
+  const server = await serve(t, { port: 0 });
+
+  const state = await request(server, 'GET', '/state');
+  assert.equal(state.status, 200);
+  assert.deepEqual(state.body, { lastRelayedHeight: 100, nonce: '7' });
+
+  assert.deepEqual((await request(server, 'POST', '/pause')).body, { paused: true });
+  assert.deepEqual((await request(server, 'POST', '/resume')).body, { paused: false });
+
+  const resubmit = await request(server, 'POST', '/resubmit', { body: { from: 90, to: 95 } });
+  assert.equal(resubmit.status, 202);
+  assert.deepEqual(server.handlers.calls, ['pause', 'resume', ['resubmit', 90, 95]]);
+
+  const settings = await request(server, 'POST', '/settings', { body: { batchSize: 20 } });
+  assert.deepEqual(settings.body, { batchSize: 20 });
+});
+
+test('the fee ledger is served as JSON or CSV', async (t) => {
+  const server = await serve(t, { port: 0 });
+
+  assert.deepEqual((await request(server, 'GET', '/fees?from=100')).body, { entries: [], totals: { FRI: '5' } });
+
+  const csv = await new Promise((resolve, reject) => {
+    http.get({
+      host: '127.0.0.1',
+      port: server.server.address().port,
+      path: '/fees?format=csv',
+      headers: { Authorization: `Bearer ${TOKEN}` },
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ type: res.headers['content-type'], data }));
+    }).on('error', reject);
+  });
+  assert.deepEqual(csv, { type: 'text/csv', data: 'height,fee\n100,5\n' });
+});
+
+test('relay history queries are passed through, when history is indexed', async (t) => {
+  const server = await serve(t, { port: 0 });
+
+  assert.deepEqual((await request(server, 'GET', '/history?height=100')).body, { height: 100, submissions: [] });
+
+  server.handlers.history = null;
+  assert.equal((await request(server, 'GET', '/history')).status, 404);
+});
+
+test('bad requests get a JSON error', async (t) => {
+  const server = await serve(t, { port: 0 });
+
+  const invalid = await request(server, 'POST', '/resubmit', { body: { from: 95, to: 90 } });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /from <= to/);
+
+  assert.equal((await request(server, 'GET', '/pause')).status, 404);
+});
+
+test('listens on a Unix socket only its owner can open', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-admin-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const socketPath = path.join(dir, 'admin.sock');
+  fs.writeFileSync(socketPath, ''); // stale socket from a crash
+  const server = await serve(t, { socketPath });
+
+  assert.equal(fs.statSync(socketPath).mode & 0o777, 0o600);
+  assert.equal((await request(server, 'GET', '/state')).status, 200);
+});
@@ -0,0 +1,90 @@
+/**
+ * Alerter tests
+ * Delivers to a webhook on an ephemeral port and to a shell command
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Alerter, AlertType } from '../src/alerter.js';
+
+async function webhook(t) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/alerts`, received };
+}
+
+test('events are posted to the webhook as JSON', async (t) => {
+  const { url, received } = await webhook(t);
+  const alerter = new Alerter({ webhookUrl: url, now: () => 0 });
+
+  await alerter.event(AlertType.REVERT, 'warning', 'Batch 10-19 failed on Starknet', { txHash: '0x1', fee: 5n });
+  await alerter.event(AlertType.REVERT, 'warning', 'Batch 20-29 failed on Starknet', { txHash: '0x2' });
+
+  assert.equal(received.length, 2);
+  assert.deepEqual(received[0], {
+    type: 'submission_reverted',
+    severity: 'warning',
+    message: 'Batch 10-19 failed on Starknet',
+    details: { txHash: '0x1', fee: '5' },
+    resolved: false,
+    service: 'zclaim-relay',
+    time: '1970-01-01T00:00:00.000Z',
+  });
+});
+
+test('conditions are sent once per cooldown and resolved when they clear', async (t) => {
+  const { url, received } = await webhook(t);
+  let now = 0;
+  const alerter = new Alerter({ webhookUrl: url, cooldown: 1000, now: () => now });
+
+  await alerter.raise(AlertType.LAG, 'warning', 'Relay is 40 blocks behind');
+  now = 500;
+  await alerter.raise(AlertType.LAG, 'warning', 'Relay is 41 blocks behind');
+  assert.equal(received.length, 1);
+
+  now = 1500;
+  await alerter.raise(AlertType.LAG, 'warning', 'Relay is 42 blocks behind');
+  await alerter.clear(AlertType.LAG, 'Relay lag back within limit');
+  await alerter.clear(AlertType.LAG, 'Relay lag back within limit');
+
+  assert.deepEqual(received.map(alert => [alert.message, alert.resolved]), [
+    ['Relay is 40 blocks behind', false],
+    ['Relay is 42 blocks behind', false],
+    ['Relay lag back within limit', true],
+  ]);
+});
+
+test('the command gets the payload on stdin and the type in its environment', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerter-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const out = path.join(dir, 'alert.json');
+
+  const alerter = new Alerter({ command: `cat > "${out}" && echo "$ALERT_TYPE" > "${out}.type"` });
+  await alerter.raise(AlertType.NOT_RELAYER, 'critical', 'Account is not registered as a relayer');
+
+  assert.equal(JSON.parse(fs.readFileSync(out, 'utf8')).severity, 'critical');
+  assert.equal(fs.readFileSync(`${out}.type`, 'utf8').trim(), 'not_relayer');
+});
+
+test('delivery failures are logged, not thrown', async () => {
+  const errors = [];
+  const logger = { info() {}, warn() {}, error: (fields, msg) => errors.push([fields.target, msg]) };
+  const alerter = new Alerter({ webhookUrl: 'http://127.0.0.1:1/alerts', command: 'exit 3', timeout: 2000, logger });
+
+  await alerter.event(AlertType.REORG, 'warning', 'Reorg of 2 blocks');
+
+  assert.deepEqual(errors.sort(), [['command', 'Alert delivery failed'], ['webhook', 'Alert delivery failed']]);
+});
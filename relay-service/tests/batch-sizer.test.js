@@ -0,0 +1,55 @@
+/**
+ * BatchSizer tests
+ * Fee estimates are simulated as a fixed cost per header
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatchSizer } from '../src/batch-sizer.js';
+
+const perHeader = (fee) => async (n) => BigInt(n) * fee;
+
+test('uses the full window when it fits the fee cap', async () => {
+  const sizer = new BatchSizer({ maxSize: 10, maxFee: 1000n });
+
+  assert.deepEqual(await sizer.fit(10, perHeader(100n)), { size: 10, fee: 1000n });
+  assert.deepEqual(await sizer.fit(3, perHeader(100n)), { size: 3, fee: 300n });
+  assert.equal(sizer.size, 10);
+});
+
+test('halves until the estimate is under the cap, then grows back', async () => {
+  const sizer = new BatchSizer({ maxSize: 16, maxFee: 500n });
+
+  assert.equal((await sizer.fit(16, perHeader(100n))).size, 4);
+  assert.equal(sizer.size, 4);
+
+  // Cheaper blocks again: the window doubles after each full batch
+  assert.equal((await sizer.fit(16, perHeader(10n))).size, 4);
+  assert.equal((await sizer.fit(16, perHeader(10n))).size, 8);
+  assert.equal((await sizer.fit(16, perHeader(10n))).size, 16);
+});
+
+test('shrinks when estimation fails', async () => {
+  const sizer = new BatchSizer({ maxSize: 8 });
+  const estimate = async (n) => {
+    if (n > 2) throw new Error('Max steps exceeded');
+    return BigInt(n);
+  };
+
+  assert.deepEqual(await sizer.fit(8, estimate), { size: 2, fee: 2n });
+});
+
+test('a single header over the cap is still submitted', async () => {
+  const sizer = new BatchSizer({ maxSize: 4, maxFee: 10n });
+
+  assert.deepEqual(await sizer.fit(4, perHeader(50n)), { size: 1, fee: 50n });
+});
+
+test('rethrows when even one header cannot be estimated', async () => {
+  const sizer = new BatchSizer({ maxSize: 4 });
+
+  await assert.rejects(
+    sizer.fit(4, async () => { throw new Error('RPC down'); }),
+    /RPC down/
+  );
+});
@@ -0,0 +1,100 @@
+/**
+ * FeeLedger and FeeBudget tests
+ * Per-height fee accounting, export, and the three budget checks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { FeeLedger } from '../src/fee-ledger.js';
+import { FeeBudget, BudgetError, BudgetAction } from '../src/fee-budget.js';
+
+const NOON = Date.parse('2024-05-01T12:00:00Z');
+
+function tempLedger(t) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'relay-fees-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const ledger = new FeeLedger(path.join(dir, 'state', 'fees.jsonl'));
+  ledger.open();
+  t.after(() => ledger.close());
+  return ledger;
+}
+
+function headers(from, count) {
+  return Array.from({ length: count }, (_, i) => ({ height: from + i, blockHash: `h${from + i}` }));
+}
+
+function estimate(overallFee, unit = 'FRI') {
+  return { overallFee, maxFee: overallFee * 2n, unit };
+}
+
+test('a batch fee is split over its heights and survives a restart', (t) => {
+  const ledger = tempLedger(t);
+  ledger.record({ headers: headers(100, 3), txHash: '0xa', status: 'reverted', fee: 10n, unit: 'FRI', time: new Date(NOON) });
+  ledger.record({ headers: headers(100, 3), txHash: '0xb', status: 'accepted', fee: 30n, unit: 'FRI', time: new Date(NOON) });
+  ledger.close();
+
+  const reopened = new FeeLedger(ledger.filePath);
+  reopened.open();
+  t.after(() => reopened.close());
+
+  assert.deepEqual(reopened.query({ from: 100, to: 100 }).map(e => [e.txHash, e.status, e.fee]), [
+    ['0xa', 'reverted', 4n],
+    ['0xb', 'accepted', 10n],
+  ]);
+  assert.equal(reopened.spentSince(new Date(NOON - 1000), 'FRI'), 40n);
+  assert.equal(reopened.spentSince(new Date(NOON - 1000), 'WEI'), 0n);
+
+  const csv = reopened.toCsv(reopened.query({ from: 102 })).trim().split('\n');
+  assert.deepEqual(csv, [
+    'height,blockHash,txHash,status,fee,unit,time',
+    '102,h102,0xa,reverted,3,FRI,2024-05-01T12:00:00.000Z',
+    '102,h102,0xb,accepted,10,FRI,2024-05-01T12:00:00.000Z',
+  ]);
+});
+
+test('batches over the per-block budget are skipped', (t) => {
+  const budget = new FeeBudget({ ledger: tempLedger(t), perBlockLimit: 100n, now: () => NOON });
+
+  budget.check({ estimate: estimate(1000n), count: 10 });
+  assert.throws(
+    () => budget.check({ estimate: estimate(1010n), count: 10 }),
+    error => error instanceof BudgetError && error.action === BudgetAction.SKIP
+  );
+});
+
+test('the daily budget counts todays fees and batches in flight', (t) => {
+  const ledger = tempLedger(t);
+  let now = NOON;
+  const budget = new FeeBudget({ ledger, dailyLimit: 1000n, now: () => now });
+
+  ledger.record({ headers: headers(100, 2), txHash: '0xa', status: 'accepted', fee: 500n, unit: 'FRI', time: new Date(NOON - 13 * 3600 * 1000) });
+  ledger.record({ headers: headers(102, 2), txHash: '0xb', status: 'accepted', fee: 600n, unit: 'FRI', time: new Date(NOON - 3600 * 1000) });
+  assert.equal(budget.spentToday('FRI'), 600n);
+
+  budget.check({ estimate: estimate(300n), count: 2, inFlight: 100n });
+  assert.throws(
+    () => budget.check({ estimate: estimate(300n), count: 2, inFlight: 101n }),
+    error => error.action === BudgetAction.PAUSE && /Daily fee budget/.test(error.message)
+  );
+
+  // Fees are budgeted per token
+  budget.check({ estimate: estimate(900n, 'WEI'), count: 2 });
+
+  // A new UTC day starts from zero
+  now = NOON + 12 * 3600 * 1000;
+  budget.check({ estimate: estimate(900n), count: 2 });
+});
+
+test('submissions pause when the balance cannot cover the max fee and reserve', (t) => {
+  const budget = new FeeBudget({ ledger: tempLedger(t), minBalance: 50n, now: () => NOON });
+
+  budget.check({ estimate: estimate(100n), count: 1, balance: 300n, inFlight: 50n });
+  assert.throws(
+    () => budget.check({ estimate: estimate(100n), count: 1, balance: 300n, inFlight: 51n }),
+    error => error.action === BudgetAction.PAUSE && /Balance of 300 FRI/.test(error.message)
+  );
+});
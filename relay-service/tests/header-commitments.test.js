@@ -0,0 +1,89 @@
+/**
+ * Header commitment tests
+ * The header field after hashMerkleRoot by network upgrade, and how its
+ * roots reach the Starknet encoding
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeaderProcessor } from '../src/header-processor.js';
+import {
+  CommitmentType,
+  ZERO_HASH,
+  commitmentTypeAt,
+  getNetworkParams,
+  hashBlockCommitments,
+} from '@zarklink/header-codec';
+
+const processor = new HeaderProcessor('mainnet');
+
+const roots = {
+  saplingRoot: '11'.repeat(32),
+  orchardRoot: '22'.repeat(32),
+  authDataRoot: '33'.repeat(32),
+  chainHistoryRoot: '44'.repeat(32),
+};
+
+function rawHeader(commitment) {
+  return processor.serializeHeader({
+    version: 5,
+    prevBlockHash: 'aa'.repeat(32),
+    merkleRoot: 'bb'.repeat(32),
+    commitment,
+    timestamp: 1682294330,
+    bits: 0x1c0168fd,
+    nonce: 'cc'.repeat(32),
+    solution: 'dd'.repeat(1344),
+  }).toString('hex');
+}
+
+test('the commitment field follows the mainnet activation heights', () => {
+  const params = getNetworkParams('mainnet');
+
+  assert.equal(commitmentTypeAt(params, 419199), CommitmentType.RESERVED);
+  assert.equal(commitmentTypeAt(params, 419200), CommitmentType.FINAL_SAPLING_ROOT);
+  assert.equal(commitmentTypeAt(params, 902999), CommitmentType.FINAL_SAPLING_ROOT);
+  assert.equal(commitmentTypeAt(params, 903000), CommitmentType.CHAIN_HISTORY_ROOT);
+  assert.equal(commitmentTypeAt(params, 1687103), CommitmentType.CHAIN_HISTORY_ROOT);
+  assert.equal(commitmentTypeAt(params, 1687104), CommitmentType.BLOCK_COMMITMENTS);
+});
+
+test('before Heartwood the header carries the Sapling root', () => {
+  const header = processor.parseHeader(rawHeader(roots.saplingRoot), 900000);
+
+  assert.equal(header.saplingRoot, roots.saplingRoot);
+  assert.equal(processor.needsRoots(header), false);
+  assert.equal(processor.encodeForStarknet(header).length, 65);
+  assert.throws(() => processor.withRoots(header, { ...roots, saplingRoot: '55'.repeat(32) }), /hashFinalSaplingRoot/);
+});
+
+test('after NU5 the Sapling root comes from roots the header commits to', () => {
+  const commitment = hashBlockCommitments(roots.chainHistoryRoot, roots.authDataRoot);
+  const header = processor.parseHeader(rawHeader(commitment), 2062000);
+
+  assert.equal(header.commitmentType, CommitmentType.BLOCK_COMMITMENTS);
+  assert.equal(header.saplingRoot, null);
+  assert.ok(processor.needsRoots(header));
+  assert.throws(() => processor.encodeForStarknet(header), /no Sapling root/);
+
+  assert.throws(() => processor.withRoots(header, { ...roots, authDataRoot: ZERO_HASH }), /hashBlockCommitments/);
+  assert.throws(() => processor.withRoots(header, { ...roots, chainHistoryRoot: null }), /did not report/);
+
+  const encoded = processor.encodeForStarknet(processor.withRoots(header, roots));
+  const u256 = (i) => ((BigInt(encoded[i + 1]) << 128n) + BigInt(encoded[i])).toString(16).padStart(64, '0');
+  assert.equal(encoded.length, 65);
+  assert.equal(u256(5), roots.saplingRoot);
+  assert.equal(u256(10), commitment);
+  assert.equal(u256(12), roots.orchardRoot);
+  assert.equal(u256(14), roots.authDataRoot);
+  assert.equal(u256(16), roots.chainHistoryRoot);
+});
+
+test('between Heartwood and NU5 the header carries the chain history root', () => {
+  const header = processor.parseHeader(rawHeader(roots.chainHistoryRoot), 1000000);
+  const withoutOrchard = { ...roots, orchardRoot: null, authDataRoot: null };
+
+  assert.equal(header.commitmentType, CommitmentType.CHAIN_HISTORY_ROOT);
+  assert.equal(processor.withRoots(header, withoutOrchard).saplingRoot, roots.saplingRoot);
+  assert.throws(() => processor.withRoots(header, { ...withoutOrchard, chainHistoryRoot: ZERO_HASH }), /hashLightClientRoot/);
+});
@@ -0,0 +1,67 @@
+/**
+ * Starknet header encoding tests
+ * Full headers from data/block20230423.tsv, real Equihash solutions
+ * included, survive encodeForStarknet / decodeFromStarknet byte for byte
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { HEADER_ENCODING_VERSION } from '@zarklink/header-codec';
+import { HeaderProcessor } from '../src/header-processor.js';
+import { DatasetSource } from '../src/dataset-source.js';
+
+const DATASET = fileURLToPath(new URL('../../data/block20230423.tsv', import.meta.url));
+
+const processor = new HeaderProcessor('mainnet');
+const source = new DatasetSource({ file: DATASET });
+const FELT_PRIME = 2n ** 251n + 17n * 2n ** 192n + 1n;
+
+async function encodedBlock(height) {
+  const hash = await source.getBlockHash(height);
+  const raw = await source.getRawBlockHeader(hash, height);
+  const header = processor.withRoots(processor.parseHeader(raw, height), await source.getBlockRoots(hash, height));
+  return { hash, raw, header, encoded: processor.encodeForStarknet(header) };
+}
+
+test('dataset headers round-trip through the Starknet encoding', async () => {
+  for (let height = source.firstHeight; height <= source.lastHeight; height += 97) {
+    const { hash, raw, header, encoded } = await encodedBlock(height);
+    const decoded = processor.decodeFromStarknet(encoded);
+    const bytes = processor.serializeHeader(decoded);
+
+    assert.equal(bytes.toString('hex'), raw, `height ${height}`);
+    assert.equal(processor.computeHeaderHash(bytes), hash);
+    assert.equal(decoded.saplingRoot, header.saplingRoot);
+    assert.equal(decoded.chainHistoryRoot, header.chainHistoryRoot);
+  }
+});
+
+test('the encoding is versioned and every word is a felt252', async () => {
+  const { header, encoded } = await encodedBlock(source.firstHeight);
+
+  assert.equal(encoded[0], String(HEADER_ENCODING_VERSION));
+  assert.equal(encoded[9], String(header.version));
+  assert.equal(encoded[20], '1344');
+  assert.equal(encoded.length, 21 + 44);
+  assert.ok(encoded.every(word => BigInt(word) < FELT_PRIME));
+});
+
+test('headers without roots or a solution cannot be encoded', async () => {
+  const { header } = await encodedBlock(source.firstHeight);
+
+  assert.throws(() => processor.encodeForStarknet({ ...header, saplingRoot: null }), /no Sapling root/);
+  assert.throws(() => processor.encodeForStarknet({ ...header, solution: null }), /no Equihash solution/);
+});
+
+test('malformed encodings are rejected', async () => {
+  const { encoded } = await encodedBlock(source.firstHeight);
+
+  assert.throws(() => processor.decodeFromStarknet(['2', ...encoded.slice(1)]), /Unsupported header encoding version 2/);
+  assert.throws(() => processor.decodeFromStarknet(encoded.slice(0, 12)), /too short/);
+  assert.throws(() => processor.decodeFromStarknet(encoded.slice(0, -1)), /a 1344-byte solution needs 65/);
+
+  const oversized = [...encoded];
+  oversized[64] = (1n << 248n).toString();
+  assert.throws(() => processor.decodeFromStarknet(oversized), /Solution word 43 does not fit/);
+});
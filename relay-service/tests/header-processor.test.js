@@ -0,0 +1,108 @@
+/**
+ * HeaderProcessor chain validation tests
+ * Difficulty and timestamp rules are checked against real mainnet blocks
+ * from data/block20230423.tsv (heights 2061099-2062238).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { HeaderProcessor } from '../src/header-processor.js';
+
+const DATASET = fileURLToPath(new URL('../../data/block20230423.tsv', import.meta.url));
+
+function loadBlocks() {
+  const [head, ...lines] = readFileSync(DATASET, 'utf8').trim().split('\n');
+  const columns = head.split('\t');
+  
+  return lines.map(line => {
+    const row = Object.fromEntries(line.split('\t').map((v, i) => [columns[i], v]));
+    return {
+      height: Number(row.id),
+      timestamp: Date.parse(row.time.replace(' ', 'T') + 'Z') / 1000,
+      bits: Number(row.bits),
+    };
+  });
+}
+
+const blocks = loadBlocks();
+const processor = new HeaderProcessor('mainnet');
+
+test('DigiShield reproduces mainnet nBits', () => {
+  for (let i = processor.contextSize; i < blocks.length; i++) {
+    const expected = processor.getNextWorkRequired(blocks.slice(0, i), blocks[i].height, blocks[i].timestamp);
+    assert.equal(expected, blocks[i].bits, `height ${blocks[i].height}`);
+  }
+});
+
+test('mainnet timestamps are after median time past', () => {
+  for (let i = 11; i < blocks.length; i++) {
+    assert.ok(blocks[i].timestamp > processor.getMedianTimePast(blocks.slice(0, i)), `height ${blocks[i].height}`);
+  }
+});
+
+test('compact bits round-trip through targets', () => {
+  for (const { bits } of blocks.slice(0, 50)) {
+    assert.equal(processor.targetToBits(processor.bitsToTarget(bits)), bits);
+  }
+});
+
+/**
+ * Build a linked synthetic chain reusing dataset times and bits
+ */
+function buildChain(count) {
+  const chain = [];
+  let prevHash = '00'.repeat(32);
+  
+  for (const block of blocks.slice(0, count)) {
+    const header = {
+      version: 4,
+      prevBlockHash: prevHash,
+      merkleRoot: '11'.repeat(32),
+      commitment: '22'.repeat(32),
+      saplingRoot: '22'.repeat(32),
+      timestamp: block.timestamp,
+      bits: block.bits,
+      nonce: '33'.repeat(32),
+      solution: '44'.repeat(1344),
+    };
+    prevHash = processor.computeHeaderHash(processor.serializeHeader(header));
+    chain.push(header);
+  }
+  
+  return chain;
+}
+
+test('verifyChain accepts a linked chain', () => {
+  const chain = buildChain(40);
+  assert.deepEqual(processor.verifyChain(chain, blocks[0].height), { valid: true });
+});
+
+test('verifyChain rejects a broken prev-hash link', () => {
+  const chain = buildChain(40);
+  chain[30].prevBlockHash = 'ff'.repeat(32);
+  
+  const result = processor.verifyChain(chain, blocks[0].height);
+  assert.equal(result.valid, false);
+  assert.equal(result.height, blocks[30].height);
+});
+
+test('verifyChain rejects wrong difficulty bits', () => {
+  const chain = buildChain(40);
+  chain[39].bits = blocks[39].bits + 1;
+  
+  const result = processor.verifyChain(chain, blocks[0].height);
+  assert.equal(result.valid, false);
+  assert.equal(result.height, blocks[39].height);
+  assert.match(result.reason, /bits/);
+});
+
+test('verifyChain rejects a timestamp at or before median time past', () => {
+  const chain = buildChain(20);
+  chain[15].timestamp = processor.getMedianTimePast(chain.slice(0, 15));
+  
+  const result = processor.verifyChain(chain, blocks[0].height);
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /median time past/);
+});
@@ -0,0 +1,65 @@
+/**
+ * HealthServer and RelayMetrics tests
+ * Serves on an ephemeral port and checks the probe and metrics endpoints
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RelayMetrics } from '../src/metrics.js';
+import { HealthServer } from '../src/health-server.js';
+
+async function serve(t, metrics, health) {
+  const server = new HealthServer({ port: 0, metrics, getHealth: () => health });
+  await server.start();
+  t.after(() => server.stop());
+  return `http://127.0.0.1:${server.server.address().port}`;
+}
+
+test('lag is derived from the Zcash and relayed tips', () => {
+  const metrics = new RelayMetrics();
+  assert.equal(metrics.lagBlocks(), null);
+
+  metrics.setZcashTip(2062238);
+  metrics.setRelayedTip(2062200, Math.floor(Date.now() / 1000) - 600);
+
+  assert.equal(metrics.lagBlocks(), 38);
+  assert.ok(metrics.lagSeconds() >= 600);
+});
+
+test('/metrics exposes relay gauges and counters', async (t) => {
+  const metrics = new RelayMetrics();
+  metrics.setZcashTip(120);
+  metrics.setRelayedTip(110, null);
+  metrics.recordSubmissions('accepted', 4);
+  metrics.recordFee({ amount: '0x2a', unit: 'FRI' });
+  await assert.rejects(metrics.observeRpc('zcash', 'getblockhash', async () => {
+    throw new Error('connection refused');
+  }));
+
+  const base = await serve(t, metrics, {});
+  const res = await fetch(`${base}/metrics`);
+  const body = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.match(body, /^zclaim_relay_lag_blocks 10$/m);
+  assert.match(body, /^zclaim_relay_submissions_total\{status="accepted"\} 4$/m);
+  assert.match(body, /^zclaim_relay_fee_spent_total\{unit="FRI"\} 42$/m);
+  assert.match(body, /^zclaim_relay_rpc_errors_total\{target="zcash",method="getblockhash"\} 1$/m);
+});
+
+test('probes return 503 with reasons when unhealthy', async (t) => {
+  const base = await serve(t, new RelayMetrics(), {
+    live: { ok: true, reasons: [] },
+    ready: { ok: false, reasons: ['lag of 40 blocks exceeds 30'] },
+  });
+
+  const live = await fetch(`${base}/healthz`);
+  assert.equal(live.status, 200);
+  assert.deepEqual(await live.json(), { status: 'ok', reasons: [] });
+
+  const ready = await fetch(`${base}/readyz`);
+  assert.equal(ready.status, 503);
+  assert.deepEqual(await ready.json(), { status: 'unhealthy', reasons: ['lag of 40 blocks exceeds 30'] });
+
+  assert.equal((await fetch(`${base}/unknown`)).status, 404);
+});
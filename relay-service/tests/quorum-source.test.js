@@ -0,0 +1,102 @@
+/**
+ * QuorumSource and header source config tests
+ * Sources are in-memory fakes keyed by height
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuorumSource, QuorumError } from '../src/quorum-source.js';
+import { parseSourceSpecs, createHeaderSource } from '../src/header-sources.js';
+import { HeaderProcessor } from '../src/header-processor.js';
+import { ZebraClient } from '../src/zebra-client.js';
+import { LightwalletdClient } from '../src/lightwalletd-client.js';
+
+const processor = new HeaderProcessor();
+
+function rawHeader(seed) {
+  return Buffer.alloc(1487, seed).toString('hex');
+}
+
+function hashOf(raw) {
+  return processor.computeHeaderHash(Buffer.from(raw, 'hex'));
+}
+
+function fakeSource(name, { chain = 'main', tip = 100, headers = {}, down = false } = {}) {
+  const fail = async () => { throw new Error(`${name} is down`); };
+  return {
+    name,
+    connect: down ? fail : async () => {},
+    getBlockchainInfo: down ? fail : async () => ({ chain, blocks: tip }),
+    getBlockHash: down ? fail : async (height) => hashOf(headers[height]),
+    getRawBlockHeader: down ? fail : async (hash, height) => headers[height],
+  };
+}
+
+const honest = { 10: rawHeader(1) };
+const forked = { 10: rawHeader(2) };
+
+test('block hash needs M of N sources to agree', async () => {
+  const quorum = new QuorumSource([
+    fakeSource('a', { headers: honest }),
+    fakeSource('b', { headers: forked }),
+    fakeSource('c', { headers: honest }),
+  ], { quorum: 2 });
+
+  assert.equal(await quorum.getBlockHash(10), hashOf(honest[10]));
+
+  const strict = new QuorumSource(quorum.sources, { quorum: 3 });
+  await assert.rejects(strict.getBlockHash(10), QuorumError);
+});
+
+test('unreachable sources do not count toward the quorum', async () => {
+  const sources = [
+    fakeSource('a', { headers: honest }),
+    fakeSource('b', { down: true }),
+    fakeSource('c', { down: true }),
+  ];
+
+  await assert.rejects(new QuorumSource(sources, { quorum: 2 }).connect(), /Only 1 of 3/);
+  await assert.rejects(new QuorumSource(sources, { quorum: 2 }).getBlockHash(10), QuorumError);
+});
+
+test('tip is the highest height a quorum has reached', async () => {
+  const quorum = new QuorumSource([
+    fakeSource('a', { tip: 105 }),
+    fakeSource('b', { tip: 101 }),
+    fakeSource('c', { tip: 103 }),
+  ], { quorum: 2 });
+
+  assert.deepEqual(await quorum.getBlockchainInfo(), { chain: 'main', blocks: 103 });
+});
+
+test('headers must hash to the agreed block hash', async () => {
+  const quorum = new QuorumSource([
+    fakeSource('liar', { headers: forked }),
+    fakeSource('b', { headers: honest }),
+  ], { quorum: 1 });
+
+  const hash = hashOf(honest[10]);
+  assert.equal(await quorum.getRawBlockHeader(hash, 10), honest[10]);
+
+  const onlyLiar = new QuorumSource([quorum.sources[0]], { quorum: 1 });
+  await assert.rejects(onlyLiar.getRawBlockHeader(hash, 10), /No source served a valid header/);
+});
+
+test('ZCASH_SOURCES builds a majority quorum of typed clients', () => {
+  assert.deepEqual(parseSourceSpecs('zcashd=http://u:p@127.0.0.1:8232, lightwalletd=lwd.example:9067'), [
+    { kind: 'zcashd', url: 'http://u:p@127.0.0.1:8232' },
+    { kind: 'lightwalletd', url: 'lwd.example:9067' },
+  ]);
+  assert.throws(() => parseSourceSpecs('zcashd'), /expected kind=url/);
+
+  const source = createHeaderSource({
+    zcashSources: 'zcashd=http://u:p@127.0.0.1:8232,zebrad=http://127.0.0.1:18232,lightwalletd-plaintext=127.0.0.1:9067',
+  });
+  assert.ok(source instanceof QuorumSource);
+  assert.equal(source.quorum, 2);
+  assert.equal(source.sources[0].rpcUser, 'u');
+  assert.equal(source.sources[0].rpcUrl, 'http://127.0.0.1:8232/');
+  assert.ok(source.sources[1] instanceof ZebraClient);
+  assert.ok(source.sources[2] instanceof LightwalletdClient);
+  assert.equal(source.sources[2].tls, false);
+});
@@ -0,0 +1,183 @@
+/**
+ * RelayService tests
+ * Reorg handling, restart reconciliation and fee accounting against the
+ * replayed chain: DatasetSource stands in for the Zcash node and
+ * MockStarknetRelay for the relay contract
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pino from 'pino';
+import { loadConfig } from '../src/config.js';
+import { RelayService } from '../src/relay-service.js';
+import { SubmissionStatus } from '../src/state-store.js';
+
+const DATASET = fileURLToPath(new URL('../../data/block20230423.tsv', import.meta.url));
+
+function createService(t, env = {}) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'relay-service-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const config = loadConfig({
+    REPLAY_DATASET: DATASET,
+    STATE_FILE: path.join(dir, 'journal.jsonl'),
+    FEE_LEDGER_FILE: path.join(dir, 'fees.jsonl'),
+    METRICS_PORT: '0',
+    ...env,
+  });
+  return new RelayService(config, pino({ level: 'silent' }));
+}
+
+/**
+ * Put `count` blocks above the mock contract's genesis on the contract and
+ * hold the node's tip at the last of them
+ */
+async function relayed(service, count) {
+  const source = service.zcash;
+  const start = source.initialHeight + 1;
+  const tip = start + count - 1;
+
+  source.speed = 1;
+  source.now = () => source.startedAt;
+  source.initialHeight = tip;
+
+  const headers = [];
+  for (let height = start; height <= tip; height++) {
+    headers.push(await service.fetchHeader(height));
+  }
+  await service.starknet.submitBlockHeadersBatch(
+    headers.map(header => service.processor.encodeForStarknet(header)),
+    start,
+    null
+  );
+  service.lastRelayedHeight = tip;
+  return tip;
+}
+
+test('no reorg while the contract follows the best chain', async (t) => {
+  const service = createService(t);
+  const tip = await relayed(service, 20);
+
+  await service.checkForReorg();
+  assert.equal(service.lastRelayedHeight, tip);
+  assert.equal(service.pendingReorg, null);
+  assert.equal(service.haltReason, null);
+});
+
+test('a reorg rewinds to the highest block both chains share', async (t) => {
+  const service = createService(t);
+  const tip = await relayed(service, 20);
+
+  const { forkHeight } = service.zcash.injectFork(5);
+  assert.equal(forkHeight, tip - 4);
+
+  await service.checkForReorg();
+  assert.deepEqual(service.pendingReorg, { depth: 5, forkHeight: tip - 5, oldTip: tip });
+  assert.equal(service.lastRelayedHeight, tip - 5);
+  assert.equal(service.haltReason, null);
+
+  // The contract tip is still on the old branch: the reorg stays pending
+  // until the winning branch is relayed
+  service.lastRelayedHeight = tip;
+  await service.checkForReorg();
+  assert.equal(service.pendingReorg.forkHeight, tip - 5);
+});
+
+test('a pending reorg is alerted once and keeps its fork point', async (t) => {
+  const service = createService(t);
+  const tip = await relayed(service, 20);
+  const alerts = [];
+  service.alerter.event = async (type, severity, message, details) => {
+    alerts.push({ type, details });
+  };
+
+  service.zcash.injectFork(5);
+  await service.checkForReorg();
+  const pending = service.pendingReorg;
+
+  // Part of the winning branch relayed, the contract still on the old one
+  for (const relayedTo of [tip - 3, tip]) {
+    service.lastRelayedHeight = relayedTo;
+    await service.checkForReorg();
+    assert.equal(service.lastRelayedHeight, tip - 5);
+  }
+
+  assert.equal(alerts.length, 1);
+  assert.deepEqual(alerts[0].details, { depth: 5, forkHeight: tip - 5, oldTip: tip });
+  assert.deepEqual(service.pendingReorg, pending);
+});
+
+test('a reorg deeper than maxReorgDepth halts the relay', async (t) => {
+  const service = createService(t, { MAX_REORG_DEPTH: '3' });
+  const tip = await relayed(service, 20);
+  service.running = true;
+
+  service.zcash.injectFork(5);
+  await service.checkForReorg();
+
+  assert.match(service.haltReason, /deeper than 3 blocks/);
+  assert.equal(service.running, false);
+  assert.equal(service.lastRelayedHeight, tip);
+  assert.equal(service.pendingReorg, null);
+});
+
+test('the fork point search stops at reorgCheckDepth', async (t) => {
+  const service = createService(t, { REORG_CHECK_DEPTH: '4' });
+  const tip = await relayed(service, 20);
+
+  service.zcash.injectFork(5);
+  await service.checkForReorg();
+
+  assert.match(service.haltReason, /Reorg at height \d+/);
+  assert.equal(service.lastRelayedHeight, tip);
+});
+
+test('a pending submission that reverts after RECEIVED is resolved from the contract', async (t) => {
+  const service = createService(t);
+  const tip = await relayed(service, 20);
+  const stored = await service.fetchHeader(tip);
+  const lost = 'ff'.repeat(32);
+
+  service.store.open();
+  t.after(() => service.store.close());
+  service.store.recordSubmitting(tip, stored.hash);
+  service.store.recordSubmitted(stored.hash, '0x1');
+  service.store.recordSubmitting(tip + 1, lost);
+  service.store.recordSubmitted(lost, '0x2');
+
+  service.starknet.getTransactionStatus = async () => ({ finality: 'RECEIVED', execution: null });
+  service.starknet.waitForTransaction = async (txHash) => {
+    throw new Error(`Transaction reverted: ${txHash}`);
+  };
+  service.lastRelayedHeight = tip - 1;
+
+  await service.reconcilePending();
+
+  assert.equal(service.store.get(stored.hash).status, SubmissionStatus.ACCEPTED);
+  assert.equal(service.store.get(lost).status, SubmissionStatus.FAILED);
+  assert.equal(service.store.pending().length, 0);
+  assert.equal(service.lastRelayedHeight, tip);
+});
+
+test('fees without a unit are charged to the budget in FRI', async (t) => {
+  const service = createService(t, { FEE_DAILY_BUDGET: '1000' });
+  service.feeLedger.open();
+  t.after(() => service.feeLedger.close());
+
+  const entry = { startHeight: 100, headers: [{ hash: 'aa' }, { hash: 'bb' }] };
+  service.recordFees(entry, { txHash: '0x1', receipt: { actual_fee: '0x64' } }, 'accepted');
+
+  assert.deepEqual(service.feeLedger.query().map(fee => [fee.height, fee.fee, fee.unit]), [
+    [100, 50n, 'FRI'],
+    [101, 50n, 'FRI'],
+  ]);
+  assert.equal((await service.adminState()).fees.spentToday, 100n);
+  await assert.rejects(
+    service.checkBudget({ overallFee: 950n, maxFee: 950n }, 2),
+    /Daily fee budget of 1000 FRI reached/
+  );
+});
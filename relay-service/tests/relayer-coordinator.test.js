@@ -0,0 +1,99 @@
+/**
+ * RelayerCoordinator tests
+ * A fake StarknetRelay reports a scripted chain tip and header events
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RelayerCoordinator, parsePeers } from '../src/relayer-coordinator.js';
+
+const A = '0x0a';
+const B = '0x0b';
+const C = '0x0c';
+
+function fakeStarknet({ tip = [0n, 0], events = [] } = {}) {
+  return {
+    async getChainTip() {
+      return tip;
+    },
+    async getRecentHeaderEvents() {
+      return events;
+    },
+  };
+}
+
+function coordinator(self, starknet = fakeStarknet(), options = {}) {
+  const relayer = new RelayerCoordinator(starknet, {
+    self,
+    peers: [C, A, B],
+    slotSize: 10,
+    slotDelay: 100,
+    jitter: 0,
+    ...options,
+  });
+  relayer.slept = [];
+  relayer.sleep = async (ms) => { relayer.slept.push(ms); };
+  return relayer;
+}
+
+test('every slot has exactly one primary, rotating by address', () => {
+  const relayers = [A, B, C].map(self => coordinator(self));
+  assert.deepEqual(relayers[0].relayers, ['0xa', '0xb', '0xc']);
+
+  for (const height of [0, 10, 20, 30, 1234]) {
+    const ranks = relayers.map(r => r.rank(height)).sort();
+    assert.deepEqual(ranks, [0, 1, 2]);
+  }
+
+  assert.deepEqual(relayers.map(r => r.rank(5)), [0, 1, 2]);
+  assert.deepEqual(relayers.map(r => r.rank(15)), [2, 0, 1]);
+  assert.deepEqual(relayers.map(r => r.delayFor(15)), [200, 0, 100]);
+});
+
+test('the primary submits without waiting', async () => {
+  // Slot 10 (heights 100-109) belongs to B
+  const turn = await coordinator(B, fakeStarknet({ tip: [1n, 100] })).waitForTurn(101);
+  assert.equal(turn.proceed, true);
+  assert.equal(turn.delay, 0);
+});
+
+test('backups skip heights a peer already submitted', async () => {
+  const starknet = fakeStarknet({
+    tip: [1n, 100],
+    events: [{ height: 101, blockHash: 2n, pending: true }, { height: 102, blockHash: 3n, pending: true }],
+  });
+  const backup = coordinator(A, starknet);
+
+  const turn = await backup.waitForTurn(101);
+  assert.deepEqual(backup.slept, [200]);
+  assert.equal(turn.proceed, false);
+  assert.equal(turn.coveredHeight, 102);
+});
+
+test('backups take over when the primary is down', async () => {
+  const backup = coordinator(A, fakeStarknet({ tip: [1n, 100] }));
+  const turn = await backup.waitForTurn(101);
+  assert.equal(turn.proceed, true);
+  assert.equal(turn.rank, 2);
+});
+
+test('submissions on a stale branch do not cover a slot', async () => {
+  const starknet = fakeStarknet({
+    tip: [1n, 100],
+    events: [{ height: 102, blockHash: 99n, pending: true }, { height: 101, blockHash: 2n, pending: false }],
+  });
+  const backup = coordinator(A, starknet, { isCanonical: async (height, hash) => hash !== 99n });
+
+  const turn = await backup.waitForTurn(101);
+  assert.equal(turn.proceed, false);
+  assert.equal(turn.coveredHeight, 101);
+
+  const next = await backup.waitForTurn(102);
+  assert.equal(next.proceed, true);
+});
+
+test('RELAYER_PEERS is a comma-separated address list', () => {
+  assert.deepEqual(parsePeers(' 0x1, 0x2 ,'), ['0x1', '0x2']);
+  assert.deepEqual(parsePeers(undefined), []);
+  assert.equal(new RelayerCoordinator(fakeStarknet(), { self: A, peers: ['0xA'] }).enabled, false);
+});
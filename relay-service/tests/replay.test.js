@@ -0,0 +1,194 @@
+/**
+ * Offline replay tests
+ * DatasetSource rebuilds data/block20230423.tsv into a linked chain and
+ * MockStarknetRelay applies the RelaySystem contract rules to it; the last
+ * test drives RelayService over both the way REPLAY_DATASET runs do
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pino from 'pino';
+import { DatasetSource, parseForkSchedule } from '../src/dataset-source.js';
+import { MockStarknetRelay } from '../src/mock-starknet-relay.js';
+import { HeaderProcessor } from '../src/header-processor.js';
+import { loadConfig } from '../src/config.js';
+import { RelayService } from '../src/relay-service.js';
+
+const DATASET = fileURLToPath(new URL('../../data/block20230423.tsv', import.meta.url));
+const FIRST = 2061099;
+
+const processor = new HeaderProcessor('mainnet');
+
+async function fetchHeaders(source, from, to) {
+  const headers = [];
+  for (let height = from; height <= to; height++) {
+    const hash = await source.getBlockHash(height);
+    const header = processor.parseHeader(await source.getRawBlockHeader(hash, height), height);
+    headers.push({ ...processor.withRoots(header, await source.getBlockRoots(hash, height)), hash });
+  }
+  return headers;
+}
+
+function replay(options = {}) {
+  const source = new DatasetSource({ file: DATASET, ...options });
+  const genesis = source.headers[processor.contextSize];
+  const relay = new MockStarknetRelay({ genesis });
+  return { source, relay, genesis };
+}
+
+async function submit(relay, headers, startHeight) {
+  const { txHash } = await relay.submitBlockHeadersBatch(
+    headers.map(header => processor.encodeForStarknet(header)),
+    startHeight,
+    { overallFee: 1n }
+  );
+  return relay.getTransactionStatus(txHash);
+}
+
+test('rebuilt headers form a chain that passes validation', async () => {
+  const source = new DatasetSource({ file: DATASET });
+  const headers = await fetchHeaders(source, FIRST, FIRST + 60);
+
+  assert.deepEqual(processor.verifyChain(headers, FIRST), { valid: true });
+  assert.equal(headers[1].prevBlockHash, headers[0].hash);
+});
+
+test('the tip advances with original block times times the speed', async () => {
+  let now = 0;
+  const source = new DatasetSource({ file: DATASET, speed: 60, initialHeight: FIRST + 10, now: () => now });
+
+  assert.equal((await source.getBlockchainInfo()).blocks, FIRST + 10);
+  await assert.rejects(source.getBlockHash(FIRST + 11), /out of range/);
+
+  // ~75 s blocks at 60x: about one per 1.25 s
+  now = 12500;
+  const { blocks } = await source.getBlockchainInfo();
+  assert.ok(blocks > FIRST + 15 && blocks < FIRST + 30, `tip ${blocks}`);
+});
+
+test('the mock contract extends the tip and rejects what the contract would', async () => {
+  const { source, relay, genesis } = replay();
+  const headers = await fetchHeaders(source, genesis.height + 1, genesis.height + 10);
+
+  assert.deepEqual(await submit(relay, headers, genesis.height + 1), { finality: 'ACCEPTED_ON_L2', execution: 'SUCCEEDED' });
+  assert.deepEqual(await relay.getChainTip(), [BigInt('0x' + headers[9].hash), genesis.height + 10]);
+  assert.equal(await relay.hasBlock('0x' + headers[4].hash), true);
+
+  // Already stored, and a gap: both revert as a whole
+  assert.equal((await submit(relay, headers.slice(9), genesis.height + 10)).execution, 'REVERTED');
+  const next = await fetchHeaders(source, genesis.height + 12, genesis.height + 13);
+  assert.equal((await submit(relay, next, genesis.height + 12)).execution, 'REVERTED');
+
+  assert.equal(relay.nonce, 3n);
+  assert.equal((await relay.getRecentHeaderEvents()).length, 10);
+});
+
+test('an injected fork moves the contract tip once the new branch has more work', async () => {
+  const { source, relay, genesis } = replay({ speed: 1, initialHeight: FIRST + 60, now: () => 0 });
+  const start = genesis.height + 1;
+  const old = await fetchHeaders(source, start, FIRST + 60);
+  await submit(relay, old, start);
+
+  const { forkHeight } = source.injectFork(5);
+  assert.equal(forkHeight, FIRST + 56);
+  assert.notEqual(await source.getBlockHash(forkHeight), old[forkHeight - start].hash);
+  assert.equal(await source.getBlockHash(forkHeight - 1), old[forkHeight - 1 - start].hash);
+
+  // Same length: stored, but the tip stays on the old branch
+  const branch = await fetchHeaders(source, forkHeight, FIRST + 60);
+  assert.equal((await submit(relay, branch, forkHeight)).execution, 'SUCCEEDED');
+  assert.equal((await relay.getChainTip())[1], FIRST + 60);
+  assert.equal(await relay.getBlockHash(FIRST + 60), BigInt('0x' + old[old.length - 1].hash));
+
+  source.now = () => 3600 * 1000;
+  const longer = await fetchHeaders(source, FIRST + 61, FIRST + 61);
+  await submit(relay, longer, FIRST + 61);
+  assert.deepEqual(await relay.getChainTip(), [BigInt('0x' + longer[0].hash), FIRST + 61]);
+});
+
+test('scheduled forks fire when the tip reaches their height', async () => {
+  assert.deepEqual(parseForkSchedule('2061500:3, 2061200:10'), [
+    { height: 2061500, depth: 3 },
+    { height: 2061200, depth: 10 },
+  ]);
+  assert.throws(() => parseForkSchedule('2061500'), /height:depth/);
+
+  const source = new DatasetSource({ file: DATASET, forkSchedule: [{ height: FIRST + 100, depth: 2 }] });
+  const before = await source.getBlockHash(source.lastHeight);
+  await source.getBlockchainInfo();
+  assert.equal(source.forks, 1);
+  assert.notEqual(await source.getBlockHash(source.lastHeight), before);
+});
+
+test('the relay service relays the replayed chain in batches and follows a fork', async (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'relay-replay-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  // Genesis is the dataset block at contextSize
+  const genesis = FIRST + processor.contextSize;
+  const config = loadConfig({
+    REPLAY_DATASET: DATASET,
+    REPLAY_SPEED: '1',
+    STATE_FILE: path.join(dir, 'journal.jsonl'),
+    FEE_LEDGER_FILE: path.join(dir, 'fees.jsonl'),
+    METRICS_PORT: '0',
+    BATCH_SIZE: '10',
+    FINALITY_RULE: 'depth',
+    FINALITY_MIN_DEPTH: '1',
+  });
+  const service = new RelayService(config, pino({ level: 'silent' }));
+  t.after(() => service.stop());
+
+  // Hold the node's tip where the test puts it
+  const source = service.zcash;
+  source.now = () => source.startedAt;
+  const batches = [];
+  const submit = service.starknet.submitBlockHeadersBatch.bind(service.starknet);
+  service.starknet.submitBlockHeadersBatch = (headers, startHeight, estimate) => {
+    batches.push([startHeight, startHeight + headers.length - 1]);
+    return submit(headers, startHeight, estimate);
+  };
+
+  // Until nothing is left to send and every batch settled
+  async function relayAll() {
+    while (await service.relayNewBlocks() || service.pipeline.size > 0);
+  }
+
+  await service.initialize();
+  assert.equal(service.lastRelayedHeight, genesis);
+  service.running = true; // as start() does, without its polling loop
+
+  source.initialHeight = genesis + 30;
+  await relayAll();
+  assert.deepEqual(batches, [
+    [genesis + 1, genesis + 10],
+    [genesis + 11, genesis + 20],
+    [genesis + 21, genesis + 30],
+  ]);
+  assert.equal(service.lastRelayedHeight, genesis + 30);
+  const oldTip = await service.starknet.getBlockHash(genesis + 30);
+
+  // The node moves on to genesis + 35 on a branch forked after genesis + 25,
+  // as the admin API's fork injection does
+  source.initialHeight = genesis + 35;
+  assert.deepEqual(service.injectFork(10), { forkHeight: genesis + 26, tipHeight: genesis + 35 });
+  batches.length = 0;
+  await relayAll();
+
+  assert.equal(source.forks, 1);
+  assert.deepEqual(batches, [[genesis + 26, genesis + 35]]);
+  assert.equal(service.lastRelayedHeight, genesis + 35);
+  assert.equal(service.pendingReorg, null);
+  assert.equal(service.haltReason, null);
+
+  const [tipHash, tipHeight] = await service.starknet.getChainTip();
+  assert.equal(tipHeight, genesis + 35);
+  assert.equal(tipHash, BigInt('0x' + await source.getBlockHash(genesis + 35)));
+  // Both branches stay stored
+  assert.equal(await service.starknet.hasBlock('0x' + await source.getBlockHash(genesis + 30)), true);
+  assert.equal(await service.starknet.hasBlock(oldTip), true);
+});
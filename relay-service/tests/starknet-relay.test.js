@@ -0,0 +1,57 @@
+/**
+ * StarknetRelay tests
+ * Calls and results through the RelaySystem ABI generated from the
+ * contract class, against a stubbed RPC
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StarknetRelay } from '../src/starknet-relay.js';
+import { ABI, EVENTS } from '../src/generated/relay-system.js';
+
+async function connected(results) {
+  const relay = new StarknetRelay({
+    starknetRpcUrl: 'http://127.0.0.1:1',
+    starknetAccountAddress: '0xa11ce',
+    starknetPrivateKey: '0x1234',
+    relayContractAddress: '0x1ae3',
+  });
+  await relay.connect();
+
+  relay.calls = [];
+  relay.account.callContract = async (call) => {
+    relay.calls.push(call);
+    return results[call.entrypoint];
+  };
+  return relay;
+}
+
+test('the generated ABI declares what the relay calls and listens to', () => {
+  const functions = ABI.filter(item => item.type === 'interface').flatMap(item => item.items).map(fn => fn.name);
+  for (const name of ['submit_block_header', 'submit_block_headers_batch', 'get_chain_tip', 'get_block_hash', 'get_header', 'is_confirmed', 'is_relayer']) {
+    assert.ok(functions.includes(name), name);
+  }
+  assert.equal(EVENTS.BlockHeaderSubmitted, 'zclaim::relay::relay_system::RelaySystem::BlockHeaderSubmitted');
+});
+
+test('the chain tip tuple and u256 hashes are decoded', async () => {
+  const relay = await connected({
+    get_chain_tip: ['0x5', '0x1', '0x1f7a2b'],
+    get_block_hash: ['0x9', '0x0'],
+  });
+
+  assert.deepEqual(await relay.getChainTip(), [(1n << 128n) + 5n, 0x1f7a2b]);
+  assert.equal(await relay.getBlockHash(7), 9n);
+  assert.deepEqual(relay.calls.map(call => [call.entrypoint, call.calldata]), [
+    ['get_chain_tip', []],
+    ['get_block_hash', ['7']],
+  ]);
+});
+
+test('a batch call carries each header as its own felt array', async () => {
+  const relay = await connected({});
+
+  const call = relay.buildBatchCall([['0x1', '0x2'], ['0x3']], 100);
+  assert.equal(call.entrypoint, 'submit_block_headers_batch');
+  assert.deepEqual(call.calldata.map(String), ['2', '2', '1', '2', '1', '3', '100']);
+});
@@ -0,0 +1,80 @@
+/**
+ * StateStore journal tests
+ * Replay after restart, torn writes and compaction
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, appendFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { StateStore, SubmissionStatus } from '../src/state-store.js';
+
+function tempJournal(t) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'relay-state-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'state', 'journal.jsonl');
+}
+
+test('in-flight submissions survive a restart', (t) => {
+  const file = tempJournal(t);
+
+  const store = new StateStore(file);
+  store.open();
+  store.recordSubmitting(100, 'aa');
+  store.recordSubmitted('aa', '0x1');
+  store.recordStatus('aa', SubmissionStatus.ACCEPTED);
+  store.recordSubmitting(101, 'bb');
+  store.recordSubmitted('bb', '0x2');
+  store.recordSubmitting(102, 'cc');
+  store.close();
+
+  const reopened = new StateStore(file);
+  reopened.open();
+  t.after(() => reopened.close());
+
+  assert.deepEqual(
+    reopened.pending().map(e => [e.height, e.status, e.txHash]),
+    [[101, 'pending', '0x2'], [102, 'submitting', null]]
+  );
+  assert.equal(reopened.lastAcceptedHeight(), 100);
+  assert.equal(reopened.get('aa').txHash, '0x1');
+});
+
+test('a truncated last line is ignored', (t) => {
+  const file = tempJournal(t);
+
+  const store = new StateStore(file);
+  store.open();
+  store.recordSubmitting(200, 'dd');
+  store.close();
+  appendFileSync(file, '{"blockHash":"dd","sta');
+
+  const reopened = new StateStore(file);
+  reopened.open();
+  t.after(() => reopened.close());
+
+  assert.equal(reopened.get('dd').status, SubmissionStatus.SUBMITTING);
+});
+
+test('journal is compacted to one line per header', (t) => {
+  const file = tempJournal(t);
+
+  const store = new StateStore(file);
+  store.open();
+  for (let height = 0; height < 5; height++) {
+    store.recordSubmitting(height, `h${height}`);
+    store.recordSubmitted(`h${height}`, `0x${height}`);
+    store.recordStatus(`h${height}`, SubmissionStatus.FINALIZED);
+  }
+  store.close();
+
+  const reopened = new StateStore(file);
+  reopened.open();
+  t.after(() => reopened.close());
+
+  const lines = readFileSync(file, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 5);
+  assert.equal(reopened.lastAcceptedHeight(), 4);
+  assert.equal(reopened.pending().length, 0);
+});
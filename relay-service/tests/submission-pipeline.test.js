@@ -0,0 +1,156 @@
+/**
+ * SubmissionPipeline tests
+ * A fake StarknetRelay hands out nonces and reports scripted tx statuses
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubmissionPipeline, PipelineError } from '../src/submission-pipeline.js';
+
+function fakeStarknet() {
+  return {
+    nonce: 7n,
+    statuses: {},
+    sent: [],
+    syncs: 0,
+    async submitBlockHeadersBatch(encoded, startHeight) {
+      const nonce = this.nonce++;
+      const txHash = `0x${startHeight}`;
+      this.sent.push({ txHash, nonce });
+      return { txHash, nonce };
+    },
+    async resubmitBatch(encoded, startHeight, estimate, nonce, bumpPercent) {
+      const txHash = `0x${startHeight}b${this.sent.length}`;
+      this.sent.push({ txHash, nonce });
+      return { txHash, estimate: { overallFee: estimate.overallFee * BigInt(100 + bumpPercent) / 100n } };
+    },
+    async getTransactionStatus(txHash) {
+      return this.statuses[txHash] || null;
+    },
+    async getTransactionReceipt(txHash) {
+      return { actual_fee: { amount: '0x1', unit: 'FRI' } };
+    },
+    async syncNonce() {
+      this.syncs++;
+    },
+  };
+}
+
+const accepted = { finality: 'ACCEPTED_ON_L2', execution: 'SUCCEEDED' };
+const reverted = { finality: 'ACCEPTED_ON_L2', execution: 'REVERTED' };
+
+function batch(startHeight) {
+  return { encoded: [], startHeight, endHeight: startHeight + 9, estimate: { overallFee: 100n } };
+}
+
+test('keeps up to `window` batches in flight with consecutive nonces', async () => {
+  const starknet = fakeStarknet();
+  const settled = [];
+  const pipeline = new SubmissionPipeline(starknet, {
+    window: 2,
+    pollInterval: 1,
+    onSettled: (entry, result) => settled.push([entry.startHeight, result.ok]),
+  });
+
+  await pipeline.submit(batch(100));
+  await pipeline.submit(batch(110));
+  assert.equal(pipeline.size, 2);
+  assert.deepEqual(starknet.sent.map(s => s.nonce), [7n, 8n]);
+
+  // The third submission waits for the oldest to settle
+  setTimeout(() => { starknet.statuses['0x100'] = accepted; }, 5);
+  await pipeline.submit(batch(120));
+  assert.deepEqual(settled, [[100, true]]);
+  assert.equal(pipeline.size, 2);
+});
+
+test('collect settles finished batches in nonce order without waiting', async () => {
+  const starknet = fakeStarknet();
+  const settled = [];
+  const pipeline = new SubmissionPipeline(starknet, {
+    window: 4,
+    onSettled: (entry) => settled.push(entry.startHeight),
+  });
+
+  await pipeline.submit(batch(100));
+  await pipeline.submit(batch(110));
+  await pipeline.submit(batch(120));
+
+  // 110 is done but 100 is not: nothing settles out of order
+  starknet.statuses['0x110'] = accepted;
+  await pipeline.collect();
+  assert.deepEqual(settled, []);
+
+  starknet.statuses['0x100'] = accepted;
+  await pipeline.collect();
+  assert.deepEqual(settled, [100, 110]);
+  assert.equal(pipeline.size, 1);
+});
+
+test('a reverted batch drains the window and resyncs the nonce', async () => {
+  const starknet = fakeStarknet();
+  const settled = [];
+  const pipeline = new SubmissionPipeline(starknet, {
+    window: 4,
+    onSettled: (entry, result) => settled.push([entry.startHeight, result.reason || 'ok']),
+  });
+
+  await pipeline.submit(batch(100));
+  await pipeline.submit(batch(110));
+  starknet.statuses['0x100'] = reverted;
+  starknet.statuses['0x110'] = reverted;
+
+  await assert.rejects(pipeline.collect(), PipelineError);
+  assert.deepEqual(settled, [[100, 'reverted'], [110, 'reverted']]);
+  assert.equal(pipeline.size, 0);
+  assert.equal(starknet.syncs, 1);
+});
+
+test('stuck transactions are replaced with the same nonce and a higher fee', async () => {
+  const starknet = fakeStarknet();
+  const submitted = [];
+  const pipeline = new SubmissionPipeline(starknet, {
+    stuckAfter: 0,
+    maxBumps: 1,
+    onSubmitted: (entry, txHash) => submitted.push(txHash),
+  });
+
+  const entry = await pipeline.submit(batch(100));
+  starknet.statuses['0x100'] = { finality: 'RECEIVED', execution: null };
+
+  await pipeline.collect();
+  assert.equal(entry.bumps, 1);
+  assert.equal(entry.estimate.overallFee, 150n);
+  assert.deepEqual(starknet.sent.map(s => s.nonce), [7n, 7n]);
+  assert.equal(submitted.length, 2);
+
+  // The replacement lands
+  starknet.statuses[submitted[1]] = accepted;
+  await pipeline.collect();
+  assert.equal(pipeline.size, 0);
+});
+
+test('a batch the sequencer never saw is reported as dropped', async () => {
+  const starknet = fakeStarknet();
+  const pipeline = new SubmissionPipeline(starknet, { stuckAfter: 0, maxBumps: 0 });
+
+  await pipeline.submit(batch(100));
+  await assert.rejects(pipeline.collect(), /dropped/);
+});
+
+test('abandon drops batches from a height on and resyncs the nonce', async () => {
+  const starknet = fakeStarknet();
+  const pipeline = new SubmissionPipeline(starknet, { window: 4 });
+
+  await pipeline.submit(batch(100));
+  await pipeline.submit(batch(110));
+  await pipeline.submit(batch(120));
+
+  const abandoned = await pipeline.abandon(115);
+  assert.deepEqual(abandoned.map(e => e.startHeight), [110, 120]);
+  assert.deepEqual(pipeline.inFlight.map(e => e.startHeight), [100]);
+  assert.equal(starknet.syncs, 1);
+
+  assert.deepEqual(await pipeline.abandon(200), []);
+  assert.equal(starknet.syncs, 1);
+});